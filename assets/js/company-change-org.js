@@ -2,7 +2,9 @@
  * Wicket Company - Change Organization Modal
  * 
  * Handles the modal interface for changing user's active organization.
- * Requires: jQuery, wicketCompanyConfig (ajaxUrl, nonce)
+ * The search box is a combobox: arrow keys move through the results,
+ * Enter picks a company, and focus stays in the modal while it is open.
+ * Requires: jQuery, MyIESCombobox, wicketCompanyConfig (ajaxUrl, nonce)
  * 
  * Usage in Bricks:
  * 1. Add Code element with: <?php wicket_company_enqueue_assets(); ?>
@@ -36,7 +38,9 @@
         isOpen: false,
         searchTimeout: null,
         selectedOrg: null,
-        lastSearchResults: []
+        lastSearchResults: [],
+        combobox: null,
+        releaseFocus: null
     };
 
     /**
@@ -130,8 +134,10 @@
         }
 
         $(config.selectors.modal).fadeIn(200);
+        state.releaseFocus = MyIESCombobox.trapFocus($(config.selectors.modal));
         $(config.selectors.searchInput).val('').focus();
         $(config.selectors.resultsContainer).empty();
+        state.combobox.refresh();
         $(config.selectors.selectedDisplay).hide();
         state.isOpen = true;
         state.selectedOrg = null;
@@ -147,6 +153,12 @@
         state.isOpen = false;
         state.selectedOrg = null;
         $('body').removeClass('wicket-modal-open');
+
+        // Return focus to the button that opened the modal
+        if (state.releaseFocus) {
+            state.releaseFocus();
+            state.releaseFocus = null;
+        }
     }
 
     /**
@@ -155,11 +167,11 @@
     function createModal() {
         var modalHtml = `
             <div id="wicket-change-org-modal" class="wicket-modal-overlay">
-                <div class="wicket-modal-content">
-                    <button class="wicket-modal-close" aria-label="Close">&times;</button>
+                <div class="wicket-modal-content" role="dialog" aria-modal="true" aria-labelledby="wicket-org-modal-title">
+                    <button type="button" class="wicket-modal-close" aria-label="Close">&times;</button>
                     
                     <div class="wicket-modal-header">
-                        <h2>Change Organization</h2>
+                        <h2 id="wicket-org-modal-title">Change Organization</h2>
                     </div>
                     
                     <div class="wicket-modal-body">
@@ -169,8 +181,9 @@
                                 <input type="text" 
                                        id="wicket-org-search" 
                                        placeholder="Enter company name..."
+                                       aria-label="Search for a company"
                                        autocomplete="off">
-                                <span class="wicket-search-icon">🔍</span>
+                                <span class="wicket-search-icon" aria-hidden="true">🔍</span>
                             </div>
                             
                             <div id="wicket-org-results"></div>
@@ -178,7 +191,7 @@
                             <div id="wicket-selected-org" style="display: none;">
                                 <div class="wicket-selected-label">Selected:</div>
                                 <div class="wicket-selected-name"></div>
-                                <button type="button" class="wicket-clear-selection">&times;</button>
+                                <button type="button" class="wicket-clear-selection" aria-label="Clear selection">&times;</button>
                             </div>
                         </div>
                         
@@ -226,6 +239,14 @@
         
         $('body').append(modalHtml);
 
+        state.combobox = MyIESCombobox.create({
+            input: config.selectors.searchInput,
+            results: config.selectors.resultsContainer,
+            list: '.wicket-results-list',
+            option: '.wicket-org-result-item',
+            listLabel: 'Companies'
+        });
+
         // Clear selection handler
         $(document).on('click', '.wicket-clear-selection', function() {
             state.selectedOrg = null;
@@ -243,11 +264,13 @@
         
         if (term.length < config.minSearchLength) {
             $(config.selectors.resultsContainer).empty();
+            state.combobox.refresh();
             return;
         }
 
         // Show loading
         $(config.selectors.resultsContainer).html('<div class="wicket-loading">Searching...</div>');
+        state.combobox.refresh();
 
         state.searchTimeout = setTimeout(function() {
             performSearch(term);
@@ -276,8 +299,9 @@
                     displaySearchResults(response.data.results, term);
                 } else {
                     $(config.selectors.resultsContainer).html(
-                        '<div class="wicket-error">Search failed: ' + (response.data.message || 'Unknown error') + '</div>'
+                        '<div class="wicket-error">Search failed: ' + escapeHtml(response.data.message || 'Unknown error') + '</div>'
                     );
+                    state.combobox.refresh('Search failed.');
                 }
             },
             error: function(xhr, status, error) {
@@ -285,6 +309,7 @@
                 $(config.selectors.resultsContainer).html(
                     '<div class="wicket-error">Connection error. Please try again.</div>'
                 );
+                state.combobox.refresh('Connection error. Please try again.');
             }
         });
     }
@@ -303,13 +328,13 @@
             
             limitedResults.forEach(function(org, index) {
                 var displayName = org.legal_name || 'Unknown';
-                var altName = org.alternate_name ? ' (' + org.alternate_name + ')' : '';
+                var altName = org.alternate_name ? ' (' + escapeHtml(org.alternate_name) + ')' : '';
                 var orgType = org.org_type || '';
                 var orgUuid = org.wicket_uuid;
                 
                 var $item = $(`
                     <li class="wicket-org-result-item" 
-                        data-uuid="${orgUuid}" 
+                        data-uuid="${escapeHtml(orgUuid)}" 
                         data-name="${escapeHtml(displayName)}"
                         data-index="${index}">
                         <div class="wicket-org-name">${highlightMatch(displayName, searchTerm)}${altName}</div>
@@ -325,14 +350,18 @@
             $container.html('<div class="wicket-no-results">No companies found matching "' + escapeHtml(searchTerm) + '"</div>');
         }
 
-        // Always show "Add new" option
+        // Always show "Add new" option (a button, so Tab reaches it after the list)
         var $addNew = $(`
-            <div class="wicket-add-new-company">
-                <span class="wicket-add-new-icon">+</span>
+            <button type="button" class="wicket-add-new-company">
+                <span class="wicket-add-new-icon" aria-hidden="true">+</span>
                 Can't find your company? <strong>Add new →</strong>
-            </div>
+            </button>
         `);
         $container.append($addNew);
+
+        state.combobox.refresh(limitedResults.length
+            ? limitedResults.length + (limitedResults.length === 1 ? ' company' : ' companies') + ' found. Use the up and down arrow keys to browse.'
+            : 'No companies found. You can add a new company.');
     }
 
     /**
@@ -356,6 +385,7 @@
         // Clear search
         $(config.selectors.resultsContainer).empty();
         $(config.selectors.searchInput).val('');
+        state.combobox.refresh(name + ' selected.');
     }
 
     /**
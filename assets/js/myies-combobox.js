@@ -0,0 +1,197 @@
+/**
+ * MyIES Combobox — shared keyboard and screen reader support for the
+ * search-as-you-type pickers in the MyIES modals
+ *
+ * Turns a text input and the result list rendered below it into a WAI-ARIA
+ * combobox with a listbox popup: arrow keys move through the options,
+ * Enter picks one (by triggering its click handler), Escape closes the list,
+ * and result counts are announced through a polite live region. Also traps
+ * focus inside a modal and puts it back where it was on close.
+ *
+ * Usage:
+ *   var combo = MyIESCombobox.create({
+ *       input:     '#wicket-section-search',      // text input
+ *       results:   '#wicket-section-results',     // container the list is rendered into
+ *       list:      'ul',                          // the list inside the container
+ *       option:    '.wicket-section-result-item', // the options inside the list
+ *       listLabel: 'Sections'
+ *   });
+ *   // after (re)rendering the list:
+ *   combo.refresh('5 sections found.');
+ *
+ *   var release = MyIESCombobox.trapFocus($('#modal .content'));
+ *   // on close:
+ *   release();
+ */
+(function ($) {
+	'use strict';
+
+	var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+	// Visually hidden but read by screen readers
+	var SR_ONLY = {
+		position: 'absolute',
+		width: '1px',
+		height: '1px',
+		margin: '-1px',
+		padding: 0,
+		overflow: 'hidden',
+		clip: 'rect(0, 0, 0, 0)',
+		whiteSpace: 'nowrap',
+		border: 0
+	};
+
+	var uid = 0;
+
+	function create(opts) {
+		var $input   = $(opts.input);
+		var $results = $(opts.results);
+		var listId   = ($results.attr('id') || 'myies-combobox-' + (++uid)) + '-listbox';
+		var active   = -1;
+
+		var $live = $('<div role="status" aria-live="polite" aria-atomic="true"></div>')
+			.css(SR_ONLY)
+			.insertAfter($results);
+
+		$input.attr({
+			role: 'combobox',
+			'aria-autocomplete': 'list',
+			'aria-expanded': 'false',
+			'aria-controls': listId
+		});
+
+		function getOptions() {
+			return $results.find(opts.option);
+		}
+
+		function setActive(index) {
+			var $options = getOptions();
+			$options.removeClass('is-active').attr('aria-selected', 'false');
+			active = index;
+
+			if (index < 0) {
+				$input.removeAttr('aria-activedescendant');
+				return;
+			}
+
+			var $option = $options.eq(index).addClass('is-active').attr('aria-selected', 'true');
+			$input.attr('aria-activedescendant', $option.attr('id'));
+			if ($option[0].scrollIntoView) {
+				$option[0].scrollIntoView({ block: 'nearest' });
+			}
+		}
+
+		/**
+		 * Wire up the freshly rendered list and announce a message.
+		 */
+		function refresh(message) {
+			var $options = getOptions();
+			active = -1;
+			$input.removeAttr('aria-activedescendant');
+
+			if ($options.length) {
+				$results.find(opts.list).first().attr({
+					id: listId,
+					role: 'listbox',
+					'aria-label': opts.listLabel || null
+				});
+				$options.each(function (i) {
+					$(this).attr({ id: listId + '-' + i, role: 'option', 'aria-selected': 'false' });
+				});
+			}
+			$input.attr('aria-expanded', $options.length ? 'true' : 'false');
+
+			if (message !== undefined) {
+				announce(message);
+			}
+		}
+
+		function announce(message) {
+			// Clear first so repeating the same message is read again
+			$live.text('');
+			setTimeout(function () {
+				$live.text(message);
+			}, 100);
+		}
+
+		$input.on('keydown', function (e) {
+			var $options = getOptions();
+
+			switch (e.key) {
+				case 'ArrowDown':
+					if (!$options.length) return;
+					e.preventDefault();
+					setActive(active < $options.length - 1 ? active + 1 : 0);
+					break;
+				case 'ArrowUp':
+					if (!$options.length) return;
+					e.preventDefault();
+					setActive(active > 0 ? active - 1 : $options.length - 1);
+					break;
+				case 'Enter':
+					if (active < 0) return;
+					e.preventDefault();
+					$options.eq(active).trigger('click');
+					break;
+				case 'Escape':
+					// First Escape closes the list, the next one the modal
+					if ($input.attr('aria-expanded') !== 'true') return;
+					e.stopPropagation();
+					$results.empty();
+					refresh();
+					break;
+			}
+		});
+
+		// Keep the highlighted option in step with the mouse
+		$results.on('mouseenter', opts.option, function () {
+			setActive(getOptions().index(this));
+		});
+
+		return {
+			refresh: refresh,
+			announce: announce
+		};
+	}
+
+	/**
+	 * Keep Tab and Shift+Tab inside a modal. Returns a function that
+	 * releases the trap and restores focus to where it was before.
+	 */
+	function trapFocus($dialog) {
+		var returnTo = document.activeElement;
+
+		$dialog.on('keydown.myiesTrap', function (e) {
+			if (e.key !== 'Tab') return;
+
+			var $focusable = $dialog.find(FOCUSABLE).filter(':visible');
+			if (!$focusable.length) {
+				e.preventDefault();
+				return;
+			}
+
+			var first = $focusable[0];
+			var last  = $focusable[$focusable.length - 1];
+			if (e.shiftKey && document.activeElement === first) {
+				e.preventDefault();
+				last.focus();
+			} else if (!e.shiftKey && document.activeElement === last) {
+				e.preventDefault();
+				first.focus();
+			}
+		});
+
+		return function release() {
+			$dialog.off('keydown.myiesTrap');
+			if (returnTo && returnTo.focus && $.contains(document.documentElement, returnTo)) {
+				returnTo.focus();
+			}
+		};
+	}
+
+	window.MyIESCombobox = {
+		create: create,
+		trapFocus: trapFocus
+	};
+
+})(jQuery);
@@ -0,0 +1,425 @@
+/**
+ * MyIES Table — shared data table for the MyIES list UIs
+ *
+ * Renders an array of rows into an accessible table with sortable column
+ * headers, search/filtering, pagination (client-side, or server-side for
+ * endpoints that page their results), loading/empty/error states and
+ * keyboard navigation between rows.
+ *
+ * Usage:
+ *   var table = MyIESTable.create($('#container'), {
+ *       prefix:  'myies-orgmgmt',           // BEM block for table/pagination classes
+ *       caption: 'Organization members',    // screen-reader caption
+ *       columns: [
+ *           { key: 'name', label: 'Name', sortable: true, render: function (row) { ... } },
+ *           ...
+ *       ],
+ *       rowAttrs: function (row) { return { 'data-connection': row.connection_uuid }; },
+ *       search:   ['name', 'email'],
+ *       emptyText: 'No members found.'
+ *   });
+ *   table.setData(rows);       // new data, back to page 1
+ *   table.update(rows);        // changed data, same page
+ *   table.refresh();           // re-render after editing rows in place
+ *
+ * Column options:
+ *   key        Field used for sorting and the default cell text.
+ *   label      Header text (escaped).
+ *   header     function (pageRows) returning header HTML; replaces label.
+ *   render     function (row) returning cell HTML; defaults to the escaped field.
+ *   sortable   Adds a sort button to the header.
+ *   sortValue  function (row) returning the value to sort on; defaults to the field.
+ *   className  Class for both the header and the body cells.
+ *
+ * Table options:
+ *   prefix       BEM block: the table gets `{prefix}__table`, pagination uses
+ *                `{prefix}__pagination`, `{prefix}__page-btn` and `{prefix}__page-info`.
+ *   tableClass   Extra classes for the table element.
+ *   caption      Caption read by screen readers.
+ *   rowAttrs     function (row) returning attributes for the <tr>.
+ *   perPage      Rows per page (default 20).
+ *   search       Fields matched (case-insensitively) against setSearch() terms.
+ *   filter       function (row) returning false to hide a row.
+ *   sort         Initial { key, dir } (dir 1 or -1).
+ *   emptyText    String, or function (hasFilter) returning a string.
+ *   countLabel   Noun shown next to the page count ("members").
+ *   onSort       function (key, dir) called after the user sorts.
+ *   onPage       Server-side paging: function (page) that loads the page and
+ *                calls setData(rows, { page, total }).
+ *   onRender     function (filteredRows) called after every render.
+ *   onActivate   function (row, $tr) called on Enter on a focused row.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.19
+ */
+(function ($) {
+	'use strict';
+
+	var instances = 0;
+
+	function MyIESTable($container, options) {
+		this.$container = $container;
+		this.options    = $.extend({
+			prefix:     'myies',
+			tableClass: '',
+			caption:    '',
+			columns:    [],
+			rowAttrs:   null,
+			perPage:    20,
+			search:     [],
+			filter:     null,
+			sort:       null,
+			emptyText:  'Nothing to show.',
+			countLabel: '',
+			onSort:     null,
+			onPage:     null,
+			onRender:   null,
+			onActivate: null
+		}, options);
+
+		this.id       = 'myies-table-' + (++instances);
+		this.rows     = [];
+		this.term     = '';
+		this.page     = 1;
+		this.total    = 0;
+		this.sortKey  = this.options.sort ? this.options.sort.key : '';
+		this.sortDir  = this.options.sort && this.options.sort.dir < 0 ? -1 : 1;
+		this.rendered = [];
+
+		this.bind();
+	}
+
+	MyIESTable.prototype = {
+
+		// ---------------------------------------------------------------------
+		// Data and state
+		// ---------------------------------------------------------------------
+
+		/**
+		 * Replace the rows and render. With server-side paging, `meta`
+		 * carries the current page and the total row count.
+		 */
+		setData: function (rows, meta) {
+			this.rows = rows || [];
+			if (this.options.onPage) {
+				meta       = meta || {};
+				this.total = meta.total || this.rows.length;
+				this.render(meta.page || 1);
+				return;
+			}
+			this.render(1);
+		},
+
+		/**
+		 * Replace the rows but stay on the current page, e.g. after a row
+		 * was removed.
+		 */
+		update: function (rows) {
+			this.rows = rows || [];
+			this.render(this.page);
+		},
+
+		getData: function () {
+			return this.rows;
+		},
+
+		setSearch: function (term) {
+			this.term = $.trim(term || '').toLowerCase();
+			this.render(1);
+		},
+
+		setSort: function (key, dir) {
+			this.sortKey = key || '';
+			this.sortDir = dir < 0 ? -1 : 1;
+		},
+
+		getSort: function () {
+			return { key: this.sortKey, dir: this.sortDir };
+		},
+
+		/**
+		 * Rows that pass the search and filter, in sort order.
+		 */
+		getFiltered: function () {
+			var self = this;
+			var opts = this.options;
+
+			var list = this.rows.filter(function (row) {
+				if (self.term && opts.search.length && !opts.search.some(function (field) {
+					return row[field] && String(row[field]).toLowerCase().indexOf(self.term) !== -1;
+				})) return false;
+				return !opts.filter || opts.filter(row) !== false;
+			});
+
+			var column = this.column(this.sortKey);
+			if (column && !opts.onPage) {
+				var dir = this.sortDir;
+				list = list.slice().sort(function (a, b) {
+					var va = self.sortValue(column, a);
+					var vb = self.sortValue(column, b);
+					if (va === vb) return 0;
+					// Empty values always go last
+					if (va === '') return 1;
+					if (vb === '') return -1;
+					return (va < vb ? -1 : 1) * dir;
+				});
+			}
+
+			return list;
+		},
+
+		column: function (key) {
+			for (var i = 0; i < this.options.columns.length; i++) {
+				if (this.options.columns[i].key === key) return this.options.columns[i];
+			}
+			return null;
+		},
+
+		sortValue: function (column, row) {
+			var value = column.sortValue ? column.sortValue(row) : row[column.key];
+			if (value === null || value === undefined) return '';
+			return typeof value === 'string' ? value.toLowerCase() : value;
+		},
+
+		// ---------------------------------------------------------------------
+		// Rendering
+		// ---------------------------------------------------------------------
+
+		loading: function (text) {
+			this.$container.attr('aria-busy', 'true').html(
+				'<p class="' + this.options.prefix + '__loading">' + escHtml(text || 'Loading...') + '</p>'
+			);
+		},
+
+		error: function (text) {
+			this.$container.removeAttr('aria-busy').html(
+				'<p class="' + this.options.prefix + '__error" role="alert">' + escHtml(text || 'Request failed.') + '</p>'
+			);
+		},
+
+		/**
+		 * Render a page of the filtered rows (or the rows as given, with
+		 * server-side paging). Keeps keyboard focus on the same row position.
+		 */
+		render: function (page) {
+			var opts   = this.options;
+			var remote = !!opts.onPage;
+			var list   = this.getFiltered();
+			var total  = remote ? this.total : list.length;
+
+			var focusIndex = this.$container.find('tbody tr.myies-table__row').index(this.$container.find('tbody tr.myies-table__row:focus'));
+
+			this.$container.removeAttr('aria-busy');
+
+			if (!list.length) {
+				var text = typeof opts.emptyText === 'function'
+					? opts.emptyText(!!this.term || list.length !== this.rows.length)
+					: opts.emptyText;
+				this.$container.html('<p class="' + opts.prefix + '__empty">' + escHtml(text) + '</p>');
+				this.rendered = [];
+				if (opts.onRender) opts.onRender(list);
+				return;
+			}
+
+			var totalPages = Math.max(1, Math.ceil(total / opts.perPage));
+			page = page || 1;
+			if (page > totalPages) page = totalPages;
+			if (page < 1) page = 1;
+			this.page = page;
+
+			var pageRows  = remote ? list : list.slice((page - 1) * opts.perPage, page * opts.perPage);
+			this.rendered = pageRows;
+
+			var html = '<table class="' + opts.prefix + '__table myies-table' + (opts.tableClass ? ' ' + opts.tableClass : '') + '" id="' + this.id + '">' +
+				(opts.caption ? '<caption class="myies-table__sr-only">' + escHtml(opts.caption) + '</caption>' : '') +
+				'<thead><tr>' + this.headerHtml(pageRows) + '</tr></thead><tbody>';
+
+			var self = this;
+			pageRows.forEach(function (row, i) {
+				html += self.rowHtml(row, i === 0 ? 0 : -1);
+			});
+
+			html += '</tbody></table>';
+
+			if (totalPages > 1) {
+				html += '<nav class="' + opts.prefix + '__pagination" aria-label="Pagination">' +
+					'<button type="button" class="' + opts.prefix + '__page-btn myies-table__page-btn" data-page="' + (page - 1) + '"' +
+					(page <= 1 ? ' disabled' : '') + '>&laquo; Prev</button>' +
+					'<span class="' + opts.prefix + '__page-info" aria-live="polite">Page ' + page + ' of ' + totalPages +
+					(opts.countLabel ? ' (' + total + ' ' + escHtml(opts.countLabel) + ')' : '') + '</span>' +
+					'<button type="button" class="' + opts.prefix + '__page-btn myies-table__page-btn" data-page="' + (page + 1) + '"' +
+					(page >= totalPages ? ' disabled' : '') + '>Next &raquo;</button>' +
+					'</nav>';
+			}
+
+			this.$container.html(html);
+
+			if (focusIndex !== -1) {
+				this.focusRow(Math.min(focusIndex, pageRows.length - 1));
+			}
+
+			if (opts.onRender) opts.onRender(list);
+		},
+
+		/**
+		 * Re-render the current page, e.g. after a row was changed or removed.
+		 */
+		refresh: function () {
+			this.render(this.page);
+		},
+
+		headerHtml: function (pageRows) {
+			var self = this;
+			return this.options.columns.map(function (col) {
+				var cls   = col.className ? ' class="' + col.className + '"' : '';
+				var inner = col.header ? col.header(pageRows) : escHtml(col.label || '');
+
+				if (!col.sortable) {
+					return '<th scope="col"' + cls + '>' + inner + '</th>';
+				}
+
+				var active = self.sortKey === col.key;
+				return '<th scope="col"' + cls +
+					' aria-sort="' + (active ? (self.sortDir > 0 ? 'ascending' : 'descending') : 'none') + '">' +
+					'<button type="button" class="myies-table__sort-btn' + (active ? ' is-sorted' : '') + '" data-sort="' + escAttr(col.key) + '">' +
+					inner + '<span class="myies-table__sort-icon" aria-hidden="true">' +
+					(active ? (self.sortDir > 0 ? '&#9650;' : '&#9660;') : '&#8597;') + '</span></button></th>';
+			}).join('');
+		},
+
+		/**
+		 * Markup for one row; also used to redraw a single row in place.
+		 */
+		rowHtml: function (row, tabindex) {
+			var attrs = this.options.rowAttrs ? this.options.rowAttrs(row) : {};
+			var html  = '<tr tabindex="' + (tabindex === 0 ? 0 : -1) + '"';
+
+			attrs['class'] = 'myies-table__row' + (attrs['class'] ? ' ' + attrs['class'] : '');
+			$.each(attrs, function (name, value) {
+				if (value === null || value === undefined || value === false) return;
+				html += ' ' + name + '="' + escAttr(String(value)) + '"';
+			});
+			html += '>';
+
+			this.options.columns.forEach(function (col) {
+				var cls = col.className ? ' class="' + col.className + '"' : '';
+				html += '<td' + cls + '>' + (col.render ? col.render(row) : escHtml(row[col.key])) + '</td>';
+			});
+
+			return html + '</tr>';
+		},
+
+		// ---------------------------------------------------------------------
+		// Events and keyboard navigation
+		// ---------------------------------------------------------------------
+
+		bind: function () {
+			var self = this;
+			var $c   = this.$container;
+
+			$c.on('click', '.myies-table__page-btn', function () {
+				var page = parseInt($(this).data('page'), 10);
+				if (!page) return;
+				self.goTo(page);
+			});
+
+			$c.on('click', '.myies-table__sort-btn', function () {
+				var key = $(this).data('sort');
+				self.setSort(key, self.sortKey === key ? -self.sortDir : 1);
+				if (self.options.onSort) self.options.onSort(self.sortKey, self.sortDir);
+				self.render(1);
+				$c.find('.myies-table__sort-btn[data-sort="' + key + '"]').focus();
+			});
+
+			// Arrow keys move between rows, Home/End jump to the first/last
+			// row, Page Up/Down change pages, Enter activates the row.
+			$c.on('keydown', 'tbody tr.myies-table__row', function (e) {
+				if (e.target !== this) return;
+
+				var $rows = $c.find('tbody tr.myies-table__row');
+				var index = $rows.index(this);
+
+				switch (e.key) {
+					case 'ArrowDown': self.focusRow(Math.min(index + 1, $rows.length - 1)); break;
+					case 'ArrowUp':   self.focusRow(Math.max(index - 1, 0)); break;
+					case 'Home':      self.focusRow(0); break;
+					case 'End':       self.focusRow($rows.length - 1); break;
+					case 'PageDown':  self.goTo(self.page + 1, true); break;
+					case 'PageUp':    self.goTo(self.page - 1, true); break;
+					case 'Enter':
+						if (!self.options.onActivate) return;
+						self.options.onActivate(self.rendered[index], $(this));
+						break;
+					default:
+						return;
+				}
+				e.preventDefault();
+			});
+
+			// Keep a single tab stop: whichever row last had focus
+			$c.on('focusin', 'tbody tr.myies-table__row', function () {
+				$c.find('tbody tr.myies-table__row').attr('tabindex', -1);
+				$(this).attr('tabindex', 0);
+			});
+		},
+
+		goTo: function (page, focus) {
+			var totalPages = Math.ceil((this.options.onPage ? this.total : this.getFiltered().length) / this.options.perPage);
+			if (page < 1 || page > totalPages || page === this.page) return;
+
+			if (this.options.onPage) {
+				this.page = page;
+				this.options.onPage(page);
+				return;
+			}
+
+			this.render(page);
+			if (focus) this.focusRow(0);
+		},
+
+		focusRow: function (index) {
+			var $row = this.$container.find('tbody tr.myies-table__row').eq(index);
+			if ($row.length) $row.focus();
+		}
+	};
+
+	// -------------------------------------------------------------------------
+	// Shared formatting helpers
+	// -------------------------------------------------------------------------
+
+	function escHtml(str) {
+		if (str === null || str === undefined || str === '') return '';
+		var div = document.createElement('div');
+		div.appendChild(document.createTextNode(String(str)));
+		return div.innerHTML;
+	}
+
+	function escAttr(str) {
+		return escHtml(str).replace(/"/g, '&quot;');
+	}
+
+	function formatDate(iso) {
+		if (!iso) return '';
+		var d = new Date(iso);
+		if (isNaN(d.getTime())) return iso;
+		return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+	}
+
+	function formatDateTime(iso) {
+		if (!iso) return '';
+		var d = new Date(iso);
+		if (isNaN(d.getTime())) return iso;
+		return d.toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+	}
+
+	window.MyIESTable = {
+		create: function ($container, options) {
+			return new MyIESTable($container, options);
+		},
+		escHtml:        escHtml,
+		escAttr:        escAttr,
+		formatDate:     formatDate,
+		formatDateTime: formatDateTime
+	};
+
+})(jQuery);
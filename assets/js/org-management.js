@@ -2,7 +2,8 @@
  * Organization Management — frontend logic
  *
  * Depends on the `myiesOrgMgmt` object localized by the shortcode:
- *   { ajaxUrl, nonce, orgUuid, canManage, i18n }
+ *   { ajaxUrl, nonce, orgUuid, caps, roles, i18n }
+ * and on MyIESTable (assets/js/myies-table.js) for the list tables.
  */
 (function ($) {
 	'use strict';
@@ -11,7 +12,14 @@
 	var $wrap        = $('#myies-orgmgmt');
 	if (!$wrap.length || !cfg.nonce) return;
 
-	var canManage    = !!cfg.canManage;
+	// Capabilities from the permission matrix; "manage" means editing the roster
+	var caps         = cfg.caps || {};
+	var canManage    = !!caps.edit_roster;
+
+	var escHtml        = MyIESTable.escHtml;
+	var escAttr        = MyIESTable.escAttr;
+	var formatDate     = MyIESTable.formatDate;
+	var formatDateTime = MyIESTable.formatDateTime;
 
 	// Cache DOM
 	var $toggleAdd    = $('#myies-orgmgmt-toggle-add');
@@ -27,6 +35,28 @@
 	var $addMsg       = $('#myies-orgmgmt-add-message');
 	var $members      = $('#myies-orgmgmt-members');
 	var $filter       = $('#myies-orgmgmt-filter');
+	var $facetType    = $('#myies-orgmgmt-facet-type');
+	var $facetRole    = $('#myies-orgmgmt-facet-role');
+	var $facetSeat    = $('#myies-orgmgmt-facet-seat');
+	var $activity     = $('#myies-orgmgmt-activity');
+	var $selection    = $('#myies-orgmgmt-selection');
+	var $bulkRemove   = $('#myies-orgmgmt-bulk-remove');
+	var $bulkMsg      = $('#myies-orgmgmt-bulk-remove-message');
+	var $former       = $('#myies-orgmgmt-former');
+	var $formerMsg    = $('#myies-orgmgmt-former-message');
+	var $toast        = $('#myies-orgmgmt-toast');
+	var $details      = $('#myies-orgmgmt-details-form');
+	var $detailsMsg   = $('#myies-orgmgmt-details-message');
+
+	// Roster import elements
+	var $toggleImport  = $('#myies-orgmgmt-toggle-import');
+	var $importSection = $('#myies-orgmgmt-import-section');
+	var $importFile    = $('#myies-orgmgmt-import-file');
+	var $importMsg     = $('#myies-orgmgmt-import-message');
+	var $importPreview = $('#myies-orgmgmt-import-preview');
+	var $importActions = $('#myies-orgmgmt-import-actions');
+	var $importCommit  = $('#myies-orgmgmt-import-commit');
+	var $importReport  = $('#myies-orgmgmt-import-report');
 
 	// New person form elements
 	var $newPerson    = $('#myies-orgmgmt-new-person');
@@ -37,16 +67,171 @@
 	var $createBtn    = $('#myies-orgmgmt-create-btn');
 	var $newCancelBtn = $('#myies-orgmgmt-new-cancel-btn');
 	var $newMsg       = $('#myies-orgmgmt-new-message');
+	var $duplicates   = $('#myies-orgmgmt-duplicates');
 
 	var selectedUser  = null;
 	var searchTimer   = null;
 	var allMembers    = [];
-	var currentPage   = 1;
-	var perPage       = 20;
+	var rolesComplete = false;
+	var membersLoad   = 0;
+	var bulkBatchSize = 10;
+	var bulkRunning   = false;
+	var selected      = {};
+	var importRows    = [];
+	var importRunning = false;
+	var toastTimer    = null;
+	var storedDetails = {};
+
+	var IMPORT_MAX_ROWS = 500;
+	var IMPORT_STATUS_LABELS = {
+		existing:  'Existing account — will be added',
+		'new':     'New person — will be created',
+		member:    'Already a member',
+		invalid:   'Invalid',
+		connected: 'Added',
+		created:   'Created and added',
+		failed:    'Failed'
+	};
 
 	// =========================================================================
-	// Init — load members
+	// Tables
 	// =========================================================================
+	var memberColumns = [
+		{
+			key:      'name',
+			label:    'Name',
+			sortable: true,
+			render:   function (m) {
+				return (canManage
+					? '<button type="button" class="myies-orgmgmt__name-btn">' + escHtml(m.name) + '</button>'
+					: escHtml(m.name)) + (m.is_self ? ' <em>(you)</em>' : '');
+			}
+		},
+		{ key: 'email', label: 'Email', sortable: true },
+		{
+			key:       'role',
+			label:     'Role',
+			sortable:  true,
+			className: 'myies-orgmgmt__role',
+			sortValue: function (m) {
+				return formatRole(m.connection_type || '') + ' ' + (m.roles || []).join(' ');
+			},
+			render:    roleCellHtml
+		},
+		{
+			key:       'joined',
+			label:     'Joined',
+			sortable:  true,
+			sortValue: function (m) { return m.starts_at; },
+			render:    function (m) { return m.starts_at ? escHtml(formatDate(m.starts_at)) : '&mdash;'; }
+		}
+	];
+
+	if (canManage) {
+		memberColumns.unshift({
+			key:       'select',
+			className: 'myies-orgmgmt__select-cell',
+			header:    function (pageRows) {
+				var selectable   = selectableMembers(pageRows);
+				var pageSelected = selectable.length > 0 && selectable.every(function (m) {
+					return selected[m.connection_uuid];
+				});
+				return '<input type="checkbox" class="myies-orgmgmt__select-page" aria-label="Select all on this page"' +
+					(pageSelected ? ' checked' : '') + '>';
+			},
+			render: function (m) {
+				return m.is_self ? '' : '<input type="checkbox" class="myies-orgmgmt__select" aria-label="Select ' + escAttr(m.name) + '"' +
+					(selected[m.connection_uuid] ? ' checked' : '') + '>';
+			}
+		});
+		memberColumns.push({
+			key:    'actions',
+			render: function (m) {
+				return m.is_self ? '' : '<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--danger myies-orgmgmt__remove-btn" ' +
+					'data-connection="' + escAttr(m.connection_uuid) + '">Remove</button>';
+			}
+		});
+	}
+
+	var membersTable = MyIESTable.create($members, {
+		prefix:     'myies-orgmgmt',
+		caption:    'Organization members',
+		columns:    memberColumns,
+		search:     ['name', 'email'],
+		filter:     matchesFacets,
+		countLabel: 'members',
+		emptyText:  'No members found.',
+		rowAttrs:   function (m) { return { 'data-connection': m.connection_uuid }; },
+		onSort:     onMembersSort,
+		onRender:   renderSelection,
+		onActivate: canManage ? function (m, $row) {
+			$drawerOpener = $row.find('.myies-orgmgmt__name-btn');
+			openDrawer(m.connection_uuid);
+		} : null
+	});
+
+	var formerColumns = [
+		{ key: 'name',  label: 'Name',  sortable: true },
+		{ key: 'email', label: 'Email', sortable: true },
+		{
+			key:       'connection_type',
+			label:     'Connection Type',
+			sortable:  true,
+			sortValue: function (m) { return formatRole(m.connection_type || ''); },
+			render:    function (m) { return escHtml(formatRole(m.connection_type)); }
+		},
+		{
+			key:      'starts_at',
+			label:    'Connected Since',
+			sortable: true,
+			render:   function (m) { return m.starts_at ? escHtml(formatDate(m.starts_at)) : '&mdash;'; }
+		},
+		{
+			key:      'ends_at',
+			label:    'Ended',
+			sortable: true,
+			render:   function (m) { return escHtml(formatDate(m.ends_at)); }
+		}
+	];
+
+	if (canManage) {
+		formerColumns.push({
+			key:    'actions',
+			render: function (m) {
+				return '<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--secondary myies-orgmgmt__reinstate-btn" data-connection="' +
+					escAttr(m.connection_uuid) + '">Reinstate</button>';
+			}
+		});
+	}
+
+	var formerTable = MyIESTable.create($former, {
+		prefix:     'myies-orgmgmt',
+		caption:    'Former members',
+		columns:    formerColumns,
+		countLabel: 'former members',
+		emptyText:  'No former members.',
+		rowAttrs:   function (m) { return { 'data-connection': m.connection_uuid }; }
+	});
+
+	var activityTable = MyIESTable.create($activity, {
+		prefix:     'myies-orgmgmt',
+		tableClass: 'myies-orgmgmt__activity-table',
+		caption:    'Roster activity',
+		emptyText:  'No activity recorded yet.',
+		onPage:     loadActivity,
+		columns:    [
+			{ key: 'created_at',   label: 'When', render: function (e) { return escHtml(formatDateTime(e.created_at)); } },
+			{ key: 'actor_name',   label: 'By' },
+			{ key: 'action_label', label: 'Action' },
+			{ key: 'target_name',  label: 'Person' },
+			{ key: 'details',      label: 'Details', render: function (e) { return escHtml(activityDetails(e.details || {})); } }
+		]
+	});
+
+	// =========================================================================
+	// Init — restore filters/sort from the URL, load members
+	// =========================================================================
+	readViewFromUrl();
 	loadMembers();
 
 	// =========================================================================
@@ -93,6 +278,8 @@
 		$newLast.val('');
 		$newEmail.val('');
 		$newMsg.hide();
+		$duplicates.empty().hide();
+		$createBtn.show();
 	}
 
 	// =========================================================================
@@ -163,8 +350,13 @@
 		$search.show().val('').focus();
 	});
 
-	// Create & Add new person
+	// Create & Add new person. The server refuses when likely duplicates
+	// exist, unless `force` confirms the contact has reviewed them.
 	$createBtn.on('click', function () {
+		createPerson(false);
+	});
+
+	function createPerson(force) {
 		var firstName = $.trim($newFirst.val());
 		var lastName  = $.trim($newLast.val());
 		var email     = $.trim($newEmail.val());
@@ -175,8 +367,8 @@
 			return;
 		}
 
-		var $btn = $(this);
-		$btn.prop('disabled', true).text(cfg.i18n.creating);
+		$createBtn.prop('disabled', true).text(cfg.i18n.creating);
+		$duplicates.find('button').prop('disabled', true);
 
 		$.post(cfg.ajaxUrl, {
 			action:     'myies_orgmgmt_create_and_add',
@@ -184,19 +376,90 @@
 			first_name: firstName,
 			last_name:  lastName,
 			email:      email,
-			role:       role
+			role:       role,
+			force:      force ? 1 : 0
+		}, function (res) {
+			$createBtn.prop('disabled', false).text($createBtn.data('orig') || 'Create & Add to Organization');
+			if (res.success) {
+				$duplicates.empty().hide();
+				showMsg($newMsg, res.data.message, false);
+				loadMembers();
+				setTimeout(function () { hideAddSection(); }, 1500);
+			} else if (res.data && res.data.duplicates) {
+				showMsg($newMsg, res.data.message, true);
+				renderDuplicates(res.data.duplicates);
+			} else {
+				$duplicates.find('button').prop('disabled', false);
+				showMsg($newMsg, res.data.message || 'Error', true);
+			}
+		}).fail(function () {
+			$createBtn.prop('disabled', false).text($createBtn.data('orig') || 'Create & Add to Organization');
+			$duplicates.find('button').prop('disabled', false);
+			showMsg($newMsg, 'Request failed.', true);
+		});
+	}
+
+	function renderDuplicates(list) {
+		var html = '<ul class="myies-orgmgmt__duplicate-list">';
+		list.forEach(function (d, i) {
+			html += '<li class="myies-orgmgmt__duplicate">' +
+				'<div class="myies-orgmgmt__duplicate-info">' +
+				'<strong>' + escHtml(d.name) + '</strong> ' +
+				'<span class="myies-orgmgmt__email">' + escHtml(d.email) + '</span>' +
+				'<div class="myies-orgmgmt__duplicate-reasons">' + escHtml(d.reasons.join(' · ')) + '</div>' +
+				'</div>' +
+				(d.is_member
+					? '<span class="myies-orgmgmt__duplicate-member">' + escHtml(cfg.i18n.already_member) + '</span>'
+					: '<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--secondary myies-orgmgmt__use-duplicate-btn" data-index="' + i + '">' +
+						escHtml(cfg.i18n.use_instead) + '</button>') +
+				'</li>';
+		});
+		html += '</ul>' +
+			'<button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__create-anyway-btn">' + escHtml(cfg.i18n.create_anyway) + '</button>';
+
+		$duplicates.data('list', list).html(html).show();
+		$createBtn.hide();
+	}
+
+	// Any change to the form invalidates the matches shown
+	$newFirst.add($newLast).add($newEmail).on('input', function () {
+		if ($duplicates.is(':visible')) {
+			$duplicates.empty().hide();
+			$newMsg.hide();
+			$createBtn.show();
+		}
+	});
+
+	$duplicates.on('click', '.myies-orgmgmt__create-anyway-btn', function () {
+		createPerson(true);
+	});
+
+	$duplicates.on('click', '.myies-orgmgmt__use-duplicate-btn', function () {
+		var match = $duplicates.data('list')[$(this).data('index')];
+		var $btn  = $(this);
+		$duplicates.find('button').prop('disabled', true);
+		$btn.text(cfg.i18n.adding);
+
+		$.post(cfg.ajaxUrl, {
+			action:      'myies_orgmgmt_add_member',
+			nonce:       cfg.nonce,
+			match:       match.token,
+			role:        $newRole.val()
 		}, function (res) {
-			$btn.prop('disabled', false).text($createBtn.data('orig') || 'Create & Add to Organization');
 			if (res.success) {
 				showMsg($newMsg, res.data.message, false);
+				$duplicates.empty().hide();
 				loadMembers();
 				setTimeout(function () { hideAddSection(); }, 1500);
 			} else {
 				showMsg($newMsg, res.data.message || 'Error', true);
+				$duplicates.find('button').prop('disabled', false);
+				$btn.text(cfg.i18n.use_instead);
 			}
 		}).fail(function () {
-			$btn.prop('disabled', false).text($createBtn.data('orig') || 'Create & Add to Organization');
 			showMsg($newMsg, 'Request failed.', true);
+			$duplicates.find('button').prop('disabled', false);
+			$btn.text(cfg.i18n.use_instead);
 		});
 	});
 
@@ -239,138 +502,1215 @@
 	// =========================================================================
 	// Members list
 	// =========================================================================
+	/**
+	 * Load the roster. The first response only has Company roles for the
+	 * first members, so the role facet stays disabled (and a role filter or
+	 * sort keeps the table loading) until a second request brings them all.
+	 */
 	function loadMembers() {
-		$members.html('<p class="myies-orgmgmt__loading">Loading members...</p>');
+		var load = ++membersLoad;
+		rolesComplete = false;
+		$facetRole.prop('disabled', true);
+		membersTable.loading('Loading members...');
+
+		fetchMembers(false, load, function (data) {
+			if (data.roles_complete) {
+				showMembers(data.members, true);
+				return;
+			}
+			if (needsAllRoles()) {
+				membersTable.loading('Loading roles...');
+			} else {
+				showMembers(data.members, false);
+			}
+			fetchMembers(true, load, function (full) {
+				showMembers(full.members, true);
+			});
+		});
+	}
+
+	function fetchMembers(allRoles, load, done) {
 		$.post(cfg.ajaxUrl, {
-			action: 'myies_orgmgmt_get_members',
-			nonce:  cfg.nonce
+			action:    'myies_orgmgmt_get_members',
+			nonce:     cfg.nonce,
+			all_roles: allRoles ? 1 : 0
 		}, function (res) {
+			if (load !== membersLoad) return;
 			if (!res.success) {
-				$members.html('<p class="myies-orgmgmt__error">Failed to load members.</p>');
+				membersTable.error('Failed to load members.');
 				return;
 			}
-			allMembers = res.data.members;
-			renderMembers(allMembers, 1);
+			done(res.data);
 		}).fail(function () {
-			$members.html('<p class="myies-orgmgmt__error">Request failed.</p>');
+			if (load === membersLoad) membersTable.error('Request failed.');
 		});
 	}
 
-	function getFilteredMembers() {
-		var term = $.trim($filter.val()).toLowerCase();
-		if (!term) return allMembers;
-		return allMembers.filter(function (m) {
-			return (m.name && m.name.toLowerCase().indexOf(term) !== -1) ||
-			       (m.email && m.email.toLowerCase().indexOf(term) !== -1);
-		});
+	function showMembers(members, complete) {
+		rolesComplete = complete;
+		allMembers    = members;
+		populateFacets();
+		$facetRole.prop('disabled', !complete);
+		membersTable.setData(allMembers);
 	}
 
-	function renderMembers(list, page) {
-		if (!list.length) {
-			$members.html('<p>No members found.</p>');
-			return;
+	function needsAllRoles() {
+		return !!($facetRole.val() || $facetRole.data('pending')) || membersTable.getSort().key === 'role';
+	}
+
+	// Sorting by role before every member's roles are in would misplace people
+	function onMembersSort(key) {
+		writeViewToUrl();
+		if (key === 'role' && !rolesComplete) {
+			membersTable.loading('Loading roles...');
 		}
+	}
 
-		page = page || 1;
-		var totalPages = Math.ceil(list.length / perPage);
-		if (page > totalPages) page = totalPages;
-		if (page < 1) page = 1;
-		currentPage = page;
+	// Facet filters; the text filter is the table's own search
+	function matchesFacets(m) {
+		var type = $facetType.val() || '';
+		var role = $facetRole.val() || '';
+		var seat = $facetSeat.val() || '';
 
-		var start = (page - 1) * perPage;
-		var pageItems = list.slice(start, start + perPage);
+		if (type && m.connection_type !== type) return false;
+		if (role && (m.roles || []).indexOf(role) === -1) return false;
+		if (seat && !!m.has_seat !== (seat === 'yes')) return false;
+		return true;
+	}
 
-		var html = '<table class="myies-orgmgmt__table">' +
-			'<thead><tr>' +
-			'<th>Name</th><th>Email</th><th>Role</th>' +
-			(canManage ? '<th></th>' : '') +
-			'</tr></thead><tbody>';
+	/**
+	 * Connection type and role facet options, built from the loaded roster.
+	 * A value restored from the URL is kept even if nobody matches it.
+	 */
+	function populateFacets() {
+		var types = {};
+		var roles = {};
+		allMembers.forEach(function (m) {
+			if (m.connection_type) types[m.connection_type] = formatRole(m.connection_type);
+			(m.roles || []).forEach(function (r) { roles[r] = r; });
+		});
+		fillFacet($facetType, types);
+		// Not built from partial roles; a role restored from the URL stays pending
+		if (rolesComplete) fillFacet($facetRole, roles);
+	}
 
-		pageItems.forEach(function (m) {
-			var roles = [];
-			if (m.connection_type) {
-				roles.push(formatRole(m.connection_type));
-			}
-			if (m.roles && m.roles.length) {
-				m.roles.forEach(function (r) { roles.push(r); });
-			}
-			var roleStr = roles.join(', ') || '&mdash;';
+	function fillFacet($select, options) {
+		var current = $select.val() || $select.data('pending') || '';
+		if (current && !options[current]) options[current] = $select.is($facetType) ? formatRole(current) : current;
 
-			html += '<tr data-connection="' + escAttr(m.connection_uuid) + '">' +
-				'<td>' + escHtml(m.name) + (m.is_self ? ' <em>(you)</em>' : '') + '</td>' +
-				'<td>' + escHtml(m.email) + '</td>' +
-				'<td>' + roleStr + '</td>';
+		$select.find('option:not(:first)').remove();
+		Object.keys(options).sort(function (a, b) {
+			return options[a].localeCompare(options[b]);
+		}).forEach(function (value) {
+			$select.append($('<option>').val(value).text(options[value]));
+		});
+		$select.val(current).removeData('pending');
+	}
 
-			if (canManage) {
-				html += '<td>';
-				if (!m.is_self) {
-					html += '<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--danger myies-orgmgmt__remove-btn" ' +
-						'data-connection="' + escAttr(m.connection_uuid) + '">Remove</button>';
-				}
-				html += '</td>';
-			}
+	// Filter/sort state lives in the URL so a filtered view can be bookmarked
+	function readViewFromUrl() {
+		var params = new URLSearchParams(window.location.search);
+		$filter.val(params.get('roster_q') || '');
+		membersTable.setSearch($filter.val());
+		$facetType.data('pending', params.get('roster_type') || '');
+		$facetRole.data('pending', params.get('roster_role') || '');
+		$facetSeat.val(params.get('roster_seat') === 'yes' || params.get('roster_seat') === 'no' ? params.get('roster_seat') : '');
 
-			html += '</tr>';
-		});
+		var sort = params.get('roster_sort') || '';
+		var key  = sort.replace(/^-/, '');
+		if (['name', 'email', 'role', 'joined'].indexOf(key) !== -1) {
+			membersTable.setSort(key, sort.charAt(0) === '-' ? -1 : 1);
+		}
+	}
 
-		html += '</tbody></table>';
+	function writeViewToUrl() {
+		if (!window.history || !window.history.replaceState) return;
+		var params = new URLSearchParams(window.location.search);
+		var sort   = membersTable.getSort();
+		var state  = {
+			roster_q:    $.trim($filter.val()),
+			roster_type: $facetType.val() || '',
+			roster_role: $facetRole.val() || $facetRole.data('pending') || '',
+			roster_seat: $facetSeat.val() || '',
+			roster_sort: sort.key ? (sort.dir < 0 ? '-' : '') + sort.key : ''
+		};
+		$.each(state, function (key, value) {
+			if (value) params.set(key, value);
+			else params.delete(key);
+		});
+		var query = params.toString();
+		window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+	}
 
-		// Pagination controls
-		if (totalPages > 1) {
-			html += '<div class="myies-orgmgmt__pagination">';
-			html += '<button type="button" class="myies-orgmgmt__page-btn" data-page="' + (page - 1) + '"' +
-				(page <= 1 ? ' disabled' : '') + '>&laquo; Prev</button>';
-			html += '<span class="myies-orgmgmt__page-info">Page ' + page + ' of ' + totalPages +
-				' (' + list.length + ' members)</span>';
-			html += '<button type="button" class="myies-orgmgmt__page-btn" data-page="' + (page + 1) + '"' +
-				(page >= totalPages ? ' disabled' : '') + '>Next &raquo;</button>';
-			html += '</div>';
+	function roleCellHtml(m) {
+		var roles = [];
+		if (m.connection_type) {
+			roles.push(formatRole(m.connection_type));
 		}
+		if (m.roles && m.roles.length) {
+			m.roles.forEach(function (r) { roles.push(r); });
+		}
+		var editable = canManage && !m.is_self && canAssign(m.connection_type);
 
-		$members.html(html);
+		return (roles.map(escHtml).join(', ') || '&mdash;') +
+			(editable ? ' <button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__edit-role-btn">Change</button>' : '');
 	}
 
-	// Pagination click handler
-	$members.on('click', '.myies-orgmgmt__page-btn', function () {
-		var page = parseInt($(this).data('page'), 10);
-		if (!page) return;
-		renderMembers(getFilteredMembers(), page);
-	});
+	// Filter members list — searches across ALL members, resets to page 1.
+	// The selection is cleared so no hidden rows stay selected.
+	$filter.on('input', applyFilters);
+	$facetType.add($facetRole).add($facetSeat).on('change', applyFilters);
+
+	function applyFilters() {
+		selected = {};
+		writeViewToUrl();
+		membersTable.setSearch($filter.val());
+	}
 
-	// Filter members list — searches across ALL members, resets to page 1
-	$filter.on('input', function () {
-		currentPage = 1;
-		renderMembers(getFilteredMembers(), 1);
+	// Export the roster (with the current filter, facets and sort) as CSV or XLSX
+	$wrap.on('click', '.myies-orgmgmt__export-btn', function () {
+		var sort = membersTable.getSort();
+		window.location.href = cfg.ajaxUrl + '?' + $.param({
+			action:      'myies_orgmgmt_export',
+			nonce:       cfg.nonce,
+			format:      $(this).data('format'),
+			filter:      $.trim($filter.val()),
+			roster_type: $facetType.val() || '',
+			roster_role: $facetRole.val() || $facetRole.data('pending') || '',
+			roster_seat: $facetSeat.val() || '',
+			roster_sort: sort.key ? (sort.dir < 0 ? '-' : '') + sort.key : ''
+		});
 	});
 
 	// Remove member (soft-end) — only available for Primary Contacts
 	$members.on('click', '.myies-orgmgmt__remove-btn', function () {
 		if (!confirm(cfg.i18n.confirm_remove)) return;
 
-		var $btn     = $(this);
-		var connUuid = $btn.data('connection');
+		var $btn = $(this);
 		$btn.prop('disabled', true).text(cfg.i18n.removing);
 
+		removeMember($btn.data('connection'), function (error) {
+			if (error) {
+				alert(error);
+				$btn.prop('disabled', false).text('Remove');
+			}
+		});
+	});
+
+	/**
+	 * End a member's connection and drop them from the list.
+	 * `done` receives an error message, or null on success.
+	 */
+	function removeMember(connUuid, done) {
 		$.post(cfg.ajaxUrl, {
 			action:          'myies_orgmgmt_remove_member',
 			nonce:           cfg.nonce,
 			connection_uuid: connUuid
 		}, function (res) {
 			if (res.success) {
+				var member = findMember(connUuid);
 				allMembers = allMembers.filter(function (m) {
 					return m.connection_uuid !== connUuid;
 				});
-				renderMembers(getFilteredMembers(), currentPage);
+				delete selected[connUuid];
+				membersTable.update(allMembers);
+				showUndoToast(connUuid, member ? member.name : '');
+				done(null);
 			} else {
-				alert(res.data.message || 'Error');
-				$btn.prop('disabled', false).text('Remove');
+				done(res.data.message || 'Error');
+			}
+		}).fail(function () {
+			done('Request failed.');
+		});
+	}
+
+	/**
+	 * Clear a connection's end date. `done` receives an error message
+	 * (or null) and the reinstated member row.
+	 */
+	function reinstateMember(connUuid, done) {
+		$.post(cfg.ajaxUrl, {
+			action:          'myies_orgmgmt_reinstate_member',
+			nonce:           cfg.nonce,
+			connection_uuid: connUuid
+		}, function (res) {
+			if (res.success) {
+				var member = res.data.member;
+				if (!findMember(member.connection_uuid)) allMembers.push(member);
+				populateFacets();
+				membersTable.update(allMembers);
+				done(null, member);
+			} else {
+				done(res.data.message || 'Error');
+			}
+		}).fail(function () {
+			done('Request failed.');
+		});
+	}
+
+	// =========================================================================
+	// Undo toast — shown for a few seconds after a removal
+	// =========================================================================
+	function showUndoToast(connUuid, name) {
+		clearTimeout(toastTimer);
+		$toast.html(
+			'<span class="myies-orgmgmt__toast-text">' + escHtml(cfg.i18n.removed.replace('%s', name || 'Member')) + '</span> ' +
+			'<button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__undo-btn" data-connection="' + escAttr(connUuid) + '">' +
+			escHtml(cfg.i18n.undo) + '</button>'
+		).show();
+		toastTimer = setTimeout(hideToast, 8000);
+	}
+
+	function hideToast() {
+		clearTimeout(toastTimer);
+		$toast.fadeOut(200);
+	}
+
+	$toast.on('click', '.myies-orgmgmt__undo-btn', function () {
+		var $btn = $(this);
+		clearTimeout(toastTimer);
+		$btn.prop('disabled', true).text(cfg.i18n.reinstating);
+
+		reinstateMember($btn.data('connection'), function (error) {
+			if (error) {
+				$toast.find('.myies-orgmgmt__toast-text').text(error);
+				$btn.remove();
+				toastTimer = setTimeout(hideToast, 5000);
+				return;
+			}
+			hideToast();
+		});
+	});
+
+	// =========================================================================
+	// Inline role editor — only available for Primary Contacts
+	// =========================================================================
+	$members.on('click', '.myies-orgmgmt__edit-role-btn', function () {
+		var $cell  = $(this).closest('td');
+		var member = findMember($cell.closest('tr').data('connection'));
+		if (!member) return;
+
+		var html = roleSelectHtml(member.connection_type) + ' ' +
+			'<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--primary myies-orgmgmt__save-role-btn">Save</button> ' +
+			'<button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__cancel-role-btn">Cancel</button>' +
+			'<div class="myies-orgmgmt__message" style="display:none;"></div>';
+
+		$cell.html(html);
+	});
+
+	$members.on('click', '.myies-orgmgmt__cancel-role-btn', function () {
+		var $row   = $(this).closest('tr');
+		var member = findMember($row.data('connection'));
+		if (member) $row.replaceWith(membersTable.rowHtml(member));
+	});
+
+	$members.on('click', '.myies-orgmgmt__save-role-btn', function () {
+		var $btn     = $(this);
+		var $row     = $btn.closest('tr');
+		var $msg     = $row.find('.myies-orgmgmt__message');
+		var connUuid = $row.data('connection');
+		var role     = $row.find('.myies-orgmgmt__role-select').val();
+
+		$btn.prop('disabled', true).text(cfg.i18n.saving);
+
+		updateRole(connUuid, role, function (error, member) {
+			if (error) {
+				showMsg($msg, error, true);
+				$btn.prop('disabled', false).text('Save');
+			} else if (member) {
+				$row.replaceWith(membersTable.rowHtml(member));
+			}
+		});
+	});
+
+	// cfg.roles only holds the types this user may give people
+	function canAssign(type) {
+		return !!(cfg.roles && cfg.roles[type]);
+	}
+
+	function roleSelectHtml(current) {
+		var html = '<select class="myies-orgmgmt__role-select" aria-label="Role">';
+		$.each(cfg.roles || {}, function (type, label) {
+			html += '<option value="' + escAttr(type) + '"' +
+				(type === current ? ' selected' : '') + '>' + escHtml(label) + '</option>';
+		});
+		return html + '</select>';
+	}
+
+	/**
+	 * Change a member's connection type. `done` receives an error message
+	 * (or null) and the updated member.
+	 */
+	function updateRole(connUuid, role, done) {
+		$.post(cfg.ajaxUrl, {
+			action:          'myies_orgmgmt_update_role',
+			nonce:           cfg.nonce,
+			connection_uuid: connUuid,
+			role:            role
+		}, function (res) {
+			if (res.success) {
+				var member = findMember(connUuid);
+				if (member) member.connection_type = res.data.connection_type;
+				populateFacets();
+				done(null, member);
+			} else {
+				done(res.data.message || 'Error');
+			}
+		}).fail(function () {
+			done('Request failed.');
+		});
+	}
+
+	// =========================================================================
+	// Member detail drawer — only available for Primary Contacts
+	// =========================================================================
+	var $drawer       = $('#myies-orgmgmt-drawer');
+	var $drawerBody   = $('#myies-orgmgmt-drawer-body');
+	var $drawerOpener = null;
+	var drawerConn    = null;
+
+	$members.on('click', 'tbody tr[data-connection]', function (e) {
+		if (!canManage || $(e.target).closest('button, input, select, a').not('.myies-orgmgmt__name-btn').length) return;
+		$drawerOpener = $(this).find('.myies-orgmgmt__name-btn');
+		openDrawer($(this).data('connection'));
+	});
+
+	function openDrawer(connUuid) {
+		drawerConn = connUuid;
+		var member = findMember(connUuid);
+		$drawerBody.html(
+			'<h4 id="myies-orgmgmt-drawer-title">' + escHtml(member ? member.name : '') + '</h4>' +
+			'<p class="myies-orgmgmt__loading">Loading details...</p>'
+		);
+		$drawer.show();
+		$('#myies-orgmgmt-close-drawer').focus();
+
+		$.post(cfg.ajaxUrl, {
+			action:          'myies_orgmgmt_get_member_details',
+			nonce:           cfg.nonce,
+			connection_uuid: connUuid
+		}, function (res) {
+			if (drawerConn !== connUuid) return;
+			if (!res.success) {
+				$drawerBody.find('.myies-orgmgmt__loading')
+					.replaceWith('<p class="myies-orgmgmt__error">' + escHtml(res.data.message || 'Failed to load details.') + '</p>');
+				return;
+			}
+			renderDrawer(res.data);
+		}).fail(function () {
+			$drawerBody.find('.myies-orgmgmt__loading').replaceWith('<p class="myies-orgmgmt__error">Request failed.</p>');
+		});
+	}
+
+	function closeDrawer() {
+		drawerConn = null;
+		$drawer.hide();
+		$drawerBody.empty();
+		if ($drawerOpener && $drawerOpener.length && $.contains(document, $drawerOpener[0])) {
+			$drawerOpener.focus();
+		}
+		$drawerOpener = null;
+	}
+
+	function renderDrawer(d) {
+		var individual = d.individual_memberships.map(function (m) {
+			return escHtml(m.tier_name) + (m.ends_at ? ' <span class="myies-orgmgmt__email">until ' + escHtml(formatDate(m.ends_at)) + '</span>' : '');
+		});
+
+		var html = '<h4 id="myies-orgmgmt-drawer-title">' + escHtml(d.name) + (d.is_self ? ' <em>(you)</em>' : '') + '</h4>' +
+			'<p class="myies-orgmgmt__email">' + escHtml(d.email) + '</p>' +
+			'<dl class="myies-orgmgmt__details">' +
+			'<dt>Connection type</dt><dd data-field="connection_type">' + escHtml(formatRole(d.connection_type)) + '</dd>' +
+			'<dt>Connected since</dt><dd>' + (d.starts_at ? escHtml(formatDate(d.starts_at)) : '&mdash;') + '</dd>' +
+			'<dt>Connection ends</dt><dd>' + (d.ends_at ? escHtml(formatDate(d.ends_at)) : '&mdash;') + '</dd>' +
+			'<dt>Company roles</dt><dd>' + (d.roles.length ? d.roles.map(escHtml).join(', ') : '&mdash;') + '</dd>' +
+			'<dt>Membership seat</dt><dd>' + (d.seat
+				? escHtml(d.seat.tier_name) + (d.seat.ends_at ? ' <span class="myies-orgmgmt__email">until ' + escHtml(formatDate(d.seat.ends_at)) + '</span>' : '')
+				: 'No seat') + '</dd>' +
+			'<dt>Individual membership</dt><dd>' + (individual.length ? individual.join('<br>') : 'None') + '</dd>' +
+			'</dl>';
+
+		if (!d.is_self) {
+			html += '<div class="myies-orgmgmt__drawer-actions">' +
+				'<h5>Manage</h5>' +
+				(canAssign(d.connection_type)
+					? '<label>Role ' + roleSelectHtml(d.connection_type) + '</label> ' +
+						'<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--primary myies-orgmgmt__drawer-save-role">Save</button>'
+					: '') +
+				'<p><button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--danger myies-orgmgmt__drawer-remove">Remove from Organization</button></p>' +
+				'<div class="myies-orgmgmt__message" style="display:none;"></div>' +
+				'</div>';
+		}
+
+		$drawerBody.html(html);
+	}
+
+	$drawer.on('click', '.myies-orgmgmt__drawer-backdrop, #myies-orgmgmt-close-drawer', closeDrawer);
+
+	$drawer.on('keydown', function (e) {
+		if (e.key === 'Escape') closeDrawer();
+	});
+
+	$drawer.on('click', '.myies-orgmgmt__drawer-save-role', function () {
+		var $btn = $(this);
+		var $msg = $drawer.find('.myies-orgmgmt__drawer-actions .myies-orgmgmt__message');
+
+		$btn.prop('disabled', true).text(cfg.i18n.saving);
+
+		updateRole(drawerConn, $drawer.find('.myies-orgmgmt__role-select').val(), function (error, member) {
+			$btn.prop('disabled', false).text('Save');
+			if (error) {
+				showMsg($msg, error, true);
+				return;
+			}
+			if (member) {
+				$drawer.find('[data-field="connection_type"]').text(formatRole(member.connection_type));
+				$members.find('tr[data-connection="' + member.connection_uuid + '"]').replaceWith(membersTable.rowHtml(member));
+			}
+			showMsg($msg, 'Role updated.', false);
+		});
+	});
+
+	$drawer.on('click', '.myies-orgmgmt__drawer-remove', function () {
+		if (!confirm(cfg.i18n.confirm_remove)) return;
+
+		var $btn = $(this);
+		var $msg = $drawer.find('.myies-orgmgmt__drawer-actions .myies-orgmgmt__message');
+		$btn.prop('disabled', true).text(cfg.i18n.removing);
+
+		removeMember(drawerConn, function (error) {
+			if (error) {
+				showMsg($msg, error, true);
+				$btn.prop('disabled', false).text('Remove from Organization');
+				return;
+			}
+			closeDrawer();
+		});
+	});
+
+	// =========================================================================
+	// Selection and bulk remove — only available for Primary Contacts
+	// =========================================================================
+	function selectedCount() {
+		return Object.keys(selected).length;
+	}
+
+	function selectableMembers(list) {
+		return list.filter(function (m) { return !m.is_self; });
+	}
+
+	function findMember(connUuid) {
+		for (var i = 0; i < allMembers.length; i++) {
+			if (allMembers[i].connection_uuid === connUuid) return allMembers[i];
+		}
+		return null;
+	}
+
+	function renderSelection(list) {
+		var count = selectedCount();
+		if (!canManage || !count) {
+			$selection.hide();
+			return;
+		}
+
+		var matching = selectableMembers(list).length;
+		$selection.find('.myies-orgmgmt__selection-count').text(count + ' selected');
+		$('#myies-orgmgmt-select-matching')
+			.text('Select all ' + matching + ' matching')
+			.toggle(count < matching);
+		$selection.show();
+	}
+
+	$members.on('change', '.myies-orgmgmt__select', function () {
+		var connUuid = $(this).closest('tr').data('connection');
+		if (this.checked) {
+			selected[connUuid] = true;
+		} else {
+			delete selected[connUuid];
+		}
+		membersTable.refresh();
+	});
+
+	$members.on('change', '.myies-orgmgmt__select-page', function () {
+		var checked = this.checked;
+		$members.find('.myies-orgmgmt__select').each(function () {
+			var connUuid = $(this).closest('tr').data('connection');
+			if (checked) {
+				selected[connUuid] = true;
+			} else {
+				delete selected[connUuid];
+			}
+		});
+		membersTable.refresh();
+	});
+
+	$('#myies-orgmgmt-select-matching').on('click', function () {
+		selectableMembers(membersTable.getFiltered()).forEach(function (m) {
+			selected[m.connection_uuid] = true;
+		});
+		membersTable.refresh();
+	});
+
+	$('#myies-orgmgmt-select-clear').on('click', function () {
+		selected = {};
+		membersTable.refresh();
+	});
+
+	$bulkRemove.on('click', function () {
+		var queue = Object.keys(selected);
+		if (!queue.length || bulkRunning) return;
+		if (!confirm(cfg.i18n.confirm_remove_n.replace('%d', queue.length))) return;
+
+		var total    = queue.length;
+		var removed  = [];
+		var failures = [];
+
+		bulkRunning = true;
+		$bulkRemove.prop('disabled', true);
+		$selection.find('.myies-orgmgmt__link-btn').prop('disabled', true);
+
+		function progress() {
+			showMsg($bulkMsg, cfg.i18n.bulk_removing + ' ' + (removed.length + failures.length) + ' / ' + total, false);
+		}
+
+		function fail(connUuid, message) {
+			var member = findMember(connUuid);
+			failures.push({ name: member ? member.name : connUuid, message: message });
+		}
+
+		function finish() {
+			bulkRunning = false;
+			$bulkRemove.prop('disabled', false);
+			$selection.find('.myies-orgmgmt__link-btn').prop('disabled', false);
+
+			// Drop removed members; failed ones stay selected for a retry
+			allMembers = allMembers.filter(function (m) {
+				return removed.indexOf(m.connection_uuid) === -1;
+			});
+			removed.forEach(function (connUuid) {
+				delete selected[connUuid];
+			});
+			membersTable.update(allMembers);
+
+			var html = escHtml(cfg.i18n.bulk_remove_done + ' ' + removed.length + ' removed' +
+				(failures.length ? ', ' + failures.length + ' failed:' : '.'));
+			if (failures.length) {
+				html += '<ul>' + failures.map(function (f) {
+					return '<li>' + escHtml(f.name) + ' — ' + escHtml(f.message) + '</li>';
+				}).join('') + '</ul>';
+			}
+			$bulkMsg.html(html).css('color', failures.length ? '#a00' : '#080').show();
+		}
+
+		function nextBatch() {
+			if (!queue.length) {
+				finish();
+				return;
+			}
+
+			var batch = queue.splice(0, bulkBatchSize);
+
+			$.post(cfg.ajaxUrl, {
+				action:           'myies_orgmgmt_bulk_remove',
+				nonce:            cfg.nonce,
+				connection_uuids: batch
+			}, function (res) {
+				if (!res.success) {
+					batch.forEach(function (connUuid) {
+						fail(connUuid, res.data.message || 'Error');
+					});
+				} else {
+					res.data.results.forEach(function (result) {
+						if (result.success) {
+							removed.push(result.connection_uuid);
+						} else {
+							fail(result.connection_uuid, result.message);
+						}
+					});
+				}
+				progress();
+				nextBatch();
+			}).fail(function () {
+				batch.forEach(function (connUuid) {
+					fail(connUuid, 'Request failed.');
+				});
+				progress();
+				nextBatch();
+			});
+		}
+
+		progress();
+		nextBatch();
+	});
+
+	// =========================================================================
+	// Roster CSV import — only available for Primary Contacts
+	// =========================================================================
+	$toggleImport.on('click', function () {
+		resetImport();
+		$importSection.slideDown(200);
+		$toggleImport.hide();
+	});
+
+	$('#myies-orgmgmt-close-import, #myies-orgmgmt-import-cancel').on('click', function () {
+		if (importRunning) return;
+		$importSection.slideUp(200, function () {
+			resetImport();
+			$toggleImport.show();
+		});
+	});
+
+	function resetImport() {
+		importRows = [];
+		$importFile.val('').prop('disabled', false);
+		$importMsg.hide();
+		$importPreview.empty();
+		$importActions.hide();
+		$importReport.hide();
+	}
+
+	$importFile.on('change', function () {
+		var file = this.files && this.files[0];
+		if (!file) return;
+
+		$importPreview.empty();
+		$importActions.hide();
+		$importReport.hide();
+		showMsg($importMsg, cfg.i18n.import_reading, false);
+
+		var reader = new FileReader();
+		reader.onload = function (e) {
+			var rows = csvToImportRows(parseCsv(String(e.target.result || '')));
+			if (!rows.length) {
+				showMsg($importMsg, cfg.i18n.import_no_rows, true);
+				return;
+			}
+			if (rows.length > IMPORT_MAX_ROWS) {
+				showMsg($importMsg, 'The file has too many rows. Please upload at most ' + IMPORT_MAX_ROWS + ' rows at a time.', true);
+				return;
+			}
+			previewImport(rows);
+		};
+		reader.onerror = function () {
+			showMsg($importMsg, 'Could not read the file.', true);
+		};
+		reader.readAsText(file);
+	});
+
+	function previewImport(rows) {
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_orgmgmt_import_preview',
+			nonce:  cfg.nonce,
+			rows:   JSON.stringify(rows)
+		}, function (res) {
+			if (!res.success) {
+				showMsg($importMsg, res.data.message || 'Error', true);
+				return;
+			}
+
+			importRows    = res.data.rows || [];
+			bulkBatchSize = res.data.batch_size || bulkBatchSize;
+			$importMsg.hide();
+			renderImportPreview(res.data.counts || {});
+		}).fail(function () {
+			showMsg($importMsg, 'Request failed.', true);
+		});
+	}
+
+	function getImportableRows() {
+		return importRows.filter(function (r) {
+			return r.status === 'existing' || r.status === 'new';
+		});
+	}
+
+	function renderImportPreview(counts) {
+		var parts = [];
+		$.each(counts, function (status, count) {
+			if (count) parts.push(count + ' ' + IMPORT_STATUS_LABELS[status].toLowerCase());
+		});
+
+		var html = '<p class="myies-orgmgmt__import-summary">' + escHtml(parts.join(' · ')) + '</p>' +
+			'<table class="myies-orgmgmt__table myies-orgmgmt__import-table">' +
+			'<thead><tr>' +
+			'<th>Row</th><th>Name</th><th>Email</th><th>Role</th><th>Status</th>' +
+			'</tr></thead><tbody>';
+
+		importRows.forEach(function (r) {
+			html += '<tr data-row="' + r.row + '">' +
+				'<td>' + r.row + '</td>' +
+				'<td>' + escHtml(r.name) + '</td>' +
+				'<td>' + escHtml(r.email) + '</td>' +
+				'<td>' + escHtml(r.role ? formatRole(r.role) : '') + '</td>' +
+				'<td>' + importStatusHtml(r) + '</td>' +
+				'</tr>';
+		});
+
+		html += '</tbody></table>';
+		$importPreview.html(html);
+
+		var importable = getImportableRows().length;
+		if (!importable) {
+			showMsg($importMsg, cfg.i18n.import_none, true);
+			$importActions.hide();
+			return;
+		}
+
+		$importCommit.prop('disabled', false).text('Import ' + importable + (importable === 1 ? ' Person' : ' People'));
+		$importActions.show();
+	}
+
+	function importStatusHtml(r) {
+		return '<span class="myies-orgmgmt__import-status myies-orgmgmt__import-status--' + escAttr(r.status) + '">' +
+			escHtml(IMPORT_STATUS_LABELS[r.status] || r.status) + '</span>' +
+			(r.message ? ' <span class="myies-orgmgmt__import-note">' + escHtml(r.message) + '</span>' : '');
+	}
+
+	function setImportRowStatus(row, status, message) {
+		row.status  = status;
+		row.message = message || '';
+		$importPreview.find('tr[data-row="' + row.row + '"] td:last').html(importStatusHtml(row));
+	}
+
+	$importCommit.on('click', function () {
+		var queue = getImportableRows();
+		if (!queue.length || importRunning) return;
+
+		var total     = queue.length;
+		var succeeded = 0;
+		var failed    = 0;
+
+		importRunning = true;
+		$importCommit.prop('disabled', true);
+		$importFile.prop('disabled', true);
+
+		function progress() {
+			showMsg($importMsg, cfg.i18n.importing + ' ' + (succeeded + failed) + ' / ' + total, false);
+		}
+
+		function finish() {
+			importRunning = false;
+			$importFile.prop('disabled', false);
+			$importActions.hide();
+			$importReport.show();
+			showMsg(
+				$importMsg,
+				cfg.i18n.import_done + ' ' + succeeded + ' imported' + (failed ? ', ' + failed + ' failed.' : '.'),
+				failed > 0
+			);
+			loadMembers();
+		}
+
+		function nextBatch() {
+			if (!queue.length) {
+				finish();
+				return;
+			}
+
+			var batch = queue.splice(0, bulkBatchSize);
+			var byRow = {};
+			batch.forEach(function (r) {
+				byRow[r.row] = r;
+			});
+
+			$.post(cfg.ajaxUrl, {
+				action: 'myies_orgmgmt_import_commit',
+				nonce:  cfg.nonce,
+				rows:   JSON.stringify(batch.map(function (r) {
+					return { row: r.row, first_name: r.first_name, last_name: r.last_name, email: r.email, role: r.role };
+				}))
+			}, function (res) {
+				if (!res.success) {
+					batch.forEach(function (r) {
+						setImportRowStatus(r, 'failed', res.data.message || 'Error');
+					});
+					failed += batch.length;
+				} else {
+					res.data.results.forEach(function (result) {
+						var row = byRow[result.row];
+						if (!row) return;
+						setImportRowStatus(row, result.status, result.message);
+						if (result.success) {
+							succeeded++;
+						} else {
+							failed++;
+						}
+					});
+				}
+				progress();
+				nextBatch();
+			}).fail(function () {
+				batch.forEach(function (r) {
+					setImportRowStatus(r, 'failed', 'Request failed.');
+				});
+				failed += batch.length;
+				progress();
+				nextBatch();
+			});
+		}
+
+		progress();
+		nextBatch();
+	});
+
+	// Download the import result as CSV
+	$importReport.on('click', function () {
+		var lines = [['Row', 'First Name', 'Last Name', 'Email', 'Role', 'Result', 'Message']];
+		importRows.forEach(function (r) {
+			lines.push([r.row, r.first_name, r.last_name, r.email, r.role, IMPORT_STATUS_LABELS[r.status] || r.status, r.message]);
+		});
+
+		var csv = lines.map(function (cells) {
+			return cells.map(function (c) {
+				c = String(c === undefined || c === null ? '' : c);
+				return /[",\r\n]/.test(c) ? '"' + c.replace(/"/g, '""') + '"' : c;
+			}).join(',');
+		}).join('\r\n');
+
+		var url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+		var $a  = $('<a>').attr({ href: url, download: 'roster-import-report.csv' }).appendTo('body');
+		$a[0].click();
+		$a.remove();
+		URL.revokeObjectURL(url);
+	});
+
+	/**
+	 * Parse CSV text into an array of rows (arrays of cell strings).
+	 * Handles quoted cells, escaped quotes and CRLF line endings.
+	 */
+	function parseCsv(text) {
+		var rows  = [];
+		var row   = [];
+		var cell  = '';
+		var inQuotes = false;
+
+		text = text.replace(/^\uFEFF/, '');
+
+		for (var i = 0; i < text.length; i++) {
+			var ch = text.charAt(i);
+
+			if (inQuotes) {
+				if (ch === '"' && text.charAt(i + 1) === '"') {
+					cell += '"';
+					i++;
+				} else if (ch === '"') {
+					inQuotes = false;
+				} else {
+					cell += ch;
+				}
+				continue;
+			}
+
+			if (ch === '"') {
+				inQuotes = true;
+			} else if (ch === ',') {
+				row.push(cell);
+				cell = '';
+			} else if (ch === '\n' || ch === '\r') {
+				if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row  = [];
+				cell = '';
+			} else {
+				cell += ch;
+			}
+		}
+
+		if (cell !== '' || row.length) {
+			row.push(cell);
+			rows.push(row);
+		}
+
+		return rows;
+	}
+
+	/**
+	 * Map parsed CSV cells to { first_name, last_name, email, role }. With a
+	 * header row, columns are found by name (a single "name" column is split
+	 * on the first space); without one, the order is first, last, email, role.
+	 */
+	function csvToImportRows(csv) {
+		csv = csv.filter(function (cells) {
+			return cells.some(function (c) { return $.trim(c) !== ''; });
+		});
+		if (!csv.length) return [];
+
+		var header = csv[0].map(function (c) { return $.trim(c).toLowerCase(); });
+		var cols   = { first: 0, last: 1, email: 2, role: 3, name: -1 };
+		var hasHeader = header.join('').indexOf('@') === -1 && header.some(function (h) {
+			return /e-?mail|name|role/.test(h);
+		});
+
+		if (hasHeader) {
+			cols = { first: -1, last: -1, email: -1, role: -1, name: -1 };
+			header.forEach(function (h, i) {
+				if (cols.email === -1 && /e-?mail/.test(h)) cols.email = i;
+				else if (cols.first === -1 && /^(first|given)/.test(h)) cols.first = i;
+				else if (cols.last === -1 && /^(last|family|sur)/.test(h)) cols.last = i;
+				else if (cols.role === -1 && /role|type/.test(h)) cols.role = i;
+				else if (cols.name === -1 && /name/.test(h)) cols.name = i;
+			});
+			csv = csv.slice(1);
+		}
+
+		function cell(cells, i) {
+			return i !== -1 ? $.trim(cells[i] || '') : '';
+		}
+
+		return csv.map(function (cells) {
+			var first = cell(cells, cols.first);
+			var last  = cell(cells, cols.last);
+			if (!first && !last && cols.name !== -1) {
+				var parts = cell(cells, cols.name).split(/\s+/);
+				first = parts.shift() || '';
+				last  = parts.join(' ');
+			}
+
+			return {
+				first_name: first,
+				last_name:  last,
+				email:      cell(cells, cols.email),
+				role:       cell(cells, cols.role)
+			};
+		}).filter(function (r) {
+			return r.email || r.first_name || r.last_name;
+		});
+	}
+
+	// =========================================================================
+	// Tabs (Members / Former Members / Organization Details / Activity)
+	// =========================================================================
+	$wrap.on('click', '.myies-orgmgmt__tab', function () {
+		var tab = $(this).data('tab');
+		$wrap.find('.myies-orgmgmt__tab').each(function () {
+			var active = $(this).data('tab') === tab;
+			$(this).toggleClass('is-active', active).attr('aria-selected', active ? 'true' : 'false');
+		});
+		$wrap.find('.myies-orgmgmt__panel').each(function () {
+			$(this).toggle($(this).data('panel') === tab);
+		});
+		if (tab === 'activity') loadActivity(1);
+		if (tab === 'former') loadFormer();
+		if (tab === 'details' && caps.edit_org) loadDetails();
+	});
+
+	// =========================================================================
+	// Former members tab
+	// =========================================================================
+	function loadFormer() {
+		$formerMsg.hide();
+		formerTable.loading('Loading former members...');
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_orgmgmt_get_former_members',
+			nonce:  cfg.nonce
+		}, function (res) {
+			if (!res.success) {
+				formerTable.error('Failed to load former members.');
+				return;
+			}
+			formerTable.setData(res.data.members);
+		}).fail(function () {
+			formerTable.error('Request failed.');
+		});
+	}
+
+	$former.on('click', '.myies-orgmgmt__reinstate-btn', function () {
+		if (!confirm(cfg.i18n.confirm_reinstate)) return;
+
+		var $btn = $(this);
+		$btn.prop('disabled', true).text(cfg.i18n.reinstating);
+		$formerMsg.hide();
+
+		reinstateMember($btn.data('connection'), function (error, member) {
+			if (error) {
+				showMsg($formerMsg, error, true);
+				$btn.prop('disabled', false).text('Reinstate');
+				return;
+			}
+			showMsg($formerMsg, member.name + ' was reinstated.', false);
+			formerTable.update(formerTable.getData().filter(function (m) {
+				return m.connection_uuid !== member.connection_uuid;
+			}));
+		});
+	});
+
+	// =========================================================================
+	// Organization details tab — only available for Primary Contacts
+	// =========================================================================
+	function loadDetails() {
+		$detailsMsg.hide();
+		clearFieldErrors();
+		$details.find(':input').prop('disabled', true);
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_orgmgmt_get_org_details',
+			nonce:  cfg.nonce
+		}, function (res) {
+			if (!res.success) {
+				showMsg($detailsMsg, res.data.message || 'Failed to load organization details.', true);
+				return;
+			}
+			fillDetails(res.data.details);
+			$details.find(':input').prop('disabled', false);
+		}).fail(function () {
+			showMsg($detailsMsg, 'Request failed.', true);
+		});
+	}
+
+	function fillDetails(details) {
+		$.each(details, function (name, value) {
+			$details.find('[name="' + name + '"]').val(value || '');
+		});
+		storedDetails = getDetails();
+	}
+
+	function getDetails() {
+		var details = {};
+		$details.find('input[name]').each(function () {
+			details[this.name] = $.trim(this.value);
+		});
+		details.country_code = details.country_code.toUpperCase();
+		return details;
+	}
+
+	// Mirrors the server-side checks so most mistakes are caught before saving.
+	// Only changed fields are checked; stored legacy values are left alone.
+	function validateDetails(d) {
+		var errors  = {};
+		var changed = function (field) {
+			var value  = d[field] || '';
+			var stored = storedDetails[field] || '';
+			if (field === 'phone') {
+				value  = value.replace(/[\s().-]+/g, '');
+				stored = stored.replace(/[\s().-]+/g, '');
+			}
+			return value !== stored;
+		};
+		var address = ['address1', 'address2', 'city', 'state_name', 'zip_code', 'country_code'];
+
+		if (!d.legal_name) errors.legal_name = cfg.i18n.required;
+		if (changed('website') && d.website && !/^https?:\/\/[^\s.]+\.[^\s]+$/i.test(d.website)) errors.website = cfg.i18n.invalid_url;
+		if (changed('phone') && d.phone && !/^\+[0-9]{7,15}$/.test(d.phone.replace(/[\s().-]+/g, ''))) errors.phone = cfg.i18n.invalid_phone;
+
+		var hasAddress = address.some(function (field) { return d[field]; });
+		var hadAddress = address.some(function (field) { return storedDetails[field]; });
+		if (hasAddress && address.some(changed)) {
+			['address1', 'city', 'country_code'].forEach(function (field) {
+				if (!d[field] && (!hadAddress || changed(field))) errors[field] = cfg.i18n.required;
+			});
+		}
+		if (changed('country_code') && d.country_code && !/^[A-Z]{2}$/.test(d.country_code)) errors.country_code = cfg.i18n.invalid_country;
+		return errors;
+	}
+
+	function showFieldErrors(errors) {
+		clearFieldErrors();
+		var first = null;
+		$.each(errors, function (name, message) {
+			var $input = $details.find('[name="' + name + '"]');
+			var id     = $input.attr('id') + '-error';
+			$input.attr({ 'aria-invalid': 'true', 'aria-describedby': id })
+				.after('<span class="myies-orgmgmt__field-error" id="' + escAttr(id) + '">' + escHtml(message) + '</span>');
+			if (!first) first = $input;
+		});
+		if (first) first.focus();
+	}
+
+	function clearFieldErrors() {
+		$details.find('.myies-orgmgmt__field-error').remove();
+		$details.find('[aria-invalid]').removeAttr('aria-invalid aria-describedby');
+	}
+
+	$details.on('submit', function (e) {
+		e.preventDefault();
+
+		var details = getDetails();
+		var errors  = validateDetails(details);
+		$detailsMsg.hide();
+		if (!$.isEmptyObject(errors)) {
+			showFieldErrors(errors);
+			showMsg($detailsMsg, cfg.i18n.details_invalid, true);
+			return;
+		}
+		clearFieldErrors();
+
+		var $btn  = $('#myies-orgmgmt-details-save');
+		var label = $btn.text();
+		$btn.prop('disabled', true).text(cfg.i18n.saving);
+
+		$.post(cfg.ajaxUrl, $.extend({
+			action: 'myies_orgmgmt_update_org_details',
+			nonce:  cfg.nonce
+		}, details), function (res) {
+			$btn.prop('disabled', false).text(label);
+			if (!res.success) {
+				if (res.data.errors) showFieldErrors(res.data.errors);
+				showMsg($detailsMsg, res.data.message || 'Error', true);
+				return;
 			}
+			fillDetails(res.data.details);
+			$wrap.find('.myies-orgmgmt__header h3').text(cfg.i18n.org_heading.replace('%s', res.data.details.legal_name));
+			showMsg($detailsMsg, res.data.message || cfg.i18n.details_saved, false);
 		}).fail(function () {
-			alert('Request failed.');
-			$btn.prop('disabled', false).text('Remove');
+			$btn.prop('disabled', false).text(label);
+			showMsg($detailsMsg, 'Request failed.', true);
 		});
 	});
 
+	// =========================================================================
+	// Activity tab
+	// =========================================================================
+	function loadActivity(page) {
+		activityTable.loading('Loading activity...');
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_orgmgmt_get_activity',
+			nonce:  cfg.nonce,
+			page:   page
+		}, function (res) {
+			if (!res.success) {
+				activityTable.error('Failed to load activity.');
+				return;
+			}
+			activityTable.setData(res.data.entries, { page: res.data.page, total: res.data.total });
+		}).fail(function () {
+			activityTable.error('Request failed.');
+		});
+	}
+
+	// Opt in or out of roster and seat change emails
+	$('#myies-orgmgmt-notify').on('change', function () {
+		var $box = $(this).prop('disabled', true);
+		var $msg = $('#myies-orgmgmt-notify-message');
+		$.post(cfg.ajaxUrl, {
+			action:  'myies_orgmgmt_set_notifications',
+			nonce:   cfg.nonce,
+			enabled: this.checked ? 1 : 0
+		}, function (res) {
+			$box.prop('disabled', false);
+			if (res.success) {
+				showMsg($msg, res.data.message, false);
+			} else {
+				$box.prop('checked', !$box.prop('checked'));
+				showMsg($msg, res.data.message || 'Error', true);
+			}
+		}).fail(function () {
+			$box.prop('disabled', false).prop('checked', !$box.prop('checked'));
+			showMsg($msg, 'Request failed.', true);
+		});
+	});
+
+	function activityDetails(d) {
+		var parts = [];
+		if (d.from && d.connection_type) {
+			parts.push('Role: ' + formatRole(d.from) + ' → ' + formatRole(d.connection_type));
+		} else if (d.connection_type) {
+			parts.push('Role: ' + formatRole(d.connection_type));
+		}
+		if (d.ended_at) parts.push('Had ended ' + formatDate(d.ended_at));
+		if (d.source === 'seat_invite') parts.push('Invited from Seat Management');
+		if (d.fields && d.fields.length) parts.push('Changed: ' + d.fields.map(function (f) { return f.replace(/_/g, ' '); }).join(', '));
+		return parts.join(' · ');
+	}
+
 	// =========================================================================
 	// Utility helpers
 	// =========================================================================
@@ -379,21 +1719,11 @@
 	}
 
 	function formatRole(type) {
+		if (cfg.roleLabels && cfg.roleLabels[type]) return cfg.roleLabels[type];
 		// Capitalize first letter of connection type
 		return type.charAt(0).toUpperCase() + type.slice(1);
 	}
 
-	function escHtml(str) {
-		if (!str) return '';
-		var div = document.createElement('div');
-		div.appendChild(document.createTextNode(str));
-		return div.innerHTML;
-	}
-
-	function escAttr(str) {
-		return escHtml(str).replace(/"/g, '&quot;');
-	}
-
 	// Hide search results when clicking outside
 	$(document).on('click', function (e) {
 		if (!$(e.target).closest('.myies-orgmgmt__search-wrap').length) {
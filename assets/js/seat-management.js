@@ -2,7 +2,11 @@
  * Seat Management — frontend logic
  *
  * Depends on the `myiesSeats` object localized by the shortcode:
- *   { ajaxUrl, nonce, orgUuid, i18n }
+ *   { ajaxUrl, nonce, orgUuid, orgName, caps, connectionTypes, i18n }
+ * and on MyIESTable (assets/js/myies-table.js) for the list tables.
+ *
+ * Every seat action carries the selected `org_membership_uuid`, so orgs with
+ * several active org memberships manage each seat pool separately.
  */
 (function ($) {
 	'use strict';
@@ -11,8 +15,13 @@
 	var $wrap = $('#myies-seats');
 	if (!$wrap.length || !cfg.nonce) return;
 
+	// Inviting someone new also adds them to the roster
+	var canInvite = !!(cfg.caps || {}).edit_roster;
+
 	// Cache DOM
 	var $summary       = $('#myies-seats-summary');
+	var $requests      = $('#myies-seats-requests');
+	var $activity      = $('#myies-seats-activity');
 	var $members       = $('#myies-seats-members');
 	var $assignSection = $('#myies-seats-assign-section');
 	var $search        = $('#myies-seats-search');
@@ -20,12 +29,163 @@
 	var $assignMsg     = $('#myies-seats-assign-message');
 	var $filterWrap    = $('#myies-seats-filter-wrap');
 	var $filter        = $('#myies-seats-filter');
+	var $assignEnds    = $('#myies-seats-assign-ends');
+	var $invite        = $('#myies-seats-invite');
+	var $inviteEmail   = $('#myies-seats-invite-email');
+	var $inviteConfirm = $('#myies-seats-invite-confirm');
+	var $inviteBtn     = $('#myies-seats-invite-btn');
+	var $bulkSection   = $('#myies-seats-bulk-section');
+	var $bulkFile      = $('#myies-seats-bulk-file');
+	var $bulkMsg       = $('#myies-seats-bulk-message');
+	var $bulkPreview   = $('#myies-seats-bulk-preview');
+	var $bulkActions   = $('#myies-seats-bulk-actions');
+	var $bulkAssignBtn = $('#myies-seats-bulk-assign');
+	var $selection     = $('#myies-seats-selection');
+	var $bulkRemoveBtn = $('#myies-seats-bulk-remove');
+	var $bulkRemoveMsg = $('#myies-seats-bulk-remove-message');
+	var $autoForm      = $('#myies-seats-auto-form');
+	var $autoMsg       = $('#myies-seats-auto-message');
+	var $autoLastRun   = $('#myies-seats-auto-last-run');
+
+	var escHtml        = MyIESTable.escHtml;
+	var escAttr        = MyIESTable.escAttr;
+	var formatDate     = MyIESTable.formatDate;
+	var formatDateTime = MyIESTable.formatDateTime;
 
 	var seatInfo       = null;
+	var currentMembership = '';
 	var allSeated      = [];
-	var currentPage    = 1;
-	var perPage        = 20;
+	var endingSoonDays = 30;
 	var searchTimer    = null;
+	var bulkRows       = [];
+	var bulkBatchSize  = 10;
+	var bulkRunning    = false;
+	var selected       = {};
+	var autoPollTimer  = null;
+	var autoPolls      = 0;
+
+	var BULK_MAX_ROWS  = 500;
+	var AUTO_POLL_MS   = 3000;
+	var AUTO_MAX_POLLS = 40;
+	var BULK_STATUS_LABELS = {
+		matched:        'Ready to assign',
+		unmatched:      'Not on roster',
+		duplicate:      'Duplicate row',
+		already_seated: 'Already has a seat',
+		over_capacity:  'No seat available',
+		assigned:       'Seat assigned',
+		failed:         'Failed'
+	};
+	var AUTO_RULE_LABELS = {
+		off:    'Turned off',
+		all:    'Everyone on the roster',
+		types:  'By connection type',
+		domain: 'By email domain'
+	};
+
+	// =========================================================================
+	// Tables
+	// =========================================================================
+	var seatedTable = MyIESTable.create($members, {
+		prefix:     'myies-seats',
+		caption:    'Seated members',
+		search:     ['name', 'email'],
+		countLabel: 'seated',
+		emptyText:  function (filtered) {
+			return filtered ? 'No seated members match this filter.' : 'No seats assigned yet.';
+		},
+		rowAttrs: function (s) {
+			return {
+				'data-pm-uuid': s.person_membership_uuid,
+				'class':        isEndingSoon(s.ends_at) ? 'myies-seats__row--ending' : ''
+			};
+		},
+		columns: [
+			{
+				key:       'select',
+				className: 'myies-seats__select-cell',
+				header:    function (pageRows) {
+					var pageSelected = pageRows.length > 0 && pageRows.every(function (s) {
+						return selected[s.person_membership_uuid];
+					});
+					return '<input type="checkbox" class="myies-seats__select-page" aria-label="Select all on this page"' +
+						(pageSelected ? ' checked' : '') + '>';
+				},
+				render: function (s) {
+					return '<input type="checkbox" class="myies-seats__select" aria-label="Select ' + escAttr(s.name) + '"' +
+						(selected[s.person_membership_uuid] ? ' checked' : '') + '>';
+				}
+			},
+			{ key: 'name',  label: 'Name',  sortable: true },
+			{ key: 'email', label: 'Email', sortable: true },
+			{
+				key:      'starts_at',
+				label:    'Starts',
+				sortable: true,
+				render:   function (s) { return escHtml(formatDate(s.starts_at)); }
+			},
+			{
+				key:       'ends_at',
+				label:     'Ends',
+				sortable:  true,
+				className: 'myies-seats__ends',
+				render:    function (s) { return endsCellHtml(s, isEndingSoon(s.ends_at)); }
+			},
+			{
+				key:       'actions',
+				className: 'myies-seats__actions',
+				render:    function (s) {
+					return '<button type="button" class="myies-seats__btn myies-seats__btn--secondary myies-seats__transfer-btn">Transfer Seat</button> ' +
+						'<button type="button" class="myies-seats__btn myies-seats__btn--danger myies-seats__remove-btn" ' +
+						'data-pm-uuid="' + escAttr(s.person_membership_uuid) + '">Remove Seat</button>';
+				}
+			}
+		],
+		onRender: function (list) {
+			$filterWrap.toggle(allSeated.length > 0);
+			renderSelection(list);
+		}
+	});
+
+	var $requestsTitle = $('<h4>').appendTo($requests);
+	var requestsTable  = MyIESTable.create($('<div>').appendTo($requests), {
+		prefix:   'myies-seats',
+		caption:  'Pending seat requests',
+		rowAttrs: function (r) { return { 'data-request-id': r.id }; },
+		columns:  [
+			{ key: 'name',    label: 'Name' },
+			{ key: 'email',   label: 'Email' },
+			{ key: 'message', label: 'Message' },
+			{
+				key:    'created_at',
+				label:  'Requested',
+				render: function (r) { return escHtml(formatDate(r.created_at)); }
+			},
+			{
+				key:       'actions',
+				className: 'myies-seats__actions',
+				render:    function () {
+					return '<button type="button" class="myies-seats__btn myies-seats__btn--primary myies-seats__request-btn" data-decision="approve">Approve</button> ' +
+						'<button type="button" class="myies-seats__btn myies-seats__btn--danger myies-seats__request-btn" data-decision="decline">Decline</button>';
+				}
+			}
+		]
+	});
+
+	var activityTable = MyIESTable.create($activity, {
+		prefix:     'myies-seats',
+		tableClass: 'myies-seats__activity-table',
+		caption:    'Seat activity',
+		emptyText:  'No activity recorded yet.',
+		onPage:     loadActivity,
+		columns:    [
+			{ key: 'created_at',   label: 'When', render: function (e) { return escHtml(formatDateTime(e.created_at)); } },
+			{ key: 'actor_name',   label: 'By' },
+			{ key: 'action_label', label: 'Action' },
+			{ key: 'target_name',  label: 'Person' },
+			{ key: 'details',      label: 'Details', render: function (e) { return escHtml(activityDetails(e.details || {})); } }
+		]
+	});
 
 	// =========================================================================
 	// Init
@@ -40,8 +200,9 @@
 		$members.html('');
 
 		$.post(cfg.ajaxUrl, {
-			action: 'myies_seats_get_data',
-			nonce:  cfg.nonce
+			action:              'myies_seats_get_data',
+			nonce:               cfg.nonce,
+			org_membership_uuid: currentMembership
 		}, function (res) {
 			if (!res.success) {
 				$summary.html('<p class="myies-seats__error">Failed to load seat data.</p>');
@@ -56,10 +217,14 @@
 				return;
 			}
 
+			currentMembership = seatInfo.org_membership_uuid;
+			selected = {};
+
 			renderSummary();
+			loadRequests();
 			$filter.val('');
-			currentPage = 1;
-			renderSeatedMembers(allSeated, 1);
+			seatedTable.setSearch('');
+			seatedTable.setData(allSeated);
 		}).fail(function () {
 			$summary.html('<p class="myies-seats__error">Request failed.</p>');
 		});
@@ -69,7 +234,26 @@
 	// Render seat summary
 	// =========================================================================
 	function renderSummary() {
-		var html = '<div class="myies-seats__summary-bar">';
+		var html = '';
+
+		// Membership switcher when the org holds more than one seat pool
+		if (seatInfo.memberships && seatInfo.memberships.length > 1) {
+			html += '<div class="myies-seats__switcher">' +
+				'<label for="myies-seats-membership">Membership</label> ' +
+				'<select id="myies-seats-membership">';
+			seatInfo.memberships.forEach(function (m) {
+				var seated = m.org_membership_uuid === currentMembership ? seatInfo.total_seated : m.total_seated;
+				var count  = m.unlimited_assignments || m.max_assignments === null
+					? seated + ' seats (unlimited)'
+					: seated + ' / ' + m.max_assignments + ' seats';
+				html += '<option value="' + escAttr(m.org_membership_uuid) + '"' +
+					(m.org_membership_uuid === currentMembership ? ' selected' : '') + '>' +
+					escHtml((m.tier_name || 'Organization membership') + ' — ' + count) + '</option>';
+			});
+			html += '</select></div>';
+		}
+
+		html += '<div class="myies-seats__summary-bar">';
 
 		if (seatInfo.unlimited_assignments) {
 			html += '<span class="myies-seats__count">' + seatInfo.total_seated + ' seats assigned (unlimited)</span>';
@@ -86,6 +270,7 @@
 
 		if (seatsAvailable) {
 			html += ' <button type="button" class="myies-seats__btn myies-seats__btn--primary" id="myies-seats-toggle-assign">+ Assign Seat</button>';
+			html += ' <button type="button" class="myies-seats__btn myies-seats__btn--secondary" id="myies-seats-toggle-bulk">Upload CSV</button>';
 		} else {
 			html += ' <span class="myies-seats__full">All seats occupied</span>';
 		}
@@ -94,90 +279,103 @@
 		$summary.html(html);
 	}
 
+	$summary.on('change', '#myies-seats-membership', function () {
+		currentMembership = $(this).val();
+		$assignSection.hide();
+		$bulkSection.hide();
+		resetBulk();
+		loadSeatData();
+	});
+
 	// =========================================================================
-	// Render seated members (client-side pagination)
+	// Pending seat requests
 	// =========================================================================
-	function getFilteredSeated() {
-		var term = $.trim($filter.val()).toLowerCase();
-		if (!term) return allSeated;
-		return allSeated.filter(function (s) {
-			return (s.name && s.name.toLowerCase().indexOf(term) !== -1) ||
-			       (s.email && s.email.toLowerCase().indexOf(term) !== -1);
+	function loadRequests() {
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_seats_get_requests',
+			nonce:  cfg.nonce
+		}, function (res) {
+			if (!res.success || !res.data.requests.length) {
+				$requests.hide();
+				return;
+			}
+			$requestsTitle.text('Seat Requests (' + res.data.requests.length + ')');
+			requestsTable.setData(res.data.requests);
+			$requests.show();
 		});
 	}
 
-	function renderSeatedMembers(list, page) {
-		if (!list.length) {
-			$members.html('<p class="myies-seats__empty">No seats assigned yet.</p>');
-			$filterWrap.hide();
-			return;
-		}
-
-		$filterWrap.show();
+	$requests.on('click', '.myies-seats__request-btn', function () {
+		var $btn     = $(this);
+		var $row     = $btn.closest('tr');
+		var decision = $btn.data('decision');
+		var reason   = '';
 
-		page = page || 1;
-		var totalPages = Math.ceil(list.length / perPage);
-		if (page > totalPages) page = totalPages;
-		if (page < 1) page = 1;
-		currentPage = page;
-
-		var start     = (page - 1) * perPage;
-		var pageItems = list.slice(start, start + perPage);
+		if (decision === 'decline') {
+			reason = prompt(cfg.i18n.decline_reason, '');
+			if (reason === null) return;
+		}
 
-		var html = '<table class="myies-seats__table">' +
-			'<thead><tr>' +
-			'<th>Name</th><th>Email</th><th></th>' +
-			'</tr></thead><tbody>';
+		var label = $btn.text();
+		$row.find('button').prop('disabled', true);
+		if (decision === 'approve') $btn.text(cfg.i18n.approving);
 
-		pageItems.forEach(function (s) {
-			html += '<tr>' +
-				'<td>' + escHtml(s.name) + '</td>' +
-				'<td>' + escHtml(s.email) + '</td>' +
-				'<td>' +
-				'<button type="button" class="myies-seats__btn myies-seats__btn--danger myies-seats__remove-btn" ' +
-				'data-pm-uuid="' + escAttr(s.person_membership_uuid) + '">Remove Seat</button>' +
-				'</td>' +
-				'</tr>';
+		$.post(cfg.ajaxUrl, {
+			action:              'myies_seats_decide_request',
+			nonce:               cfg.nonce,
+			request_id:          $row.data('request-id'),
+			decision:            decision,
+			reason:              reason,
+			org_membership_uuid: currentMembership
+		}, function (res) {
+			if (!res.success) {
+				alert(res.data.message || 'Error');
+				$row.find('button').prop('disabled', false);
+				$btn.text(label);
+				return;
+			}
+			if (decision === 'approve') {
+				loadSeatData();
+			} else {
+				loadRequests();
+			}
+		}).fail(function () {
+			alert('Request failed.');
+			$row.find('button').prop('disabled', false);
+			$btn.text(label);
 		});
+	});
 
-		html += '</tbody></table>';
-
-		// Pagination controls
-		if (totalPages > 1) {
-			html += '<div class="myies-seats__pagination">';
-			html += '<button type="button" class="myies-seats__page-btn" data-page="' + (page - 1) + '"' +
-				(page <= 1 ? ' disabled' : '') + '>&laquo; Prev</button>';
-			html += '<span class="myies-seats__page-info">Page ' + page + ' of ' + totalPages +
-				' (' + list.length + ' seated)</span>';
-			html += '<button type="button" class="myies-seats__page-btn" data-page="' + (page + 1) + '"' +
-				(page >= totalPages ? ' disabled' : '') + '>Next &raquo;</button>';
-			html += '</div>';
+	// =========================================================================
+	// Seated members cells
+	// =========================================================================
+	function endsCellHtml(seat, endingSoon) {
+		var html = '<span class="myies-seats__date">' + (seat.ends_at ? escHtml(formatDate(seat.ends_at)) : '&mdash;') + '</span>';
+		if (endingSoon) {
+			html += ' <span class="myies-seats__badge myies-seats__badge--ending">' + escHtml(cfg.i18n.ends_soon) + '</span>';
 		}
-
-		$members.html(html);
+		html += ' <button type="button" class="myies-seats__link-btn myies-seats__edit-end-btn">Change</button>';
+		return html;
 	}
 
-	// Pagination click handler
-	$members.on('click', '.myies-seats__page-btn', function () {
-		var page = parseInt($(this).data('page'), 10);
-		if (!page) return;
-		renderSeatedMembers(getFilteredSeated(), page);
-	});
-
-	// Filter seated members — searches across ALL seated, resets to page 1
+	// Filter seated members — searches across ALL seated, resets to page 1.
+	// The selection is cleared so no hidden rows stay selected.
 	$filter.on('input', function () {
-		currentPage = 1;
-		renderSeatedMembers(getFilteredSeated(), 1);
+		selected = {};
+		seatedTable.setSearch(this.value);
 	});
 
 	// =========================================================================
 	// Toggle assign section
 	// =========================================================================
 	$summary.on('click', '#myies-seats-toggle-assign', function () {
+		$bulkSection.hide();
 		$assignSection.slideDown(200);
+		$assignEnds.val('').attr('max', toDateInput(seatInfo.ends_at));
 		$search.val('').focus();
 		$results.empty().hide();
 		$assignMsg.hide();
+		resetInvite();
 	});
 
 	$('#myies-seats-close-assign').on('click', function () {
@@ -185,6 +383,7 @@
 		$search.val('');
 		$results.empty().hide();
 		$assignMsg.hide();
+		resetInvite();
 	});
 
 	// =========================================================================
@@ -198,34 +397,55 @@
 			return;
 		}
 		searchTimer = setTimeout(function () {
-			$.post(cfg.ajaxUrl, {
-				action: 'myies_seats_get_org_members',
-				nonce:  cfg.nonce,
-				search: val
-			}, function (res) {
-				$results.empty();
-				if (!res.success || !res.data.results.length) {
-					$results.html('<div class="myies-seats__no-result">' + cfg.i18n.no_results + '</div>').show();
-					return;
-				}
-				res.data.results.forEach(function (m) {
-					var $row = $('<div class="myies-seats__result-item">')
-						.data('member', m)
-						.html(
-							'<strong>' + escHtml(m.name) + '</strong>' +
-							'<span class="myies-seats__email">' + escHtml(m.email) + '</span>'
-						);
-					$results.append($row);
-				});
-				$results.show();
-			});
+			searchRoster(val, $results);
 		}, 300);
 	});
 
+	/**
+	 * Search the org roster for people without a seat and list them in
+	 * $list as .myies-seats__result-item rows carrying the member data.
+	 */
+	function searchRoster(term, $list) {
+		$.post(cfg.ajaxUrl, {
+			action:              'myies_seats_get_org_members',
+			nonce:               cfg.nonce,
+			search:              term,
+			org_membership_uuid: currentMembership
+		}, function (res) {
+			$list.empty();
+			if (!res.success || !res.data.results.length) {
+				$list.html('<div class="myies-seats__no-result">' + cfg.i18n.no_results + '</div>').show();
+				if (canInvite && $list.is($results) && isEmail(term)) {
+					$list.append(
+						$('<div class="myies-seats__result-item myies-seats__invite-item">')
+							.data('email', term)
+							.html('<strong>Invite ' + escHtml(term) + '</strong>')
+					);
+				}
+				return;
+			}
+			res.data.results.forEach(function (m) {
+				var $row = $('<div class="myies-seats__result-item">')
+					.data('member', m)
+					.html(
+						'<strong>' + escHtml(m.name) + '</strong>' +
+						'<span class="myies-seats__email">' + escHtml(m.email) + '</span>'
+					);
+				$list.append($row);
+			});
+			$list.show();
+		});
+	}
+
 	// =========================================================================
 	// Select a member to assign seat
 	// =========================================================================
 	$results.on('click', '.myies-seats__result-item', function () {
+		if ($(this).hasClass('myies-seats__invite-item')) {
+			openInvite($(this).data('email'));
+			return;
+		}
+
 		var member = $(this).data('member');
 		var $row   = $(this);
 
@@ -233,9 +453,11 @@
 		$results.find('.myies-seats__result-item').css('pointer-events', 'none');
 
 		$.post(cfg.ajaxUrl, {
-			action:      'myies_seats_assign',
-			nonce:       cfg.nonce,
-			person_uuid: member.person_uuid
+			action:              'myies_seats_assign',
+			nonce:               cfg.nonce,
+			person_uuid:         member.person_uuid,
+			ends_at:             $assignEnds.val(),
+			org_membership_uuid: currentMembership
 		}, function (res) {
 			if (res.success) {
 				showMsg($assignMsg, res.data.message, false);
@@ -253,6 +475,547 @@
 		});
 	});
 
+	// =========================================================================
+	// Invite someone not on the roster into a seat
+	// =========================================================================
+	$('#myies-seats-toggle-invite').on('click', function () {
+		if ($invite.is(':visible')) {
+			resetInvite();
+			return;
+		}
+		openInvite(isEmail($.trim($search.val())) ? $.trim($search.val()) : '');
+	});
+
+	function openInvite(email) {
+		$results.empty().hide();
+		$inviteEmail.val(email);
+		$inviteConfirm.hide();
+		$inviteBtn.show();
+		$invite.slideDown(200);
+		(email ? $('#myies-seats-invite-first') : $inviteEmail).focus();
+	}
+
+	function resetInvite() {
+		$invite.hide().find('input').val('').prop('disabled', false);
+		$inviteConfirm.hide();
+		$inviteBtn.show();
+	}
+
+	// Step 1: show one confirmation covering all three steps
+	$inviteBtn.on('click', function () {
+		var email = $.trim($inviteEmail.val());
+		if (!isEmail(email)) {
+			showMsg($assignMsg, 'Please enter a valid email address.', true);
+			return;
+		}
+		$assignMsg.hide();
+
+		var steps = [
+			cfg.i18n.invite_step_person.replace('%s', email),
+			cfg.i18n.invite_step_org.replace('%s', cfg.orgName || ''),
+			cfg.i18n.invite_step_seat
+		];
+		$('#myies-seats-invite-steps').html(steps.map(function (step) {
+			return '<li>' + escHtml(step) + '</li>';
+		}).join(''));
+
+		$inviteBtn.hide();
+		$inviteConfirm.show();
+	});
+
+	$('#myies-seats-invite-back-btn').on('click', function () {
+		$inviteConfirm.hide();
+		$inviteBtn.show();
+	});
+
+	// Step 2: run the combined operation
+	$('#myies-seats-invite-confirm-btn').on('click', function () {
+		var $btn = $(this);
+		$btn.prop('disabled', true).text(cfg.i18n.inviting);
+		$invite.find('input').prop('disabled', true);
+
+		$.post(cfg.ajaxUrl, {
+			action:              'myies_seats_invite_and_assign',
+			nonce:               cfg.nonce,
+			email:               $.trim($inviteEmail.val()),
+			first_name:          $.trim($('#myies-seats-invite-first').val()),
+			last_name:           $.trim($('#myies-seats-invite-last').val()),
+			ends_at:             $assignEnds.val(),
+			org_membership_uuid: currentMembership
+		}, function (res) {
+			var data = res.data || {};
+			showInviteResult(data.message || 'Error', data.steps || [], !res.success);
+			$btn.prop('disabled', false).text('Confirm');
+
+			if (res.success) {
+				resetInvite();
+				loadSeatData();
+			} else {
+				$invite.find('input').prop('disabled', false);
+				$inviteConfirm.hide();
+				$inviteBtn.show();
+				// A person may have been created or connected before the failure
+				if (data.steps && data.steps.length) loadSeatData();
+			}
+		}).fail(function () {
+			showMsg($assignMsg, 'Request failed.', true);
+			$btn.prop('disabled', false).text('Confirm');
+			$invite.find('input').prop('disabled', false);
+		});
+	});
+
+	function showInviteResult(message, steps, isError) {
+		var html = '<p>' + escHtml(message) + '</p>';
+		if (steps.length) {
+			html += '<ul>' + steps.map(function (step) {
+				return '<li>' + escHtml(step) + '</li>';
+			}).join('') + '</ul>';
+		}
+		$assignMsg.html(html).css('color', isError ? '#a00' : '#080').show();
+	}
+
+	// =========================================================================
+	// Bulk assign from CSV
+	// =========================================================================
+	$summary.on('click', '#myies-seats-toggle-bulk', function () {
+		$assignSection.hide();
+		resetBulk();
+		$bulkSection.slideDown(200);
+	});
+
+	$('#myies-seats-close-bulk, #myies-seats-bulk-cancel').on('click', function () {
+		if (bulkRunning) return;
+		$bulkSection.slideUp(200);
+		resetBulk();
+	});
+
+	$bulkFile.on('change', function () {
+		var file = this.files && this.files[0];
+		if (!file) return;
+
+		$bulkPreview.empty();
+		$bulkActions.hide();
+		showMsg($bulkMsg, cfg.i18n.bulk_reading, false);
+
+		var reader = new FileReader();
+		reader.onload = function (e) {
+			var rows = csvToRows(parseCsv(String(e.target.result || '')));
+			if (!rows.length) {
+				showMsg($bulkMsg, cfg.i18n.bulk_no_rows, true);
+				return;
+			}
+			if (rows.length > BULK_MAX_ROWS) {
+				showMsg($bulkMsg, 'The file has too many rows. Please upload at most ' + BULK_MAX_ROWS + ' rows at a time.', true);
+				return;
+			}
+			previewBulk(rows);
+		};
+		reader.onerror = function () {
+			showMsg($bulkMsg, 'Could not read the file.', true);
+		};
+		reader.readAsText(file);
+	});
+
+	function resetBulk() {
+		bulkRows = [];
+		$bulkFile.val('');
+		$bulkMsg.hide();
+		$bulkPreview.empty();
+		$bulkActions.hide();
+	}
+
+	function previewBulk(rows) {
+		$.post(cfg.ajaxUrl, {
+			action:              'myies_seats_bulk_preview',
+			nonce:               cfg.nonce,
+			rows:                JSON.stringify(rows),
+			org_membership_uuid: currentMembership
+		}, function (res) {
+			if (!res.success) {
+				showMsg($bulkMsg, res.data.message || 'Error', true);
+				return;
+			}
+
+			bulkRows      = res.data.rows || [];
+			bulkBatchSize = res.data.batch_size || bulkBatchSize;
+			$bulkMsg.hide();
+			renderBulkPreview(res.data.counts || {});
+		}).fail(function () {
+			showMsg($bulkMsg, 'Request failed.', true);
+		});
+	}
+
+	function renderBulkPreview(counts) {
+		var parts = [];
+		$.each(counts, function (status, count) {
+			if (count) parts.push(count + ' ' + BULK_STATUS_LABELS[status].toLowerCase());
+		});
+
+		var html = '<p class="myies-seats__bulk-summary">' + escHtml(parts.join(' · ')) + '</p>' +
+			'<table class="myies-seats__table myies-seats__bulk-table">' +
+			'<thead><tr>' +
+			'<th>Row</th><th>From file</th><th>Roster match</th><th>Status</th>' +
+			'</tr></thead><tbody>';
+
+		bulkRows.forEach(function (r) {
+			var input = [r.input_name, r.input_email].filter(Boolean).join(' — ');
+			var match = r.person_uuid ? r.name + (r.email ? ' (' + r.email + ')' : '') : '';
+			html += '<tr data-row="' + r.row + '">' +
+				'<td>' + r.row + '</td>' +
+				'<td>' + escHtml(input) + '</td>' +
+				'<td>' + escHtml(match) + '</td>' +
+				'<td><span class="myies-seats__bulk-status myies-seats__bulk-status--' + escAttr(r.status) + '">' +
+				escHtml(BULK_STATUS_LABELS[r.status] || r.status) + '</span></td>' +
+				'</tr>';
+		});
+
+		html += '</tbody></table>';
+		$bulkPreview.html(html);
+
+		var matched = getMatchedBulkRows().length;
+		if (!matched) {
+			showMsg($bulkMsg, cfg.i18n.bulk_none_matched, true);
+			$bulkActions.hide();
+			return;
+		}
+
+		$bulkAssignBtn.prop('disabled', false).text('Assign ' + matched + (matched === 1 ? ' Seat' : ' Seats'));
+		$bulkActions.show();
+	}
+
+	function getMatchedBulkRows() {
+		return bulkRows.filter(function (r) {
+			return r.status === 'matched';
+		});
+	}
+
+	function setBulkRowStatus(row, status, message) {
+		row.status = status;
+		$bulkPreview.find('tr[data-row="' + row.row + '"] .myies-seats__bulk-status')
+			.attr('class', 'myies-seats__bulk-status myies-seats__bulk-status--' + status)
+			.text(message || BULK_STATUS_LABELS[status]);
+	}
+
+	$bulkAssignBtn.on('click', function () {
+		var queue = getMatchedBulkRows();
+		if (!queue.length || bulkRunning) return;
+
+		var total     = queue.length;
+		var succeeded = 0;
+		var failed    = 0;
+
+		bulkRunning = true;
+		$bulkAssignBtn.prop('disabled', true);
+		$bulkFile.prop('disabled', true);
+
+		function progress() {
+			showMsg($bulkMsg, cfg.i18n.bulk_assigning + ' ' + (succeeded + failed) + ' / ' + total, false);
+		}
+
+		function finish() {
+			bulkRunning = false;
+			$bulkFile.prop('disabled', false);
+			$bulkActions.hide();
+			showMsg(
+				$bulkMsg,
+				cfg.i18n.bulk_done + ' ' + succeeded + ' assigned' + (failed ? ', ' + failed + ' failed.' : '.'),
+				failed > 0
+			);
+			loadSeatData();
+		}
+
+		function nextBatch() {
+			if (!queue.length) {
+				finish();
+				return;
+			}
+
+			var batch  = queue.splice(0, bulkBatchSize);
+			var byUuid = {};
+			batch.forEach(function (r) {
+				byUuid[r.person_uuid] = r;
+			});
+
+			$.post(cfg.ajaxUrl, {
+				action:              'myies_seats_bulk_assign',
+				nonce:               cfg.nonce,
+				person_uuids:        Object.keys(byUuid),
+				org_membership_uuid: currentMembership
+			}, function (res) {
+				if (!res.success) {
+					batch.forEach(function (r) {
+						setBulkRowStatus(r, 'failed', res.data.message || 'Error');
+					});
+					failed += batch.length;
+				} else {
+					res.data.results.forEach(function (result) {
+						var row = byUuid[result.person_uuid];
+						if (!row) return;
+						if (result.success) {
+							setBulkRowStatus(row, 'assigned');
+							succeeded++;
+						} else {
+							setBulkRowStatus(row, 'failed', result.message);
+							failed++;
+						}
+					});
+				}
+				progress();
+				nextBatch();
+			}).fail(function () {
+				batch.forEach(function (r) {
+					setBulkRowStatus(r, 'failed', 'Request failed.');
+				});
+				failed += batch.length;
+				progress();
+				nextBatch();
+			});
+		}
+
+		progress();
+		nextBatch();
+	});
+
+	/**
+	 * Parse CSV text into an array of rows (arrays of cell strings).
+	 * Handles quoted cells, escaped quotes and CRLF line endings.
+	 */
+	function parseCsv(text) {
+		var rows  = [];
+		var row   = [];
+		var cell  = '';
+		var inQuotes = false;
+
+		text = text.replace(/^\uFEFF/, '');
+
+		for (var i = 0; i < text.length; i++) {
+			var ch = text.charAt(i);
+
+			if (inQuotes) {
+				if (ch === '"' && text.charAt(i + 1) === '"') {
+					cell += '"';
+					i++;
+				} else if (ch === '"') {
+					inQuotes = false;
+				} else {
+					cell += ch;
+				}
+				continue;
+			}
+
+			if (ch === '"') {
+				inQuotes = true;
+			} else if (ch === ',') {
+				row.push(cell);
+				cell = '';
+			} else if (ch === '\n' || ch === '\r') {
+				if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row  = [];
+				cell = '';
+			} else {
+				cell += ch;
+			}
+		}
+
+		if (cell !== '' || row.length) {
+			row.push(cell);
+			rows.push(row);
+		}
+
+		return rows;
+	}
+
+	/**
+	 * Convert parsed CSV rows into { name, email } objects.
+	 *
+	 * A header row is detected by column names (email, name, first name,
+	 * last name). Without one, the cell containing "@" is taken as the
+	 * email and the remaining cells are joined as the name.
+	 */
+	function csvToRows(csv) {
+		csv = csv.filter(function (cells) {
+			return cells.some(function (c) { return $.trim(c) !== ''; });
+		});
+		if (!csv.length) return [];
+
+		var header = csv[0].map(function (c) { return $.trim(c).toLowerCase(); });
+		var cols   = { email: -1, name: -1, first: -1, last: -1 };
+		var hasHeader = header.join('').indexOf('@') === -1 && header.some(function (h) {
+			return /e-?mail|name/.test(h);
+		});
+
+		if (hasHeader) {
+			header.forEach(function (h, i) {
+				if (cols.email === -1 && /e-?mail/.test(h)) cols.email = i;
+				else if (cols.first === -1 && /^(first|given)/.test(h)) cols.first = i;
+				else if (cols.last === -1 && /^(last|family|sur)/.test(h)) cols.last = i;
+				else if (cols.name === -1 && /name/.test(h)) cols.name = i;
+			});
+			csv = csv.slice(1);
+		}
+
+		return csv.map(function (cells) {
+			cells = cells.map(function (c) { return $.trim(c); });
+			var email = '';
+			var name  = '';
+
+			if (hasHeader) {
+				email = cols.email !== -1 ? (cells[cols.email] || '') : '';
+				if (cols.name !== -1) {
+					name = cells[cols.name] || '';
+				} else {
+					name = [cells[cols.first] || '', cells[cols.last] || ''].join(' ');
+				}
+			} else {
+				var rest = [];
+				cells.forEach(function (c) {
+					if (!email && c.indexOf('@') !== -1) email = c;
+					else rest.push(c);
+				});
+				name = rest.join(' ');
+			}
+
+			return { name: $.trim(name), email: email };
+		}).filter(function (r) {
+			return r.email || r.name;
+		});
+	}
+
+	// =========================================================================
+	// Change seat end date (inline)
+	// =========================================================================
+	$members.on('click', '.myies-seats__edit-end-btn', function () {
+		var $cell = $(this).closest('.myies-seats__ends');
+		var seat  = findSeat($cell.closest('tr').data('pm-uuid'));
+		if (!seat) return;
+
+		$cell.html(
+			'<input type="date" class="myies-seats__date-input" value="' + escAttr(toDateInput(seat.ends_at)) + '"' +
+			(seatInfo.ends_at ? ' max="' + escAttr(toDateInput(seatInfo.ends_at)) + '"' : '') + '> ' +
+			'<button type="button" class="myies-seats__btn myies-seats__btn--primary myies-seats__save-end-btn">Save</button> ' +
+			'<button type="button" class="myies-seats__link-btn myies-seats__cancel-end-btn">Cancel</button>'
+		);
+		$cell.find('input').focus();
+	});
+
+	$members.on('click', '.myies-seats__cancel-end-btn', function () {
+		var $cell = $(this).closest('.myies-seats__ends');
+		var seat  = findSeat($cell.closest('tr').data('pm-uuid'));
+		if (!seat) return;
+		$cell.html(endsCellHtml(seat, isEndingSoon(seat.ends_at)));
+	});
+
+	$members.on('click', '.myies-seats__save-end-btn', function () {
+		var $btn  = $(this);
+		var $cell = $btn.closest('.myies-seats__ends');
+		var $row  = $cell.closest('tr');
+		var seat  = findSeat($row.data('pm-uuid'));
+		if (!seat) return;
+
+		$btn.prop('disabled', true).text(cfg.i18n.saving);
+
+		$.post(cfg.ajaxUrl, {
+			action:                 'myies_seats_update_end_date',
+			nonce:                  cfg.nonce,
+			person_membership_uuid: seat.person_membership_uuid,
+			ends_at:                $cell.find('input').val(),
+			org_membership_uuid:    currentMembership
+		}, function (res) {
+			if (res.success) {
+				seat.ends_at = res.data.ends_at;
+				$row.replaceWith(seatedTable.rowHtml(seat));
+			} else {
+				alert(res.data.message || 'Error');
+				$btn.prop('disabled', false).text('Save');
+			}
+		}).fail(function () {
+			alert('Request failed.');
+			$btn.prop('disabled', false).text('Save');
+		});
+	});
+
+	function findSeat(pmUuid) {
+		for (var i = 0; i < allSeated.length; i++) {
+			if (allSeated[i].person_membership_uuid === pmUuid) return allSeated[i];
+		}
+		return null;
+	}
+
+	// =========================================================================
+	// Transfer seat to another org member
+	// =========================================================================
+	$members.on('click', '.myies-seats__transfer-btn', function () {
+		var $row = $(this).closest('tr');
+		if ($row.next('.myies-seats__transfer-row').length) {
+			$row.next('.myies-seats__transfer-row').remove();
+			return;
+		}
+		$members.find('.myies-seats__transfer-row').remove();
+
+		var $transferRow = $(
+			'<tr class="myies-seats__transfer-row"><td colspan="' + $row.children('td').length + '">' +
+			'<div class="myies-seats__search-wrap">' +
+			'<input type="text" class="myies-seats__transfer-search" autocomplete="off" ' +
+			'placeholder="' + escAttr(cfg.i18n.search_placeholder) + '">' +
+			'<div class="myies-seats__search-results myies-seats__transfer-results"></div>' +
+			'</div>' +
+			'</td></tr>'
+		);
+		$transferRow.data('pm-uuid', $row.data('pm-uuid'));
+		$row.after($transferRow);
+		$transferRow.find('input').focus();
+	});
+
+	$members.on('input', '.myies-seats__transfer-search', function () {
+		clearTimeout(searchTimer);
+		var val   = $.trim(this.value);
+		var $list = $(this).siblings('.myies-seats__transfer-results');
+		if (val.length < 3) {
+			$list.empty().hide();
+			return;
+		}
+		searchTimer = setTimeout(function () {
+			searchRoster(val, $list);
+		}, 300);
+	});
+
+	$members.on('click', '.myies-seats__transfer-results .myies-seats__result-item', function () {
+		var member       = $(this).data('member');
+		var $transferRow = $(this).closest('.myies-seats__transfer-row');
+		var seat         = findSeat($transferRow.data('pm-uuid'));
+		if (!seat) return;
+
+		var question = cfg.i18n.confirm_transfer.replace('%1$s', seat.name).replace('%2$s', member.name);
+		if (!confirm(question)) return;
+
+		var $cell = $transferRow.children('td');
+		$cell.html('<p class="myies-seats__loading">' + escHtml(cfg.i18n.transferring) + '</p>');
+
+		$.post(cfg.ajaxUrl, {
+			action:                 'myies_seats_transfer',
+			nonce:                  cfg.nonce,
+			person_membership_uuid: seat.person_membership_uuid,
+			person_uuid:            member.person_uuid,
+			org_membership_uuid:    currentMembership
+		}, function (res) {
+			if (res.success) {
+				loadSeatData();
+				return;
+			}
+			alert(res.data.message || 'Error');
+			if (res.data.reload) {
+				loadSeatData();
+			} else {
+				$transferRow.remove();
+			}
+		}).fail(function () {
+			alert('Request failed.');
+			loadSeatData();
+		});
+	});
+
 	// =========================================================================
 	// Remove seat
 	// =========================================================================
@@ -266,15 +1029,17 @@
 		$.post(cfg.ajaxUrl, {
 			action:                 'myies_seats_remove',
 			nonce:                  cfg.nonce,
-			person_membership_uuid: pmUuid
+			person_membership_uuid: pmUuid,
+			org_membership_uuid:    currentMembership
 		}, function (res) {
 			if (res.success) {
 				allSeated = allSeated.filter(function (s) {
 					return s.person_membership_uuid !== pmUuid;
 				});
+				delete selected[pmUuid];
 				seatInfo.total_seated = allSeated.length;
 				renderSummary();
-				renderSeatedMembers(getFilteredSeated(), currentPage);
+				seatedTable.update(allSeated);
 			} else {
 				alert(res.data.message || 'Error');
 				$btn.prop('disabled', false).text('Remove Seat');
@@ -285,6 +1050,332 @@
 		});
 	});
 
+	// =========================================================================
+	// Selection and bulk remove
+	// =========================================================================
+	function selectedCount() {
+		return Object.keys(selected).length;
+	}
+
+	function renderSelection(list) {
+		var count = selectedCount();
+		if (!count) {
+			$selection.hide();
+			return;
+		}
+
+		$selection.find('.myies-seats__selection-count').text(count + ' selected');
+		$('#myies-seats-select-matching')
+			.text('Select all ' + list.length + ' matching')
+			.toggle(count < list.length);
+		$selection.show();
+	}
+
+	$members.on('change', '.myies-seats__select', function () {
+		var pmUuid = $(this).closest('tr').data('pm-uuid');
+		if (this.checked) {
+			selected[pmUuid] = true;
+		} else {
+			delete selected[pmUuid];
+		}
+		seatedTable.refresh();
+	});
+
+	$members.on('change', '.myies-seats__select-page', function () {
+		var checked = this.checked;
+		$members.find('tbody tr[data-pm-uuid]').each(function () {
+			var pmUuid = $(this).data('pm-uuid');
+			if (checked) {
+				selected[pmUuid] = true;
+			} else {
+				delete selected[pmUuid];
+			}
+		});
+		seatedTable.refresh();
+	});
+
+	$('#myies-seats-select-matching').on('click', function () {
+		seatedTable.getFiltered().forEach(function (s) {
+			selected[s.person_membership_uuid] = true;
+		});
+		seatedTable.refresh();
+	});
+
+	$('#myies-seats-select-clear').on('click', function () {
+		selected = {};
+		seatedTable.refresh();
+	});
+
+	$bulkRemoveBtn.on('click', function () {
+		var queue = Object.keys(selected);
+		if (!queue.length || bulkRunning) return;
+		if (!confirm(cfg.i18n.confirm_remove_n.replace('%d', queue.length))) return;
+
+		var total    = queue.length;
+		var removed  = [];
+		var failures = [];
+
+		bulkRunning = true;
+		$bulkRemoveBtn.prop('disabled', true);
+		$selection.find('.myies-seats__link-btn').prop('disabled', true);
+
+		function progress() {
+			showMsg($bulkRemoveMsg, cfg.i18n.bulk_removing + ' ' + (removed.length + failures.length) + ' / ' + total, false);
+		}
+
+		function fail(pmUuid, message) {
+			var seat = findSeat(pmUuid);
+			failures.push({ name: seat ? seat.name : pmUuid, message: message });
+		}
+
+		function finish() {
+			bulkRunning = false;
+			$bulkRemoveBtn.prop('disabled', false);
+			$selection.find('.myies-seats__link-btn').prop('disabled', false);
+
+			// Drop removed seats; failed ones stay selected for a retry
+			allSeated = allSeated.filter(function (s) {
+				return removed.indexOf(s.person_membership_uuid) === -1;
+			});
+			removed.forEach(function (pmUuid) {
+				delete selected[pmUuid];
+			});
+			seatInfo.total_seated = allSeated.length;
+			renderSummary();
+			seatedTable.update(allSeated);
+
+			var html = escHtml(cfg.i18n.bulk_remove_done + ' ' + removed.length + ' removed' +
+				(failures.length ? ', ' + failures.length + ' failed:' : '.'));
+			if (failures.length) {
+				html += '<ul>' + failures.map(function (f) {
+					return '<li>' + escHtml(f.name) + ' — ' + escHtml(f.message) + '</li>';
+				}).join('') + '</ul>';
+			}
+			$bulkRemoveMsg.html(html).css('color', failures.length ? '#a00' : '#080').show();
+		}
+
+		function nextBatch() {
+			if (!queue.length) {
+				finish();
+				return;
+			}
+
+			var batch = queue.splice(0, bulkBatchSize);
+
+			$.post(cfg.ajaxUrl, {
+				action:                  'myies_seats_bulk_remove',
+				nonce:                   cfg.nonce,
+				person_membership_uuids: batch,
+				org_membership_uuid:     currentMembership
+			}, function (res) {
+				if (!res.success) {
+					batch.forEach(function (pmUuid) {
+						fail(pmUuid, res.data.message || 'Error');
+					});
+				} else {
+					res.data.results.forEach(function (result) {
+						if (result.success) {
+							removed.push(result.person_membership_uuid);
+						} else {
+							fail(result.person_membership_uuid, result.message);
+						}
+					});
+				}
+				progress();
+				nextBatch();
+			}).fail(function () {
+				batch.forEach(function (pmUuid) {
+					fail(pmUuid, 'Request failed.');
+				});
+				progress();
+				nextBatch();
+			});
+		}
+
+		progress();
+		nextBatch();
+	});
+
+	// =========================================================================
+	// Automatic assignment tab
+	// =========================================================================
+	function loadAutoAssign() {
+		$autoMsg.hide();
+		autoPolls = 0;
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_seats_get_auto_assign',
+			nonce:  cfg.nonce
+		}, function (res) {
+			if (!res.success) {
+				showMsg($autoMsg, (res.data && res.data.message) || 'Failed to load the automatic assignment rule.', true);
+				return;
+			}
+			fillAutoAssign(res.data.policy);
+		}).fail(function () {
+			showMsg($autoMsg, 'Request failed.', true);
+		});
+	}
+
+	/**
+	 * A saved rule is applied by a background pass; check back until its
+	 * result is in, then refresh the seats it handed out.
+	 */
+	function pollAutoAssign() {
+		clearTimeout(autoPollTimer);
+		if (++autoPolls > AUTO_MAX_POLLS) {
+			$autoLastRun.text(cfg.i18n.auto_still_running).show();
+			return;
+		}
+
+		autoPollTimer = setTimeout(function () {
+			$.post(cfg.ajaxUrl, {
+				action: 'myies_seats_get_auto_assign',
+				nonce:  cfg.nonce
+			}, function (res) {
+				if (!res.success) return;
+				fillAutoAssign(res.data.policy);
+				if (!res.data.policy.pending) loadSeatData();
+			});
+		}, AUTO_POLL_MS);
+	}
+
+	function fillAutoAssign(policy) {
+		$autoForm.find('input[name="mode"][value="' + policy.mode + '"]').prop('checked', true);
+		$autoForm.find('input[name="types[]"]').each(function () {
+			this.checked = policy.types.indexOf(this.value) !== -1;
+		});
+		$('#myies-seats-auto-domains').val(policy.domains);
+		toggleAutoDetails();
+
+		// Pool the rule applies to; a new rule takes the one selected on the Seats tab
+		var pool = policy.mode !== 'off' ? policy.org_membership_uuid : currentMembership;
+		$('#myies-seats-auto-pool').text(cfg.i18n.auto_pool.replace('%s', poolName(pool)));
+
+		clearTimeout(autoPollTimer);
+		var run = policy.last_run;
+		if (policy.pending) {
+			$autoLastRun.text(cfg.i18n.auto_running).show();
+			pollAutoAssign();
+		} else if (run && policy.mode !== 'off') {
+			var text = run.error
+				? run.error
+				: cfg.i18n.auto_last_run.replace('%1$s', formatDateTime(run.at)).replace('%2$d', run.assigned);
+			if (!run.error && run.unseated) text += ' ' + cfg.i18n.auto_unseated.replace('%d', run.unseated);
+			$autoLastRun.text(text).show();
+		} else {
+			$autoLastRun.hide();
+		}
+	}
+
+	function poolName(uuid) {
+		var pools = (seatInfo && seatInfo.memberships) || [];
+		for (var i = 0; i < pools.length; i++) {
+			if (pools[i].org_membership_uuid === uuid) return pools[i].tier_name || 'Organization membership';
+		}
+		return (seatInfo && seatInfo.tier_name) || 'Organization membership';
+	}
+
+	function toggleAutoDetails() {
+		var mode = $autoForm.find('input[name="mode"]:checked').val();
+		$autoForm.find('.myies-seats__auto-detail').each(function () {
+			$(this).toggle($(this).data('mode') === mode);
+		});
+	}
+
+	$autoForm.on('change', 'input[name="mode"]', toggleAutoDetails);
+
+	$autoForm.on('submit', function (e) {
+		e.preventDefault();
+		var mode  = $autoForm.find('input[name="mode"]:checked').val();
+		var types = $autoForm.find('input[name="types[]"]:checked').map(function () { return this.value; }).get();
+
+		if (mode === 'types' && !types.length) {
+			showMsg($autoMsg, cfg.i18n.auto_no_types, true);
+			return;
+		}
+		if (mode === 'domain' && !$.trim($('#myies-seats-auto-domains').val())) {
+			showMsg($autoMsg, cfg.i18n.auto_no_domains, true);
+			return;
+		}
+
+		var $btn  = $('#myies-seats-auto-save');
+		var label = $btn.text();
+		$btn.prop('disabled', true).text(cfg.i18n.saving);
+		$autoMsg.hide();
+
+		$.post(cfg.ajaxUrl, {
+			action:              'myies_seats_save_auto_assign',
+			nonce:               cfg.nonce,
+			mode:                mode,
+			types:               types,
+			domains:             $('#myies-seats-auto-domains').val(),
+			org_membership_uuid: currentMembership
+		}, function (res) {
+			if (!res.success) {
+				showMsg($autoMsg, (res.data && res.data.message) || 'Error', true);
+				return;
+			}
+			showMsg($autoMsg, res.data.message, false);
+			autoPolls = 0;
+			fillAutoAssign(res.data.policy);
+			if (!res.data.policy.pending) loadSeatData();
+		}).fail(function () {
+			showMsg($autoMsg, 'Request failed.', true);
+		}).always(function () {
+			$btn.prop('disabled', false).text(label);
+		});
+	});
+
+	// =========================================================================
+	// Activity tab
+	// =========================================================================
+	$wrap.on('click', '.myies-seats__tab', function () {
+		var tab = $(this).data('tab');
+		$wrap.find('.myies-seats__tab').each(function () {
+			var active = $(this).data('tab') === tab;
+			$(this).toggleClass('is-active', active).attr('aria-selected', active ? 'true' : 'false');
+		});
+		$wrap.find('.myies-seats__panel').each(function () {
+			$(this).toggle($(this).data('panel') === tab);
+		});
+		if (tab === 'activity') loadActivity(1);
+		if (tab === 'auto') loadAutoAssign();
+	});
+
+	function loadActivity(page) {
+		activityTable.loading('Loading activity...');
+		$.post(cfg.ajaxUrl, {
+			action: 'myies_seats_get_activity',
+			nonce:  cfg.nonce,
+			page:   page
+		}, function (res) {
+			if (!res.success) {
+				activityTable.error('Failed to load activity.');
+				return;
+			}
+			activityTable.setData(res.data.entries, { page: res.data.page, total: res.data.total });
+		}).fail(function () {
+			activityTable.error('Request failed.');
+		});
+	}
+
+	function activityDetails(d) {
+		var parts = [];
+		if (d.tier_name) parts.push(d.tier_name);
+		if (d.from_name) parts.push('From ' + d.from_name);
+		if (d.previous_ends_at) parts.push('Was ending ' + formatDate(d.previous_ends_at));
+		if (d.ends_at) parts.push('Ends ' + formatDate(d.ends_at));
+		if (d.source === 'csv') parts.push('CSV upload');
+		if (d.source === 'auto_assign') parts.push('Automatic assignment');
+		else if (d.rule) parts.push(AUTO_RULE_LABELS[d.rule] || d.rule);
+		if (d.types && d.types.length) {
+			parts.push(d.types.map(function (t) { return (cfg.connectionTypes || {})[t] || t; }).join(', '));
+		}
+		if (d.domains && d.domains.length) parts.push(d.domains.join(', '));
+		if (d.reason) parts.push('Note: ' + d.reason);
+		return parts.join(' · ');
+	}
+
 	// =========================================================================
 	// Utility helpers
 	// =========================================================================
@@ -292,15 +1383,23 @@
 		$el.text(text).css('color', isError ? '#a00' : '#080').show();
 	}
 
-	function escHtml(str) {
-		if (!str) return '';
-		var div = document.createElement('div');
-		div.appendChild(document.createTextNode(str));
-		return div.innerHTML;
+	function isEmail(str) {
+		return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str || '');
+	}
+
+	// Y-m-d in local time, for <input type="date">
+	function toDateInput(iso) {
+		if (!iso) return '';
+		var d = new Date(iso);
+		if (isNaN(d.getTime())) return '';
+		return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2) + '-' + ('0' + d.getDate()).slice(-2);
 	}
 
-	function escAttr(str) {
-		return escHtml(str).replace(/"/g, '&quot;');
+	function isEndingSoon(iso) {
+		if (!iso) return false;
+		var ends = new Date(iso).getTime();
+		var now  = Date.now();
+		return ends >= now && ends - now <= endingSoonDays * 24 * 60 * 60 * 1000;
 	}
 
 	// Hide search results when clicking outside
@@ -0,0 +1,43 @@
+/**
+ * Seat Request — frontend logic for org members who cannot manage seats
+ *
+ * Depends on the `myiesSeatRequest` object localized by the shortcode:
+ *   { ajaxUrl, nonce, i18n }
+ */
+(function ($) {
+	'use strict';
+
+	var cfg   = window.myiesSeatRequest || {};
+	var $form = $('#myies-seats-request-form');
+	if (!$form.length || !cfg.nonce) return;
+
+	var $status = $('#myies-seats-request-status');
+	var $submit = $form.find('button[type="submit"]');
+	var label   = $submit.text();
+
+	$form.on('submit', function (e) {
+		e.preventDefault();
+
+		$submit.prop('disabled', true).text(cfg.i18n.sending);
+		$status.hide();
+
+		$.post(cfg.ajaxUrl, {
+			action:  'myies_seats_request_seat',
+			nonce:   cfg.nonce,
+			message: $('#myies-seats-request-message').val()
+		}, function (res) {
+			if (res.success) {
+				$form.replaceWith(
+					$('<p class="myies-seats__notice">').text(res.data.message)
+				);
+			} else {
+				$status.text(res.data.message || 'Error').css('color', '#a00').show();
+				$submit.prop('disabled', false).text(label);
+			}
+		}).fail(function () {
+			$status.text('Request failed.').css('color', '#a00').show();
+			$submit.prop('disabled', false).text(label);
+		});
+	});
+
+})(jQuery);
@@ -1,13 +1,40 @@
 /**
  * Wicket Section - Change Section Modal
  *
- * Handles the modal interface for changing user's section.
- * Requires: jQuery, wicketSectionConfig (ajaxUrl, nonce)
+ * Handles the modal interface for changing user's section. Until the
+ * member searches, the modal lists sections suggested from their address.
+ * The search box is a combobox: arrow keys move through the list, Enter
+ * picks a section, and focus stays in the modal while it is open. Once a
+ * section is picked, optional start and end dates can be set; re-picking a
+ * section the member already belongs to shows that membership's dates.
+ * Requires: jQuery, MyIESCombobox, wicketSectionConfig (ajaxUrl, nonce,
+ * reloadOnChange, maxBackdateDays)
+ *
+ * After a section is changed, added, made primary or left, a
+ * `wicket:section-changed` event is dispatched on document instead of
+ * reloading the page. Its `detail` is { action: 'set'|'add'|'primary'|'leave',
+ * current: section|null, previous: section|null, sections: [...],
+ * left: { connection_uuid, section_uuid }|null }, where a section is
+ * { org_uuid, legal_name, connection_uuid, starts_at, ends_at, ... }.
+ * `.wicket-current-section-name`, `.wicket-leave-section-btn` and the
+ * My Sections panel are updated from it here; other components can
+ * subscribe the same way:
+ *
+ *   document.addEventListener('wicket:section-changed', function(e) {
+ *       console.log(e.detail.current);
+ *   });
+ *
+ * The page is only reloaded when reloadOnChange is set (filter
+ * `wicket_section_reload_on_change`) or the response lacks section data.
  *
  * Usage in Bricks:
  * 1. Add Code element with: <?php wicket_section_enqueue_assets(); ?>
  * 2. Add button with class: wicket-change-section-btn
  * 3. Use Dynamic Data {user_meta:wicket_section_name} for section name display
+ * 4. Optional: add an empty element with class wicket-my-sections for the
+ *    "My Sections" panel, which lists every section the member belongs to
+ *    with its dates, and lets them pick the primary one, leave one, or add
+ *    another through the search modal
  *
  * @package MyIES_Integration
  * @since 1.0.0
@@ -31,6 +58,14 @@
             selectedDisplay: '#wicket-section-selected',
             saveBtn: '#wicket-section-save-btn',
             cancelBtn: '#wicket-section-cancel-btn',
+            datesSection: '#wicket-section-dates',
+            startsInput: '#wicket-section-starts-at',
+            endsInput: '#wicket-section-ends-at',
+            datesError: '.wicket-section-dates-error',
+            modalTitle: '#wicket-section-modal-title',
+            mySections: '.wicket-my-sections',
+            addBtn: '.wicket-add-section-btn',
+            makePrimaryBtn: '.wicket-make-primary-section-btn',
             currentSectionName: '.wicket-current-section-name'
         }
     };
@@ -38,10 +73,17 @@
     // State
     var state = {
         isOpen: false,
+        mode: 'change',
         searchTimeout: null,
         selectedSection: null,
         lastSearchResults: [],
-        currentSection: null
+        suggestions: null,
+        currentSection: null,
+        sections: null,
+        sectionsRequest: null,
+        originalDates: null,
+        combobox: null,
+        releaseFocus: null
     };
 
     /**
@@ -67,6 +109,12 @@
         }
 
         bindEvents();
+
+        if ($(config.selectors.mySections).length) {
+            $(config.selectors.mySections).html('<div class="wicket-section-loading">Loading your sections...</div>');
+            loadUserSections(renderMySections);
+        }
+
         console.log('[Wicket Section] Module initialized');
     }
 
@@ -78,7 +126,19 @@
         $(document).on('click', config.selectors.triggerBtn, function(e) {
             e.preventDefault();
             console.log('[Wicket Section] Open modal clicked');
-            openModal();
+            openModal('change');
+        });
+
+        // Add another section (My Sections panel)
+        $(document).on('click', config.selectors.addBtn, function(e) {
+            e.preventDefault();
+            openModal('add');
+        });
+
+        // Make a section primary (My Sections panel)
+        $(document).on('click', config.selectors.makePrimaryBtn, function(e) {
+            e.preventDefault();
+            setPrimarySection($(this));
         });
 
         // Leave section
@@ -133,31 +193,53 @@
             saveSelectedSection();
         });
 
+        // Keep page components in step with the member's sections
+        $(document).on('wicket:section-changed', function(e) {
+            var detail = e.originalEvent.detail;
+            updateCurrentSectionName(detail.current);
+            updateLeaveButtons(detail);
+            renderMySections();
+        });
+
         // Clear selection
         $(document).on('click', '.wicket-section-clear-selection', function() {
             state.selectedSection = null;
             $(config.selectors.selectedDisplay).hide();
+            $(config.selectors.datesSection).hide();
             $(config.selectors.saveBtn).prop('disabled', true);
             $(config.selectors.searchInput).val('').focus();
+            displaySuggestions();
         });
     }
 
     /**
      * Open the modal
+     *
+     * @param {string} mode 'change' switches the primary section,
+     *                      'add' joins another one alongside it
      */
-    function openModal() {
+    function openModal(mode) {
         // Create modal if doesn't exist
         if ($(config.selectors.modal).length === 0) {
             createModal();
         }
 
+        state.mode = mode === 'add' ? 'add' : 'change';
+        $(config.selectors.modalTitle).text(state.mode === 'add' ? 'Add a Section' : 'Change Section');
+
         $(config.selectors.modal).fadeIn(200);
+        state.releaseFocus = MyIESCombobox.trapFocus($(config.selectors.modal));
         $(config.selectors.searchInput).val('').focus();
         $(config.selectors.resultsContainer).empty();
+        state.combobox.refresh();
         $(config.selectors.selectedDisplay).hide();
+        $(config.selectors.datesSection).hide();
         state.isOpen = true;
         state.selectedSection = null;
 
+        loadSuggestions();
+        loadUserSections();
+
         $('body').addClass('wicket-section-modal-open');
     }
 
@@ -169,6 +251,12 @@
         state.isOpen = false;
         state.selectedSection = null;
         $('body').removeClass('wicket-section-modal-open');
+
+        // Return focus to the button that opened the modal
+        if (state.releaseFocus) {
+            state.releaseFocus();
+            state.releaseFocus = null;
+        }
     }
 
     /**
@@ -177,11 +265,11 @@
     function createModal() {
         var modalHtml = `
             <div id="wicket-change-section-modal" class="wicket-section-modal-overlay">
-                <div class="wicket-section-modal-content">
-                    <button class="wicket-section-modal-close" aria-label="Close">&times;</button>
+                <div class="wicket-section-modal-content" role="dialog" aria-modal="true" aria-labelledby="wicket-section-modal-title">
+                    <button type="button" class="wicket-section-modal-close" aria-label="Close">&times;</button>
 
                     <div class="wicket-section-modal-header">
-                        <h2>Change Section</h2>
+                        <h2 id="wicket-section-modal-title">Change Section</h2>
                     </div>
 
                     <div class="wicket-section-modal-body">
@@ -189,8 +277,9 @@
                             <input type="text"
                                    id="wicket-section-search"
                                    placeholder="Search for a section..."
+                                   aria-label="Search for a section"
                                    autocomplete="off">
-                            <span class="wicket-search-icon">🔍</span>
+                            <span class="wicket-search-icon" aria-hidden="true">🔍</span>
                         </div>
 
                         <div id="wicket-section-results"></div>
@@ -200,7 +289,22 @@
                                 <div class="wicket-section-selected-label">Selected:</div>
                                 <div class="wicket-section-selected-name"></div>
                             </div>
-                            <button type="button" class="wicket-section-clear-selection">&times;</button>
+                            <button type="button" class="wicket-section-clear-selection" aria-label="Clear selection">&times;</button>
+                        </div>
+
+                        <div id="wicket-section-dates" style="display: none;">
+                            <div class="wicket-section-dates-fields">
+                                <div class="wicket-section-date-field">
+                                    <label for="wicket-section-starts-at">Start date</label>
+                                    <input type="date" id="wicket-section-starts-at" aria-describedby="wicket-section-dates-hint">
+                                </div>
+                                <div class="wicket-section-date-field">
+                                    <label for="wicket-section-ends-at">End date</label>
+                                    <input type="date" id="wicket-section-ends-at" aria-describedby="wicket-section-dates-hint">
+                                </div>
+                            </div>
+                            <p class="wicket-section-dates-hint" id="wicket-section-dates-hint"></p>
+                            <p class="wicket-section-dates-error" role="alert" style="display: none;"></p>
                         </div>
                     </div>
 
@@ -217,6 +321,14 @@
         `;
 
         $('body').append(modalHtml);
+
+        state.combobox = MyIESCombobox.create({
+            input: config.selectors.searchInput,
+            results: config.selectors.resultsContainer,
+            list: '.wicket-section-results-list',
+            option: '.wicket-section-result-item',
+            listLabel: 'Sections'
+        });
     }
 
     /**
@@ -226,12 +338,13 @@
         clearTimeout(state.searchTimeout);
 
         if (term.length < config.minSearchLength) {
-            $(config.selectors.resultsContainer).empty();
+            displaySuggestions();
             return;
         }
 
         // Show loading
         $(config.selectors.resultsContainer).html('<div class="wicket-section-loading">Searching...</div>');
+        state.combobox.refresh();
 
         state.searchTimeout = setTimeout(function() {
             performSearch(term);
@@ -260,8 +373,9 @@
                     displaySearchResults(response.data.results, term);
                 } else {
                     $(config.selectors.resultsContainer).html(
-                        '<div class="wicket-section-error">Search failed: ' + (response.data.message || 'Unknown error') + '</div>'
+                        '<div class="wicket-section-error">Search failed: ' + escapeHtml(response.data.message || 'Unknown error') + '</div>'
                     );
+                    state.combobox.refresh('Search failed.');
                 }
             },
             error: function(xhr, status, error) {
@@ -269,10 +383,306 @@
                 $(config.selectors.resultsContainer).html(
                     '<div class="wicket-section-error">Connection error. Please try again.</div>'
                 );
+                state.combobox.refresh('Connection error. Please try again.');
             }
         });
     }
 
+    /**
+     * Load sections suggested from the member's address (once per page)
+     */
+    function loadSuggestions() {
+        if (state.suggestions !== null) {
+            displaySuggestions();
+            return;
+        }
+
+        $.ajax({
+            url: wicketSectionConfig.ajaxUrl,
+            type: 'GET',
+            data: {
+                action: 'wicket_suggest_sections',
+                nonce: wicketSectionConfig.nonce
+            },
+            success: function(response) {
+                console.log('[Wicket Section] Suggestions response:', response);
+                state.suggestions = response.success ? response.data.results : [];
+
+                // The member may have started typing in the meantime
+                if ($(config.selectors.searchInput).val().trim().length < config.minSearchLength && !state.selectedSection) {
+                    displaySuggestions();
+                }
+            },
+            error: function(xhr, status, error) {
+                console.error('[Wicket Section] Suggestions error:', error);
+                state.suggestions = [];
+            }
+        });
+    }
+
+    /**
+     * Load the member's sections with their dates (once per page)
+     */
+    function loadUserSections(callback) {
+        if (state.sections !== null) {
+            if (callback) callback();
+            return;
+        }
+
+        if (!state.sectionsRequest) {
+            state.sectionsRequest = requestUserSections();
+        }
+        if (callback) {
+            state.sectionsRequest.always(function() {
+                callback();
+            });
+        }
+    }
+
+    /**
+     * Fetch the member's sections
+     */
+    function requestUserSections() {
+        return $.ajax({
+            url: wicketSectionConfig.ajaxUrl,
+            type: 'GET',
+            data: {
+                action: 'wicket_get_user_section',
+                nonce: wicketSectionConfig.nonce
+            },
+            success: function(response) {
+                state.sections = response.success ? response.data.sections : [];
+
+                // A section may have been picked while this loaded
+                if (state.selectedSection) {
+                    showDates(state.selectedSection.uuid);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.error('[Wicket Section] User sections error:', error);
+                state.sections = [];
+            }
+        });
+    }
+
+    /**
+     * Render the My Sections panel(s) from state.sections
+     */
+    function renderMySections() {
+        var $panels = $(config.selectors.mySections);
+        if (!$panels.length || state.sections === null) {
+            return;
+        }
+
+        var html = '<h3 class="wicket-my-sections-title">My Sections</h3>';
+
+        if (!state.sections.length) {
+            html += '<p class="wicket-my-sections-empty">You don\'t belong to any sections yet.</p>';
+        } else {
+            html += '<ul class="wicket-my-sections-list">';
+            state.sections.forEach(function(section) {
+                var name = escapeHtml(section.legal_name);
+                var dates = formatDates(section.starts_at, section.ends_at);
+
+                html += `
+                    <li class="wicket-my-sections-item${section.is_primary ? ' is-primary' : ''}">
+                        <div class="wicket-my-sections-info">
+                            <div class="wicket-my-sections-name">
+                                ${name}
+                                ${section.is_primary ? '<span class="wicket-my-sections-badge">Primary</span>' : ''}
+                            </div>
+                            ${dates ? '<div class="wicket-my-sections-dates">' + escapeHtml(dates) + '</div>' : ''}
+                        </div>
+                        <div class="wicket-my-sections-actions">
+                            ${section.is_primary ? '' : `
+                                <button type="button" class="wicket-section-btn wicket-section-btn-secondary wicket-make-primary-section-btn"
+                                        data-section-uuid="${escapeHtml(section.org_uuid)}"
+                                        aria-label="Make ${name} my primary section">
+                                    Make primary
+                                </button>`}
+                            <button type="button" class="wicket-leave-section-btn"
+                                    data-connection-uuid="${escapeHtml(section.connection_uuid)}"
+                                    data-section-uuid="${escapeHtml(section.org_uuid)}"
+                                    data-section-name="${name}"
+                                    aria-label="Leave ${name}">
+                                Leave
+                            </button>
+                        </div>
+                    </li>
+                `;
+            });
+            html += '</ul>';
+        }
+
+        html += '<button type="button" class="wicket-section-btn wicket-section-btn-primary wicket-add-section-btn">Add a section</button>';
+
+        $panels.html(html);
+    }
+
+    /**
+     * "Since Jan 5, 2026 · Until Jun 30, 2027"
+     */
+    function formatDates(startsAt, endsAt) {
+        var parts = [];
+        [['Since', startsAt], ['Until', endsAt]].forEach(function(pair) {
+            var d = pair[1] ? new Date(pair[1]) : null;
+            if (d && !isNaN(d.getTime())) {
+                parts.push(pair[0] + ' ' + d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }));
+            }
+        });
+        return parts.join(' · ');
+    }
+
+    /**
+     * Make one of the member's sections primary
+     */
+    function setPrimarySection($btn) {
+        var sectionUuid = $btn.data('section-uuid');
+        var originalText = $btn.text();
+
+        console.log('[Wicket Section] Making section primary:', sectionUuid);
+        $btn.prop('disabled', true).text('Saving...');
+
+        $.ajax({
+            url: wicketSectionConfig.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'wicket_set_primary_section',
+                nonce: wicketSectionConfig.nonce,
+                section_uuid: sectionUuid
+            },
+            success: function(response) {
+                console.log('[Wicket Section] Primary response:', response);
+
+                if (response.success) {
+                    showNotification('Primary section updated!', 'success');
+                    publishChange('primary', response.data);
+                } else {
+                    $btn.prop('disabled', false).text(originalText);
+                    showNotification(response.data.message || 'Error saving. Please try again.', 'error');
+                }
+            },
+            error: function(xhr, status, error) {
+                console.error('[Wicket Section] Primary error:', error);
+                $btn.prop('disabled', false).text(originalText);
+                showNotification('Connection error. Please try again.', 'error');
+            }
+        });
+    }
+
+    /**
+     * Show the date fields for a picked section, filled in with the
+     * member's current dates if they already belong to it
+     */
+    function showDates(uuid) {
+        var existing = (state.sections || []).filter(function(section) {
+            return section.org_uuid === uuid;
+        })[0];
+
+        state.originalDates = {
+            starts: existing ? toDateInput(existing.starts_at) : '',
+            ends: existing ? toDateInput(existing.ends_at) : ''
+        };
+
+        var earliest = new Date();
+        earliest.setDate(earliest.getDate() - (parseInt(wicketSectionConfig.maxBackdateDays, 10) || 365));
+
+        $(config.selectors.startsInput).val(state.originalDates.starts).attr('min', toDateInput(earliest));
+        $(config.selectors.endsInput).val(state.originalDates.ends).attr('min', toDateInput(new Date()));
+        $(config.selectors.datesSection).find('.wicket-section-dates-hint').text(existing
+            ? 'You already belong to this section. Change the dates to update your membership.'
+            : 'Optional. Leave the start date empty to start today, and the end date empty for an ongoing membership.');
+        $(config.selectors.datesError).hide();
+        $(config.selectors.datesSection).show();
+    }
+
+    /**
+     * Dates to send with the save: only those the member changed.
+     * Returns null (and shows why) if they don't add up.
+     */
+    function getChangedDates() {
+        var starts = $(config.selectors.startsInput).val();
+        var ends = $(config.selectors.endsInput).val();
+        var original = state.originalDates || { starts: '', ends: '' };
+        var error = '';
+
+        // Y-m-d strings compare in date order
+        if (ends && ends !== original.ends && ends < toDateInput(new Date())) {
+            error = 'The end date cannot be in the past.';
+        } else if (starts && ends && ends <= starts) {
+            error = 'The end date must be after the start date.';
+        }
+
+        if (error) {
+            $(config.selectors.datesError).text(error).show();
+            return null;
+        }
+
+        $(config.selectors.datesError).hide();
+
+        var dates = {};
+        if (starts && starts !== original.starts) {
+            dates.starts_at = starts;
+        }
+        if (ends && ends !== original.ends) {
+            dates.ends_at = ends;
+        }
+        return dates;
+    }
+
+    /**
+     * Y-m-d in local time, for <input type="date">
+     */
+    function toDateInput(value) {
+        if (!value) return '';
+        var d = value instanceof Date ? value : new Date(value);
+        if (isNaN(d.getTime())) return '';
+        return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2) + '-' + ('0' + d.getDate()).slice(-2);
+    }
+
+    /**
+     * Display suggested sections above an empty search
+     */
+    function displaySuggestions() {
+        var $container = $(config.selectors.resultsContainer);
+        $container.empty();
+
+        if (!state.suggestions || !state.suggestions.length) {
+            state.combobox.refresh();
+            return;
+        }
+
+        var $list = $('<ul class="wicket-section-results-list wicket-section-suggestions"></ul>');
+        state.suggestions.forEach(function(section, index) {
+            $list.append(buildResultItem(section, index, '', section.reason));
+        });
+
+        $container.append('<div class="wicket-section-suggestions-label">Suggested for you</div>');
+        $container.append($list);
+        state.combobox.refresh(countMessage(state.suggestions.length, 'suggested section', 'suggested sections'));
+    }
+
+    /**
+     * Build a selectable section list item
+     */
+    function buildResultItem(section, index, searchTerm, note) {
+        var displayName = section.legal_name || 'Unknown';
+        var altName = section.alternate_name ? ' (' + escapeHtml(section.alternate_name) + ')' : '';
+        var description = section.description || '';
+        var sectionUuid = section.wicket_uuid;
+
+        return $(`
+            <li class="wicket-section-result-item"
+                data-uuid="${escapeHtml(sectionUuid)}"
+                data-name="${escapeHtml(displayName)}"
+                data-index="${index}">
+                <div class="wicket-section-name">${highlightMatch(displayName, searchTerm)}${altName}</div>
+                ${note ? '<div class="wicket-section-reason">' + escapeHtml(note) + '</div>' : ''}
+                ${description ? '<div class="wicket-section-description">' + escapeHtml(description) + '</div>' : ''}
+            </li>
+        `);
+    }
+
     /**
      * Display search results
      */
@@ -286,30 +696,24 @@
             var $list = $('<ul class="wicket-section-results-list"></ul>');
 
             limitedResults.forEach(function(section, index) {
-                var displayName = section.legal_name || 'Unknown';
-                var altName = section.alternate_name ? ' (' + section.alternate_name + ')' : '';
-                var description = section.description || '';
-                var sectionUuid = section.wicket_uuid;
-
-                var $item = $(`
-                    <li class="wicket-section-result-item"
-                        data-uuid="${sectionUuid}"
-                        data-name="${escapeHtml(displayName)}"
-                        data-index="${index}">
-                        <div class="wicket-section-name">${highlightMatch(displayName, searchTerm)}${altName}</div>
-                        ${description ? '<div class="wicket-section-description">' + escapeHtml(description) + '</div>' : ''}
-                    </li>
-                `);
-
-                $list.append($item);
+                $list.append(buildResultItem(section, index, searchTerm));
             });
 
             $container.append($list);
+            state.combobox.refresh(countMessage(limitedResults.length, 'section found', 'sections found'));
         } else {
             $container.html('<div class="wicket-section-no-results">No sections found matching "' + escapeHtml(searchTerm) + '"</div>');
+            state.combobox.refresh('No sections found.');
         }
     }
 
+    /**
+     * Result count for the live region, with a hint for keyboard users
+     */
+    function countMessage(count, singular, plural) {
+        return count + ' ' + (count === 1 ? singular : plural) + '. Use the up and down arrow keys to browse.';
+    }
+
     /**
      * Select a section
      */
@@ -325,12 +729,15 @@
         $(config.selectors.selectedDisplay).show();
         $(config.selectors.selectedDisplay).find('.wicket-section-selected-name').text(name);
 
+        showDates(uuid);
+
         // Enable save button
         $(config.selectors.saveBtn).prop('disabled', false);
 
         // Clear search
         $(config.selectors.resultsContainer).empty();
         $(config.selectors.searchInput).val('');
+        state.combobox.refresh(name + ' selected.');
     }
 
     /**
@@ -342,7 +749,12 @@
             return;
         }
 
-        console.log('[Wicket Section] Saving section:', state.selectedSection);
+        var dates = getChangedDates();
+        if (dates === null) {
+            return;
+        }
+
+        console.log('[Wicket Section] Saving section:', state.selectedSection, dates);
 
         var $saveBtn = $(config.selectors.saveBtn);
         var originalText = $saveBtn.text();
@@ -352,25 +764,27 @@
         $.ajax({
             url: wicketSectionConfig.ajaxUrl,
             type: 'POST',
-            data: {
+            data: $.extend({
                 action: 'wicket_set_section',
                 nonce: wicketSectionConfig.nonce,
-                section_uuid: state.selectedSection.uuid
-            },
+                section_uuid: state.selectedSection.uuid,
+                make_primary: state.mode === 'add' ? 0 : 1
+            }, dates),
             success: function(response) {
                 console.log('[Wicket Section] Save response:', response);
 
                 if (response.success) {
-                    // Update any displayed section name on the page
-                    $(config.selectors.currentSectionName).text(state.selectedSection.name);
+                    var selected = state.selectedSection;
+                    var action = state.mode === 'add' ? 'add' : 'set';
 
+                    $saveBtn.text(originalText);
                     closeModal();
-                    showNotification('Section updated successfully!', 'success');
+                    showNotification(action === 'add' ? 'Section added!' : 'Section updated successfully!', 'success');
 
-                    // Reload page after 1 second to refresh dynamic data
-                    setTimeout(function() {
-                        location.reload();
-                    }, 1000);
+                    publishChange(action, response.data, null, {
+                        org_uuid: selected.uuid,
+                        legal_name: selected.name
+                    });
                 } else {
                     $saveBtn.prop('disabled', false).text(originalText);
                     showNotification(response.data.message || 'Error saving. Please try again.', 'error');
@@ -408,12 +822,13 @@
                 console.log('[Wicket Section] Leave response:', response);
 
                 if (response.success) {
+                    $btn.prop('disabled', false).text(originalText);
                     showNotification('You have left the section', 'success');
 
-                    // Reload page after 1 second
-                    setTimeout(function() {
-                        location.reload();
-                    }, 1000);
+                    publishChange('leave', response.data, {
+                        connection_uuid: connectionUuid,
+                        section_uuid: sectionUuid
+                    });
                 } else {
                     $btn.prop('disabled', false).text(originalText);
                     showNotification(response.data.message || 'Error leaving section.', 'error');
@@ -427,6 +842,97 @@
         });
     }
 
+    /**
+     * Tell the page about a section change, or reload it as a fallback
+     *
+     * @param {string} action   'set', 'add', 'primary' or 'leave'
+     * @param {Object} data     AJAX response data (sections, current_section)
+     * @param {Object} left     The connection left, for 'leave'
+     * @param {Object} fallback Section to show if the response has none
+     */
+    function publishChange(action, data, left, fallback) {
+        if (wicketSectionConfig.reloadOnChange || !data || !('current_section' in data)) {
+            // Reload page after 1 second to refresh dynamic data
+            setTimeout(function() {
+                location.reload();
+            }, 1000);
+            return;
+        }
+
+        var previous = state.currentSection;
+        state.sections = data.sections || [];
+        var current = data.current_section || (action === 'set' ? fallback : null);
+
+        state.currentSection = current ? {
+            uuid: current.org_uuid,
+            name: current.legal_name,
+            connection_uuid: current.connection_uuid
+        } : null;
+
+        console.log('[Wicket Section] Section changed:', action, current);
+
+        document.dispatchEvent(new CustomEvent('wicket:section-changed', {
+            detail: {
+                action: action,
+                current: current,
+                previous: previous ? {
+                    org_uuid: previous.uuid,
+                    legal_name: previous.name,
+                    connection_uuid: previous.connection_uuid
+                } : null,
+                sections: data.sections || [],
+                left: left || null
+            }
+        }));
+    }
+
+    /**
+     * Show the current section's name
+     */
+    function updateCurrentSectionName(current) {
+        var $name = $(config.selectors.currentSectionName);
+
+        $name.text(current ? current.legal_name : '');
+        setData($name, 'uuid', current ? current.org_uuid : '');
+        setData($name, 'connection-uuid', current ? current.connection_uuid : '');
+    }
+
+    /**
+     * Hide leave buttons for a connection that is gone, and point a button
+     * that followed the previous section at the current one, unless the
+     * page already lists a button per section
+     */
+    function updateLeaveButtons(detail) {
+        var $buttons = $(config.selectors.leaveBtn);
+        var current = detail.current;
+        var previousUuid = detail.previous ? detail.previous.org_uuid : null;
+        var listed = current && $buttons.filter(function() {
+            return $(this).data('section-uuid') === current.org_uuid;
+        }).length > 0;
+
+        $buttons.each(function() {
+            var $btn = $(this);
+            var follows = previousUuid && $btn.data('section-uuid') === previousUuid && !listed;
+            var gone = detail.left && $btn.data('connection-uuid') === detail.left.connection_uuid;
+
+            if (follows && current && current.connection_uuid) {
+                setData($btn, 'connection-uuid', current.connection_uuid);
+                setData($btn, 'section-uuid', current.org_uuid);
+                setData($btn, 'section-name', current.legal_name);
+                $btn.show();
+            } else if (gone || (follows && !current)) {
+                $btn.hide();
+            }
+        });
+    }
+
+    /**
+     * Set a data attribute and jQuery's cached copy of it
+     */
+    function setData($el, key, value) {
+        $el.attr('data-' + key, value).data(key, value);
+    }
+
     /**
      * Show notification
      */
@@ -0,0 +1,204 @@
+<?php
+/**
+ * MyIES Activity Log — Admin Page
+ *
+ * Staff view of the seat and roster audit log across all organizations,
+ * filterable by organization, action, actor, affected person and date
+ * range, with CSV export of the filtered entries.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.19
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Audit_Log_Page {
+
+    const PER_PAGE = 50;
+
+    public function __construct() {
+        add_action('admin_post_myies_audit_log_export', [$this, 'handle_export']);
+    }
+
+    /**
+     * Filters from the request, limited to the keys the log understands.
+     */
+    private function get_filters() {
+        $filters = [];
+        foreach (['org', 'action', 'actor', 'target', 'date_from', 'date_to'] as $key) {
+            $value = isset($_GET[$key]) ? sanitize_text_field(wp_unslash($_GET[$key])) : '';
+            if ($value === '') {
+                continue;
+            }
+            if (in_array($key, ['date_from', 'date_to'], true) && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)) {
+                continue;
+            }
+            $filters[$key] = $value;
+        }
+        return $filters;
+    }
+
+    /**
+     * admin-post: download the filtered entries as CSV.
+     */
+    public function handle_export() {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Unauthorized', 'wicket-integration'));
+        }
+        check_admin_referer('myies_audit_log_export');
+
+        $rows = myies_audit_log()->query($this->get_filters(), 0);
+
+        nocache_headers();
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="myies-activity-log-' . gmdate('Y-m-d') . '.csv"');
+
+        $out = fopen('php://output', 'w');
+        fputcsv($out, ['Date', 'Actor', 'Actor Email', 'Organization', 'Organization UUID', 'Action', 'Person', 'Person UUID', 'Details']);
+        foreach ($rows as $row) {
+            // Names and details are user-supplied, so keep them from running as formulas
+            fputcsv($out, array_map('myies_spreadsheet_cell', [
+                $row['created_at'],
+                $row['actor_name'],
+                $row['actor_email'],
+                $row['org_name'],
+                $row['org_uuid'],
+                MyIES_Audit_Log::action_label($row['action']),
+                $row['target_name'],
+                $row['target_uuid'],
+                $row['details'] ? wp_json_encode($row['details']) : '',
+            ]));
+        }
+        fclose($out);
+        exit;
+    }
+
+    /**
+     * One-line summary of an entry's details for the table.
+     */
+    private function format_details(array $details) {
+        $parts = [];
+        foreach ($details as $key => $value) {
+            if (is_array($value)) {
+                $value = wp_json_encode($value);
+            } elseif (is_bool($value)) {
+                $value = $value ? 'yes' : 'no';
+            }
+            if ($value === '' || $value === null) {
+                continue;
+            }
+            $parts[] = $key . ': ' . $value;
+        }
+        return implode(' · ', $parts);
+    }
+
+    /**
+     * Render the admin page.
+     */
+    public function render_page() {
+        $filters = $this->get_filters();
+        $paged   = max(1, (int) ($_GET['paged'] ?? 1));
+        $log     = myies_audit_log();
+        $total   = $log->count($filters);
+        $rows    = $log->query($filters, self::PER_PAGE, ($paged - 1) * self::PER_PAGE);
+        $pages   = (int) ceil($total / self::PER_PAGE);
+
+        $export_url = wp_nonce_url(
+            add_query_arg(array_merge(['action' => 'myies_audit_log_export'], $filters), admin_url('admin-post.php')),
+            'myies_audit_log_export'
+        );
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Activity Log', 'wicket-integration'); ?></h1>
+            <p><?php esc_html_e('Seat and roster changes made by primary contacts and staff through the seat management and organization management pages.', 'wicket-integration'); ?></p>
+
+            <div class="card" style="max-width:1400px; margin-top:20px;">
+                <form method="get">
+                    <input type="hidden" name="page" value="myies-activity-log">
+                    <p>
+                        <input type="text" name="org" placeholder="<?php esc_attr_e('Organization name or UUID', 'wicket-integration'); ?>" value="<?php echo esc_attr($filters['org'] ?? ''); ?>">
+                        <select name="action">
+                            <option value=""><?php esc_html_e('All actions', 'wicket-integration'); ?></option>
+                            <?php foreach (MyIES_Audit_Log::action_labels() as $action => $label): ?>
+                                <option value="<?php echo esc_attr($action); ?>" <?php selected($filters['action'] ?? '', $action); ?>><?php echo esc_html($label); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <input type="text" name="actor" placeholder="<?php esc_attr_e('Actor name or email', 'wicket-integration'); ?>" value="<?php echo esc_attr($filters['actor'] ?? ''); ?>">
+                        <input type="text" name="target" placeholder="<?php esc_attr_e('Person name or UUID', 'wicket-integration'); ?>" value="<?php echo esc_attr($filters['target'] ?? ''); ?>">
+                    </p>
+                    <p>
+                        <label><?php esc_html_e('From', 'wicket-integration'); ?> <input type="date" name="date_from" value="<?php echo esc_attr($filters['date_from'] ?? ''); ?>"></label>
+                        <label><?php esc_html_e('To', 'wicket-integration'); ?> <input type="date" name="date_to" value="<?php echo esc_attr($filters['date_to'] ?? ''); ?>"></label>
+                        <button type="submit" class="button button-primary"><?php esc_html_e('Filter', 'wicket-integration'); ?></button>
+                        <a href="<?php echo esc_url(admin_url('admin.php?page=myies-activity-log')); ?>" class="button"><?php esc_html_e('Reset', 'wicket-integration'); ?></a>
+                        <a href="<?php echo esc_url($export_url); ?>" class="button"><?php esc_html_e('Export CSV', 'wicket-integration'); ?></a>
+                    </p>
+                </form>
+            </div>
+
+            <div class="card" style="max-width:1400px; margin-top:20px;">
+                <h2><?php printf(esc_html__('%d entries', 'wicket-integration'), $total); ?></h2>
+
+                <?php if (empty($rows)): ?>
+                    <p><?php esc_html_e('No activity matches these filters.', 'wicket-integration'); ?></p>
+                <?php else: ?>
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Date', 'wicket-integration'); ?></th>
+                            <th><?php esc_html_e('Actor', 'wicket-integration'); ?></th>
+                            <th><?php esc_html_e('Organization', 'wicket-integration'); ?></th>
+                            <th><?php esc_html_e('Action', 'wicket-integration'); ?></th>
+                            <th><?php esc_html_e('Person', 'wicket-integration'); ?></th>
+                            <th><?php esc_html_e('Details', 'wicket-integration'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($rows as $row): ?>
+                        <tr>
+                            <td><?php echo esc_html(mysql2date(get_option('date_format') . ' ' . get_option('time_format'), $row['created_at'])); ?></td>
+                            <td>
+                                <?php echo esc_html($row['actor_name'] ?: '—'); ?>
+                                <?php if ($row['actor_email']): ?>
+                                    <br><span style="color:#666;"><?php echo esc_html($row['actor_email']); ?></span>
+                                <?php endif; ?>
+                            </td>
+                            <td>
+                                <?php echo esc_html($row['org_name'] ?: '—'); ?>
+                                <br><code><?php echo esc_html($row['org_uuid']); ?></code>
+                            </td>
+                            <td><?php echo esc_html(MyIES_Audit_Log::action_label($row['action'])); ?></td>
+                            <td>
+                                <?php echo esc_html($row['target_name'] ?: '—'); ?>
+                                <?php if ($row['target_uuid']): ?>
+                                    <br><code><?php echo esc_html($row['target_uuid']); ?></code>
+                                <?php endif; ?>
+                            </td>
+                            <td><?php echo esc_html($this->format_details($row['details'])); ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <?php if ($pages > 1): ?>
+                <div class="tablenav"><div class="tablenav-pages">
+                    <?php
+                    echo paginate_links([
+                        'base'    => add_query_arg('paged', '%#%'),
+                        'format'  => '',
+                        'current' => $paged,
+                        'total'   => $pages,
+                    ]);
+                    ?>
+                </div></div>
+                <?php endif; ?>
+                <?php endif; ?>
+            </div>
+        </div>
+        <?php
+    }
+}
+
+new MyIES_Audit_Log_Page();
@@ -0,0 +1,133 @@
+<?php
+/**
+ * MyIES Notifications — Admin Page
+ *
+ * Settings for the roster and seat change emails sent to primary contacts:
+ * on/off, immediate or daily digest, whether the affected person is also
+ * emailed, and the message templates.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.19
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Notifications_Page {
+
+    /**
+     * Save the submitted settings. Blank template fields fall back to the
+     * default text.
+     */
+    private function save() {
+        update_option('myies_notifications_enabled', isset($_POST['myies_notifications_enabled']) ? 1 : 0);
+        update_option('myies_notifications_notify_person', isset($_POST['myies_notifications_notify_person']) ? 1 : 0);
+
+        $mode = sanitize_key($_POST['myies_notifications_mode'] ?? '');
+        update_option('myies_notifications_mode', $mode === MyIES_Notifications::MODE_DIGEST ? MyIES_Notifications::MODE_DIGEST : MyIES_Notifications::MODE_IMMEDIATE);
+
+        $posted    = isset($_POST['templates']) ? wp_unslash($_POST['templates']) : [];
+        $templates = [];
+        foreach (MyIES_Notifications::default_templates() as $id => $default) {
+            $subject = sanitize_text_field($posted[$id]['subject'] ?? '');
+            $body    = str_replace("\r\n", "\n", sanitize_textarea_field($posted[$id]['body'] ?? ''));
+
+            // Only store edits, so improved defaults reach untouched templates
+            $templates[$id] = [
+                'subject' => $subject === $default['subject'] ? '' : $subject,
+                'body'    => $body === $default['body'] ? '' : $body,
+            ];
+        }
+        update_option('myies_notification_templates', $templates);
+    }
+
+    /**
+     * Render the admin page.
+     */
+    public function render_page() {
+        if (isset($_POST['myies_notifications_submit']) && current_user_can('manage_options')) {
+            check_admin_referer('myies_save_notifications', 'myies_notifications_nonce');
+            $this->save();
+            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Notification settings saved!', 'wicket-integration') . '</p></div>';
+        }
+
+        $mode     = MyIES_Notifications::get_mode();
+        $next_run = wp_next_scheduled(MyIES_Notifications::DIGEST_HOOK);
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Notifications', 'wicket-integration'); ?></h1>
+            <p><?php esc_html_e('Emails sent to an organization\'s primary contacts when people are added to or removed from the roster, or gain or lose a membership seat. Contacts can turn them off on the Activity tab of the Organization Management page.', 'wicket-integration'); ?></p>
+
+            <form method="post" action="">
+                <?php wp_nonce_field('myies_save_notifications', 'myies_notifications_nonce'); ?>
+
+                <table class="form-table">
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Enable Notifications', 'wicket-integration'); ?></th>
+                        <td>
+                            <input type="checkbox" name="myies_notifications_enabled" value="1" <?php checked(MyIES_Notifications::is_enabled()); ?> />
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Primary Contacts', 'wicket-integration'); ?></th>
+                        <td>
+                            <label>
+                                <input type="radio" name="myies_notifications_mode" value="<?php echo esc_attr(MyIES_Notifications::MODE_IMMEDIATE); ?>" <?php checked($mode, MyIES_Notifications::MODE_IMMEDIATE); ?> />
+                                <?php esc_html_e('Email changes as they happen (changes made together are sent as one email)', 'wicket-integration'); ?>
+                            </label><br>
+                            <label>
+                                <input type="radio" name="myies_notifications_mode" value="<?php echo esc_attr(MyIES_Notifications::MODE_DIGEST); ?>" <?php checked($mode, MyIES_Notifications::MODE_DIGEST); ?> />
+                                <?php esc_html_e('Send one daily digest per organization', 'wicket-integration'); ?>
+                            </label>
+                            <?php if ($next_run): ?>
+                                <p class="description">
+                                    <?php printf(
+                                        esc_html__('Next digest run: %s', 'wicket-integration'),
+                                        esc_html(get_date_from_gmt(gmdate('Y-m-d H:i:s', $next_run), get_option('date_format') . ' ' . get_option('time_format')))
+                                    ); ?>
+                                </p>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Affected Person', 'wicket-integration'); ?></th>
+                        <td>
+                            <label>
+                                <input type="checkbox" name="myies_notifications_notify_person" value="1" <?php checked(MyIES_Notifications::notifies_person()); ?> />
+                                <?php esc_html_e('Also email the person who was added, removed or given a seat (always sent right away)', 'wicket-integration'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                </table>
+
+                <h2><?php esc_html_e('Templates', 'wicket-integration'); ?></h2>
+                <p><?php esc_html_e('Clear a field to go back to the default text. Available placeholders:', 'wicket-integration'); ?></p>
+                <ul style="list-style: disc; margin-left: 20px;">
+                    <?php foreach (MyIES_Notifications::placeholders() as $placeholder => $description): ?>
+                        <li><code><?php echo esc_html($placeholder); ?></code> — <?php echo esc_html($description); ?></li>
+                    <?php endforeach; ?>
+                </ul>
+
+                <table class="form-table">
+                    <?php foreach (MyIES_Notifications::default_templates() as $id => $default):
+                        $template = MyIES_Notifications::get_template($id);
+                    ?>
+                    <tr>
+                        <th scope="row"><?php echo esc_html($default['label']); ?></th>
+                        <td>
+                            <input type="text" name="templates[<?php echo esc_attr($id); ?>][subject]" value="<?php echo esc_attr($template['subject']); ?>" class="large-text" aria-label="<?php esc_attr_e('Subject', 'wicket-integration'); ?>" />
+                            <textarea name="templates[<?php echo esc_attr($id); ?>][body]" rows="6" class="large-text" aria-label="<?php esc_attr_e('Message', 'wicket-integration'); ?>"><?php echo esc_textarea($template['body']); ?></textarea>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </table>
+
+                <p class="submit">
+                    <input type="submit" name="myies_notifications_submit" class="button-primary" value="<?php esc_attr_e('Save Settings', 'wicket-integration'); ?>" />
+                </p>
+            </form>
+        </div>
+        <?php
+    }
+}
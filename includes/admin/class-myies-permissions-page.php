@@ -0,0 +1,82 @@
+<?php
+/**
+ * MyIES Permissions — Admin Page
+ *
+ * Matrix of organization connection types against what they may do on
+ * the Organization Management and Seat Management pages.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.20
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Permissions_Page {
+
+    /**
+     * Render the admin page.
+     */
+    public function render_page() {
+        if (isset($_POST['myies_permissions_submit']) && current_user_can('manage_options')) {
+            check_admin_referer('myies_save_permissions', 'myies_permissions_nonce');
+            MyIES_Permissions::save_matrix(isset($_POST['permissions']) ? wp_unslash($_POST['permissions']) : []);
+            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Permissions saved!', 'wicket-integration') . '</p></div>';
+        }
+
+        if (isset($_POST['myies_permissions_reset']) && current_user_can('manage_options')) {
+            check_admin_referer('myies_save_permissions', 'myies_permissions_nonce');
+            delete_option(MyIES_Permissions::OPTION);
+            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Permissions reset to the defaults.', 'wicket-integration') . '</p></div>';
+        }
+
+        $capabilities = MyIES_Permissions::capabilities();
+        $matrix       = MyIES_Permissions::get_matrix();
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Permissions', 'wicket-integration'); ?></h1>
+            <p><?php esc_html_e('Choose what people can do on the Organization Management and Seat Management pages, based on how they are connected to their organization. Editing the roster or the organization details also allows viewing the roster. People who cannot manage seats can still request one.', 'wicket-integration'); ?></p>
+
+            <form method="post" action="">
+                <?php wp_nonce_field('myies_save_permissions', 'myies_permissions_nonce'); ?>
+
+                <table class="widefat striped" style="max-width: 800px;">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e('Connection Type', 'wicket-integration'); ?></th>
+                            <?php foreach ($capabilities as $label): ?>
+                                <th scope="col" style="text-align: center;"><?php echo esc_html($label); ?></th>
+                            <?php endforeach; ?>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach (MyIES_Permissions::connection_types() as $type => $type_label): ?>
+                        <tr>
+                            <th scope="row">
+                                <?php echo esc_html($type_label); ?><br>
+                                <code><?php echo esc_html($type); ?></code>
+                            </th>
+                            <?php foreach ($capabilities as $cap => $label): ?>
+                                <td style="text-align: center;">
+                                    <input type="checkbox"
+                                           name="permissions[<?php echo esc_attr($type); ?>][]"
+                                           value="<?php echo esc_attr($cap); ?>"
+                                           aria-label="<?php echo esc_attr($type_label . ': ' . $label); ?>"
+                                           <?php checked(in_array($cap, $matrix[$type], true)); ?> />
+                                </td>
+                            <?php endforeach; ?>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <p class="submit">
+                    <input type="submit" name="myies_permissions_submit" class="button-primary" value="<?php esc_attr_e('Save Permissions', 'wicket-integration'); ?>" />
+                    <input type="submit" name="myies_permissions_reset" class="button" value="<?php esc_attr_e('Reset to Defaults', 'wicket-integration'); ?>" />
+                </p>
+            </form>
+        </div>
+        <?php
+    }
+}
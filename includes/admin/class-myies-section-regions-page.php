@@ -0,0 +1,118 @@
+<?php
+/**
+ * MyIES Section Regions — Admin Page
+ *
+ * Which places each section covers: cities, states/provinces or countries
+ * and postal code prefixes. Used to suggest sections to members in the
+ * Change Section modal.
+ *
+ * Option: myies_section_region_map (section UUID => regions, postal_prefixes)
+ *
+ * @package MyIES_Integration
+ * @since 1.0.20
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Section_Regions_Page {
+
+    /**
+     * Split a comma- or newline-separated field into a unique list.
+     */
+    private function split_list($value) {
+        $items = array_map('trim', preg_split('/[,\n]+/', (string) $value));
+        return array_values(array_unique(array_filter($items, 'strlen')));
+    }
+
+    /**
+     * Save the submitted mapping. Sections with nothing entered are dropped.
+     */
+    private function save() {
+        $posted = isset($_POST['regions']) ? wp_unslash($_POST['regions']) : [];
+        $map    = [];
+
+        foreach ($posted as $section_uuid => $fields) {
+            $regions  = $this->split_list(sanitize_textarea_field($fields['regions'] ?? ''));
+            $prefixes = array_values(array_unique(array_filter(array_map(
+                ['Wicket_Section_Functions', 'normalize_postal_code'],
+                $this->split_list(sanitize_textarea_field($fields['postal_prefixes'] ?? ''))
+            ), 'strlen')));
+
+            if ($regions || $prefixes) {
+                $map[sanitize_text_field($section_uuid)] = [
+                    'regions'         => $regions,
+                    'postal_prefixes' => $prefixes,
+                ];
+            }
+        }
+
+        update_option('myies_section_region_map', $map, false);
+    }
+
+    /**
+     * Render the admin page.
+     */
+    public function render_page() {
+        if (isset($_POST['myies_section_regions_submit']) && current_user_can('manage_options')) {
+            check_admin_referer('myies_save_section_regions', 'myies_section_regions_nonce');
+            $this->save();
+            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Section regions saved!', 'wicket-integration') . '</p></div>';
+        }
+
+        $sections = wicket_section()->get_all_sections();
+        $map      = wicket_section()->get_region_map();
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Section Regions', 'wicket-integration'); ?></h1>
+            <p><?php esc_html_e('When members open the Change Section window, sections covering their address are suggested first. A postal code prefix match ranks highest, then a matching city, state or province, then country.', 'wicket-integration'); ?></p>
+            <p><?php esc_html_e('Separate entries with commas. Write places the way they appear in member addresses (e.g. "Toronto", "Ontario", "CA"). Postal code prefixes ignore spaces and case (e.g. "M5", "H3A", "902").', 'wicket-integration'); ?></p>
+
+            <?php if (empty($sections)): ?>
+                <p><em><?php esc_html_e('No sections found. Run an organization sync first.', 'wicket-integration'); ?></em></p>
+            <?php else: ?>
+            <form method="post" action="">
+                <?php wp_nonce_field('myies_save_section_regions', 'myies_section_regions_nonce'); ?>
+
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th scope="col" style="width: 30%;"><?php esc_html_e('Section', 'wicket-integration'); ?></th>
+                            <th scope="col"><?php esc_html_e('Cities, States / Provinces, Countries', 'wicket-integration'); ?></th>
+                            <th scope="col" style="width: 25%;"><?php esc_html_e('Postal Code Prefixes', 'wicket-integration'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($sections as $section):
+                            $uuid  = $section['wicket_uuid'];
+                            $rules = $map[$uuid] ?? ['regions' => [], 'postal_prefixes' => []];
+                        ?>
+                        <tr>
+                            <th scope="row"><?php echo esc_html($section['legal_name']); ?></th>
+                            <td>
+                                <input type="text" class="large-text"
+                                       name="regions[<?php echo esc_attr($uuid); ?>][regions]"
+                                       value="<?php echo esc_attr(implode(', ', $rules['regions'])); ?>"
+                                       aria-label="<?php echo esc_attr(sprintf(__('Regions for %s', 'wicket-integration'), $section['legal_name'])); ?>" />
+                            </td>
+                            <td>
+                                <input type="text" class="large-text"
+                                       name="regions[<?php echo esc_attr($uuid); ?>][postal_prefixes]"
+                                       value="<?php echo esc_attr(implode(', ', $rules['postal_prefixes'])); ?>"
+                                       aria-label="<?php echo esc_attr(sprintf(__('Postal code prefixes for %s', 'wicket-integration'), $section['legal_name'])); ?>" />
+                            </td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <p class="submit">
+                    <input type="submit" name="myies_section_regions_submit" class="button-primary" value="<?php esc_attr_e('Save Section Regions', 'wicket-integration'); ?>" />
+                </p>
+            </form>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+}
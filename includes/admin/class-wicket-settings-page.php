@@ -78,6 +78,46 @@ function myies_admin_menu() {
         'myies_uuid_audit_page'
     );
 
+    // Activity Log submenu
+    add_submenu_page(
+        'myies-controls',
+        __('Activity Log', 'wicket-integration'),
+        __('Activity Log', 'wicket-integration'),
+        'manage_options',
+        'myies-activity-log',
+        'myies_activity_log_page'
+    );
+
+    // Notifications submenu
+    add_submenu_page(
+        'myies-controls',
+        __('Notifications', 'wicket-integration'),
+        __('Notifications', 'wicket-integration'),
+        'manage_options',
+        'myies-notifications',
+        'myies_notifications_page'
+    );
+
+    // Permissions submenu
+    add_submenu_page(
+        'myies-controls',
+        __('Permissions', 'wicket-integration'),
+        __('Permissions', 'wicket-integration'),
+        'manage_options',
+        'myies-permissions',
+        'myies_permissions_page'
+    );
+
+    // Section Regions submenu
+    add_submenu_page(
+        'myies-controls',
+        __('Section Regions', 'wicket-integration'),
+        __('Section Regions', 'wicket-integration'),
+        'manage_options',
+        'myies-section-regions',
+        'myies_section_regions_page'
+    );
+
     // Updates submenu
     add_submenu_page(
         'myies-controls',
@@ -100,6 +140,46 @@ function myies_uuid_audit_page() {
     }
 }
 
+/**
+ * Activity Log page callback
+ */
+function myies_activity_log_page() {
+    if (class_exists('MyIES_Audit_Log_Page')) {
+        $page = new MyIES_Audit_Log_Page();
+        $page->render_page();
+    }
+}
+
+/**
+ * Notifications page callback
+ */
+function myies_notifications_page() {
+    if (class_exists('MyIES_Notifications_Page')) {
+        $page = new MyIES_Notifications_Page();
+        $page->render_page();
+    }
+}
+
+/**
+ * Permissions page callback
+ */
+function myies_permissions_page() {
+    if (class_exists('MyIES_Permissions_Page')) {
+        $page = new MyIES_Permissions_Page();
+        $page->render_page();
+    }
+}
+
+/**
+ * Section Regions page callback
+ */
+function myies_section_regions_page() {
+    if (class_exists('MyIES_Section_Regions_Page')) {
+        $page = new MyIES_Section_Regions_Page();
+        $page->render_page();
+    }
+}
+
 /**
  * API Configuration page callback
  */
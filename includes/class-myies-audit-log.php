@@ -0,0 +1,361 @@
+<?php
+/**
+ * MyIES Audit Log
+ *
+ * Structured record of seat and roster changes made through the seat
+ * management and org management shortcodes: who did what, to whom, for
+ * which organization and when.
+ *
+ * Table: {prefix}myies_audit_log
+ *
+ * Every entry also fires the `myies_audit_log_entry` action.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.19
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Audit_Log {
+
+    // Seat actions
+    const SEAT_ASSIGNED         = 'seat_assigned';
+    const SEAT_REMOVED          = 'seat_removed';
+    const SEAT_END_DATE_CHANGED = 'seat_end_date_changed';
+    const SEAT_TRANSFERRED      = 'seat_transferred';
+    const SEAT_REQUEST_APPROVED = 'seat_request_approved';
+    const SEAT_REQUEST_DECLINED = 'seat_request_declined';
+    const SEAT_AUTO_ASSIGN_SET  = 'seat_auto_assign_set';
+
+    // Roster actions
+    const MEMBER_ADDED        = 'member_added';
+    const MEMBER_CREATED      = 'member_created';
+    const MEMBER_REMOVED      = 'member_removed';
+    const MEMBER_ROLE_CHANGED = 'member_role_changed';
+    const MEMBER_REINSTATED   = 'member_reinstated';
+
+    // Organization actions (listed with the roster)
+    const ORG_DETAILS_UPDATED = 'org_details_updated';
+
+    private static $instance = null;
+    private $table_name;
+    private $table_checked = false;
+
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    private function __construct() {
+        global $wpdb;
+        $this->table_name = $wpdb->prefix . 'myies_audit_log';
+    }
+
+    // =========================================================================
+    // TABLE
+    // =========================================================================
+
+    public function create_table() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE {$this->table_name} (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            created_at datetime NOT NULL,
+            actor_user_id bigint(20) UNSIGNED DEFAULT NULL,
+            actor_name varchar(255) DEFAULT NULL,
+            actor_email varchar(255) DEFAULT NULL,
+            org_uuid varchar(36) NOT NULL,
+            org_name varchar(255) DEFAULT NULL,
+            action varchar(50) NOT NULL,
+            target_uuid varchar(36) DEFAULT NULL,
+            target_name varchar(255) DEFAULT NULL,
+            details longtext,
+            PRIMARY KEY  (id),
+            KEY org_created (org_uuid, created_at),
+            KEY action (action),
+            KEY actor_user_id (actor_user_id),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        return $this->table_exists();
+    }
+
+    public function table_exists() {
+        global $wpdb;
+        return $wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") === $this->table_name;
+    }
+
+    private function ensure_table() {
+        if ($this->table_checked) {
+            return;
+        }
+        if (!$this->table_exists()) {
+            $this->create_table();
+        }
+        $this->table_checked = true;
+    }
+
+    // =========================================================================
+    // WRITING
+    // =========================================================================
+
+    /**
+     * Record an action taken by the current user.
+     *
+     * @param string $action   One of the class constants.
+     * @param string $org_uuid Organization the change applies to.
+     * @param array  $args     {
+     *     @type string $org_name    Organization name at the time of the change.
+     *     @type string $target_uuid Person UUID the change applies to.
+     *     @type string $target_name Person name; looked up locally when omitted.
+     *     @type array  $details     Extra context (membership UUIDs, dates, source...).
+     * }
+     * @return int|false Entry ID, or false on failure.
+     */
+    public static function log($action, $org_uuid, array $args = []) {
+        $log = self::get_instance();
+        $log->ensure_table();
+
+        $user = wp_get_current_user();
+
+        $target_uuid = $args['target_uuid'] ?? '';
+        $target_name = $args['target_name'] ?? '';
+        if ($target_name === '' && $target_uuid !== '') {
+            $target_name = self::person_name($target_uuid);
+        }
+
+        $entry = [
+            'created_at'    => current_time('mysql'),
+            'actor_user_id' => $user->ID ?: null,
+            'actor_name'    => $user->ID ? (trim($user->first_name . ' ' . $user->last_name) ?: $user->display_name) : '',
+            'actor_email'   => $user->ID ? $user->user_email : '',
+            'org_uuid'      => $org_uuid,
+            'org_name'      => $args['org_name'] ?? '',
+            'action'        => $action,
+            'target_uuid'   => $target_uuid,
+            'target_name'   => $target_name,
+            'details'       => !empty($args['details']) ? wp_json_encode($args['details']) : '',
+        ];
+
+        global $wpdb;
+        $inserted = $wpdb->insert($log->table_name, $entry);
+
+        if (!$inserted) {
+            error_log('[MyIES Audit] Failed to record ' . $action . ' for org ' . $org_uuid . ': ' . $wpdb->last_error);
+            return false;
+        }
+
+        $entry['id'] = (int) $wpdb->insert_id;
+
+        /**
+         * Fires after an audit log entry is recorded.
+         *
+         * @param array $entry The stored entry (details still JSON-encoded).
+         */
+        do_action('myies_audit_log_entry', $entry);
+
+        return $entry['id'];
+    }
+
+    /**
+     * Name of the WordPress user linked to a Wicket person, if any.
+     */
+    private static function person_name($person_uuid) {
+        $users = get_users([
+            'meta_key'   => 'wicket_person_uuid',
+            'meta_value' => $person_uuid,
+            'number'     => 1,
+            'fields'     => ['ID', 'display_name'],
+        ]);
+
+        if (empty($users)) {
+            return '';
+        }
+
+        $first = get_user_meta($users[0]->ID, 'first_name', true);
+        $last  = get_user_meta($users[0]->ID, 'last_name', true);
+        return trim($first . ' ' . $last) ?: $users[0]->display_name;
+    }
+
+    // =========================================================================
+    // READING
+    // =========================================================================
+
+    /**
+     * Human-readable label for an action.
+     */
+    public static function action_label($action) {
+        $labels = self::action_labels();
+        return $labels[$action] ?? $action;
+    }
+
+    public static function action_labels() {
+        return [
+            self::SEAT_ASSIGNED         => __('Seat assigned', 'wicket-integration'),
+            self::SEAT_REMOVED          => __('Seat removed', 'wicket-integration'),
+            self::SEAT_END_DATE_CHANGED => __('Seat end date changed', 'wicket-integration'),
+            self::SEAT_TRANSFERRED      => __('Seat transferred', 'wicket-integration'),
+            self::SEAT_REQUEST_APPROVED => __('Seat request approved', 'wicket-integration'),
+            self::SEAT_REQUEST_DECLINED => __('Seat request declined', 'wicket-integration'),
+            self::SEAT_AUTO_ASSIGN_SET  => __('Automatic seat assignment changed', 'wicket-integration'),
+            self::MEMBER_ADDED          => __('Member added', 'wicket-integration'),
+            self::MEMBER_CREATED        => __('Member created and added', 'wicket-integration'),
+            self::MEMBER_REMOVED        => __('Member removed', 'wicket-integration'),
+            self::MEMBER_ROLE_CHANGED   => __('Member role changed', 'wicket-integration'),
+            self::MEMBER_REINSTATED     => __('Member reinstated', 'wicket-integration'),
+            self::ORG_DETAILS_UPDATED   => __('Organization details updated', 'wicket-integration'),
+        ];
+    }
+
+    /**
+     * Build the WHERE clause for a set of filters.
+     *
+     * @param array $filters org_uuid, org (name/UUID search), action, actions (list), category ('seat'|'roster'),
+     *                       actor (name/email search), target (name/UUID search), date_from, date_to (Y-m-d),
+     *                       since (Y-m-d H:i:s, exclusive).
+     */
+    private function build_where(array $filters) {
+        global $wpdb;
+
+        $where = ['1=1'];
+
+        if (!empty($filters['org_uuid'])) {
+            $where[] = $wpdb->prepare('org_uuid = %s', $filters['org_uuid']);
+        }
+        if (!empty($filters['org'])) {
+            $like    = '%' . $wpdb->esc_like($filters['org']) . '%';
+            $where[] = $wpdb->prepare('(org_name LIKE %s OR org_uuid LIKE %s)', $like, $like);
+        }
+        if (!empty($filters['action'])) {
+            $where[] = $wpdb->prepare('action = %s', $filters['action']);
+        }
+        if (!empty($filters['actions'])) {
+            $placeholders = implode(', ', array_fill(0, count($filters['actions']), '%s'));
+            $where[]      = $wpdb->prepare("action IN ($placeholders)", $filters['actions']);
+        }
+        if (!empty($filters['category'])) {
+            if ($filters['category'] === 'seat') {
+                $where[] = $wpdb->prepare('action LIKE %s', 'seat\_%');
+            } else {
+                $where[] = $wpdb->prepare('(action LIKE %s OR action LIKE %s)', 'member\_%', 'org\_%');
+            }
+        }
+        if (!empty($filters['actor'])) {
+            $like    = '%' . $wpdb->esc_like($filters['actor']) . '%';
+            $where[] = $wpdb->prepare('(actor_name LIKE %s OR actor_email LIKE %s)', $like, $like);
+        }
+        if (!empty($filters['target'])) {
+            $like    = '%' . $wpdb->esc_like($filters['target']) . '%';
+            $where[] = $wpdb->prepare('(target_name LIKE %s OR target_uuid LIKE %s)', $like, $like);
+        }
+        if (!empty($filters['date_from'])) {
+            $where[] = $wpdb->prepare('created_at >= %s', $filters['date_from'] . ' 00:00:00');
+        }
+        if (!empty($filters['date_to'])) {
+            $where[] = $wpdb->prepare('created_at <= %s', $filters['date_to'] . ' 23:59:59');
+        }
+        if (!empty($filters['since'])) {
+            $where[] = $wpdb->prepare('created_at > %s', $filters['since']);
+        }
+
+        return implode(' AND ', $where);
+    }
+
+    /**
+     * Entries matching the filters, newest first.
+     *
+     * @param array $filters See build_where().
+     * @param int   $limit   0 for no limit.
+     * @param int   $offset
+     */
+    public function query(array $filters = [], $limit = 50, $offset = 0) {
+        global $wpdb;
+        $this->ensure_table();
+
+        $sql = "SELECT * FROM {$this->table_name} WHERE " . $this->build_where($filters) . ' ORDER BY created_at DESC, id DESC';
+        if ($limit > 0) {
+            $sql .= $wpdb->prepare(' LIMIT %d OFFSET %d', $limit, $offset);
+        }
+
+        $rows = $wpdb->get_results($sql, ARRAY_A);
+        foreach ($rows as &$row) {
+            $row['details'] = $row['details'] ? json_decode($row['details'], true) : [];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * A single entry by ID, with details decoded.
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public function get_entry($id) {
+        global $wpdb;
+        $this->ensure_table();
+
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$this->table_name} WHERE id = %d", $id), ARRAY_A);
+        if ($row) {
+            $row['details'] = $row['details'] ? json_decode($row['details'], true) : [];
+        }
+
+        return $row;
+    }
+
+    public function count(array $filters = []) {
+        global $wpdb;
+        $this->ensure_table();
+
+        return (int) $wpdb->get_var("SELECT COUNT(*) FROM {$this->table_name} WHERE " . $this->build_where($filters));
+    }
+
+    /**
+     * Entries for the frontend "Activity" tabs: only what a primary contact
+     * needs to see, with labels and ISO dates.
+     *
+     * @param string $org_uuid
+     * @param string $category 'seat' or 'roster'.
+     * @param int    $page
+     * @param int    $per_page
+     * @return array { entries, total, page, per_page }
+     */
+    public function get_activity($org_uuid, $category, $page = 1, $per_page = 20) {
+        $filters = [
+            'org_uuid' => $org_uuid,
+            'category' => $category,
+        ];
+
+        $entries = [];
+        foreach ($this->query($filters, $per_page, ($page - 1) * $per_page) as $row) {
+            $entries[] = [
+                'created_at'   => mysql2date('c', $row['created_at']),
+                'action'       => $row['action'],
+                'action_label' => self::action_label($row['action']),
+                'actor_name'   => $row['actor_name'],
+                'target_name'  => $row['target_name'] ?: $row['target_uuid'],
+                'details'      => $row['details'],
+            ];
+        }
+
+        return [
+            'entries'  => $entries,
+            'total'    => $this->count($filters),
+            'page'     => $page,
+            'per_page' => $per_page,
+        ];
+    }
+}
+
+function myies_audit_log() {
+    return MyIES_Audit_Log::get_instance();
+}
@@ -0,0 +1,544 @@
+<?php
+/**
+ * MyIES Notifications
+ *
+ * Emails an organization's primary contacts (and optionally the person
+ * affected) when people are added to or removed from the roster, or gain
+ * or lose a membership seat. Built on the audit log: every relevant
+ * `myies_audit_log_entry` becomes a notification.
+ *
+ * Contacts get an email shortly after a change (changes one person makes
+ * together, like a bulk remove or a CSV import, are grouped into a single
+ * email), or a single daily digest when digest mode is on. Messages come from templates editable under
+ * MyIES Controls → Notifications, and each contact can opt out from
+ * the Organization Management page.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.19
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Notifications {
+
+    const MODE_IMMEDIATE = 'immediate';
+    const MODE_DIGEST    = 'digest';
+
+    const SEND_HOOK   = 'myies_notifications_send';
+    const BATCH_HOOK  = 'myies_notifications_send_batch';
+    const DIGEST_HOOK = 'myies_notifications_daily_digest';
+
+    // Seconds to wait for more changes by the same person before emailing contacts
+    const BATCH_WINDOW = 60;
+
+    // Option prefix for the entry IDs waiting in a batch
+    const BATCH_OPTION = 'myies_notifications_batch_';
+
+    // User meta set when a contact turns notifications off
+    const OPT_OUT_META = 'myies_notifications_opt_out';
+
+    private static $instance = null;
+
+    // Primary contacts per organization, cached for the request
+    private $contacts = [];
+
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    private function __construct() {
+        add_action('myies_audit_log_entry', [$this, 'handle_entry']);
+        add_action(self::SEND_HOOK, [$this, 'send_entry']);
+        add_action(self::BATCH_HOOK, [$this, 'send_batch']);
+        add_action(self::DIGEST_HOOK, [$this, 'send_digests']);
+        add_action('init', [$this, 'schedule_cron']);
+    }
+
+    // =========================================================================
+    // SETTINGS
+    // =========================================================================
+
+    public static function is_enabled() {
+        return (bool) get_option('myies_notifications_enabled', 1);
+    }
+
+    public static function get_mode() {
+        return get_option('myies_notifications_mode', self::MODE_IMMEDIATE) === self::MODE_DIGEST
+            ? self::MODE_DIGEST
+            : self::MODE_IMMEDIATE;
+    }
+
+    public static function notifies_person() {
+        return (bool) get_option('myies_notifications_notify_person', 0);
+    }
+
+    /**
+     * Which event each audit action notifies about. Role and end date
+     * changes are not notified.
+     */
+    public static function action_events() {
+        return [
+            MyIES_Audit_Log::MEMBER_ADDED      => 'member_added',
+            MyIES_Audit_Log::MEMBER_CREATED    => 'member_added',
+            MyIES_Audit_Log::MEMBER_REINSTATED => 'member_added',
+            MyIES_Audit_Log::MEMBER_REMOVED    => 'member_removed',
+            MyIES_Audit_Log::SEAT_ASSIGNED     => 'seat_assigned',
+            MyIES_Audit_Log::SEAT_REMOVED      => 'seat_removed',
+            MyIES_Audit_Log::SEAT_TRANSFERRED  => 'seat_transferred',
+        ];
+    }
+
+    /**
+     * Default templates, keyed by template ID. `contact_*` go to primary
+     * contacts, `person_*` to the person affected, `digest` is the daily
+     * summary.
+     *
+     * @return array[] { label, subject, body }
+     */
+    public static function default_templates() {
+        $contact_body = __("Hello {recipient_name},\n\n%s\n\nYou are receiving this because you are a primary contact for {org_name}.", 'wicket-integration');
+
+        return [
+            'contact_member_added' => [
+                'label'   => __('Contacts: person added', 'wicket-integration'),
+                'subject' => __('{person_name} was added to {org_name}', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __('{actor_name} added {person_name} to {org_name} on {date}.', 'wicket-integration')),
+            ],
+            'contact_member_removed' => [
+                'label'   => __('Contacts: person removed', 'wicket-integration'),
+                'subject' => __('{person_name} was removed from {org_name}', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __('{actor_name} removed {person_name} from {org_name} on {date}.', 'wicket-integration')),
+            ],
+            'contact_seat_assigned' => [
+                'label'   => __('Contacts: seat assigned', 'wicket-integration'),
+                'subject' => __('{person_name} was given a membership seat', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __('{actor_name} gave {person_name} a membership seat with {org_name} on {date}.', 'wicket-integration')),
+            ],
+            'contact_seat_removed' => [
+                'label'   => __('Contacts: seat removed', 'wicket-integration'),
+                'subject' => __('{person_name} no longer holds a membership seat', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __('{actor_name} removed the membership seat held by {person_name} with {org_name} on {date}.', 'wicket-integration')),
+            ],
+            'contact_seat_transferred' => [
+                'label'   => __('Contacts: seat transferred', 'wicket-integration'),
+                'subject' => __('A membership seat was transferred to {person_name}', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __('{actor_name} transferred the membership seat held by {from_name} to {person_name} on {date}.', 'wicket-integration')),
+            ],
+            'contact_batch' => [
+                'label'   => __('Contacts: several changes at once', 'wicket-integration'),
+                'subject' => __('{actor_name} made changes to {org_name}', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __("{actor_name} made these changes to {org_name}:\n\n{changes}", 'wicket-integration')),
+            ],
+            'digest' => [
+                'label'   => __('Contacts: daily digest', 'wicket-integration'),
+                'subject' => __('Roster and seat changes at {org_name}', 'wicket-integration'),
+                'body'    => sprintf($contact_body, __("These changes were made to {org_name} since the last summary:\n\n{changes}", 'wicket-integration')),
+            ],
+            'person_member_added' => [
+                'label'   => __('Person: added to organization', 'wicket-integration'),
+                'subject' => __('You were added to {org_name}', 'wicket-integration'),
+                'body'    => __("Hello {person_name},\n\n{actor_name} added you to {org_name} on {date}.", 'wicket-integration'),
+            ],
+            'person_member_removed' => [
+                'label'   => __('Person: removed from organization', 'wicket-integration'),
+                'subject' => __('You were removed from {org_name}', 'wicket-integration'),
+                'body'    => __("Hello {person_name},\n\n{actor_name} removed you from {org_name} on {date}. If you think this is a mistake, please contact them.", 'wicket-integration'),
+            ],
+            'person_seat_assigned' => [
+                'label'   => __('Person: seat assigned', 'wicket-integration'),
+                'subject' => __('You have a membership seat with {org_name}', 'wicket-integration'),
+                'body'    => __("Hello {person_name},\n\n{actor_name} gave you a membership seat with {org_name} on {date}. Your membership benefits are now active.", 'wicket-integration'),
+            ],
+            'person_seat_removed' => [
+                'label'   => __('Person: seat removed', 'wicket-integration'),
+                'subject' => __('Your membership seat with {org_name} was removed', 'wicket-integration'),
+                'body'    => __("Hello {person_name},\n\n{actor_name} removed your membership seat with {org_name} on {date}.", 'wicket-integration'),
+            ],
+        ];
+    }
+
+    /**
+     * Placeholders available in templates, with descriptions.
+     */
+    public static function placeholders() {
+        return [
+            '{recipient_name}' => __('Name of the primary contact receiving the email', 'wicket-integration'),
+            '{person_name}'    => __('Person who was added, removed or given a seat', 'wicket-integration'),
+            '{from_name}'      => __('Previous seat holder (transfers only)', 'wicket-integration'),
+            '{actor_name}'     => __('Who made the change', 'wicket-integration'),
+            '{org_name}'       => __('Organization name', 'wicket-integration'),
+            '{date}'           => __('Date of the change', 'wicket-integration'),
+            '{changes}'        => __('List of changes (digest and several changes at once only)', 'wicket-integration'),
+            '{site_name}'      => __('Site name', 'wicket-integration'),
+        ];
+    }
+
+    /**
+     * A template with any saved edits applied.
+     *
+     * @param string $id Template ID.
+     * @return array { subject, body }
+     */
+    public static function get_template($id) {
+        $defaults = self::default_templates();
+        $saved    = get_option('myies_notification_templates', []);
+
+        return [
+            'subject' => !empty($saved[$id]['subject']) ? $saved[$id]['subject'] : $defaults[$id]['subject'],
+            'body'    => !empty($saved[$id]['body']) ? $saved[$id]['body'] : $defaults[$id]['body'],
+        ];
+    }
+
+    // =========================================================================
+    // OPT-OUT
+    // =========================================================================
+
+    public static function is_opted_out($user_id) {
+        return (bool) get_user_meta($user_id, self::OPT_OUT_META, true);
+    }
+
+    public static function set_opt_out($user_id, $opted_out) {
+        if ($opted_out) {
+            update_user_meta($user_id, self::OPT_OUT_META, 1);
+        } else {
+            delete_user_meta($user_id, self::OPT_OUT_META);
+        }
+    }
+
+    // =========================================================================
+    // IMMEDIATE NOTIFICATIONS
+    // =========================================================================
+
+    /**
+     * Audit log hook: queue the emails for a relevant entry. Sending runs
+     * in a cron event so roster and seat requests are not slowed down.
+     *
+     * Contact emails wait BATCH_WINDOW seconds so everything the same person
+     * changes in that time (e.g. every row of a bulk remove) goes out as one
+     * email per contact.
+     *
+     * @param array $entry The stored audit log entry.
+     */
+    public function handle_entry($entry) {
+        if (!self::is_enabled() || !isset(self::action_events()[$entry['action']])) {
+            return;
+        }
+
+        if (self::notifies_person()) {
+            wp_schedule_single_event(time(), self::SEND_HOOK, [(int) $entry['id']]);
+        }
+
+        if (self::get_mode() !== self::MODE_IMMEDIATE) {
+            return;
+        }
+
+        $batch = md5($entry['org_uuid'] . '|' . (int) $entry['actor_user_id']);
+        $ids   = get_option(self::BATCH_OPTION . $batch, []);
+        $ids[] = (int) $entry['id'];
+        update_option(self::BATCH_OPTION . $batch, $ids, false);
+
+        if (!wp_next_scheduled(self::BATCH_HOOK, [$batch])) {
+            wp_schedule_single_event(time() + self::BATCH_WINDOW, self::BATCH_HOOK, [$batch]);
+        }
+    }
+
+    /**
+     * Cron: email the person affected by one audit log entry.
+     *
+     * @param int $entry_id
+     */
+    public function send_entry($entry_id) {
+        $entry = myies_audit_log()->get_entry($entry_id);
+        if (!$entry || !isset(self::action_events()[$entry['action']]) || !self::notifies_person()) {
+            return;
+        }
+
+        $this->notify_people($entry, self::action_events()[$entry['action']], $this->entry_vars($entry));
+    }
+
+    /**
+     * Cron: email primary contacts about a batch of changes by one person.
+     * A single change uses its own template; several are listed in one
+     * email.
+     *
+     * @param string $batch Batch key from handle_entry().
+     */
+    public function send_batch($batch) {
+        $ids = get_option(self::BATCH_OPTION . $batch, []);
+        delete_option(self::BATCH_OPTION . $batch);
+
+        $entries = array_values(array_filter(array_map([myies_audit_log(), 'get_entry'], $ids), function ($entry) {
+            return $entry && isset(self::action_events()[$entry['action']]);
+        }));
+        if (!$entries || self::get_mode() !== self::MODE_IMMEDIATE) {
+            return;
+        }
+
+        $first = $entries[0];
+        if (count($entries) === 1) {
+            $template = self::get_template('contact_' . self::action_events()[$first['action']]);
+            $vars     = $this->entry_vars($first);
+        } else {
+            $template = self::get_template('contact_batch');
+            $vars     = array_merge($this->entry_vars($first), [
+                '{changes}' => implode("\n", array_map([$this, 'digest_line'], $entries)),
+            ]);
+        }
+
+        foreach ($this->get_recipients($first['org_uuid'], $first) as $contact) {
+            $this->send($contact['email'], $template, array_merge($vars, [
+                '{recipient_name}' => $contact['name'],
+            ]), true);
+        }
+    }
+
+    /**
+     * Email the person a change applies to; for a transfer, also the
+     * previous seat holder.
+     */
+    private function notify_people($entry, $event, $vars) {
+        $notices = [];
+
+        if ($event === 'seat_transferred') {
+            $notices[] = [$entry['target_uuid'], 'person_seat_assigned'];
+            $notices[] = [$entry['details']['from_person_uuid'] ?? '', 'person_seat_removed'];
+        } else {
+            $notices[] = [$entry['target_uuid'], 'person_' . $event];
+        }
+
+        foreach ($notices as $notice) {
+            list($person_uuid, $template_id) = $notice;
+            $person = $person_uuid ? $this->find_person($person_uuid) : null;
+            if (!$person || ($person['user_id'] && (int) $person['user_id'] === (int) $entry['actor_user_id'])) {
+                continue;
+            }
+
+            $this->send($person['email'], self::get_template($template_id), array_merge($vars, [
+                '{person_name}' => $person['name'] ?: $vars['{person_name}'],
+            ]), false);
+        }
+    }
+
+    // =========================================================================
+    // DAILY DIGEST
+    // =========================================================================
+
+    public function schedule_cron() {
+        if (!wp_next_scheduled(self::DIGEST_HOOK)) {
+            // Mornings in the site's timezone
+            $first = new DateTime('tomorrow 07:00', wp_timezone());
+            wp_schedule_event($first->getTimestamp(), 'daily', self::DIGEST_HOOK);
+        }
+    }
+
+    /**
+     * Cron: one summary per organization of everything since the last
+     * digest. Only runs in digest mode.
+     */
+    public function send_digests() {
+        $now   = current_time('mysql');
+        $since = get_option('myies_notifications_last_digest', '');
+        update_option('myies_notifications_last_digest', $now, false);
+
+        if (!self::is_enabled() || self::get_mode() !== self::MODE_DIGEST) {
+            return;
+        }
+
+        // Never reach back more than a day, e.g. right after switching modes
+        $day_ago = date('Y-m-d H:i:s', strtotime($now) - DAY_IN_SECONDS);
+        if ($since === '' || $since < $day_ago) {
+            $since = $day_ago;
+        }
+
+        $entries = myies_audit_log()->query([
+            'since'   => $since,
+            'actions' => array_keys(self::action_events()),
+        ], 0);
+
+        $by_org = [];
+        foreach (array_reverse($entries) as $entry) {
+            $by_org[$entry['org_uuid']][] = $entry;
+        }
+
+        $template = self::get_template('digest');
+        foreach ($by_org as $org_uuid => $org_entries) {
+            $lines = array_map([$this, 'digest_line'], $org_entries);
+            $vars  = array_merge($this->entry_vars(end($org_entries)), [
+                '{changes}' => implode("\n", $lines),
+            ]);
+
+            foreach ($this->get_recipients($org_uuid) as $contact) {
+                $this->send($contact['email'], $template, array_merge($vars, [
+                    '{recipient_name}' => $contact['name'],
+                ]), true);
+            }
+        }
+
+        error_log('[MyIES Notifications] Digest sent for ' . count($by_org) . ' organization(s), ' . count($entries) . ' change(s)');
+    }
+
+    /**
+     * One line of the digest for an entry.
+     */
+    private function digest_line($entry) {
+        $vars = $this->entry_vars($entry);
+
+        switch (self::action_events()[$entry['action']]) {
+            case 'member_added':
+                $text = sprintf(__('%1$s added %2$s', 'wicket-integration'), $vars['{actor_name}'], $vars['{person_name}']);
+                break;
+            case 'member_removed':
+                $text = sprintf(__('%1$s removed %2$s', 'wicket-integration'), $vars['{actor_name}'], $vars['{person_name}']);
+                break;
+            case 'seat_assigned':
+                $text = sprintf(__('%1$s gave %2$s a seat', 'wicket-integration'), $vars['{actor_name}'], $vars['{person_name}']);
+                break;
+            case 'seat_removed':
+                $text = sprintf(__('%1$s removed the seat held by %2$s', 'wicket-integration'), $vars['{actor_name}'], $vars['{person_name}']);
+                break;
+            default:
+                $text = sprintf(__('%1$s transferred a seat from %2$s to %3$s', 'wicket-integration'), $vars['{actor_name}'], $vars['{from_name}'], $vars['{person_name}']);
+        }
+
+        return '- ' . $vars['{date}'] . ': ' . $text;
+    }
+
+    // =========================================================================
+    // RECIPIENTS AND SENDING
+    // =========================================================================
+
+    /**
+     * Active primary contacts of an organization who have an email address
+     * and have not opted out. The person who made the change is left out.
+     *
+     * @param string     $org_uuid
+     * @param array|null $entry Entry being notified, if any.
+     * @return array[] { email, name, user_id }
+     */
+    private function get_recipients($org_uuid, $entry = null) {
+        if (!isset($this->contacts[$org_uuid])) {
+            $this->contacts[$org_uuid] = [];
+
+            foreach (wicket_api()->get_organization_members($org_uuid) as $conn) {
+                if (($conn['attributes']['type'] ?? '') !== 'primary-contact') {
+                    continue;
+                }
+                $ends_at = $conn['attributes']['ends_at'] ?? null;
+                if ($ends_at && strtotime($ends_at) < time()) {
+                    continue;
+                }
+
+                $person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+                $contact     = $this->find_person($person_uuid, $conn['_person'] ?? null);
+                if ($contact) {
+                    $this->contacts[$org_uuid][$person_uuid] = $contact;
+                }
+            }
+        }
+
+        return array_filter($this->contacts[$org_uuid], function ($contact) use ($entry) {
+            if ($contact['user_id'] && self::is_opted_out($contact['user_id'])) {
+                return false;
+            }
+            if ($entry && $contact['user_id'] && (int) $contact['user_id'] === (int) $entry['actor_user_id']) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Email and name of a person, preferring the linked WordPress user.
+     *
+     * @param string     $person_uuid
+     * @param array|null $person Wicket person resource, when already loaded.
+     * @return array|null { email, name, user_id }
+     */
+    private function find_person($person_uuid, $person = null) {
+        $users = get_users([
+            'meta_key'   => 'wicket_person_uuid',
+            'meta_value' => $person_uuid,
+            'number'     => 1,
+        ]);
+
+        if (!empty($users)) {
+            $user = $users[0];
+            return [
+                'email'   => $user->user_email,
+                'name'    => trim($user->first_name . ' ' . $user->last_name) ?: $user->display_name,
+                'user_id' => $user->ID,
+            ];
+        }
+
+        if ($person === null) {
+            $person = wicket_api()->get_person($person_uuid);
+        }
+        $email = $person['attributes']['primary_email_address'] ?? '';
+        if (!is_email($email)) {
+            return null;
+        }
+
+        return [
+            'email'   => $email,
+            'name'    => trim(($person['attributes']['given_name'] ?? '') . ' ' . ($person['attributes']['family_name'] ?? '')),
+            'user_id' => 0,
+        ];
+    }
+
+    /**
+     * Template placeholders for an entry.
+     */
+    private function entry_vars($entry) {
+        // Seats handed out by the reconciliation pass have no actor
+        $actor = ($entry['details']['source'] ?? '') === 'auto_assign'
+            ? __('Automatic seat assignment', 'wicket-integration')
+            : __('MyIES staff', 'wicket-integration');
+
+        return [
+            '{person_name}'    => $entry['target_name'] ?: __('A person', 'wicket-integration'),
+            '{from_name}'      => $entry['details']['from_name'] ?? '',
+            '{actor_name}'     => $entry['actor_name'] ?: $actor,
+            '{org_name}'       => $entry['org_name'] ?: __('your organization', 'wicket-integration'),
+            '{date}'           => mysql2date(get_option('date_format'), $entry['created_at']),
+            '{recipient_name}' => '',
+            '{changes}'        => '',
+            '{site_name}'      => get_bloginfo('name'),
+        ];
+    }
+
+    /**
+     * Fill in a template and send it as plain text.
+     *
+     * @param string $to
+     * @param array  $template   { subject, body }
+     * @param array  $vars       Placeholder => value.
+     * @param bool   $to_contact Adds the opt-out note for primary contacts.
+     */
+    private function send($to, $template, $vars, $to_contact) {
+        $subject = strtr($template['subject'], $vars);
+        $message = strtr($template['body'], $vars);
+
+        if ($to_contact) {
+            $message .= "\n\n" . __('To stop these emails, turn off notifications on the Activity tab of the Organization Management page.', 'wicket-integration');
+        }
+        $message .= "\n\n" . get_bloginfo('name') . "\n" . home_url('/');
+
+        $sent = wp_mail($to, $subject, $message);
+        if (!$sent) {
+            error_log('[MyIES Notifications] Failed to email ' . $to . ': ' . $subject);
+        }
+
+        return $sent;
+    }
+}
+
+function myies_notifications() {
+    return MyIES_Notifications::get_instance();
+}
+
+add_action('plugins_loaded', 'myies_notifications');
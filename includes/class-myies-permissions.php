@@ -0,0 +1,147 @@
+<?php
+/**
+ * MyIES Permissions
+ *
+ * Decides what a person may do on the Organization Management and Seat
+ * Management pages, based on the type of their connection to the
+ * organization. Each connection type gets any of four capabilities:
+ * view the roster, edit the roster, manage seats and edit the
+ * organization details. The matrix is edited under
+ * MyIES Controls → Permissions.
+ *
+ * @package MyIES_Integration
+ * @since 1.0.20
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Permissions {
+
+    const VIEW_ROSTER  = 'view_roster';
+    const EDIT_ROSTER  = 'edit_roster';
+    const MANAGE_SEATS = 'manage_seats';
+    const EDIT_ORG     = 'edit_org';
+
+    const OPTION = 'myies_org_permissions';
+
+    /**
+     * Capabilities with their admin labels, in matrix column order.
+     *
+     * @return array capability => label
+     */
+    public static function capabilities() {
+        return [
+            self::VIEW_ROSTER  => __('View roster', 'wicket-integration'),
+            self::EDIT_ROSTER  => __('Edit roster', 'wicket-integration'),
+            self::MANAGE_SEATS => __('Manage seats', 'wicket-integration'),
+            self::EDIT_ORG     => __('Edit org details', 'wicket-integration'),
+        ];
+    }
+
+    /**
+     * Organization connection types, keyed by Wicket connection type.
+     *
+     * @return array
+     */
+    public static function connection_types() {
+        /**
+         * Filter the connection types offered by the inline role editor,
+         * accepted by the roster CSV import and listed in the permission
+         * matrix.
+         *
+         * @param array $types Wicket connection type => label.
+         */
+        return apply_filters('myies_orgmgmt_connection_types', [
+            'employee'                    => __('Company - Employee', 'wicket-integration'),
+            'billing-contact'             => __('Billing Contact', 'wicket-integration'),
+            'sustaining_benefits_contact' => __('Sustaining Benefits Contact', 'wicket-integration'),
+            'primary-contact'             => __('Primary Contact', 'wicket-integration'),
+        ]);
+    }
+
+    /**
+     * The matrix used until an admin saves one: primary and sustaining
+     * benefits contacts can do everything, everyone else can only view
+     * the roster.
+     *
+     * @return array connection type => capability[]
+     */
+    public static function default_matrix() {
+        $all = array_keys(self::capabilities());
+
+        return [
+            'employee'                    => [self::VIEW_ROSTER],
+            'billing-contact'             => [self::VIEW_ROSTER],
+            'sustaining_benefits_contact' => $all,
+            'primary-contact'             => $all,
+        ];
+    }
+
+    /**
+     * The saved matrix, with defaults for connection types not saved yet.
+     *
+     * @return array connection type => capability[]
+     */
+    public static function get_matrix() {
+        $saved  = get_option(self::OPTION, []);
+        $matrix = [];
+
+        foreach (array_keys(self::connection_types()) as $type) {
+            if (isset($saved[$type]) && is_array($saved[$type])) {
+                $matrix[$type] = $saved[$type];
+            } else {
+                $matrix[$type] = self::default_matrix()[$type] ?? [self::VIEW_ROSTER];
+            }
+        }
+
+        return $matrix;
+    }
+
+    /**
+     * Save the matrix. Unknown capabilities are dropped, and editing the
+     * roster or the organization details implies viewing the roster.
+     *
+     * @param array $matrix connection type => capability[]
+     */
+    public static function save_matrix($matrix) {
+        $known = array_keys(self::capabilities());
+        $clean = [];
+
+        foreach (array_keys(self::connection_types()) as $type) {
+            $caps = array_values(array_intersect($known, (array) ($matrix[$type] ?? [])));
+            if (array_intersect([self::EDIT_ROSTER, self::EDIT_ORG], $caps) && !in_array(self::VIEW_ROSTER, $caps, true)) {
+                array_unshift($caps, self::VIEW_ROSTER);
+            }
+            $clean[$type] = $caps;
+        }
+
+        update_option(self::OPTION, $clean);
+    }
+
+    /**
+     * Capabilities granted to a connection type. Types missing from the
+     * matrix can only view the roster.
+     *
+     * @param  string $connection_type
+     * @return array capability => bool
+     */
+    public static function for_connection_type($connection_type) {
+        $matrix  = self::get_matrix();
+        $granted = $matrix[$connection_type] ?? [self::VIEW_ROSTER];
+
+        $caps = [];
+        foreach (array_keys(self::capabilities()) as $cap) {
+            $caps[$cap] = in_array($cap, $granted, true);
+        }
+
+        /**
+         * Filter the capabilities granted to a connection type.
+         *
+         * @param array  $caps            capability => bool
+         * @param string $connection_type Wicket connection type.
+         */
+        return apply_filters('myies_org_permissions', $caps, $connection_type);
+    }
+}
@@ -0,0 +1,366 @@
+<?php
+/**
+ * MyIES Seat Auto-Assign
+ *
+ * Optional per-organization policy that hands out membership seats
+ * without anyone clicking: to everyone on the roster, to certain
+ * connection types, or to people with an email address at certain
+ * domains. Set up by seat managers on the Seat Management page.
+ *
+ * The policy is applied shortly after people are added to the roster
+ * (through Organization Management) and on a twice-daily reconciliation
+ * pass. Longest-standing connections are seated first, and a pool is
+ * never filled past its `max_assignments`. Every seat handed out is
+ * recorded in the audit log with the source `auto_assign`.
+ *
+ * Option: myies_seat_auto_assign (org UUID => policy)
+ *
+ * @package MyIES_Integration
+ * @since 1.0.20
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MyIES_Seat_Auto_Assign {
+
+    const MODE_OFF    = 'off';
+    const MODE_ALL    = 'all';
+    const MODE_TYPES  = 'types';
+    const MODE_DOMAIN = 'domain';
+
+    const OPTION = 'myies_seat_auto_assign';
+
+    const RECONCILE_HOOK = 'myies_seat_auto_assign_reconcile';
+    const ORG_HOOK       = 'myies_seat_auto_assign_org';
+
+    private static $instance = null;
+
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    private function __construct() {
+        add_action('myies_audit_log_entry', [$this, 'handle_entry']);
+        add_action(self::ORG_HOOK, [$this, 'reconcile']);
+        add_action(self::RECONCILE_HOOK, [$this, 'reconcile_all']);
+        add_action('init', [$this, 'schedule_cron']);
+    }
+
+    // =========================================================================
+    // POLICIES
+    // =========================================================================
+
+    public static function modes() {
+        return [self::MODE_OFF, self::MODE_ALL, self::MODE_TYPES, self::MODE_DOMAIN];
+    }
+
+    /**
+     * The policy for an organization, with defaults filled in.
+     *
+     * @param string $org_uuid
+     * @return array {
+     *     @type string   $mode                One of the MODE_* constants.
+     *     @type string[] $types               Connection types seated in MODE_TYPES.
+     *     @type string[] $domains             Email domains seated in MODE_DOMAIN.
+     *     @type string   $org_membership_uuid Seat pool to assign from ('' for the first).
+     *     @type string   $org_name
+     *     @type string   $person_uuid         Who set the policy; used to find the pool.
+     *     @type array    $last_run            { at, assigned, unseated, error } of the last pass.
+     * }
+     */
+    public static function get_policy($org_uuid) {
+        $policies = get_option(self::OPTION, []);
+
+        return array_merge([
+            'mode'                => self::MODE_OFF,
+            'types'               => [],
+            'domains'             => [],
+            'org_membership_uuid' => '',
+            'org_name'            => '',
+            'person_uuid'         => '',
+            'last_run'            => [],
+        ], $policies[$org_uuid] ?? []);
+    }
+
+    /**
+     * Save an organization's policy. Turning it off removes it.
+     *
+     * @param string $org_uuid
+     * @param array  $policy See get_policy().
+     */
+    public static function save_policy($org_uuid, array $policy) {
+        $policies = get_option(self::OPTION, []);
+
+        if (($policy['mode'] ?? self::MODE_OFF) === self::MODE_OFF) {
+            unset($policies[$org_uuid]);
+        } else {
+            $policies[$org_uuid] = $policy;
+        }
+
+        update_option(self::OPTION, $policies, false);
+    }
+
+    /**
+     * Parse a comma- or newline-separated list of email domains.
+     *
+     * @param string $input e.g. "example.com, @example.org"
+     * @return string[]|WP_Error Lower-case domains without the "@".
+     */
+    public static function parse_domains($input) {
+        $domains = [];
+
+        foreach (preg_split('/[\s,;]+/', strtolower((string) $input), -1, PREG_SPLIT_NO_EMPTY) as $domain) {
+            $domain = ltrim($domain, '@');
+            if (!preg_match('/^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/', $domain)) {
+                return new WP_Error('invalid_domain', sprintf(__('"%s" is not a valid email domain.', 'wicket-integration'), $domain));
+            }
+            $domains[$domain] = true;
+        }
+
+        return array_keys($domains);
+    }
+
+    /**
+     * Whether a roster entry qualifies for a seat under a policy.
+     *
+     * @param array  $policy
+     * @param string $connection_type
+     * @param string $email
+     * @return bool
+     */
+    public static function matches($policy, $connection_type, $email) {
+        switch ($policy['mode']) {
+            case self::MODE_ALL:
+                return true;
+            case self::MODE_TYPES:
+                return in_array($connection_type, $policy['types'], true);
+            case self::MODE_DOMAIN:
+                $at = strrpos((string) $email, '@');
+                return $at !== false && in_array(strtolower(substr($email, $at + 1)), $policy['domains'], true);
+        }
+
+        return false;
+    }
+
+    // =========================================================================
+    // TRIGGERS
+    // =========================================================================
+
+    /**
+     * Apply the policy shortly after someone joins the roster or changes
+     * role. Runs from cron so roster changes stay fast.
+     *
+     * @param array $entry Audit log entry.
+     */
+    public function handle_entry($entry) {
+        $actions = [
+            MyIES_Audit_Log::MEMBER_ADDED,
+            MyIES_Audit_Log::MEMBER_CREATED,
+            MyIES_Audit_Log::MEMBER_REINSTATED,
+            MyIES_Audit_Log::MEMBER_ROLE_CHANGED,
+        ];
+        if (!in_array($entry['action'], $actions, true)) {
+            return;
+        }
+
+        if (self::get_policy($entry['org_uuid'])['mode'] === self::MODE_OFF) {
+            return;
+        }
+
+        // One pass per organization covers a whole import
+        if (!wp_next_scheduled(self::ORG_HOOK, [$entry['org_uuid']])) {
+            wp_schedule_single_event(time(), self::ORG_HOOK, [$entry['org_uuid']]);
+        }
+    }
+
+    public function schedule_cron() {
+        if (!wp_next_scheduled(self::RECONCILE_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'twicedaily', self::RECONCILE_HOOK);
+        }
+    }
+
+    /**
+     * Cron: apply every organization's policy.
+     */
+    public function reconcile_all() {
+        foreach (array_keys(get_option(self::OPTION, [])) as $org_uuid) {
+            $this->reconcile($org_uuid);
+        }
+    }
+
+    // =========================================================================
+    // RECONCILIATION
+    // =========================================================================
+
+    /**
+     * Seat everyone on the roster who matches the organization's policy,
+     * until the pool is full.
+     *
+     * @param string $org_uuid
+     * @return array { at, assigned, unseated, error }
+     */
+    public function reconcile($org_uuid) {
+        $policy = self::get_policy($org_uuid);
+        if ($policy['mode'] === self::MODE_OFF) {
+            return [];
+        }
+
+        $result = [
+            'at'       => current_time('mysql'),
+            'assigned' => 0,
+            'unseated' => 0,
+            'error'    => '',
+        ];
+
+        try {
+            $svc = new Wicket_Membership_Service();
+        } catch (Exception $e) {
+            $result['error'] = 'Could not initialize membership service.';
+            return $this->finish($org_uuid, $result);
+        }
+
+        $org_membership = $this->find_pool($svc, $org_uuid, $policy);
+        if (!$org_membership) {
+            $result['error'] = __('No active organization membership found.', 'wicket-integration');
+            return $this->finish($org_uuid, $result);
+        }
+
+        $seated = [];
+        foreach ($svc->get_org_membership_assignments($org_membership['id']) as $assignment) {
+            if (!empty($assignment['person_uuid'])) {
+                $seated[$assignment['person_uuid']] = true;
+            }
+        }
+
+        $remaining = null;
+        if (empty($org_membership['unlimited_assignments']) && $org_membership['max_assignments'] !== null) {
+            $remaining = max(0, (int) $org_membership['max_assignments'] - count($seated));
+        }
+
+        foreach ($this->candidates($org_uuid, $policy, $seated) as $candidate) {
+            if ($remaining === 0) {
+                $result['unseated']++;
+                continue;
+            }
+
+            $assigned = $svc->assign_person_to_org_membership(
+                $candidate['person_uuid'],
+                $org_membership['id'],
+                $org_membership['starts_at'],
+                $org_membership['ends_at']
+            );
+
+            if (is_wp_error($assigned)) {
+                error_log('[SeatAutoAssign] Failed to seat ' . $candidate['person_uuid'] . ' in org ' . $org_uuid . ': ' . $assigned->get_error_message());
+                $result['unseated']++;
+                continue;
+            }
+
+            $result['assigned']++;
+            if ($remaining !== null) {
+                $remaining--;
+            }
+
+            MyIES_Audit_Log::log(MyIES_Audit_Log::SEAT_ASSIGNED, $org_uuid, [
+                'org_name'    => $policy['org_name'],
+                'target_uuid' => $candidate['person_uuid'],
+                'target_name' => $candidate['name'],
+                'details'     => [
+                    'org_membership_uuid' => $org_membership['id'],
+                    'tier_name'           => $org_membership['tier_name'] ?? '',
+                    'ends_at'             => $org_membership['ends_at'],
+                    'source'              => 'auto_assign',
+                    'rule'                => $policy['mode'],
+                ],
+            ]);
+        }
+
+        return $this->finish($org_uuid, $result);
+    }
+
+    /**
+     * The seat pool named in the policy, or the organization's first one.
+     */
+    private function find_pool($svc, $org_uuid, $policy) {
+        $memberships = $svc->find_all_active_org_memberships($org_uuid);
+
+        if (empty($memberships) && $policy['person_uuid'] !== '') {
+            $via_person  = $svc->find_org_membership_via_person($policy['person_uuid'], $org_uuid);
+            $memberships = $via_person ? [$via_person] : [];
+        }
+
+        foreach ($memberships as $membership) {
+            if ($membership['id'] === $policy['org_membership_uuid']) {
+                return $membership;
+            }
+        }
+
+        return $memberships[0] ?? null;
+    }
+
+    /**
+     * Active roster entries that match the policy and hold no seat yet,
+     * longest-standing first.
+     *
+     * @return array[] { person_uuid, name, starts_at }
+     */
+    private function candidates($org_uuid, $policy, $seated) {
+        $candidates = [];
+
+        foreach (wicket_api()->get_organization_members($org_uuid) as $conn) {
+            $ends_at = $conn['attributes']['ends_at'] ?? null;
+            if ($ends_at && strtotime($ends_at) < time()) {
+                continue;
+            }
+
+            $person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+            if ($person_uuid === '' || isset($seated[$person_uuid]) || isset($candidates[$person_uuid])) {
+                continue;
+            }
+
+            $person = $conn['_person']['attributes'] ?? [];
+            if (!self::matches($policy, $conn['attributes']['type'] ?? '', $person['primary_email_address'] ?? '')) {
+                continue;
+            }
+
+            $candidates[$person_uuid] = [
+                'person_uuid' => $person_uuid,
+                'name'        => trim(($person['given_name'] ?? '') . ' ' . ($person['family_name'] ?? '')),
+                'starts_at'   => $conn['attributes']['starts_at'] ?? '',
+            ];
+        }
+
+        uasort($candidates, function ($a, $b) {
+            return strcmp((string) $a['starts_at'], (string) $b['starts_at']);
+        });
+
+        return array_values($candidates);
+    }
+
+    /**
+     * Remember the outcome of a pass on the policy, for the seat page.
+     */
+    private function finish($org_uuid, $result) {
+        error_log('[SeatAutoAssign] Org ' . $org_uuid . ': ' . $result['assigned'] . ' seated, ' . $result['unseated'] . ' left without a seat' . ($result['error'] ? ' (' . $result['error'] . ')' : ''));
+
+        // Re-read: the policy may have been changed while this pass ran
+        $policy = self::get_policy($org_uuid);
+        if ($policy['mode'] !== self::MODE_OFF) {
+            $policy['last_run'] = $result;
+            self::save_policy($org_uuid, $policy);
+        }
+
+        return $result;
+    }
+}
+
+function myies_seat_auto_assign() {
+    return MyIES_Seat_Auto_Assign::get_instance();
+}
+
+add_action('plugins_loaded', 'myies_seat_auto_assign');
@@ -310,6 +310,48 @@ class Wicket_Membership_Service {
         ];
     }
 
+    /**
+     * All active membership entries of a person: individual memberships and
+     * seats on organization memberships.
+     *
+     * @return array  List of ['id', 'tier_uuid', 'tier_name', 'tier_type', 'starts_at', 'ends_at',
+     *                'organization_membership_uuid', 'organization_uuid']. The last two are null
+     *                for individual memberships.
+     */
+    public function find_active_person_memberships(string $person_uuid): array {
+        $res = $this->request("/people/{$person_uuid}/membership_entries?include=membership,organization_membership&filter[active_at]=now&page[size]=100");
+
+        if (is_wp_error($res) || empty($res['data'])) {
+            return [];
+        }
+
+        $included = [];
+        foreach (($res['included'] ?? []) as $inc) {
+            $included[$inc['type'] . ':' . $inc['id']] = $inc;
+        }
+
+        $entries = [];
+        foreach ($res['data'] as $entry) {
+            $tier_id = $entry['relationships']['membership']['data']['id'] ?? null;
+            $tier    = $tier_id ? ($included['memberships:' . $tier_id] ?? null) : null;
+            $om_id   = $entry['relationships']['organization_membership']['data']['id'] ?? null;
+            $org_mem = $om_id ? ($included['organization_memberships:' . $om_id] ?? null) : null;
+
+            $entries[] = [
+                'id'                           => $entry['id'],
+                'tier_uuid'                    => $tier_id,
+                'tier_name'                    => $tier['attributes']['name'] ?? $tier['attributes']['name_en'] ?? null,
+                'tier_type'                    => $tier['attributes']['type'] ?? null,
+                'starts_at'                    => $entry['attributes']['starts_at'] ?? null,
+                'ends_at'                      => $entry['attributes']['ends_at'] ?? null,
+                'organization_membership_uuid' => $om_id,
+                'organization_uuid'            => $org_mem['relationships']['organization']['data']['id'] ?? null,
+            ];
+        }
+
+        return $entries;
+    }
+
     /**
      * Find an existing organization membership in Wicket by org + tier UUID.
      *
@@ -354,7 +396,7 @@ class Wicket_Membership_Service {
      *
      * Used during upgrades to deactivate the old tier before creating the new one.
      *
-     * @return array  List of ['id' => ..., 'tier_uuid' => ..., 'starts_at' => ..., 'ends_at' => ...]
+     * @return array  List of ['id' => ..., 'tier_uuid' => ..., 'tier_name' => ..., 'starts_at' => ..., 'ends_at' => ...]
      */
     public function find_all_active_org_memberships(string $org_uuid): array {
         $res = $this->request("/organizations/{$org_uuid}/membership_entries?include=membership&page[size]=100&filter[active_at]=now");
@@ -363,11 +405,21 @@ class Wicket_Membership_Service {
             return [];
         }
 
+        // Build included lookup for tier names
+        $tiers = [];
+        foreach (($res['included'] ?? []) as $inc) {
+            if (($inc['type'] ?? '') === 'memberships') {
+                $tiers[$inc['id']] = $inc['attributes']['name'] ?? $inc['attributes']['name_en'] ?? null;
+            }
+        }
+
         $active = [];
         foreach ($res['data'] as $entry) {
+            $tier_uuid = $entry['relationships']['membership']['data']['id'] ?? null;
             $active[] = [
                 'id'                       => $entry['id'],
-                'tier_uuid'                => $entry['relationships']['membership']['data']['id'] ?? null,
+                'tier_uuid'                => $tier_uuid,
+                'tier_name'                => $tier_uuid ? ($tiers[$tier_uuid] ?? null) : null,
                 'starts_at'                => $entry['attributes']['starts_at'] ?? null,
                 'ends_at'                  => $entry['attributes']['ends_at'] ?? null,
                 'max_assignments'          => $entry['attributes']['max_assignments'] ?? null,
@@ -439,6 +491,7 @@ class Wicket_Membership_Service {
             return [
                 'id'                       => $org_mem['id'],
                 'tier_uuid'                => $tier_id,
+                'tier_name'                => $tier['attributes']['name'] ?? $tier['attributes']['name_en'] ?? null,
                 'starts_at'                => $org_mem['attributes']['starts_at'] ?? null,
                 'ends_at'                  => $org_mem['attributes']['ends_at'] ?? null,
                 'max_assignments'          => $org_mem['attributes']['max_assignments'] ?? null,
@@ -714,11 +767,15 @@ class Wicket_Membership_Service {
 
     /**
      * Update an existing membership entry in Wicket
+     *
+     * A null date is left unchanged; pass $clear_ends_at to remove the end
+     * date so the membership runs open-ended.
      */
     public function update_membership(
         string $person_membership_uuid,
         ?string $starts_at = null,
-        ?string $ends_at = null
+        ?string $ends_at = null,
+        bool $clear_ends_at = false
     ) {
         $attributes = [];
         if ($starts_at !== null) {
@@ -726,6 +783,8 @@ class Wicket_Membership_Service {
         }
         if ($ends_at !== null) {
             $attributes['ends_at'] = $ends_at;
+        } elseif ($clear_ends_at) {
+            $attributes['ends_at'] = null;
         }
 
         return $this->request(
@@ -379,6 +379,18 @@ class Wicket_Organizations {
         }
     }
     
+    /**
+     * Store an organization returned by the Wicket API in the local table,
+     * e.g. after it was edited, so search results reflect it right away.
+     *
+     * @param array $org_data Organization resource (id, attributes, relationships)
+     * @return string 'created', 'updated' or 'error'
+     */
+    public function cache_organization($org_data) {
+        $this->ensure_tables();
+        return $this->save_organization($org_data);
+    }
+    
     /**
      * Get organization by UUID
      */
@@ -185,6 +185,41 @@ class Wicket_API_Helper {
         return null;
     }
     
+    /**
+     * Search people in Wicket API
+     * 
+     * @param array $filters Ransack filters without the filter[] wrapper, e.g. ['family_name_cont' => 'Smith']
+     * @param int $limit Max results
+     * @return array People matching all filters
+     */
+    public function search_people($filters, $limit = 20) {
+        $token = $this->generate_jwt_token();
+        if (is_wp_error($token)) {
+            return array();
+        }
+        
+        $query = array('page[size]' => $limit);
+        foreach ($filters as $key => $value) {
+            $query["filter[{$key}]"] = $value;
+        }
+        
+        $response = wp_remote_get($this->get_api_url() . '/people?' . http_build_query($query), array(
+            'headers' => array(
+                'Authorization' => 'Bearer ' . $token,
+                'Content-Type' => 'application/json',
+                'Accept' => 'application/json'
+            ),
+            'timeout' => 30
+        ));
+        
+        if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+            return array();
+        }
+        
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+        return $body['data'] ?? array();
+    }
+    
     /**
      * Update person attributes in Wicket API
      */
@@ -745,6 +780,162 @@ class Wicket_API_Helper {
         );
     }
     
+    /**
+     * Get an organization with its addresses, phones and web addresses
+     *
+     * @param string $org_uuid Organization UUID
+     * @return array|null ['organization', 'addresses', 'phones', 'web_addresses'] or null
+     */
+    public function get_organization_profile($org_uuid) {
+        if (empty($org_uuid)) {
+            return null;
+        }
+        
+        $token = $this->generate_jwt_token();
+        if (is_wp_error($token)) {
+            return null;
+        }
+        
+        $endpoint = $this->get_api_url() . '/organizations/' . $org_uuid . '?include=addresses,phones,web_addresses';
+        
+        $response = wp_remote_get($endpoint, array(
+            'headers' => array(
+                'Authorization' => 'Bearer ' . $token,
+                'Content-Type' => 'application/json',
+                'Accept' => 'application/json'
+            ),
+            'timeout' => 30
+        ));
+        
+        if (is_wp_error($response)) {
+            error_log('[Wicket API Helper] Organization profile fetch error: ' . $response->get_error_message());
+            return null;
+        }
+        
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+        if (empty($body['data'])) {
+            return null;
+        }
+        
+        $profile = array(
+            'organization' => $body['data'],
+            'addresses' => array(),
+            'phones' => array(),
+            'web_addresses' => array()
+        );
+        
+        foreach ($body['included'] ?? array() as $inc) {
+            $type = $inc['type'] ?? '';
+            if (in_array($type, array('addresses', 'phones', 'web_addresses'), true)) {
+                $profile[$type][] = $inc;
+            }
+        }
+        
+        return $profile;
+    }
+    
+    /**
+     * Create an address, phone or web address for an organization
+     * 
+     * @param string $org_uuid Organization UUID
+     * @param string $resource 'addresses', 'phones' or 'web_addresses'
+     * @param array $attributes Resource attributes
+     * @return array Result
+     */
+    public function create_organization_contact($org_uuid, $resource, $attributes) {
+        if (!in_array($resource, array('addresses', 'phones', 'web_addresses'), true)) {
+            return array('success' => false, 'message' => 'Unsupported resource: ' . $resource);
+        }
+        
+        $token = $this->generate_jwt_token();
+        if (is_wp_error($token)) {
+            return array('success' => false, 'message' => $token->get_error_message());
+        }
+        
+        $request_body = array(
+            'data' => array(
+                'type' => $resource,
+                'attributes' => $attributes
+            )
+        );
+        
+        error_log('[Wicket API Helper] Creating ' . $resource . ' for organization: ' . $org_uuid);
+        
+        $response = wp_remote_post($this->get_api_url() . '/organizations/' . $org_uuid . '/' . $resource, array(
+            'headers' => array(
+                'Authorization' => 'Bearer ' . $token,
+                'Content-Type' => 'application/json',
+                'Accept' => 'application/json'
+            ),
+            'body' => json_encode($request_body),
+            'timeout' => 30
+        ));
+        
+        if (is_wp_error($response)) {
+            return array('success' => false, 'message' => $response->get_error_message());
+        }
+        
+        $code = wp_remote_retrieve_response_code($response);
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+        
+        return array(
+            'success' => ($code == 200 || $code == 201),
+            'message' => ($code == 200 || $code == 201) ? 'Created' : "Error: {$code}",
+            'data' => $body['data'] ?? null,
+            'status_code' => $code
+        );
+    }
+    
+    /**
+     * Update web address in Wicket API
+     * 
+     * @param string $web_address_uuid Web address UUID
+     * @param array $web_address_data Web address attributes (address, type)
+     * @return array Result
+     */
+    public function update_web_address($web_address_uuid, $web_address_data) {
+        if (empty($web_address_uuid)) {
+            return array('success' => false, 'message' => 'Web address UUID is required');
+        }
+        
+        $token = $this->generate_jwt_token();
+        if (is_wp_error($token)) {
+            return array('success' => false, 'message' => $token->get_error_message());
+        }
+        
+        $request_body = array(
+            'data' => array(
+                'type' => 'web_addresses',
+                'id' => $web_address_uuid,
+                'attributes' => $web_address_data
+            )
+        );
+        
+        $response = wp_remote_request($this->get_api_url() . '/web_addresses/' . $web_address_uuid, array(
+            'method' => 'PATCH',
+            'headers' => array(
+                'Authorization' => 'Bearer ' . $token,
+                'Content-Type' => 'application/json',
+                'Accept' => 'application/json'
+            ),
+            'body' => json_encode($request_body),
+            'timeout' => 30
+        ));
+        
+        if (is_wp_error($response)) {
+            return array('success' => false, 'message' => $response->get_error_message());
+        }
+        
+        $code = wp_remote_retrieve_response_code($response);
+        $body = wp_remote_retrieve_body($response);
+        
+        return array(
+            'success' => ($code === 200),
+            'message' => ($code === 200) ? 'Web address updated' : "Error: {$code} - {$body}",
+            'status_code' => $code
+        );
+    }
+    
     // =========================================================================
     // CONNECTION METHODS (Person to Organization)
     // =========================================================================
@@ -1240,6 +1431,68 @@ class Wicket_API_Helper {
         return $roles;
     }
 
+    /**
+     * Get the roles of many people, fetched in parallel batches rather than
+     * one request after another.
+     *
+     * @param array $person_uuids
+     * @param int   $batch_size   Requests sent at once
+     * @return array person UUID => role resources; people whose request failed are left out
+     */
+    public function get_people_roles($person_uuids, $batch_size = 20) {
+        $person_uuids = array_values(array_unique(array_filter($person_uuids)));
+        if (empty($person_uuids)) {
+            return array();
+        }
+
+        $token = $this->generate_jwt_token();
+        if (is_wp_error($token)) {
+            error_log('[Wicket API Helper] get_people_roles JWT generation failed: ' . $token->get_error_message());
+            return array();
+        }
+
+        // WordPress 6.2 moved Requests into a namespace
+        $requests_class = class_exists('WpOrg\Requests\Requests') ? 'WpOrg\Requests\Requests' : 'Requests';
+        $headers = array(
+            'Authorization' => 'Bearer ' . $token,
+            'Content-Type'  => 'application/json',
+            'Accept'        => 'application/json',
+        );
+
+        $roles = array();
+        foreach (array_chunk($person_uuids, max(1, (int) $batch_size)) as $batch) {
+            $requests = array();
+            foreach ($batch as $person_uuid) {
+                $requests[$person_uuid] = array(
+                    'url'     => $this->get_api_url() . '/people/' . $person_uuid . '/roles',
+                    'headers' => $headers,
+                    'type'    => 'GET',
+                );
+            }
+
+            $responses = $requests_class::request_multiple($requests, array('timeout' => 15));
+
+            foreach ($responses as $person_uuid => $response) {
+                // Failed requests come back as exception objects
+                if (!is_object($response) || !property_exists($response, 'status_code')) {
+                    error_log('[Wicket API Helper] get_people_roles HTTP error for ' . $person_uuid . ': ' . (is_object($response) && method_exists($response, 'getMessage') ? $response->getMessage() : 'unknown'));
+                    continue;
+                }
+                if ($response->status_code < 200 || $response->status_code >= 300) {
+                    error_log('[Wicket API Helper] get_people_roles API error for ' . $person_uuid . ' — HTTP ' . $response->status_code);
+                    continue;
+                }
+
+                $body = json_decode($response->body, true);
+                $roles[$person_uuid] = $body['data'] ?? array();
+            }
+        }
+
+        myies_log('get_people_roles fetched roles for ' . count($roles) . ' of ' . count($person_uuids) . ' people', 'Wicket API Helper');
+
+        return $roles;
+    }
+
     /**
      * Check if a person has a specific role (by name).
      *
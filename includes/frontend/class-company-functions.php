@@ -93,7 +93,7 @@ class Wicket_Company_Functions {
         wp_register_script(
             'wicket-company-change-org',
             plugin_dir_url(dirname(dirname(__FILE__))) . 'assets/js/company-change-org.js',
-            array('jquery'),
+            array('jquery', 'myies-combobox'),
             WICKET_INTEGRATION_VERSION,
             true
         );
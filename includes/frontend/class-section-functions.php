@@ -13,6 +13,8 @@
  * wicket_get_user_sections($user_id)       - Get all user's section connections
  * wicket_section_data()                    - Get all data needed for section page
  * wicket_search_sections($term)            - Search sections in local DB
+ * wicket_suggest_sections($user_id)        - Sections near the user's address
+ * wicket_set_primary_section($uuid)        - Make one of the user's sections primary
  *
  * =============================================================================
  * AJAX ENDPOINTS (for frontend JavaScript):
@@ -20,7 +22,11 @@
  *
  * Action: wicket_get_user_section       - Get user's current section
  * Action: wicket_search_sections        - Search sections (for autocomplete)
+ * Action: wicket_suggest_sections       - "Suggested for you" sections
  * Action: wicket_set_section            - Set/change user's section
+ *                                         (optional starts_at / ends_at, Y-m-d;
+ *                                         make_primary=0 to add without switching)
+ * Action: wicket_set_primary_section    - Mark one of the user's sections primary
  * Action: wicket_leave_section          - Remove user from section
  *
  * All AJAX calls require: nonce = wicket_section_nonce
@@ -42,6 +48,11 @@ class Wicket_Section_Functions {
      */
     private $section_type = 'section';
 
+    /**
+     * How far back a section membership may be dated, in days
+     */
+    const MAX_BACKDATE_DAYS = 365;
+
     /**
      * Get singleton instance
      */
@@ -66,7 +77,9 @@ class Wicket_Section_Functions {
         // AJAX handlers for logged-in users
         add_action('wp_ajax_wicket_get_user_section', array($this, 'ajax_get_user_section'));
         add_action('wp_ajax_wicket_search_sections', array($this, 'ajax_search_sections'));
+        add_action('wp_ajax_wicket_suggest_sections', array($this, 'ajax_suggest_sections'));
         add_action('wp_ajax_wicket_set_section', array($this, 'ajax_set_section'));
+        add_action('wp_ajax_wicket_set_primary_section', array($this, 'ajax_set_primary_section'));
         add_action('wp_ajax_wicket_leave_section', array($this, 'ajax_leave_section'));
 
         // Public AJAX for section search (needed for autocomplete)
@@ -90,7 +103,7 @@ class Wicket_Section_Functions {
         wp_register_script(
             'wicket-section-change',
             plugin_dir_url(dirname(dirname(__FILE__))) . 'assets/js/section-change.js',
-            array('jquery'),
+            array('jquery', 'myies-combobox'),
             WICKET_INTEGRATION_VERSION,
             true
         );
@@ -105,7 +118,9 @@ class Wicket_Section_Functions {
 
         wp_localize_script('wicket-section-change', 'wicketSectionConfig', array(
             'ajaxUrl' => admin_url('admin-ajax.php'),
-            'nonce' => wp_create_nonce('wicket_section_nonce')
+            'nonce' => wp_create_nonce('wicket_section_nonce'),
+            'reloadOnChange' => $this->reload_on_change(),
+            'maxBackdateDays' => self::MAX_BACKDATE_DAYS
         ));
     }
 
@@ -113,6 +128,23 @@ class Wicket_Section_Functions {
     // HELPER FUNCTIONS
     // =========================================================================
 
+    /**
+     * Whether the page reloads after the member changes or leaves a section.
+     * Off by default: page components update in place from the
+     * wicket:section-changed event.
+     *
+     * @return bool
+     */
+    public function reload_on_change() {
+        /**
+         * Filter whether section changes reload the page, for templates
+         * whose dynamic data cannot be updated in place.
+         *
+         * @param bool $reload
+         */
+        return (bool) apply_filters('wicket_section_reload_on_change', false);
+    }
+
     /**
      * Get user's sections (connections to section-type organizations)
      *
@@ -196,6 +228,8 @@ class Wicket_Section_Functions {
                     'alternate_name' => $org['alternate_name'] ?? '',
                     'description' => $org['description'] ?? '',
                     'connection_type' => $conn['attributes']['type'] ?? 'member',
+                    'starts_at' => $conn['attributes']['starts_at'] ?? null,
+                    'ends_at' => $conn['attributes']['ends_at'] ?? null,
                     'is_primary' => ($org_uuid === $primary_section_uuid)
                 );
             }
@@ -245,6 +279,29 @@ class Wicket_Section_Functions {
         return null;
     }
 
+    /**
+     * Make one of the user's sections their primary section
+     *
+     * @param string   $section_uuid Section organization UUID
+     * @param int|null $user_id      User ID (defaults to current user)
+     * @return true|WP_Error
+     */
+    public function set_primary_section($section_uuid, $user_id = null) {
+        if ($user_id === null) {
+            $user_id = get_current_user_id();
+        }
+
+        foreach ($this->get_user_sections($user_id) as $section) {
+            if ($section['org_uuid'] === $section_uuid) {
+                $this->update_section_user_meta($user_id, $section_uuid);
+                myies_log('Primary section set to: ' . $section_uuid, 'Section Functions');
+                return true;
+            }
+        }
+
+        return new WP_Error('not_a_member', __('You are not a member of this section.', 'wicket-integration'));
+    }
+
     /**
      * Search sections in local database
      *
@@ -271,6 +328,199 @@ class Wicket_Section_Functions {
         return $results ?: array();
     }
 
+    /**
+     * Get all sections in local database
+     *
+     * @return array Sections ordered by name
+     */
+    public function get_all_sections() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'wicket_organizations';
+
+        $results = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name}
+             WHERE org_type = %s
+             ORDER BY legal_name ASC",
+            $this->section_type
+        ), ARRAY_A);
+
+        return $results ?: array();
+    }
+
+    // =========================================================================
+    // SECTION SUGGESTIONS
+    // =========================================================================
+
+    /**
+     * Section to region / postal code prefix mapping, maintained under
+     * MyIES Controls → Section Regions
+     *
+     * @return array section UUID => array('regions' => string[], 'postal_prefixes' => string[])
+     */
+    public function get_region_map() {
+        return get_option('myies_section_region_map', array());
+    }
+
+    /**
+     * Normalize a postal code or prefix for comparison ("h3a 1b2" => "H3A1B2")
+     *
+     * @param string $code
+     * @return string
+     */
+    public static function normalize_postal_code($code) {
+        return strtoupper(preg_replace('/[^A-Za-z0-9]/', '', (string) $code));
+    }
+
+    /**
+     * Get the user's address from their synced Wicket profile, falling back
+     * to the primary address in Wicket when the profile has none
+     *
+     * @param int $user_id
+     * @return array city, state, zip_code, country_code, country_name
+     */
+    private function get_user_location($user_id) {
+        $location = array(
+            'city' => get_user_meta($user_id, 'wicket_city', true),
+            'state' => get_user_meta($user_id, 'wicket_state', true),
+            'zip_code' => get_user_meta($user_id, 'wicket_zip_code', true),
+            'country_code' => get_user_meta($user_id, 'wicket_country_code', true),
+            'country_name' => get_user_meta($user_id, 'wicket_country_name', true)
+        );
+
+        if ($location['city'] || $location['state'] || $location['zip_code']) {
+            return $location;
+        }
+
+        $person_uuid = get_user_meta($user_id, 'wicket_person_uuid', true);
+        if (empty($person_uuid)) {
+            return $location;
+        }
+
+        $addresses = wicket_api()->get_person_addresses($person_uuid);
+        $address = null;
+        foreach ($addresses as $candidate) {
+            if (!empty($candidate['attributes']['primary'])) {
+                $address = $candidate;
+                break;
+            }
+        }
+        if (!$address && !empty($addresses)) {
+            $address = $addresses[0];
+        }
+
+        if ($address) {
+            $attrs = $address['attributes'] ?? array();
+            $location = array(
+                'city' => $attrs['city'] ?? '',
+                'state' => $attrs['state_name'] ?? '',
+                'zip_code' => $attrs['zip_code'] ?? '',
+                'country_code' => $attrs['country_code'] ?? '',
+                'country_name' => $attrs['country_name'] ?? ''
+            );
+        }
+
+        return $location;
+    }
+
+    /**
+     * Rank sections by how well they cover the user's address
+     *
+     * A postal code prefix match ranks highest (longer prefixes first), then
+     * a region matching the city, the state/province, and finally the
+     * country. The user's current section is left out.
+     *
+     * @param int|null $user_id User ID (defaults to current user)
+     * @param int $limit Max results
+     * @return array Sections with a 'reason' for the suggestion
+     */
+    public function get_suggested_sections($user_id = null, $limit = 5) {
+        if ($user_id === null) {
+            $user_id = get_current_user_id();
+        }
+
+        $map = $this->get_region_map();
+        if (!$user_id || empty($map)) {
+            return array();
+        }
+
+        $location = $this->get_user_location($user_id);
+        $zip = self::normalize_postal_code($location['zip_code']);
+        $places = array(
+            array('value' => $location['city'], 'score' => 60),
+            array('value' => $location['state'], 'score' => 40),
+            array('value' => $location['country_name'], 'score' => 10),
+            array('value' => $location['country_code'], 'score' => 10)
+        );
+
+        $current_uuid = get_user_meta($user_id, 'wicket_section_uuid', true);
+        $orgs = wicket_organizations();
+        $ranked = array();
+
+        foreach ($map as $section_uuid => $rules) {
+            if ($section_uuid === $current_uuid) {
+                continue;
+            }
+
+            $score = 0;
+            $reason = '';
+
+            foreach ($rules['postal_prefixes'] ?? array() as $prefix) {
+                if ($zip !== '' && strpos($zip, $prefix) === 0 && 100 + strlen($prefix) > $score) {
+                    $score = 100 + strlen($prefix);
+                    $reason = sprintf(__('Covers postal codes starting with %s', 'wicket-integration'), $prefix);
+                }
+            }
+
+            if ($score === 0) {
+                foreach ($rules['regions'] ?? array() as $region) {
+                    foreach ($places as $place) {
+                        if ($place['value'] !== '' && strcasecmp($region, $place['value']) === 0 && $place['score'] > $score) {
+                            $score = $place['score'];
+                            $reason = sprintf(__('Covers %s', 'wicket-integration'), $place['value']);
+                        }
+                    }
+                }
+            }
+
+            if ($score === 0) {
+                continue;
+            }
+
+            $section = $orgs->get_organization($section_uuid);
+            if (empty($section)) {
+                continue;
+            }
+
+            $ranked[] = array_merge($this->format_section_result($section), array(
+                'reason' => $reason,
+                'score' => $score
+            ));
+        }
+
+        usort($ranked, function($a, $b) {
+            return $b['score'] <=> $a['score'] ?: strcasecmp($a['legal_name'], $b['legal_name']);
+        });
+
+        return array_slice($ranked, 0, $limit);
+    }
+
+    /**
+     * Format a section row for use in JS
+     *
+     * @param array $section Row from the local organizations table
+     * @return array
+     */
+    private function format_section_result($section) {
+        return array(
+            'id' => $section['wicket_uuid'],
+            'wicket_uuid' => $section['wicket_uuid'],
+            'text' => $section['legal_name'],
+            'legal_name' => $section['legal_name'],
+            'alternate_name' => $section['alternate_name'] ?? '',
+            'description' => $section['description'] ?? ''
+        );
+    }
+
     /**
      * Get all data needed for section page template
      *
@@ -352,6 +602,63 @@ class Wicket_Section_Functions {
         myies_log('Updated section user_meta: ' . ($section['legal_name'] ?? $section_uuid), 'Section Functions');
     }
 
+    /**
+     * Validate the dates of a section membership (Y-m-d, both optional) and
+     * convert them to ISO 8601 in the site timezone: the start of the start
+     * day and the end of the end day.
+     *
+     * The start may be backdated up to MAX_BACKDATE_DAYS, the end may not be
+     * in the past, and the end must come after the start.
+     *
+     * @param string      $starts_at         Start date from the form.
+     * @param string      $ends_at           End date from the form.
+     * @param string|null $current_starts_at Start of the existing connection, if any.
+     * @return array|WP_Error [starts_at|null, ends_at|null]
+     */
+    private function parse_connection_dates($starts_at, $ends_at, $current_starts_at = null) {
+        $tz    = wp_timezone();
+        $today = new DateTime('today', $tz);
+        $start = null;
+        $end   = null;
+
+        if ($starts_at !== '') {
+            $start = DateTime::createFromFormat('!Y-m-d', $starts_at, $tz);
+            if (!$start || $start->format('Y-m-d') !== $starts_at) {
+                return new WP_Error('invalid_date', __('Please enter a valid start date.', 'wicket-integration'));
+            }
+
+            $earliest = (clone $today)->modify('-' . self::MAX_BACKDATE_DAYS . ' days');
+            if ($start < $earliest) {
+                return new WP_Error('invalid_date', sprintf(
+                    __('The start date cannot be before %s.', 'wicket-integration'),
+                    wp_date(get_option('date_format'), $earliest->getTimestamp())
+                ));
+            }
+        }
+
+        if ($ends_at !== '') {
+            $end = DateTime::createFromFormat('!Y-m-d', $ends_at, $tz);
+            if (!$end || $end->format('Y-m-d') !== $ends_at) {
+                return new WP_Error('invalid_date', __('Please enter a valid end date.', 'wicket-integration'));
+            }
+            $end->setTime(23, 59, 59);
+
+            if ($end < $today) {
+                return new WP_Error('invalid_date', __('The end date cannot be in the past.', 'wicket-integration'));
+            }
+
+            $start_ts = $start ? $start->getTimestamp() : ($current_starts_at ? strtotime($current_starts_at) : null);
+            if ($start_ts && $end->getTimestamp() <= $start_ts) {
+                return new WP_Error('invalid_date', __('The end date must be after the start date.', 'wicket-integration'));
+            }
+        }
+
+        return array(
+            $start ? $start->format('c') : null,
+            $end ? $end->format('c') : null
+        );
+    }
+
     // =========================================================================
     // AJAX HANDLERS
     // =========================================================================
@@ -397,20 +704,28 @@ class Wicket_Section_Functions {
         myies_log('Section search found ' . count($results) . ' results', 'Section Functions');
 
         // Format for easy use in JS
-        $formatted = array_map(function($section) {
-            return array(
-                'id' => $section['wicket_uuid'],
-                'wicket_uuid' => $section['wicket_uuid'],
-                'text' => $section['legal_name'],
-                'legal_name' => $section['legal_name'],
-                'alternate_name' => $section['alternate_name'] ?? '',
-                'description' => $section['description'] ?? ''
-            );
-        }, $results);
+        $formatted = array_map(array($this, 'format_section_result'), $results);
 
         wp_send_json_success(array('results' => $formatted));
     }
 
+    /**
+     * AJAX: Sections suggested from the user's address
+     */
+    public function ajax_suggest_sections() {
+        check_ajax_referer('wicket_section_nonce', 'nonce');
+
+        if (!is_user_logged_in()) {
+            wp_send_json_error(array('message' => 'Not logged in'));
+        }
+
+        $results = $this->get_suggested_sections(get_current_user_id());
+
+        myies_log('Section suggestions: ' . count($results) . ' found', 'Section Functions');
+
+        wp_send_json_success(array('results' => $results));
+    }
+
     /**
      * AJAX: Set/change user's section
      */
@@ -422,8 +737,8 @@ class Wicket_Section_Functions {
         }
 
         $section_uuid = isset($_POST['section_uuid']) ? sanitize_text_field($_POST['section_uuid']) : '';
-        $starts_at = isset($_POST['starts_at']) ? sanitize_text_field($_POST['starts_at']) : null;
-        $ends_at = isset($_POST['ends_at']) ? sanitize_text_field($_POST['ends_at']) : null;
+        $starts_at = isset($_POST['starts_at']) ? sanitize_text_field($_POST['starts_at']) : '';
+        $ends_at = isset($_POST['ends_at']) ? sanitize_text_field($_POST['ends_at']) : '';
 
         if (empty($section_uuid)) {
             wp_send_json_error(array('message' => 'Section UUID required'));
@@ -448,6 +763,7 @@ class Wicket_Section_Functions {
         $existing_connections = $api->get_person_connections($person_uuid);
         $has_connection = false;
         $existing_connection_uuid = null;
+        $existing_starts_at = null;
 
         foreach ($existing_connections as $conn) {
             $conn_org_uuid = $conn['relationships']['to']['data']['id'] ??
@@ -455,11 +771,18 @@ class Wicket_Section_Functions {
             if ($conn_org_uuid === $section_uuid) {
                 $has_connection = true;
                 $existing_connection_uuid = $conn['id'] ?? null;
+                $existing_starts_at = $conn['attributes']['starts_at'] ?? null;
                 myies_log('User already has connection to this section', 'Section Functions');
                 break;
             }
         }
 
+        $dates = $this->parse_connection_dates($starts_at, $ends_at, $existing_starts_at);
+        if (is_wp_error($dates)) {
+            wp_send_json_error(array('message' => $dates->get_error_message()));
+        }
+        list($starts_at, $ends_at) = $dates;
+
         if ($has_connection && $existing_connection_uuid && ($starts_at || $ends_at)) {
             // Update existing connection with new dates
             myies_log('Updating existing connection dates in Wicket', 'Section Functions');
@@ -487,8 +810,11 @@ class Wicket_Section_Functions {
             }
         }
 
-        // Save locally
-        $this->update_section_user_meta($user_id, $section_uuid);
+        // Save locally. An added section only becomes primary if there is none yet.
+        $make_primary = !isset($_POST['make_primary']) || $_POST['make_primary'] !== '0';
+        if ($make_primary || !get_user_meta($user_id, 'wicket_section_uuid', true)) {
+            $this->update_section_user_meta($user_id, $section_uuid);
+        }
 
         myies_log('Section set successfully', 'Section Functions');
 
@@ -499,6 +825,35 @@ class Wicket_Section_Functions {
         ));
     }
 
+    /**
+     * AJAX: Mark one of the user's sections as primary
+     */
+    public function ajax_set_primary_section() {
+        check_ajax_referer('wicket_section_nonce', 'nonce');
+
+        if (!is_user_logged_in()) {
+            wp_send_json_error(array('message' => 'Not logged in'));
+        }
+
+        $section_uuid = isset($_POST['section_uuid']) ? sanitize_text_field($_POST['section_uuid']) : '';
+        if (empty($section_uuid)) {
+            wp_send_json_error(array('message' => 'Section UUID required'));
+        }
+
+        $user_id = get_current_user_id();
+        $result = $this->set_primary_section($section_uuid, $user_id);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(array('message' => $result->get_error_message()));
+        }
+
+        wp_send_json_success(array(
+            'message' => 'Primary section updated',
+            'sections' => $this->get_user_sections($user_id),
+            'current_section' => $this->get_user_section($user_id)
+        ));
+    }
+
     /**
      * AJAX: Leave section (remove connection)
      */
@@ -599,6 +954,27 @@ function wicket_search_sections($search_term, $limit = 20) {
     return wicket_section()->search_sections($search_term, $limit);
 }
 
+/**
+ * Get sections suggested from the user's address
+ *
+ * @param int|null $user_id
+ * @return array
+ */
+function wicket_suggest_sections($user_id = null) {
+    return wicket_section()->get_suggested_sections($user_id);
+}
+
+/**
+ * Make one of a user's sections their primary section
+ *
+ * @param string   $section_uuid Section organization UUID
+ * @param int|null $user_id      User ID (defaults to current user)
+ * @return true|WP_Error
+ */
+function wicket_set_primary_section($section_uuid, $user_id = null) {
+    return wicket_section()->set_primary_section($section_uuid, $user_id);
+}
+
 /**
  * Get all template data for section page
  *
@@ -625,7 +1001,8 @@ function wicket_section_js_config() {
     <script>
     var wicketSectionConfig = {
         ajaxUrl: '<?php echo admin_url('admin-ajax.php'); ?>',
-        nonce: '<?php echo wp_create_nonce('wicket_section_nonce'); ?>'
+        nonce: '<?php echo wp_create_nonce('wicket_section_nonce'); ?>',
+        reloadOnChange: <?php echo wicket_section()->reload_on_change() ? 'true' : 'false'; ?>
     };
     </script>
     <?php
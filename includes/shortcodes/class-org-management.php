@@ -12,6 +12,8 @@
  *  - View all people connected to the organization (with roles)
  *  - Add an existing WordPress user to the organization via email search
  *  - Soft-remove a person from the organization (sets ends_at = now)
+ *  - List former members (ended connections) and reinstate them
+ *  - View the roster activity log (managers only, see MyIES_Audit_Log)
  *
  * @package MyIES_Integration
  * @since   1.0.11
@@ -23,6 +25,21 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class MyIES_Org_Management {
 
+	/** Connections ended per bulk remove request, and rows per import commit. */
+	const BULK_BATCH_SIZE = 10;
+
+	/** Maximum rows accepted from one roster CSV. */
+	const IMPORT_MAX_ROWS = 500;
+
+	/** How long a duplicate-check match can be picked, in seconds. */
+	const DUPLICATE_TOKEN_TTL = 1800;
+
+	/** How long a person's Company roles are cached, in seconds. */
+	const ROLE_CACHE_TTL = 600;
+
+	/** Members whose Company roles come with the first roster load; the rest follow in a second request. */
+	const ROSTER_ROLE_LIMIT = 50;
+
 	private static $instance = null;
 
 	public static function get_instance() {
@@ -40,7 +57,19 @@ class MyIES_Org_Management {
 		add_action( 'wp_ajax_myies_orgmgmt_search_users', array( $this, 'ajax_search_users' ) );
 		add_action( 'wp_ajax_myies_orgmgmt_add_member', array( $this, 'ajax_add_member' ) );
 		add_action( 'wp_ajax_myies_orgmgmt_remove_member', array( $this, 'ajax_remove_member' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_bulk_remove', array( $this, 'ajax_bulk_remove' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_update_role', array( $this, 'ajax_update_role' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_import_preview', array( $this, 'ajax_import_preview' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_import_commit', array( $this, 'ajax_import_commit' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_export', array( $this, 'ajax_export' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_get_member_details', array( $this, 'ajax_get_member_details' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_get_former_members', array( $this, 'ajax_get_former_members' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_reinstate_member', array( $this, 'ajax_reinstate_member' ) );
 		add_action( 'wp_ajax_myies_orgmgmt_create_and_add', array( $this, 'ajax_create_and_add_member' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_get_activity', array( $this, 'ajax_get_activity' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_get_org_details', array( $this, 'ajax_get_org_details' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_update_org_details', array( $this, 'ajax_update_org_details' ) );
+		add_action( 'wp_ajax_myies_orgmgmt_set_notifications', array( $this, 'ajax_set_notifications' ) );
 
 		// Register assets
 		add_action( 'wp_enqueue_scripts', array( $this, 'register_assets' ) );
@@ -50,13 +79,13 @@ class MyIES_Org_Management {
 		wp_register_style(
 			'myies-org-management',
 			WICKET_INTEGRATION_PLUGIN_URL . 'assets/css/org-management.css',
-			array(),
+			array( 'myies-table' ),
 			WICKET_INTEGRATION_VERSION
 		);
 		wp_register_script(
 			'myies-org-management',
 			WICKET_INTEGRATION_PLUGIN_URL . 'assets/js/org-management.js',
-			array( 'jquery' ),
+			array( 'jquery', 'myies-table' ),
 			WICKET_INTEGRATION_VERSION,
 			true
 		);
@@ -70,16 +99,20 @@ class MyIES_Org_Management {
 	 * Check if the current user is authorized to manage the given org.
 	 *
 	 * Requirements:
-	 *  1. User has a "primary-contact" or "sustaining_benefits_contact"
-	 *     connection type to the organization.
+	 *  1. User's connection type to the organization is allowed to view the
+	 *     roster (MyIES Controls → Permissions).
 	 *  2. The organization has an active sustaining (org) membership.
 	 *
-	 * @return array ['authorized' => bool, 'can_manage' => bool, 'reason' => string, 'org_uuid' => string, 'person_uuid' => string]
+	 * `caps` holds everything the connection type may do; `can_manage` is
+	 * shorthand for editing the roster.
+	 *
+	 * @return array ['authorized' => bool, 'can_manage' => bool, 'caps' => array, 'reason' => string, 'org_uuid' => string, 'person_uuid' => string]
 	 */
 	private function check_authorization() {
 		$result = array(
 			'authorized'  => false,
 			'can_manage'  => false,
+			'caps'        => array_fill_keys( array_keys( MyIES_Permissions::capabilities() ), false ),
 			'reason'      => '',
 			'org_uuid'    => '',
 			'person_uuid' => '',
@@ -125,14 +158,16 @@ class MyIES_Org_Management {
 
 		error_log( '[OrgMgmt Auth] User ' . $user_id . ' has active connection to org ' . $org_uuid . ' with type "' . $connection['connection_type'] . '"' );
 
-		// Management rights are granted to primary-contact and sustaining-benefits-contact connection types
-		$management_types = array( 'primary-contact', 'sustaining_benefits_contact' );
-		if ( in_array( $connection['connection_type'], $management_types, true ) ) {
-			$result['can_manage'] = true;
-			error_log( '[OrgMgmt Auth] User ' . $user_id . ' can manage org (connection type: ' . $connection['connection_type'] . ')' );
-		} else {
-			error_log( '[OrgMgmt Auth] User ' . $user_id . ' connection type "' . $connection['connection_type'] . '" — read-only access' );
+		// Rights come from the permission matrix for the connection type
+		$caps = MyIES_Permissions::for_connection_type( $connection['connection_type'] );
+		if ( empty( $caps[ MyIES_Permissions::VIEW_ROSTER ] ) ) {
+			error_log( '[OrgMgmt Auth] User ' . $user_id . ' connection type "' . $connection['connection_type'] . '" may not view the roster — denied' );
+			$result['reason'] = 'no_permission';
+			return $result;
 		}
+		$result['caps']       = $caps;
+		$result['can_manage'] = ! empty( $caps[ MyIES_Permissions::EDIT_ROSTER ] );
+		error_log( '[OrgMgmt Auth] User ' . $user_id . ' connection type "' . $connection['connection_type'] . '" granted: ' . implode( ', ', array_keys( array_filter( $caps ) ) ) );
 
 		// 2. Check active org membership
 		if ( class_exists( 'Wicket_Memberships' ) ) {
@@ -208,7 +243,9 @@ class MyIES_Org_Management {
 			'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
 			'nonce'     => wp_create_nonce( 'myies_orgmgmt_nonce' ),
 			'orgUuid'   => $auth['org_uuid'],
-			'canManage' => $auth['can_manage'],
+			'caps'      => $auth['caps'],
+			'roles'     => $this->get_assignable_types( $auth ),
+			'roleLabels' => $this->get_connection_types(),
 			'i18n'      => array(
 				'confirm_remove' => __( 'Remove this person from the organization?', 'wicket-integration' ),
 				'adding'         => __( 'Adding...', 'wicket-integration' ),
@@ -218,6 +255,29 @@ class MyIES_Org_Management {
 				'min_chars'      => __( 'Type at least 5 characters to search.', 'wicket-integration' ),
 				'search_placeholder' => __( 'Search by email address...', 'wicket-integration' ),
 				'add_new_person' => __( '+ Add New Person', 'wicket-integration' ),
+				'confirm_remove_n' => __( 'Remove %d selected people from the organization?', 'wicket-integration' ),
+				'bulk_removing'  => __( 'Removing members...', 'wicket-integration' ),
+				'bulk_remove_done' => __( 'Bulk removal finished.', 'wicket-integration' ),
+				'saving'         => __( 'Saving...', 'wicket-integration' ),
+				'import_reading' => __( 'Reading file...', 'wicket-integration' ),
+				'import_no_rows' => __( 'No rows with an email address were found in the file.', 'wicket-integration' ),
+				'import_none'    => __( 'None of the rows can be imported.', 'wicket-integration' ),
+				'importing'      => __( 'Importing...', 'wicket-integration' ),
+				'import_done'    => __( 'Import finished.', 'wicket-integration' ),
+				'removed'        => __( '%s was removed from the organization.', 'wicket-integration' ),
+				'undo'           => __( 'Undo', 'wicket-integration' ),
+				'reinstating'    => __( 'Reinstating...', 'wicket-integration' ),
+				'confirm_reinstate' => __( 'Reinstate this person in the organization?', 'wicket-integration' ),
+				'use_instead'    => __( 'Use this person instead', 'wicket-integration' ),
+				'create_anyway'  => __( 'None of these — create a new person', 'wicket-integration' ),
+				'already_member' => __( 'Already a member', 'wicket-integration' ),
+				'org_heading'    => __( 'Organization: %s', 'wicket-integration' ),
+				'details_saved'  => __( 'Organization details saved.', 'wicket-integration' ),
+				'details_invalid' => __( 'Please correct the highlighted fields.', 'wicket-integration' ),
+				'required'       => __( 'This field is required.', 'wicket-integration' ),
+				'invalid_url'    => __( 'Enter a full web address, e.g. https://example.com.', 'wicket-integration' ),
+				'invalid_phone'  => __( 'Enter the phone number in international format, e.g. +1 555 123 4567.', 'wicket-integration' ),
+				'invalid_country' => __( 'Enter a two-letter country code, e.g. CA.', 'wicket-integration' ),
 			),
 		) );
 
@@ -244,6 +304,9 @@ class MyIES_Org_Management {
 			case 'no_role':
 				echo '<p>' . esc_html__( 'You are not connected to this organization.', 'wicket-integration' ) . '</p>';
 				break;
+			case 'no_permission':
+				echo '<p>' . esc_html__( 'Your role at this organization does not include access to the roster.', 'wicket-integration' ) . '</p>';
+				break;
 			case 'no_active_membership':
 				echo '<p>' . esc_html__( 'Your organization does not have an active sustaining membership.', 'wicket-integration' ) . '</p>';
 				break;
@@ -254,19 +317,46 @@ class MyIES_Org_Management {
 	}
 
 	private function render_management_ui( $auth ) {
-		$can_manage = $auth['can_manage'];
+		$can_manage   = $auth['can_manage'];
+		$can_edit_org = $auth['caps'][ MyIES_Permissions::EDIT_ORG ];
 		?>
 		<div class="myies-orgmgmt" id="myies-orgmgmt" data-org="<?php echo esc_attr( $auth['org_uuid'] ); ?>">
 			<div class="myies-orgmgmt__header">
 				<h3><?php printf( esc_html__( 'Organization: %s', 'wicket-integration' ), esc_html( $auth['org_name'] ) ); ?></h3>
 				<?php if ( $can_manage ) : ?>
-					<button type="button" class="myies-orgmgmt__toggle-add-btn" id="myies-orgmgmt-toggle-add">
-						<?php esc_html_e( '+ Add Member', 'wicket-integration' ); ?>
-					</button>
+					<div class="myies-orgmgmt__header-actions">
+						<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--secondary" id="myies-orgmgmt-toggle-import">
+							<?php esc_html_e( 'Import CSV', 'wicket-integration' ); ?>
+						</button>
+						<button type="button" class="myies-orgmgmt__toggle-add-btn" id="myies-orgmgmt-toggle-add">
+							<?php esc_html_e( '+ Add Member', 'wicket-integration' ); ?>
+						</button>
+					</div>
 				<?php endif; ?>
 			</div>
 
 			<?php if ( $can_manage ) : ?>
+			<!-- Roster CSV import (hidden by default, toggled by Import CSV button) -->
+			<div class="myies-orgmgmt__add myies-orgmgmt__import" id="myies-orgmgmt-import-section" style="display:none;">
+				<button type="button" class="myies-orgmgmt__close-btn" id="myies-orgmgmt-close-import" aria-label="<?php esc_attr_e( 'Close', 'wicket-integration' ); ?>">&times;</button>
+				<h4><?php esc_html_e( 'Import People from a CSV File', 'wicket-integration' ); ?></h4>
+				<p class="myies-orgmgmt__hint">
+					<?php esc_html_e( 'Upload a CSV with first name, last name, email and role columns. A header row is optional; rows without a role are added as employees. You will see a preview before anything is changed.', 'wicket-integration' ); ?>
+				</p>
+				<input type="file" id="myies-orgmgmt-import-file" accept=".csv,text/csv">
+				<div id="myies-orgmgmt-import-message" class="myies-orgmgmt__message" style="display:none;"></div>
+				<div id="myies-orgmgmt-import-preview" class="myies-orgmgmt__import-preview"></div>
+				<div id="myies-orgmgmt-import-actions" class="myies-orgmgmt__import-actions" style="display:none;">
+					<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--primary" id="myies-orgmgmt-import-commit"></button>
+					<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--secondary" id="myies-orgmgmt-import-cancel">
+						<?php esc_html_e( 'Cancel', 'wicket-integration' ); ?>
+					</button>
+				</div>
+				<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--secondary myies-orgmgmt__import-report" id="myies-orgmgmt-import-report" style="display:none;">
+					<?php esc_html_e( 'Download Report', 'wicket-integration' ); ?>
+				</button>
+			</div>
+
 			<!-- Add member form (hidden by default, toggled by + Add Member button) -->
 			<div class="myies-orgmgmt__add" id="myies-orgmgmt-add-section" style="display:none;">
 				<button type="button" class="myies-orgmgmt__close-btn" id="myies-orgmgmt-close-add" aria-label="<?php esc_attr_e( 'Close', 'wicket-integration' ); ?>">&times;</button>
@@ -328,281 +418,2302 @@ class MyIES_Org_Management {
 						</button>
 					</div>
 					<div id="myies-orgmgmt-new-message" class="myies-orgmgmt__message" style="display:none;"></div>
+					<!-- Likely duplicates found before creating -->
+					<div id="myies-orgmgmt-duplicates" class="myies-orgmgmt__duplicates" style="display:none;"></div>
 				</div>
 			</div>
 			<?php endif; ?>
 
+			<div class="myies-orgmgmt__tabs" role="tablist">
+				<button type="button" class="myies-orgmgmt__tab is-active" role="tab" aria-selected="true" data-tab="members">
+					<?php esc_html_e( 'Members', 'wicket-integration' ); ?>
+				</button>
+				<button type="button" class="myies-orgmgmt__tab" role="tab" aria-selected="false" data-tab="former">
+					<?php esc_html_e( 'Former Members', 'wicket-integration' ); ?>
+				</button>
+				<?php if ( $can_edit_org ) : ?>
+				<button type="button" class="myies-orgmgmt__tab" role="tab" aria-selected="false" data-tab="details">
+					<?php esc_html_e( 'Organization Details', 'wicket-integration' ); ?>
+				</button>
+				<?php endif; ?>
+				<?php if ( $can_manage ) : ?>
+				<button type="button" class="myies-orgmgmt__tab" role="tab" aria-selected="false" data-tab="activity">
+					<?php esc_html_e( 'Activity', 'wicket-integration' ); ?>
+				</button>
+				<?php endif; ?>
+			</div>
+
+			<!-- Former members (ended connections) -->
+			<div class="myies-orgmgmt__panel" data-panel="former" role="tabpanel" style="display:none;">
+				<div id="myies-orgmgmt-former-message" class="myies-orgmgmt__message" style="display:none;"></div>
+				<div id="myies-orgmgmt-former" class="myies-orgmgmt__former"></div>
+			</div>
+
+			<?php if ( $can_edit_org ) : ?>
+			<!-- Organization profile editor -->
+			<div class="myies-orgmgmt__panel" data-panel="details" role="tabpanel" style="display:none;">
+				<form id="myies-orgmgmt-details-form" class="myies-orgmgmt__details-form" novalidate>
+					<p class="myies-orgmgmt__hint">
+						<?php esc_html_e( 'These details appear in the member directory and company search. Changes are saved to your organization record right away.', 'wicket-integration' ); ?>
+					</p>
+					<div class="myies-orgmgmt__field-row">
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-legal-name"><?php esc_html_e( 'Legal Name', 'wicket-integration' ); ?> *</label>
+							<input type="text" id="myies-orgmgmt-org-legal-name" name="legal_name" maxlength="255" required>
+						</div>
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-alternate-name"><?php esc_html_e( 'Alternate Name', 'wicket-integration' ); ?></label>
+							<input type="text" id="myies-orgmgmt-org-alternate-name" name="alternate_name" maxlength="255">
+						</div>
+					</div>
+					<div class="myies-orgmgmt__field-row">
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-website"><?php esc_html_e( 'Website', 'wicket-integration' ); ?></label>
+							<input type="url" id="myies-orgmgmt-org-website" name="website" placeholder="https://">
+						</div>
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-phone"><?php esc_html_e( 'Phone', 'wicket-integration' ); ?></label>
+							<input type="tel" id="myies-orgmgmt-org-phone" name="phone" placeholder="+1 555 123 4567">
+						</div>
+					</div>
+					<fieldset class="myies-orgmgmt__fieldset">
+						<legend><?php esc_html_e( 'Address', 'wicket-integration' ); ?></legend>
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-address1"><?php esc_html_e( 'Street Address', 'wicket-integration' ); ?></label>
+							<input type="text" id="myies-orgmgmt-org-address1" name="address1" maxlength="255">
+						</div>
+						<div class="myies-orgmgmt__field">
+							<label for="myies-orgmgmt-org-address2"><?php esc_html_e( 'Address Line 2', 'wicket-integration' ); ?></label>
+							<input type="text" id="myies-orgmgmt-org-address2" name="address2" maxlength="255">
+						</div>
+						<div class="myies-orgmgmt__field-row">
+							<div class="myies-orgmgmt__field">
+								<label for="myies-orgmgmt-org-city"><?php esc_html_e( 'City', 'wicket-integration' ); ?></label>
+								<input type="text" id="myies-orgmgmt-org-city" name="city" maxlength="100">
+							</div>
+							<div class="myies-orgmgmt__field">
+								<label for="myies-orgmgmt-org-state"><?php esc_html_e( 'State / Province', 'wicket-integration' ); ?></label>
+								<input type="text" id="myies-orgmgmt-org-state" name="state_name" maxlength="100">
+							</div>
+						</div>
+						<div class="myies-orgmgmt__field-row">
+							<div class="myies-orgmgmt__field">
+								<label for="myies-orgmgmt-org-zip"><?php esc_html_e( 'Postal Code', 'wicket-integration' ); ?></label>
+								<input type="text" id="myies-orgmgmt-org-zip" name="zip_code" maxlength="20">
+							</div>
+							<div class="myies-orgmgmt__field">
+								<label for="myies-orgmgmt-org-country"><?php esc_html_e( 'Country Code', 'wicket-integration' ); ?></label>
+								<input type="text" id="myies-orgmgmt-org-country" name="country_code" maxlength="2" placeholder="CA">
+							</div>
+						</div>
+					</fieldset>
+					<div class="myies-orgmgmt__details-actions">
+						<button type="submit" class="myies-orgmgmt__btn myies-orgmgmt__btn--primary" id="myies-orgmgmt-details-save">
+							<?php esc_html_e( 'Save Details', 'wicket-integration' ); ?>
+						</button>
+					</div>
+					<div id="myies-orgmgmt-details-message" class="myies-orgmgmt__message" role="status" style="display:none;"></div>
+				</form>
+			</div>
+			<?php endif; ?>
+
+			<?php if ( $can_manage ) : ?>
+			<!-- Roster activity log -->
+			<div class="myies-orgmgmt__panel" data-panel="activity" role="tabpanel" style="display:none;">
+				<?php if ( class_exists( 'MyIES_Notifications' ) && MyIES_Notifications::is_enabled() ) : ?>
+				<label class="myies-orgmgmt__notify-toggle">
+					<input type="checkbox" id="myies-orgmgmt-notify" <?php checked( ! MyIES_Notifications::is_opted_out( get_current_user_id() ) ); ?>>
+					<?php esc_html_e( 'Email me when people or seats change at my organization', 'wicket-integration' ); ?>
+				</label>
+				<div id="myies-orgmgmt-notify-message" class="myies-orgmgmt__message" style="display:none;"></div>
+				<?php endif; ?>
+				<div id="myies-orgmgmt-activity" class="myies-orgmgmt__activity"></div>
+			</div>
+			<?php endif; ?>
+
 			<!-- Members list -->
-			<div class="myies-orgmgmt__list">
+			<div class="myies-orgmgmt__list myies-orgmgmt__panel" data-panel="members" role="tabpanel">
 				<h4><?php esc_html_e( 'Current Members', 'wicket-integration' ); ?></h4>
 				<div id="myies-orgmgmt-search-members-wrap" class="myies-orgmgmt__filter">
 					<input type="text" id="myies-orgmgmt-filter" autocomplete="off"
 					       placeholder="<?php esc_attr_e( 'Filter members...', 'wicket-integration' ); ?>">
+					<span class="myies-orgmgmt__facets">
+						<select id="myies-orgmgmt-facet-type" aria-label="<?php esc_attr_e( 'Connection type', 'wicket-integration' ); ?>">
+							<option value=""><?php esc_html_e( 'All connection types', 'wicket-integration' ); ?></option>
+						</select>
+						<select id="myies-orgmgmt-facet-role" aria-label="<?php esc_attr_e( 'Company role', 'wicket-integration' ); ?>">
+							<option value=""><?php esc_html_e( 'All roles', 'wicket-integration' ); ?></option>
+						</select>
+						<select id="myies-orgmgmt-facet-seat" aria-label="<?php esc_attr_e( 'Seat', 'wicket-integration' ); ?>">
+							<option value=""><?php esc_html_e( 'Seat: any', 'wicket-integration' ); ?></option>
+							<option value="yes"><?php esc_html_e( 'Holds a seat', 'wicket-integration' ); ?></option>
+							<option value="no"><?php esc_html_e( 'No seat', 'wicket-integration' ); ?></option>
+						</select>
+					</span>
+					<?php if ( $auth['can_manage'] ) : ?>
+						<span class="myies-orgmgmt__export">
+							<?php esc_html_e( 'Export roster:', 'wicket-integration' ); ?>
+							<button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__export-btn" data-format="csv">CSV</button>
+							<button type="button" class="myies-orgmgmt__link-btn myies-orgmgmt__export-btn" data-format="xlsx">XLSX</button>
+						</span>
+					<?php endif; ?>
+				</div>
+				<?php if ( $auth['can_manage'] ) : ?>
+				<div id="myies-orgmgmt-selection" class="myies-orgmgmt__selection" style="display:none;">
+					<span class="myies-orgmgmt__selection-count"></span>
+					<button type="button" class="myies-orgmgmt__link-btn" id="myies-orgmgmt-select-matching"></button>
+					<button type="button" class="myies-orgmgmt__link-btn" id="myies-orgmgmt-select-clear"><?php esc_html_e( 'Clear selection', 'wicket-integration' ); ?></button>
+					<button type="button" class="myies-orgmgmt__btn myies-orgmgmt__btn--danger" id="myies-orgmgmt-bulk-remove"><?php esc_html_e( 'Remove Members', 'wicket-integration' ); ?></button>
 				</div>
+				<div id="myies-orgmgmt-bulk-remove-message" class="myies-orgmgmt__message" style="display:none;"></div>
+				<?php endif; ?>
 				<div id="myies-orgmgmt-members" class="myies-orgmgmt__members">
 					<p class="myies-orgmgmt__loading"><?php esc_html_e( 'Loading members...', 'wicket-integration' ); ?></p>
 				</div>
 			</div>
+
+			<!-- Undo toast shown after a removal -->
+			<div id="myies-orgmgmt-toast" class="myies-orgmgmt__toast" role="status" aria-live="polite" style="display:none;"></div>
+
+			<?php if ( $can_manage ) : ?>
+			<!-- Member detail drawer -->
+			<div id="myies-orgmgmt-drawer" class="myies-orgmgmt__drawer" role="dialog" aria-modal="true" aria-labelledby="myies-orgmgmt-drawer-title" style="display:none;">
+				<div class="myies-orgmgmt__drawer-backdrop"></div>
+				<div class="myies-orgmgmt__drawer-panel">
+					<button type="button" class="myies-orgmgmt__close-btn" id="myies-orgmgmt-close-drawer" aria-label="<?php esc_attr_e( 'Close', 'wicket-integration' ); ?>">&times;</button>
+					<div id="myies-orgmgmt-drawer-body"></div>
+				</div>
+			</div>
+			<?php endif; ?>
 		</div>
 		<?php
 	}
 
 	// =========================================================================
-	// AJAX: Get members
+	// AJAX: Roster activity log
 	// =========================================================================
 
-	public function ajax_get_members() {
+	public function ajax_get_activity() {
 		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
 		$auth = $this->check_authorization();
-		if ( ! $auth['authorized'] ) {
-			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
 		}
 
-		$api     = wicket_api();
-		$members = $api->get_organization_members( $auth['org_uuid'] );
-
-		$formatted = array();
-		foreach ( $members as $conn ) {
-			// Skip inactive connections (already ended)
-			$ends_at = $conn['attributes']['ends_at'] ?? null;
-			if ( $ends_at && strtotime( $ends_at ) < time() ) {
-				continue;
-			}
-
-			$person      = $conn['_person'] ?? null;
-			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
-			$given_name  = $person['attributes']['given_name'] ?? '';
-			$family_name = $person['attributes']['family_name'] ?? '';
-			$full_name   = trim( $given_name . ' ' . $family_name );
-
-			// Get primary email from person data
-			$email = '';
-			if ( $person && ! empty( $person['attributes']['primary_email_address'] ) ) {
-				$email = $person['attributes']['primary_email_address'];
-			}
+		$page = isset( $_POST['page'] ) ? max( 1, (int) $_POST['page'] ) : 1;
 
-			// Connection role
-			$conn_type = $conn['attributes']['type'] ?? 'member';
+		wp_send_json_success( myies_audit_log()->get_activity( $auth['org_uuid'], 'roster', $page ) );
+	}
 
-			$formatted[] = array(
-				'connection_uuid' => $conn['id'],
-				'person_uuid'     => $person_uuid,
-				'name'            => $full_name ?: __( 'Unknown', 'wicket-integration' ),
-				'email'           => $email,
-				'connection_type' => $conn_type,
-				'roles'           => array(), // Will be enriched below
-				'is_self'         => ( $person_uuid === $auth['person_uuid'] ),
-			);
+	/**
+	 * Turn roster and seat change emails on or off for the current user.
+	 */
+	public function ajax_set_notifications() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
 		}
 
-		// Batch-fetch roles for the first 50 people (reasonable limit)
-		$batch = array_slice( $formatted, 0, 50 );
-		foreach ( $batch as $i => $m ) {
-			if ( empty( $m['person_uuid'] ) ) {
-				continue;
-			}
-			$roles      = $api->get_person_roles( $m['person_uuid'] );
-			$role_names = array();
-			foreach ( $roles as $r ) {
-				$name = $r['attributes']['name'] ?? '';
-				if ( $name && strpos( $name, 'Company' ) === 0 ) {
-					$role_names[] = $name;
-				}
-			}
-			$formatted[ $i ]['roles'] = $role_names;
-		}
+		$enabled = ! empty( $_POST['enabled'] );
+		MyIES_Notifications::set_opt_out( get_current_user_id(), ! $enabled );
 
-		wp_send_json_success( array( 'members' => $formatted ) );
+		wp_send_json_success( array(
+			'message' => $enabled
+				? __( 'You will be emailed about roster and seat changes.', 'wicket-integration' )
+				: __( 'You will no longer be emailed about roster and seat changes.', 'wicket-integration' ),
+		) );
 	}
 
 	// =========================================================================
-	// AJAX: Search WordPress users by email
+	// AJAX: Organization details
 	// =========================================================================
 
-	public function ajax_search_users() {
+	/**
+	 * Editable organization profile fields, keyed by form field name.
+	 */
+	private function get_org_detail_fields() {
+		return array( 'legal_name', 'alternate_name', 'website', 'phone', 'address1', 'address2', 'city', 'state_name', 'zip_code', 'country_code' );
+	}
+
+	public function ajax_get_org_details() {
 		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
 		$auth = $this->check_authorization();
-		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+		if ( ! $auth['authorized'] || ! $auth['caps'][ MyIES_Permissions::EDIT_ORG ] ) {
 			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
 		}
 
-		$email = isset( $_POST['email'] ) ? sanitize_text_field( $_POST['email'] ) : '';
-		if ( strlen( $email ) < 5 ) {
-			wp_send_json_success( array( 'results' => array() ) );
-			return;
+		$profile = wicket_api()->get_organization_profile( $auth['org_uuid'] );
+		if ( ! $profile ) {
+			wp_send_json_error( array( 'message' => __( 'Could not load your organization details.', 'wicket-integration' ) ) );
 		}
 
-		// Search WP users by email LIKE
-		global $wpdb;
-		$like    = '%' . $wpdb->esc_like( $email ) . '%';
-		$results = $wpdb->get_results( $wpdb->prepare(
-			"SELECT ID, user_email, display_name FROM {$wpdb->users} WHERE user_email LIKE %s ORDER BY user_email ASC LIMIT 10",
-			$like
-		) );
-
-		$formatted = array();
-		foreach ( $results as $row ) {
-			$person_uuid = get_user_meta( $row->ID, 'wicket_person_uuid', true );
-			$formatted[] = array(
-				'user_id'      => (int) $row->ID,
-				'email'        => $row->user_email,
-				'display_name' => $row->display_name,
-				'person_uuid'  => $person_uuid ?: null,
-			);
-		}
+		wp_send_json_success( array( 'details' => $this->format_org_details( $profile ) ) );
+	}
 
-		wp_send_json_success( array( 'results' => $formatted ) );
+	/**
+	 * Flatten an organization profile into the form fields, using the
+	 * primary (or first) address, phone and web address.
+	 *
+	 * @param  array $profile Result of Wicket_API_Helper::get_organization_profile().
+	 * @return array
+	 */
+	private function format_org_details( $profile ) {
+		$attrs   = $profile['organization']['attributes'] ?? array();
+		$address = $this->primary_resource( $profile['addresses'] );
+		$phone   = $this->primary_resource( $profile['phones'] );
+		$web     = $this->primary_resource( $profile['web_addresses'] );
+
+		return array(
+			'legal_name'     => $attrs['legal_name'] ?? '',
+			'alternate_name' => $attrs['alternate_name'] ?? '',
+			'website'        => $web['attributes']['address'] ?? '',
+			'phone'          => $phone['attributes']['number'] ?? '',
+			'address1'       => $address['attributes']['address1'] ?? '',
+			'address2'       => $address['attributes']['address2'] ?? '',
+			'city'           => $address['attributes']['city'] ?? '',
+			'state_name'     => $address['attributes']['state_name'] ?? '',
+			'zip_code'       => $address['attributes']['zip_code'] ?? '',
+			'country_code'   => $address['attributes']['country_code'] ?? '',
+		);
 	}
 
-	// =========================================================================
-	// AJAX: Add member to organization
-	// =========================================================================
+	/**
+	 * The resource flagged primary, else the first one, else null.
+	 */
+	private function primary_resource( $resources ) {
+		foreach ( $resources as $resource ) {
+			if ( ! empty( $resource['attributes']['primary'] ) ) {
+				return $resource;
+			}
+		}
+		return $resources[0] ?? null;
+	}
 
-	public function ajax_add_member() {
-		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
-		$auth = $this->check_authorization();
-		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
-			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+	/**
+	 * Sanitize organization details the same way for submitted and stored
+	 * values, so unchanged fields compare equal.
+	 *
+	 * @param  array $details Raw field values.
+	 * @return array
+	 */
+	private function normalize_org_details( $details ) {
+		$normalized = array();
+		foreach ( $this->get_org_detail_fields() as $field ) {
+			$normalized[ $field ] = trim( sanitize_text_field( $details[ $field ] ?? '' ) );
 		}
+		$normalized['website']      = $normalized['website'] !== '' ? esc_url_raw( $normalized['website'] ) : '';
+		$normalized['phone']        = preg_replace( '/[\s().-]+/', '', $normalized['phone'] );
+		$normalized['country_code'] = strtoupper( $normalized['country_code'] );
 
-		$wp_user_id = isset( $_POST['user_id'] ) ? (int) $_POST['user_id'] : 0;
-		$role       = isset( $_POST['role'] ) ? sanitize_text_field( $_POST['role'] ) : 'employee';
+		return $normalized;
+	}
 
-		if ( ! $wp_user_id ) {
-			wp_send_json_error( array( 'message' => __( 'User ID required.', 'wicket-integration' ) ) );
+	/**
+	 * Validate the submitted organization details. Only fields that differ
+	 * from what Wicket already holds are checked, so legacy values (a phone
+	 * without a country code, an address without a street line) don't block
+	 * saving unrelated changes.
+	 *
+	 * @param  array $details Normalized form values.
+	 * @param  array $current Normalized stored values.
+	 * @return array Field name => error message; empty when valid.
+	 */
+	private function validate_org_details( $details, $current ) {
+		$errors  = array();
+		$changed = function ( $field ) use ( $details, $current ) {
+			return $details[ $field ] !== $current[ $field ];
+		};
+
+		if ( $details['legal_name'] === '' ) {
+			$errors['legal_name'] = __( 'Legal name is required.', 'wicket-integration' );
 		}
 
-		$user = get_userdata( $wp_user_id );
-		if ( ! $user ) {
-			wp_send_json_error( array( 'message' => __( 'User not found.', 'wicket-integration' ) ) );
+		if ( $changed( 'website' ) && $details['website'] !== '' && ( ! filter_var( $details['website'], FILTER_VALIDATE_URL ) || ! preg_match( '#^https?://#i', $details['website'] ) ) ) {
+			$errors['website'] = __( 'Enter a full web address, e.g. https://example.com.', 'wicket-integration' );
 		}
 
-		// Resolve person UUID — create in Wicket if needed
-		$person_uuid = get_user_meta( $wp_user_id, 'wicket_person_uuid', true );
-		if ( empty( $person_uuid ) ) {
-			try {
-				$svc         = new Wicket_Membership_Service();
-				$person_uuid = $svc->find_or_create_person( $wp_user_id );
-				if ( is_wp_error( $person_uuid ) ) {
-					wp_send_json_error( array( 'message' => $person_uuid->get_error_message() ) );
+		if ( $changed( 'phone' ) && $details['phone'] !== '' && ! preg_match( '/^\+[0-9]{7,15}$/', $details['phone'] ) ) {
+			$errors['phone'] = __( 'Enter the phone number in international format, e.g. +1 555 123 4567.', 'wicket-integration' );
+		}
+
+		// An address is optional, but a new partial one is not accepted by
+		// Wicket; on an existing address only clearing a required field is
+		$address_fields = array( 'address1', 'address2', 'city', 'state_name', 'zip_code', 'country_code' );
+		$has_address    = implode( '', array_intersect_key( $details, array_flip( $address_fields ) ) ) !== '';
+		$had_address    = implode( '', array_intersect_key( $current, array_flip( $address_fields ) ) ) !== '';
+		if ( $has_address && array_filter( $address_fields, $changed ) ) {
+			foreach ( array( 'address1', 'city', 'country_code' ) as $field ) {
+				if ( $details[ $field ] === '' && ( ! $had_address || $changed( $field ) ) ) {
+					$errors[ $field ] = __( 'Required when an address is entered.', 'wicket-integration' );
 				}
-			} catch ( Exception $e ) {
-				wp_send_json_error( array( 'message' => $e->getMessage() ) );
 			}
 		}
-
-		$api    = wicket_api();
-		$result = $api->create_person_org_connection( $person_uuid, $auth['org_uuid'], $role );
-
-		if ( $result['success'] ) {
-			wp_send_json_success( array(
-				'message' => $result['already_existed']
-					? __( 'This person is already connected to the organization.', 'wicket-integration' )
-					: __( 'Member added successfully.', 'wicket-integration' ),
-			) );
-		} else {
-			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Failed to add member.', 'wicket-integration' ) ) );
+		if ( $changed( 'country_code' ) && $details['country_code'] !== '' && ! preg_match( '/^[A-Z]{2}$/', $details['country_code'] ) ) {
+			$errors['country_code'] = __( 'Enter a two-letter country code, e.g. CA.', 'wicket-integration' );
 		}
-	}
 
-	// =========================================================================
-	// AJAX: Remove (soft-end) member from organization
-	// =========================================================================
+		return $errors;
+	}
 
-	public function ajax_remove_member() {
+	/**
+	 * Save the organization profile: names on the organization itself,
+	 * then the primary address, phone and web address (created when
+	 * missing). Only changed parts are sent to Wicket.
+	 */
+	public function ajax_update_org_details() {
 		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
 		$auth = $this->check_authorization();
-		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+		if ( ! $auth['authorized'] || ! $auth['caps'][ MyIES_Permissions::EDIT_ORG ] ) {
 			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
 		}
 
-		$connection_uuid = isset( $_POST['connection_uuid'] ) ? sanitize_text_field( $_POST['connection_uuid'] ) : '';
-		if ( empty( $connection_uuid ) ) {
-			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		$details = array();
+		foreach ( $this->get_org_detail_fields() as $field ) {
+			$details[ $field ] = isset( $_POST[ $field ] ) ? wp_unslash( $_POST[ $field ] ) : '';
 		}
+		$details = $this->normalize_org_details( $details );
 
-		$api    = wicket_api();
-		$result = $api->update_connection( $connection_uuid, array(
-			'ends_at' => current_time( 'c' ),
-		) );
+		$api     = wicket_api();
+		$profile = $api->get_organization_profile( $auth['org_uuid'] );
+		if ( ! $profile ) {
+			wp_send_json_error( array( 'message' => __( 'Could not load your organization details.', 'wicket-integration' ) ) );
+		}
 
-		if ( $result['success'] ) {
-			wp_send_json_success( array( 'message' => __( 'Member removed from organization.', 'wicket-integration' ) ) );
-		} else {
-			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Failed to remove member.', 'wicket-integration' ) ) );
+		$current = $this->format_org_details( $profile );
+		$stored  = $this->normalize_org_details( $current );
+		$errors  = $this->validate_org_details( $details, $stored );
+		if ( $errors ) {
+			wp_send_json_error( array(
+				'message' => __( 'Please correct the highlighted fields.', 'wicket-integration' ),
+				'errors'  => $errors,
+			) );
 		}
-	}
 
-	// =========================================================================
-	// AJAX: Create a new WP user + Wicket person and add to organization
-	// =========================================================================
+		$changed  = array_keys( array_diff_assoc( $details, $stored ) );
+		$failures = array();
 
-	public function ajax_create_and_add_member() {
-		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
-		$auth = $this->check_authorization();
-		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
-			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		if ( ! $changed ) {
+			wp_send_json_success( array(
+				'message' => __( 'No changes to save.', 'wicket-integration' ),
+				'details' => $current,
+			) );
 		}
 
-		$first_name = isset( $_POST['first_name'] ) ? sanitize_text_field( $_POST['first_name'] ) : '';
-		$last_name  = isset( $_POST['last_name'] ) ? sanitize_text_field( $_POST['last_name'] ) : '';
-		$email      = isset( $_POST['email'] ) ? sanitize_email( $_POST['email'] ) : '';
-		$role       = isset( $_POST['role'] ) ? sanitize_text_field( $_POST['role'] ) : 'employee';
+		// Names live on the organization record
+		if ( array_intersect( array( 'legal_name', 'alternate_name' ), $changed ) ) {
+			$result = $api->update_organization( $auth['org_uuid'], array(
+				'legal_name'     => $details['legal_name'],
+				'alternate_name' => $details['alternate_name'],
+			) );
 
-		if ( empty( $first_name ) || empty( $last_name ) || empty( $email ) ) {
-			wp_send_json_error( array( 'message' => __( 'First name, last name, and email are required.', 'wicket-integration' ) ) );
+			if ( $result['success'] ) {
+				if ( ! empty( $result['data'] ) ) {
+					wicket_organizations()->cache_organization( $result['data'] );
+				}
+				if ( in_array( 'legal_name', $changed, true ) ) {
+					$this->update_org_name_meta( $auth['org_uuid'], $details['legal_name'] );
+				}
+			} else {
+				$failures[] = __( 'name', 'wicket-integration' );
+				error_log( '[OrgMgmt] Failed to update organization ' . $auth['org_uuid'] . ': ' . $result['message'] );
+			}
 		}
 
-		if ( ! is_email( $email ) ) {
-			wp_send_json_error( array( 'message' => __( 'Please enter a valid email address.', 'wicket-integration' ) ) );
+		$address_fields = array( 'address1', 'address2', 'city', 'state_name', 'zip_code', 'country_code' );
+		$has_address    = implode( '', array_intersect_key( $details, array_flip( $address_fields ) ) ) !== '';
+		if ( array_intersect( $address_fields, $changed ) && $has_address ) {
+			$address = $this->primary_resource( $profile['addresses'] );
+			$attrs   = array_intersect_key( $details, array_flip( $address_fields ) );
+			$result  = $address
+				? $api->update_address( $address['id'], $attrs )
+				: $api->create_organization_contact( $auth['org_uuid'], 'addresses', array_merge( $attrs, array( 'type' => 'work', 'primary' => true ) ) );
+
+			if ( ! $result['success'] ) {
+				$failures[] = __( 'address', 'wicket-integration' );
+				error_log( '[OrgMgmt] Failed to save address for organization ' . $auth['org_uuid'] . ': ' . $result['message'] );
+			}
 		}
 
-		// Check if email already exists in WP
-		if ( email_exists( $email ) ) {
-			wp_send_json_error( array( 'message' => __( 'This email address is already registered. Please use the search to find and add the existing user.', 'wicket-integration' ) ) );
+		if ( in_array( 'phone', $changed, true ) && $details['phone'] !== '' ) {
+			$phone  = $this->primary_resource( $profile['phones'] );
+			$result = $phone
+				? $api->update_phone( $phone['id'], array( 'number' => $details['phone'] ) )
+				: $api->create_organization_contact( $auth['org_uuid'], 'phones', array( 'number' => $details['phone'], 'type' => 'work', 'primary' => true ) );
+
+			if ( ! $result['success'] ) {
+				$failures[] = __( 'phone', 'wicket-integration' );
+				error_log( '[OrgMgmt] Failed to save phone for organization ' . $auth['org_uuid'] . ': ' . $result['message'] );
+			}
 		}
 
-		// Create WP user
-		$username = sanitize_user( $email, true );
-		$password = wp_generate_password( 24 );
-		$wp_user_id = wp_insert_user( array(
-			'user_login' => $username,
-			'user_email' => $email,
-			'user_pass'  => $password,
-			'first_name' => $first_name,
-			'last_name'  => $last_name,
-			'display_name' => $first_name . ' ' . $last_name,
+		if ( in_array( 'website', $changed, true ) && $details['website'] !== '' ) {
+			$web    = $this->primary_resource( $profile['web_addresses'] );
+			$result = $web
+				? $api->update_web_address( $web['id'], array( 'address' => $details['website'] ) )
+				: $api->create_organization_contact( $auth['org_uuid'], 'web_addresses', array( 'address' => $details['website'], 'type' => 'website', 'primary' => true ) );
+
+			if ( ! $result['success'] ) {
+				$failures[] = __( 'website', 'wicket-integration' );
+				error_log( '[OrgMgmt] Failed to save website for organization ' . $auth['org_uuid'] . ': ' . $result['message'] );
+			}
+		}
+
+		$this->audit( MyIES_Audit_Log::ORG_DETAILS_UPDATED, $auth, '', $details['legal_name'], array(
+			'fields' => $changed,
+			'failed' => $failures,
 		) );
 
-		if ( is_wp_error( $wp_user_id ) ) {
-			wp_send_json_error( array( 'message' => $wp_user_id->get_error_message() ) );
+		if ( $failures ) {
+			wp_send_json_error( array(
+				/* translators: %s: comma-separated list of parts that could not be saved */
+				'message' => sprintf( __( 'Some changes could not be saved (%s). Please try again or contact us.', 'wicket-integration' ), implode( ', ', $failures ) ),
+			) );
 		}
 
-		// Create Wicket person (or find existing by email)
-		try {
-			$svc         = new Wicket_Membership_Service();
-			$person_uuid = $svc->find_or_create_person( $wp_user_id );
-			if ( is_wp_error( $person_uuid ) ) {
-				wp_send_json_error( array( 'message' => $person_uuid->get_error_message() ) );
+		// Blank phone, website or address leave the existing Wicket entries as they are
+		$saved = $details;
+		foreach ( array( 'phone', 'website' ) as $field ) {
+			if ( $saved[ $field ] === '' ) {
+				$saved[ $field ] = $current[ $field ];
 			}
-		} catch ( Exception $e ) {
-			wp_send_json_error( array( 'message' => $e->getMessage() ) );
+		}
+		if ( ! $has_address ) {
+			$saved = array_merge( $saved, array_intersect_key( $current, array_flip( $address_fields ) ) );
 		}
 
-		// Add to organization
-		$api    = wicket_api();
-		$result = $api->create_person_org_connection( $person_uuid, $auth['org_uuid'], $role );
+		wp_send_json_success( array(
+			'message' => __( 'Organization details saved.', 'wicket-integration' ),
+			'details' => $saved,
+		) );
+	}
 
-		if ( $result['success'] ) {
-			wp_send_json_success( array(
-				'message' => sprintf(
-					__( '%s has been created and added to the organization.', 'wicket-integration' ),
-					$first_name . ' ' . $last_name
-				),
-			) );
-		} else {
-			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Person was created but could not be added to the organization.', 'wicket-integration' ) ) );
-		}
+	/**
+	 * Keep the cached organization name on every user whose primary
+	 * organization this is.
+	 */
+	private function update_org_name_meta( $org_uuid, $legal_name ) {
+		$user_ids = get_users( array(
+			'meta_key'   => 'wicket_primary_org_uuid',
+			'meta_value' => $org_uuid,
+			'fields'     => 'ID',
+		) );
+
+		foreach ( $user_ids as $user_id ) {
+			update_user_meta( $user_id, 'wicket_org_name', $legal_name );
+		}
+	}
+
+	// =========================================================================
+	// AJAX: Get members
+	// =========================================================================
+
+	public function ajax_get_members() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		// The first load only carries roles for the first members so the table
+		// shows quickly; the role facet and sort wait for the all_roles load
+		$all_roles = ! empty( $_POST['all_roles'] );
+		$members   = $this->get_roster( $auth, $all_roles ? 0 : self::ROSTER_ROLE_LIMIT );
+
+		// Seat status for the "holds a seat" facet
+		$seats = $this->get_seat_index( $auth );
+		foreach ( $members as &$member ) {
+			$member['has_seat'] = isset( $seats[ $member['person_uuid'] ] );
+		}
+		unset( $member );
+
+		wp_send_json_success( array(
+			'members'        => $members,
+			'roles_complete' => $all_roles || count( $members ) <= self::ROSTER_ROLE_LIMIT,
+		) );
+	}
+
+	/**
+	 * Active members of the user's organization.
+	 *
+	 * @param  array $auth       Result of check_authorization().
+	 * @param  int   $role_limit Number of people whose Company roles are fetched
+	 *                           (one API call each); 0 fetches them for everyone.
+	 * @return array[] { connection_uuid, person_uuid, name, email, connection_type, starts_at, roles, is_self }
+	 */
+	private function get_roster( $auth, $role_limit = self::ROSTER_ROLE_LIMIT ) {
+		$api     = wicket_api();
+		$members = $api->get_organization_members( $auth['org_uuid'] );
+
+		$formatted = array();
+		foreach ( $members as $conn ) {
+			// Skip inactive connections (already ended)
+			$ends_at = $conn['attributes']['ends_at'] ?? null;
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				continue;
+			}
+
+			$formatted[] = $this->format_member( $conn, $auth );
+		}
+
+		// Batch-fetch roles (limited by default to keep the first load fast)
+		$batch = $role_limit > 0 ? array_slice( $formatted, 0, $role_limit ) : $formatted;
+		$roles = $this->get_company_roles_for( $auth['org_uuid'], wp_list_pluck( $batch, 'person_uuid' ) );
+		foreach ( $batch as $i => $m ) {
+			$formatted[ $i ]['roles'] = $roles[ $m['person_uuid'] ] ?? array();
+		}
+
+		return $formatted;
+	}
+
+	/**
+	 * One connection as a roster row (without Company roles).
+	 *
+	 * @param  array $conn Connection from get_organization_members().
+	 * @param  array $auth Result of check_authorization().
+	 * @return array
+	 */
+	private function format_member( $conn, $auth ) {
+		$person      = $conn['_person'] ?? null;
+		$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+		$given_name  = $person['attributes']['given_name'] ?? '';
+		$family_name = $person['attributes']['family_name'] ?? '';
+		$full_name   = trim( $given_name . ' ' . $family_name );
+
+		// Get primary email from person data
+		$email = '';
+		if ( $person && ! empty( $person['attributes']['primary_email_address'] ) ) {
+			$email = $person['attributes']['primary_email_address'];
+		}
+
+		return array(
+			'connection_uuid' => $conn['id'],
+			'person_uuid'     => $person_uuid,
+			'name'            => $full_name ?: __( 'Unknown', 'wicket-integration' ),
+			'email'           => $email,
+			'connection_type' => $conn['attributes']['type'] ?? 'member',
+			'starts_at'       => $conn['attributes']['starts_at'] ?? null,
+			'roles'           => array(),
+			'is_self'         => ( $person_uuid === $auth['person_uuid'] ),
+		);
+	}
+
+	/**
+	 * Names of a person's "Company ..." roles.
+	 */
+	private function get_company_roles( $person_uuid ) {
+		return $this->company_role_names( wicket_api()->get_person_roles( $person_uuid ) );
+	}
+
+	/**
+	 * Company roles of many people. Roles seen in the last ROLE_CACHE_TTL
+	 * seconds come from a per-organization cache; the rest are fetched from
+	 * Wicket in parallel batches.
+	 *
+	 * @param  string   $org_uuid
+	 * @param  string[] $person_uuids
+	 * @return array person UUID => string[]
+	 */
+	private function get_company_roles_for( $org_uuid, $person_uuids ) {
+		$key   = 'myies_orgmgmt_roles_' . md5( $org_uuid );
+		$cache = get_transient( $key );
+		$cache = is_array( $cache ) ? $cache : array();
+		$now   = time();
+
+		$roles   = array();
+		$missing = array();
+		foreach ( array_unique( array_filter( $person_uuids ) ) as $person_uuid ) {
+			if ( isset( $cache[ $person_uuid ] ) && $cache[ $person_uuid ]['at'] > $now - self::ROLE_CACHE_TTL ) {
+				$roles[ $person_uuid ] = $cache[ $person_uuid ]['roles'];
+			} else {
+				$missing[] = $person_uuid;
+			}
+		}
+
+		if ( $missing ) {
+			foreach ( wicket_api()->get_people_roles( $missing ) as $person_uuid => $resources ) {
+				$roles[ $person_uuid ] = $this->company_role_names( $resources );
+				$cache[ $person_uuid ] = array(
+					'roles' => $roles[ $person_uuid ],
+					'at'    => $now,
+				);
+			}
+
+			// Drop expired entries so the cache does not outgrow the roster
+			$cache = array_filter( $cache, function ( $entry ) use ( $now ) {
+				return $entry['at'] > $now - self::ROLE_CACHE_TTL;
+			} );
+			set_transient( $key, $cache, self::ROLE_CACHE_TTL );
+		}
+
+		return $roles;
+	}
+
+	/**
+	 * Names of the "Company ..." roles among role resources.
+	 */
+	private function company_role_names( $resources ) {
+		$role_names = array();
+		foreach ( $resources as $r ) {
+			$name = $r['attributes']['name'] ?? '';
+			if ( $name && strpos( $name, 'Company' ) === 0 ) {
+				$role_names[] = $name;
+			}
+		}
+		return $role_names;
+	}
+
+	// =========================================================================
+	// AJAX: Member details (drawer)
+	// =========================================================================
+
+	/**
+	 * Everything the member drawer shows for one connection: connection
+	 * dates and type, Company roles, seat status and active individual
+	 * memberships.
+	 */
+	public function ajax_get_member_details() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$connection_uuid = isset( $_POST['connection_uuid'] ) ? sanitize_text_field( $_POST['connection_uuid'] ) : '';
+		if ( empty( $connection_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		}
+
+		$api  = wicket_api();
+		$conn = null;
+		foreach ( $api->get_organization_members( $auth['org_uuid'] ) as $c ) {
+			if ( $c['id'] === $connection_uuid ) {
+				$conn = $c;
+				break;
+			}
+		}
+		if ( ! $conn ) {
+			wp_send_json_error( array( 'message' => __( 'This person is not a member of your organization.', 'wicket-integration' ) ) );
+		}
+
+		$person      = $conn['_person'] ?? null;
+		$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+
+		$roles = $this->get_company_roles( $person_uuid );
+
+		$seat       = null;
+		$individual = array();
+		$org_om_ids = null;
+		try {
+			$svc     = new Wicket_Membership_Service();
+			$entries = $svc->find_active_person_memberships( $person_uuid );
+		} catch ( Exception $e ) {
+			error_log( '[OrgMgmt] Details: could not initialize membership service: ' . $e->getMessage() );
+			$entries = array();
+		}
+
+		foreach ( $entries as $entry ) {
+			if ( empty( $entry['organization_membership_uuid'] ) ) {
+				$individual[] = array(
+					'tier_name' => $entry['tier_name'] ?: __( 'Membership', 'wicket-integration' ),
+					'starts_at' => $entry['starts_at'],
+					'ends_at'   => $entry['ends_at'],
+				);
+				continue;
+			}
+
+			// Seat: only one on this organization's memberships counts
+			$belongs = $entry['organization_uuid'] === $auth['org_uuid'];
+			if ( ! $belongs && $entry['organization_uuid'] === null ) {
+				if ( $org_om_ids === null ) {
+					$org_om_ids = wp_list_pluck( $svc->find_all_active_org_memberships( $auth['org_uuid'] ), 'id' );
+				}
+				$belongs = in_array( $entry['organization_membership_uuid'], $org_om_ids, true );
+			}
+			if ( $belongs && ! $seat ) {
+				$seat = array(
+					'tier_name' => $entry['tier_name'] ?: __( 'Membership', 'wicket-integration' ),
+					'starts_at' => $entry['starts_at'],
+					'ends_at'   => $entry['ends_at'],
+				);
+			}
+		}
+
+		wp_send_json_success( array(
+			'connection_uuid'        => $conn['id'],
+			'person_uuid'            => $person_uuid,
+			'name'                   => trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) ) ?: __( 'Unknown', 'wicket-integration' ),
+			'email'                  => $person['attributes']['primary_email_address'] ?? '',
+			'connection_type'        => $conn['attributes']['type'] ?? 'member',
+			'starts_at'              => $conn['attributes']['starts_at'] ?? null,
+			'ends_at'                => $conn['attributes']['ends_at'] ?? null,
+			'roles'                  => $roles,
+			'is_self'                => ( $person_uuid === $auth['person_uuid'] ),
+			'seat'                   => $seat,
+			'individual_memberships' => $individual,
+		) );
+	}
+
+	// =========================================================================
+	// Roster export (CSV / XLSX download)
+	// =========================================================================
+
+	/**
+	 * Download the roster, narrowed by the on-screen filter, with each
+	 * member's connection start date and seat status. Requested with GET
+	 * through admin-ajax (wp-admin itself is closed to non-editors).
+	 */
+	public function ajax_export() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_die( esc_html__( 'You are not allowed to export this roster.', 'wicket-integration' ), 403 );
+		}
+
+		$format = isset( $_GET['format'] ) && $_GET['format'] === 'xlsx' ? 'xlsx' : 'csv';
+		$filter = isset( $_GET['filter'] ) ? strtolower( trim( sanitize_text_field( wp_unslash( $_GET['filter'] ) ) ) ) : '';
+
+		if ( $format === 'xlsx' && ! class_exists( 'ZipArchive' ) ) {
+			wp_die( esc_html__( 'XLSX export is not available on this server. Please export as CSV.', 'wicket-integration' ) );
+		}
+
+		// Roles are looked up for everyone (cached, in parallel batches)
+		if ( function_exists( 'set_time_limit' ) ) {
+			set_time_limit( 300 );
+		}
+
+		$seats   = $this->get_seat_index( $auth );
+		$types   = $this->get_connection_types();
+		$members = $this->filter_roster_view( $this->get_roster( $auth, 0 ), $seats, $types, array(
+			'q'    => $filter,
+			'type' => isset( $_GET['roster_type'] ) ? sanitize_text_field( wp_unslash( $_GET['roster_type'] ) ) : '',
+			'role' => isset( $_GET['roster_role'] ) ? sanitize_text_field( wp_unslash( $_GET['roster_role'] ) ) : '',
+			'seat' => isset( $_GET['roster_seat'] ) ? sanitize_key( wp_unslash( $_GET['roster_seat'] ) ) : '',
+			'sort' => isset( $_GET['roster_sort'] ) ? sanitize_text_field( wp_unslash( $_GET['roster_sort'] ) ) : '',
+		) );
+
+		$header = array(
+			__( 'Name', 'wicket-integration' ),
+			__( 'Email', 'wicket-integration' ),
+			__( 'Connection Type', 'wicket-integration' ),
+			__( 'Company Roles', 'wicket-integration' ),
+			__( 'Connected Since', 'wicket-integration' ),
+			__( 'Seat', 'wicket-integration' ),
+			__( 'Seat Membership', 'wicket-integration' ),
+			__( 'Seat Ends', 'wicket-integration' ),
+		);
+
+		// Names and emails are member-supplied, so keep them from running as formulas
+		$rows = array();
+		foreach ( $members as $m ) {
+			$seat   = $seats[ $m['person_uuid'] ] ?? null;
+			$rows[] = array_map( 'myies_spreadsheet_cell', array(
+				$m['name'],
+				$m['email'],
+				$types[ $m['connection_type'] ] ?? $m['connection_type'],
+				implode( ', ', $m['roles'] ),
+				$m['starts_at'] ? wp_date( 'Y-m-d', strtotime( $m['starts_at'] ) ) : '',
+				$seat ? __( 'Yes', 'wicket-integration' ) : __( 'No', 'wicket-integration' ),
+				$seat ? $seat['tier_name'] : '',
+				$seat && $seat['ends_at'] ? wp_date( 'Y-m-d', strtotime( $seat['ends_at'] ) ) : '',
+			) );
+		}
+
+		$filename = sanitize_file_name( $auth['org_name'] . '-roster-' . wp_date( 'Y-m-d' ) ) . '.' . $format;
+
+		nocache_headers();
+		if ( $format === 'xlsx' ) {
+			$this->send_xlsx( $filename, $header, $rows );
+		} else {
+			header( 'Content-Type: text/csv; charset=utf-8' );
+			header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+			$out = fopen( 'php://output', 'w' );
+			fwrite( $out, "\xEF\xBB\xBF" ); // BOM so Excel reads UTF-8
+			fputcsv( $out, $header );
+			foreach ( $rows as $row ) {
+				fputcsv( $out, $row );
+			}
+			fclose( $out );
+		}
+		exit;
+	}
+
+	/**
+	 * Apply the roster table's search, facets and sort to a roster, so the
+	 * export matches what the manager sees on screen.
+	 *
+	 * @param  array $members Result of get_roster().
+	 * @param  array $seats   Result of get_seat_index().
+	 * @param  array $types   Connection type labels.
+	 * @param  array $view    q, type, role, seat ('yes'|'no') and sort ('-' prefix for descending).
+	 * @return array
+	 */
+	private function filter_roster_view( $members, $seats, $types, $view ) {
+		$members = array_values( array_filter( $members, function ( $m ) use ( $seats, $view ) {
+			if ( $view['q'] !== ''
+				&& strpos( strtolower( $m['name'] ), $view['q'] ) === false
+				&& strpos( strtolower( $m['email'] ), $view['q'] ) === false ) {
+				return false;
+			}
+			if ( $view['type'] !== '' && $m['connection_type'] !== $view['type'] ) {
+				return false;
+			}
+			if ( $view['role'] !== '' && ! in_array( $view['role'], $m['roles'], true ) ) {
+				return false;
+			}
+			if ( in_array( $view['seat'], array( 'yes', 'no' ), true )
+				&& isset( $seats[ $m['person_uuid'] ] ) !== ( $view['seat'] === 'yes' ) ) {
+				return false;
+			}
+			return true;
+		} ) );
+
+		$dir = strpos( $view['sort'], '-' ) === 0 ? -1 : 1;
+		$key = ltrim( $view['sort'], '-' );
+		if ( ! in_array( $key, array( 'name', 'email', 'role', 'joined' ), true ) ) {
+			return $members;
+		}
+
+		// Same sort values as the roster table's columns
+		$value = function ( $m ) use ( $key, $types ) {
+			switch ( $key ) {
+				case 'role':
+					$type  = $m['connection_type'];
+					$label = $types[ $type ] ?? ucfirst( $type );
+					return strtolower( $label . ' ' . implode( ' ', $m['roles'] ) );
+				case 'joined':
+					return (string) $m['starts_at'];
+				default:
+					return strtolower( (string) $m[ $key ] );
+			}
+		};
+
+		usort( $members, function ( $a, $b ) use ( $value, $dir ) {
+			$va = $value( $a );
+			$vb = $value( $b );
+			if ( $va === $vb ) {
+				return 0;
+			}
+			// Empty values always go last
+			if ( $va === '' ) {
+				return 1;
+			}
+			if ( $vb === '' ) {
+				return -1;
+			}
+			return strcmp( $va, $vb ) * $dir;
+		} );
+
+		return $members;
+	}
+
+	/**
+	 * Seat holders across all of the organization's active org memberships.
+	 *
+	 * @param  array $auth Result of check_authorization().
+	 * @return array person_uuid => { tier_name, ends_at }
+	 */
+	private function get_seat_index( $auth ) {
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			error_log( '[OrgMgmt] Seat index: could not initialize membership service: ' . $e->getMessage() );
+			return array();
+		}
+
+		$memberships = $svc->find_all_active_org_memberships( $auth['org_uuid'] );
+		if ( empty( $memberships ) ) {
+			$via_person  = $svc->find_org_membership_via_person( $auth['person_uuid'], $auth['org_uuid'] );
+			$memberships = $via_person ? array( $via_person ) : array();
+		}
+
+		$seats = array();
+		foreach ( $memberships as $om ) {
+			foreach ( $svc->get_org_membership_assignments( $om['id'] ) as $a ) {
+				if ( empty( $a['person_uuid'] ) || isset( $seats[ $a['person_uuid'] ] ) ) {
+					continue;
+				}
+				$seats[ $a['person_uuid'] ] = array(
+					'tier_name' => $om['tier_name'] ?? '',
+					'ends_at'   => $a['ends_at'] ?? null,
+				);
+			}
+		}
+
+		return $seats;
+	}
+
+	/**
+	 * Stream a single-sheet XLSX workbook. Every cell is written as an
+	 * inline string, which is all a roster needs.
+	 *
+	 * @param string  $filename
+	 * @param array   $header
+	 * @param array[] $rows
+	 */
+	private function send_xlsx( $filename, $header, $rows ) {
+		$sheet = '';
+		foreach ( array_merge( array( $header ), $rows ) as $r => $cells ) {
+			$sheet .= '<row r="' . ( $r + 1 ) . '">';
+			foreach ( array_values( $cells ) as $c => $value ) {
+				$ref    = $this->xlsx_column( $c ) . ( $r + 1 );
+				$sheet .= '<c r="' . $ref . '" t="inlineStr"' . ( $r === 0 ? ' s="1"' : '' ) . '><is><t>'
+					. esc_xml( (string) $value ) . '</t></is></c>';
+			}
+			$sheet .= '</row>';
+		}
+
+		$files = array(
+			'[Content_Types].xml'        => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+				. '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+				. '<Default Extension="xml" ContentType="application/xml"/>'
+				. '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+				. '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+				. '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+				. '</Types>',
+			'_rels/.rels'                => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+				. '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+				. '</Relationships>',
+			'xl/workbook.xml'            => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+				. '<sheets><sheet name="Roster" sheetId="1" r:id="rId1"/></sheets>'
+				. '</workbook>',
+			'xl/_rels/workbook.xml.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+				. '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+				. '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+				. '</Relationships>',
+			'xl/styles.xml'              => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+				. '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+				. '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+				. '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+				. '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+				. '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+				. '</styleSheet>',
+			'xl/worksheets/sheet1.xml'   => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+				. '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+				. '<sheetData>' . $sheet . '</sheetData>'
+				. '</worksheet>',
+		);
+
+		$tmp = wp_tempnam( 'roster.xlsx' );
+		$zip = new ZipArchive();
+		if ( $zip->open( $tmp, ZipArchive::CREATE | ZipArchive::OVERWRITE ) !== true ) {
+			wp_die( esc_html__( 'Could not build the XLSX file.', 'wicket-integration' ) );
+		}
+		foreach ( $files as $name => $contents ) {
+			$zip->addFromString( $name, $contents );
+		}
+		$zip->close();
+
+		header( 'Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		header( 'Content-Length: ' . filesize( $tmp ) );
+		readfile( $tmp );
+		unlink( $tmp );
+	}
+
+	/**
+	 * Spreadsheet column letter for a zero-based index (0 => A, 26 => AA).
+	 */
+	private function xlsx_column( $index ) {
+		$letters = '';
+		for ( $n = $index + 1; $n > 0; $n = intdiv( $n - 1, 26 ) ) {
+			$letters = chr( 65 + ( $n - 1 ) % 26 ) . $letters;
+		}
+		return $letters;
+	}
+
+	// =========================================================================
+	// AJAX: Search WordPress users by email
+	// =========================================================================
+
+	public function ajax_search_users() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$email = isset( $_POST['email'] ) ? sanitize_text_field( $_POST['email'] ) : '';
+		if ( strlen( $email ) < 5 ) {
+			wp_send_json_success( array( 'results' => array() ) );
+			return;
+		}
+
+		// Search WP users by email LIKE
+		global $wpdb;
+		$like    = '%' . $wpdb->esc_like( $email ) . '%';
+		$results = $wpdb->get_results( $wpdb->prepare(
+			"SELECT ID, user_email, display_name FROM {$wpdb->users} WHERE user_email LIKE %s ORDER BY user_email ASC LIMIT 10",
+			$like
+		) );
+
+		$formatted = array();
+		foreach ( $results as $row ) {
+			$person_uuid = get_user_meta( $row->ID, 'wicket_person_uuid', true );
+			$formatted[] = array(
+				'user_id'      => (int) $row->ID,
+				'email'        => $row->user_email,
+				'display_name' => $row->display_name,
+				'person_uuid'  => $person_uuid ?: null,
+			);
+		}
+
+		wp_send_json_success( array( 'results' => $formatted ) );
+	}
+
+	// =========================================================================
+	// AJAX: Add member to organization
+	// =========================================================================
+
+	public function ajax_add_member() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$wp_user_id  = isset( $_POST['user_id'] ) ? (int) $_POST['user_id'] : 0;
+		$match_token = isset( $_POST['match'] ) ? sanitize_text_field( $_POST['match'] ) : '';
+		$role        = isset( $_POST['role'] ) ? sanitize_text_field( $_POST['role'] ) : 'employee';
+
+		$role_error = $this->role_error( $auth, $role );
+		if ( $role_error ) {
+			wp_send_json_error( array( 'message' => $role_error ) );
+		}
+
+		// A person picked from the duplicate check, by the token it handed out
+		if ( $match_token ) {
+			$match = $this->resolve_duplicate_token( $auth, $match_token );
+			if ( ! $match ) {
+				wp_send_json_error( array( 'message' => __( 'This match has expired. Please check for duplicates again.', 'wicket-integration' ) ) );
+			}
+
+			$wp_user_id = (int) $match['user_id'];
+
+			// A Wicket person without a WordPress account
+			if ( ! $wp_user_id && $match['person_uuid'] ) {
+				$this->add_wicket_person( $auth, $match['person_uuid'], $role );
+			}
+		}
+
+		if ( ! $wp_user_id ) {
+			wp_send_json_error( array( 'message' => __( 'User ID required.', 'wicket-integration' ) ) );
+		}
+
+		$user = get_userdata( $wp_user_id );
+		if ( ! $user ) {
+			wp_send_json_error( array( 'message' => __( 'User not found.', 'wicket-integration' ) ) );
+		}
+
+		// Resolve person UUID — create in Wicket if needed
+		$person_uuid = get_user_meta( $wp_user_id, 'wicket_person_uuid', true );
+		if ( empty( $person_uuid ) ) {
+			try {
+				$svc         = new Wicket_Membership_Service();
+				$person_uuid = $svc->find_or_create_person( $wp_user_id );
+				if ( is_wp_error( $person_uuid ) ) {
+					wp_send_json_error( array( 'message' => $person_uuid->get_error_message() ) );
+				}
+			} catch ( Exception $e ) {
+				wp_send_json_error( array( 'message' => $e->getMessage() ) );
+			}
+		}
+
+		$this->add_and_respond( $auth, $person_uuid, trim( $user->first_name . ' ' . $user->last_name ) ?: $user->display_name, $role );
+	}
+
+	/**
+	 * Connect a Wicket person who has no WordPress account. Sends the JSON
+	 * response and exits.
+	 */
+	private function add_wicket_person( $auth, $person_uuid, $role ) {
+		$person = wicket_api()->get_person( $person_uuid );
+		if ( empty( $person ) ) {
+			wp_send_json_error( array( 'message' => __( 'Person not found.', 'wicket-integration' ) ) );
+		}
+
+		$name = trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) );
+		$this->add_and_respond( $auth, $person_uuid, $name, $role );
+	}
+
+	/**
+	 * Connect a person (reinstating a former member), record it in the audit
+	 * log, and send the JSON response.
+	 */
+	private function add_and_respond( $auth, $person_uuid, $name, $role ) {
+		$result = $this->connect_person( $auth, $person_uuid, $role );
+
+		if ( ! $result['success'] ) {
+			wp_send_json_error( array( 'message' => $result['message'] ?: __( 'Failed to add member.', 'wicket-integration' ) ) );
+		}
+
+		if ( $result['status'] === 'member' ) {
+			wp_send_json_success( array( 'message' => __( 'This person is already connected to the organization.', 'wicket-integration' ) ) );
+		}
+
+		if ( $result['status'] === 'reinstated' ) {
+			$this->audit( MyIES_Audit_Log::MEMBER_REINSTATED, $auth, $person_uuid, $name, array(
+				'connection_uuid' => $result['connection_uuid'],
+				'connection_type' => $role,
+				'ended_at'        => $result['ended_at'],
+			) );
+			wp_send_json_success( array( 'message' => __( 'Former member added back to the organization.', 'wicket-integration' ) ) );
+		}
+
+		$this->audit( MyIES_Audit_Log::MEMBER_ADDED, $auth, $person_uuid, $name, array(
+			'connection_type' => $role,
+		) );
+		wp_send_json_success( array( 'message' => __( 'Member added successfully.', 'wicket-integration' ) ) );
+	}
+
+	// =========================================================================
+	// AJAX: Remove (soft-end) member from organization
+	// =========================================================================
+
+	public function ajax_remove_member() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$connection_uuid = isset( $_POST['connection_uuid'] ) ? sanitize_text_field( $_POST['connection_uuid'] ) : '';
+		if ( empty( $connection_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		}
+
+		$api    = wicket_api();
+		$result = $api->update_connection( $connection_uuid, array(
+			'ends_at' => current_time( 'c' ),
+		) );
+
+		if ( $result['success'] ) {
+			$this->audit(
+				MyIES_Audit_Log::MEMBER_REMOVED,
+				$auth,
+				$result['data']['relationships']['from']['data']['id'] ?? '',
+				'',
+				array( 'connection_uuid' => $connection_uuid )
+			);
+			wp_send_json_success( array( 'message' => __( 'Member removed from organization.', 'wicket-integration' ) ) );
+		} else {
+			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Failed to remove member.', 'wicket-integration' ) ) );
+		}
+	}
+
+	// =========================================================================
+	// AJAX: Former members (ended connections)
+	// =========================================================================
+
+	/**
+	 * Ended connections, most recently ended first. People who are connected
+	 * again through another connection are left out.
+	 */
+	public function ajax_get_former_members() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$active = array();
+		$ended  = array();
+		foreach ( wicket_api()->get_organization_members( $auth['org_uuid'] ) as $conn ) {
+			$ends_at     = $conn['attributes']['ends_at'] ?? null;
+			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				$ended[] = $conn;
+			} else {
+				$active[ $person_uuid ] = true;
+			}
+		}
+
+		$former = array();
+		foreach ( $ended as $conn ) {
+			$member = $this->format_member( $conn, $auth );
+			if ( isset( $active[ $member['person_uuid'] ] ) ) {
+				continue;
+			}
+			$member['ends_at'] = $conn['attributes']['ends_at'];
+
+			// Keep only the latest ended connection per person
+			$key = $member['person_uuid'] ?: $member['connection_uuid'];
+			if ( ! isset( $former[ $key ] ) || strtotime( $member['ends_at'] ) > strtotime( $former[ $key ]['ends_at'] ) ) {
+				$former[ $key ] = $member;
+			}
+		}
+
+		$former = array_values( $former );
+		usort( $former, function ( $a, $b ) {
+			return strtotime( $b['ends_at'] ) - strtotime( $a['ends_at'] );
+		} );
+
+		wp_send_json_success( array( 'members' => $former ) );
+	}
+
+	/**
+	 * Reinstate an ended connection by clearing its end date. Used by the
+	 * Former Members tab and by the Undo toast after a removal.
+	 */
+	public function ajax_reinstate_member() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$connection_uuid = isset( $_POST['connection_uuid'] ) ? sanitize_text_field( $_POST['connection_uuid'] ) : '';
+		if ( empty( $connection_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		}
+
+		$api    = wicket_api();
+		$conn   = null;
+		$active = array();
+		foreach ( $api->get_organization_members( $auth['org_uuid'] ) as $c ) {
+			if ( $c['id'] === $connection_uuid ) {
+				$conn = $c;
+				continue;
+			}
+			$ends_at = $c['attributes']['ends_at'] ?? null;
+			if ( ! $ends_at || strtotime( $ends_at ) >= time() ) {
+				$active[ $c['relationships']['from']['data']['id'] ?? '' ] = true;
+			}
+		}
+		if ( ! $conn ) {
+			wp_send_json_error( array( 'message' => __( 'This connection does not belong to your organization.', 'wicket-integration' ) ) );
+		}
+
+		$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+		if ( isset( $active[ $person_uuid ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'This person is already a member of your organization.', 'wicket-integration' ) ) );
+		}
+
+		$previous_end = $conn['attributes']['ends_at'] ?? null;
+		$result       = $api->update_connection( $connection_uuid, array( 'ends_at' => null ) );
+
+		if ( ! $result['success'] ) {
+			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Failed to reinstate member.', 'wicket-integration' ) ) );
+		}
+
+		$member          = $this->format_member( $conn, $auth );
+		$member['roles'] = $this->get_company_roles( $person_uuid );
+
+		$this->audit(
+			MyIES_Audit_Log::MEMBER_REINSTATED,
+			$auth,
+			$person_uuid,
+			$member['name'],
+			array(
+				'connection_uuid' => $connection_uuid,
+				'connection_type' => $member['connection_type'],
+				'ended_at'        => $previous_end,
+			)
+		);
+
+		wp_send_json_success( array(
+			'message' => __( 'Member reinstated.', 'wicket-integration' ),
+			'member'  => $member,
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Remove (soft-end) a batch of members
+	// =========================================================================
+
+	/**
+	 * End a batch of connections selected in the members table. Each
+	 * connection must be an active connection of this organization, and
+	 * primary contacts cannot remove themselves.
+	 */
+	public function ajax_bulk_remove() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$connection_uuids = isset( $_POST['connection_uuids'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['connection_uuids'] ) ) : array();
+		$connection_uuids = array_slice( array_values( array_unique( array_filter( $connection_uuids ) ) ), 0, self::BULK_BATCH_SIZE );
+		if ( empty( $connection_uuids ) ) {
+			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		}
+
+		$api         = wicket_api();
+		$connections = array();
+		foreach ( $api->get_organization_members( $auth['org_uuid'] ) as $conn ) {
+			$ends_at = $conn['attributes']['ends_at'] ?? null;
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				continue;
+			}
+			$connections[ $conn['id'] ] = $conn;
+		}
+
+		$now     = current_time( 'c' );
+		$results = array();
+		foreach ( $connection_uuids as $connection_uuid ) {
+			$conn        = $connections[ $connection_uuid ] ?? null;
+			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+
+			if ( ! $conn ) {
+				$results[] = array(
+					'connection_uuid' => $connection_uuid,
+					'success'         => false,
+					'message'         => __( 'This person is not a member of your organization.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			if ( $person_uuid === $auth['person_uuid'] ) {
+				$results[] = array(
+					'connection_uuid' => $connection_uuid,
+					'success'         => false,
+					'message'         => __( 'You cannot remove yourself.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			$result = $api->update_connection( $connection_uuid, array(
+				'ends_at' => $now,
+			) );
+
+			if ( ! $result['success'] ) {
+				$results[] = array(
+					'connection_uuid' => $connection_uuid,
+					'success'         => false,
+					'message'         => $result['message'] ?? __( 'Failed to remove member.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			$person = $conn['_person'] ?? null;
+			$this->audit(
+				MyIES_Audit_Log::MEMBER_REMOVED,
+				$auth,
+				$person_uuid,
+				trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) ),
+				array(
+					'connection_uuid' => $connection_uuid,
+					'source'          => 'bulk',
+				)
+			);
+
+			$results[] = array(
+				'connection_uuid' => $connection_uuid,
+				'success'         => true,
+				'message'         => __( 'Member removed.', 'wicket-integration' ),
+			);
+		}
+
+		wp_send_json_success( array( 'results' => $results ) );
+	}
+
+	// =========================================================================
+	// AJAX: Change a member's role (connection type)
+	// =========================================================================
+
+	/**
+	 * Change the type of an existing connection in place, so the member keeps
+	 * their connection history. The organization always keeps at least one
+	 * primary contact.
+	 */
+	public function ajax_update_role() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$connection_uuid = isset( $_POST['connection_uuid'] ) ? sanitize_text_field( $_POST['connection_uuid'] ) : '';
+		$role            = isset( $_POST['role'] ) ? sanitize_text_field( $_POST['role'] ) : '';
+		if ( empty( $connection_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Connection UUID required.', 'wicket-integration' ) ) );
+		}
+
+		$role_error = $this->role_error( $auth, $role );
+		if ( $role_error ) {
+			wp_send_json_error( array( 'message' => $role_error ) );
+		}
+
+		$api           = wicket_api();
+		$conn          = null;
+		$primary_count = 0;
+		foreach ( $api->get_organization_members( $auth['org_uuid'] ) as $c ) {
+			$ends_at = $c['attributes']['ends_at'] ?? null;
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				continue;
+			}
+			if ( ( $c['attributes']['type'] ?? '' ) === 'primary-contact' ) {
+				$primary_count++;
+			}
+			if ( $c['id'] === $connection_uuid ) {
+				$conn = $c;
+			}
+		}
+
+		if ( ! $conn ) {
+			wp_send_json_error( array( 'message' => __( 'This person is not a member of your organization.', 'wicket-integration' ) ) );
+		}
+
+		$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+		if ( $person_uuid === $auth['person_uuid'] ) {
+			wp_send_json_error( array( 'message' => __( 'You cannot change your own role.', 'wicket-integration' ) ) );
+		}
+
+		$old_role = $conn['attributes']['type'] ?? '';
+
+		// Nor can they demote someone with rights they don't have themselves
+		if ( $old_role !== $role && ! isset( $this->get_assignable_types( $auth )[ $old_role ] ) && isset( $this->get_connection_types()[ $old_role ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'You are not allowed to change this person\'s role.', 'wicket-integration' ) ) );
+		}
+
+		if ( $old_role === $role ) {
+			wp_send_json_success( array(
+				'message'         => __( 'Role unchanged.', 'wicket-integration' ),
+				'connection_type' => $role,
+			) );
+		}
+
+		if ( $old_role === 'primary-contact' && $primary_count <= 1 ) {
+			wp_send_json_error( array( 'message' => __( 'The organization must keep at least one primary contact. Make someone else primary contact first.', 'wicket-integration' ) ) );
+		}
+
+		$result = $api->update_connection( $connection_uuid, array(
+			'type' => $role,
+		) );
+
+		if ( ! $result['success'] ) {
+			error_log( '[OrgMgmt] Failed to change role of connection ' . $connection_uuid . ' to ' . $role . ': ' . ( $result['message'] ?? '' ) );
+			wp_send_json_error( array( 'message' => $result['message'] ?? __( 'Failed to change role.', 'wicket-integration' ) ) );
+		}
+
+		$person = $conn['_person'] ?? null;
+		$this->audit(
+			MyIES_Audit_Log::MEMBER_ROLE_CHANGED,
+			$auth,
+			$person_uuid,
+			trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) ),
+			array(
+				'connection_uuid' => $connection_uuid,
+				'from'            => $old_role,
+				'connection_type' => $role,
+			)
+		);
+
+		wp_send_json_success( array(
+			'message'         => __( 'Role updated.', 'wicket-integration' ),
+			'connection_type' => $role,
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Roster CSV import
+	// =========================================================================
+
+	/**
+	 * Dry run of a roster import. The CSV is parsed in the browser and
+	 * posted as a JSON array of { first_name, last_name, email, role }.
+	 *
+	 * Each row is classified as:
+	 *  - existing: a registered user to connect to the organization
+	 *  - new:      a person to create, then connect
+	 *  - member:   already an active member; skipped
+	 *  - invalid:  missing/invalid email, unknown role, missing names for a
+	 *              new person, or a repeated email; skipped
+	 */
+	public function ajax_import_preview() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$rows = isset( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : array();
+		if ( ! is_array( $rows ) || empty( $rows ) ) {
+			wp_send_json_error( array( 'message' => __( 'No rows were found in the uploaded file.', 'wicket-integration' ) ) );
+		}
+		if ( count( $rows ) > self::IMPORT_MAX_ROWS ) {
+			wp_send_json_error( array(
+				'message' => sprintf(
+					__( 'The file has too many rows. Please upload at most %d rows at a time.', 'wicket-integration' ),
+					self::IMPORT_MAX_ROWS
+				),
+			) );
+		}
+
+		$roster     = $this->get_active_roster_index( $auth['org_uuid'] );
+		$types      = $this->get_connection_types();
+		$assignable = $this->get_assignable_types( $auth );
+
+		$results = array();
+		$seen    = array();
+		$counts  = array(
+			'existing' => 0,
+			'new'      => 0,
+			'member'   => 0,
+			'invalid'  => 0,
+		);
+
+		foreach ( array_values( $rows ) as $i => $row ) {
+			$row = $this->sanitize_import_row( $row );
+
+			$status  = '';
+			$message = '';
+			$name    = trim( $row['first_name'] . ' ' . $row['last_name'] );
+
+			if ( ! $row['email'] || ! is_email( $row['email'] ) ) {
+				$status  = 'invalid';
+				$message = __( 'Missing or invalid email address.', 'wicket-integration' );
+			} elseif ( isset( $seen[ $row['email'] ] ) ) {
+				$status  = 'invalid';
+				$message = sprintf( __( 'Same email as row %d.', 'wicket-integration' ), $seen[ $row['email'] ] );
+			} elseif ( ! isset( $types[ $row['role'] ] ) ) {
+				$status  = 'invalid';
+				$message = sprintf( __( 'Unknown role "%s".', 'wicket-integration' ), $row['role'] );
+			} elseif ( ! isset( $assignable[ $row['role'] ] ) ) {
+				$status  = 'invalid';
+				$message = sprintf( __( 'You are not allowed to give people the role "%s".', 'wicket-integration' ), $types[ $row['role'] ] );
+			}
+
+			if ( ! $status ) {
+				$seen[ $row['email'] ] = $i + 1;
+				$wp_user_id            = email_exists( $row['email'] );
+				$person_uuid           = $wp_user_id ? get_user_meta( $wp_user_id, 'wicket_person_uuid', true ) : '';
+
+				if ( isset( $roster['emails'][ $row['email'] ] ) || ( $person_uuid && isset( $roster['people'][ $person_uuid ] ) ) ) {
+					$status  = 'member';
+					$message = __( 'Already a member of the organization.', 'wicket-integration' );
+				} elseif ( $wp_user_id ) {
+					$status = 'existing';
+					$user   = get_userdata( $wp_user_id );
+					$name   = trim( $user->first_name . ' ' . $user->last_name ) ?: $user->display_name;
+				} elseif ( ! $row['first_name'] || ! $row['last_name'] ) {
+					$status  = 'invalid';
+					$message = __( 'First and last name are required to create a new account.', 'wicket-integration' );
+				} else {
+					$status = 'new';
+				}
+			}
+
+			$counts[ $status ]++;
+
+			$results[] = array_merge( $row, array(
+				'row'     => $i + 1,
+				'name'    => $name,
+				'status'  => $status,
+				'message' => $message,
+			) );
+		}
+
+		wp_send_json_success( array(
+			'rows'       => $results,
+			'counts'     => $counts,
+			'batch_size' => self::BULK_BATCH_SIZE,
+		) );
+	}
+
+	/**
+	 * Import a batch of rows accepted in the preview. Each row resolves or
+	 * creates the person (as `find_or_create_person_by_email()` does for the
+	 * add and create-and-add forms) and connects them with the given role.
+	 */
+	public function ajax_import_commit() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$rows = isset( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : array();
+		if ( ! is_array( $rows ) || empty( $rows ) ) {
+			wp_send_json_error( array( 'message' => __( 'No rows to import.', 'wicket-integration' ) ) );
+		}
+		$rows = array_slice( array_values( $rows ), 0, self::BULK_BATCH_SIZE );
+
+		$types   = $this->get_assignable_types( $auth );
+		$index   = $this->get_connection_index( $auth['org_uuid'] );
+		$results = array();
+
+		foreach ( $rows as $raw ) {
+			$row    = $this->sanitize_import_row( $raw );
+			$result = array(
+				'row'     => isset( $raw['row'] ) ? (int) $raw['row'] : 0,
+				'success' => false,
+				'status'  => 'failed',
+				'message' => '',
+			);
+
+			if ( ! is_email( $row['email'] ) || ! isset( $types[ $row['role'] ] ) ) {
+				$result['message'] = __( 'Invalid row.', 'wicket-integration' );
+				$results[]         = $result;
+				continue;
+			}
+
+			$person = $this->find_or_create_person_by_email( $row['email'], $row['first_name'], $row['last_name'] );
+			if ( is_wp_error( $person ) ) {
+				error_log( '[OrgMgmt] Import: could not resolve ' . $row['email'] . ': ' . $person->get_error_message() );
+				$result['message'] = $person->get_error_message();
+				$results[]         = $result;
+				continue;
+			}
+
+			$conn = $this->connect_person( $auth, $person['person_uuid'], $row['role'], $index );
+			if ( ! $conn['success'] ) {
+				$result['message'] = $person['created']
+					? __( 'Person was created but could not be added to the organization.', 'wicket-integration' )
+					: ( $conn['message'] ?: __( 'Failed to add member.', 'wicket-integration' ) );
+				$results[] = $result;
+				continue;
+			}
+
+			// A repeat of the same person later in this batch is then a member
+			$index[ $person['person_uuid'] ] = array( 'active' => true, 'ended' => null );
+
+			$result['success'] = true;
+			if ( $conn['status'] === 'member' ) {
+				$result['status']  = 'member';
+				$result['message'] = __( 'Already a member of the organization.', 'wicket-integration' );
+			} elseif ( $conn['status'] === 'reinstated' ) {
+				$result['status']  = 'connected';
+				$result['message'] = __( 'Former member added back to the organization.', 'wicket-integration' );
+				$this->audit(
+					MyIES_Audit_Log::MEMBER_REINSTATED,
+					$auth,
+					$person['person_uuid'],
+					$person['name'],
+					array(
+						'connection_uuid' => $conn['connection_uuid'],
+						'connection_type' => $row['role'],
+						'ended_at'        => $conn['ended_at'],
+						'source'          => 'csv',
+					)
+				);
+			} else {
+				$result['status']  = $person['created'] ? 'created' : 'connected';
+				$result['message'] = $person['created']
+					? __( 'Created and added to the organization.', 'wicket-integration' )
+					: __( 'Added to the organization.', 'wicket-integration' );
+				$this->audit(
+					$person['created'] ? MyIES_Audit_Log::MEMBER_CREATED : MyIES_Audit_Log::MEMBER_ADDED,
+					$auth,
+					$person['person_uuid'],
+					$person['name'],
+					array(
+						'connection_type' => $row['role'],
+						'source'          => 'csv',
+					)
+				);
+			}
+
+			$results[] = $result;
+		}
+
+		wp_send_json_success( array( 'results' => $results ) );
+	}
+
+	/**
+	 * Connections of an organization by person: whether each person has an
+	 * active connection, and their most recently ended one.
+	 *
+	 * @param  string $org_uuid
+	 * @return array person UUID => { active: bool, ended: array|null }
+	 */
+	private function get_connection_index( $org_uuid ) {
+		$index = array();
+
+		foreach ( wicket_api()->get_organization_members( $org_uuid ) as $conn ) {
+			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+			if ( $person_uuid === '' ) {
+				continue;
+			}
+			if ( ! isset( $index[ $person_uuid ] ) ) {
+				$index[ $person_uuid ] = array( 'active' => false, 'ended' => null );
+			}
+
+			$ends_at = $conn['attributes']['ends_at'] ?? null;
+			if ( ! $ends_at || strtotime( $ends_at ) >= time() ) {
+				$index[ $person_uuid ]['active'] = true;
+			} elseif ( ! $index[ $person_uuid ]['ended'] || strtotime( $ends_at ) > strtotime( $index[ $person_uuid ]['ended']['attributes']['ends_at'] ) ) {
+				$index[ $person_uuid ]['ended'] = $conn;
+			}
+		}
+
+		return $index;
+	}
+
+	/**
+	 * Normalize one posted import row. The role may be given as a connection
+	 * type or as its label ("Primary Contact", "Employee"); an empty role
+	 * means employee.
+	 *
+	 * @param  mixed $row
+	 * @return array { first_name, last_name, email, role }
+	 */
+	private function sanitize_import_row( $row ) {
+		$row  = is_array( $row ) ? $row : array();
+		$role = sanitize_text_field( $row['role'] ?? '' ) ?: 'employee';
+
+		foreach ( $this->get_connection_types() as $type => $label ) {
+			if ( strcasecmp( $role, $type ) === 0 || strcasecmp( $role, $label ) === 0
+				|| strcasecmp( $role, preg_replace( '/^Company - /', '', $label ) ) === 0 ) {
+				$role = $type;
+				break;
+			}
+		}
+
+		return array(
+			'first_name' => sanitize_text_field( $row['first_name'] ?? '' ),
+			'last_name'  => sanitize_text_field( $row['last_name'] ?? '' ),
+			'email'      => strtolower( sanitize_email( $row['email'] ?? '' ) ),
+			'role'       => $role,
+		);
+	}
+
+	/**
+	 * Active members of an organization, indexed by lowercased primary email
+	 * and by person UUID.
+	 *
+	 * @param  string $org_uuid
+	 * @return array { emails: array, people: array }
+	 */
+	private function get_active_roster_index( $org_uuid ) {
+		$index = array(
+			'emails' => array(),
+			'people' => array(),
+		);
+
+		foreach ( wicket_api()->get_organization_members( $org_uuid ) as $conn ) {
+			$ends_at = $conn['attributes']['ends_at'] ?? null;
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				continue;
+			}
+
+			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+			$email       = strtolower( $conn['_person']['attributes']['primary_email_address'] ?? '' );
+			if ( $person_uuid ) {
+				$index['people'][ $person_uuid ] = true;
+			}
+			if ( $email ) {
+				$index['emails'][ $email ] = true;
+			}
+		}
+
+		return $index;
+	}
+
+	// =========================================================================
+	// AJAX: Create a new WP user + Wicket person and add to organization
+	// =========================================================================
+
+	public function ajax_create_and_add_member() {
+		check_ajax_referer( 'myies_orgmgmt_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized — Management role required.' ) );
+		}
+
+		$first_name = isset( $_POST['first_name'] ) ? sanitize_text_field( $_POST['first_name'] ) : '';
+		$last_name  = isset( $_POST['last_name'] ) ? sanitize_text_field( $_POST['last_name'] ) : '';
+		$email      = isset( $_POST['email'] ) ? sanitize_email( $_POST['email'] ) : '';
+		$role       = isset( $_POST['role'] ) ? sanitize_text_field( $_POST['role'] ) : 'employee';
+		$force      = ! empty( $_POST['force'] );
+
+		if ( empty( $first_name ) || empty( $last_name ) || empty( $email ) ) {
+			wp_send_json_error( array( 'message' => __( 'First name, last name, and email are required.', 'wicket-integration' ) ) );
+		}
+
+		if ( ! is_email( $email ) ) {
+			wp_send_json_error( array( 'message' => __( 'Please enter a valid email address.', 'wicket-integration' ) ) );
+		}
+
+		$role_error = $this->role_error( $auth, $role );
+		if ( $role_error ) {
+			wp_send_json_error( array( 'message' => $role_error ) );
+		}
+
+		// Likely duplicates must be confirmed before a new person is created
+		if ( ! $force ) {
+			$duplicates = $this->find_duplicate_people( $auth, $first_name, $last_name, $email );
+			if ( $duplicates ) {
+				wp_send_json_error( array(
+					'message'    => __( 'This person may already exist. Use one of the matches below, or confirm that you want to create a new person.', 'wicket-integration' ),
+					'duplicates' => $duplicates,
+				) );
+			}
+		}
+
+		// Check if email already exists in WP
+		if ( email_exists( $email ) ) {
+			wp_send_json_error( array( 'message' => __( 'This email address is already registered. Please use the search to find and add the existing user.', 'wicket-integration' ) ) );
+		}
+
+		$created = $this->create_person( $first_name, $last_name, $email );
+		if ( is_wp_error( $created ) ) {
+			wp_send_json_error( array( 'message' => $created->get_error_message() ) );
+		}
+		$person_uuid = $created['person_uuid'];
+		$name        = $first_name . ' ' . $last_name;
+
+		// Add to organization. create_person() may have reused an existing
+		// Wicket person, who can be a member or former member already.
+		$result = $this->connect_person( $auth, $person_uuid, $role );
+
+		if ( ! $result['success'] ) {
+			wp_send_json_error( array( 'message' => $result['message'] ?: __( 'Person was created but could not be added to the organization.', 'wicket-integration' ) ) );
+		}
+
+		if ( $result['status'] === 'member' ) {
+			wp_send_json_success( array(
+				'message' => sprintf( __( '%s is already connected to the organization.', 'wicket-integration' ), $name ),
+			) );
+		}
+
+		if ( $result['status'] === 'reinstated' ) {
+			$this->audit( MyIES_Audit_Log::MEMBER_REINSTATED, $auth, $person_uuid, $name, array(
+				'connection_uuid' => $result['connection_uuid'],
+				'connection_type' => $role,
+				'ended_at'        => $result['ended_at'],
+			) );
+			wp_send_json_success( array(
+				'message' => sprintf( __( '%s is a former member and has been added back to the organization.', 'wicket-integration' ), $name ),
+			) );
+		}
+
+		$this->audit( MyIES_Audit_Log::MEMBER_CREATED, $auth, $person_uuid, $name, array(
+			'connection_type' => $role,
+		) );
+		wp_send_json_success( array(
+			'message' => sprintf( __( '%s has been created and added to the organization.', 'wicket-integration' ), $name ),
+		) );
+	}
+
+	/**
+	 * Existing people who are probably the one about to be created: a
+	 * similar name, the same email username, or a similar last name at the
+	 * same email domain. Checks WordPress users and Wicket people.
+	 *
+	 * The search is site-wide, so people who are not on the roster come back
+	 * with a masked name and email and an opaque token instead of their IDs;
+	 * ajax_add_member() resolves the token (see resolve_duplicate_token()).
+	 *
+	 * @return array[] Up to 5 { token, name, email, reasons, is_member }, best match first.
+	 */
+	private function find_duplicate_people( $auth, $first_name, $last_name, $email ) {
+		list( $local, $domain ) = array_pad( explode( '@', strtolower( $email ), 2 ), 2, '' );
+
+		$candidates = array();
+
+		// WordPress users with a matching first/last name or email username
+		$query = new WP_User_Query( array(
+			'number'     => 50,
+			'fields'     => array( 'ID', 'user_email' ),
+			'meta_query' => array(
+				'relation' => 'OR',
+				array( 'key' => 'last_name', 'value' => $last_name, 'compare' => 'LIKE' ),
+				array( 'key' => 'first_name', 'value' => $first_name, 'compare' => 'LIKE' ),
+			),
+		) );
+		$users = $query->get_results();
+
+		global $wpdb;
+		$by_local = $wpdb->get_results( $wpdb->prepare(
+			"SELECT ID, user_email FROM {$wpdb->users} WHERE user_email LIKE %s LIMIT 10",
+			$wpdb->esc_like( $local ) . '@%'
+		) );
+
+		foreach ( array_merge( $users, $by_local ) as $u ) {
+			$key = strtolower( $u->user_email );
+			if ( isset( $candidates[ $key ] ) ) {
+				continue;
+			}
+			$candidates[ $key ] = array(
+				'user_id'     => (int) $u->ID,
+				'person_uuid' => get_user_meta( $u->ID, 'wicket_person_uuid', true ) ?: null,
+				'first_name'  => get_user_meta( $u->ID, 'first_name', true ),
+				'last_name'   => get_user_meta( $u->ID, 'last_name', true ),
+				'email'       => $u->user_email,
+			);
+		}
+
+		// Wicket people with a similar last name (may not have a WordPress account)
+		foreach ( wicket_api()->search_people( array( 'family_name_cont' => $last_name ), 25 ) as $p ) {
+			$p_email = strtolower( $p['attributes']['primary_email_address'] ?? '' );
+			if ( $p_email === '' || isset( $candidates[ $p_email ] ) ) {
+				continue;
+			}
+			$candidates[ $p_email ] = array(
+				'user_id'     => email_exists( $p_email ) ?: null,
+				'person_uuid' => $p['id'],
+				'first_name'  => $p['attributes']['given_name'] ?? '',
+				'last_name'   => $p['attributes']['family_name'] ?? '',
+				'email'       => $p_email,
+			);
+		}
+
+		$members = $this->get_active_roster_index( $auth['org_uuid'] );
+		$matches = array();
+
+		foreach ( $candidates as $c_email => $c ) {
+			list( $c_local, $c_domain ) = array_pad( explode( '@', $c_email, 2 ), 2, '' );
+
+			$same_email    = ( $c_email === strtolower( $email ) );
+			$last_similar  = $this->names_similar( $last_name, $c['last_name'] );
+			$first_similar = $this->names_similar( $first_name, $c['first_name'] );
+
+			$reasons = array();
+			if ( $same_email ) {
+				$reasons[] = __( 'Same email address', 'wicket-integration' );
+			} elseif ( $c_local === $local ) {
+				$reasons[] = __( 'Same email username', 'wicket-integration' );
+			}
+			if ( $last_similar && $first_similar ) {
+				$reasons[] = __( 'Similar name', 'wicket-integration' );
+			}
+			if ( $last_similar && ! $same_email && $c_domain === $domain ) {
+				$reasons[] = __( 'Same email domain', 'wicket-integration' );
+			}
+			if ( empty( $reasons ) ) {
+				continue;
+			}
+
+			$matches[] = array(
+				'user_id'     => $c['user_id'],
+				'person_uuid' => $c['person_uuid'],
+				'first_name'  => $c['first_name'],
+				'last_name'   => $c['last_name'],
+				'name'        => trim( $c['first_name'] . ' ' . $c['last_name'] ) ?: $c['email'],
+				'email'       => $c['email'],
+				'reasons'     => $reasons,
+				'is_member'   => ( $c['person_uuid'] && isset( $members['people'][ $c['person_uuid'] ] ) ) || isset( $members['emails'][ $c_email ] ),
+			);
+		}
+
+		usort( $matches, function ( $a, $b ) {
+			return count( $b['reasons'] ) - count( $a['reasons'] );
+		} );
+
+		$tokens = array();
+		$output = array();
+		foreach ( array_slice( $matches, 0, 5 ) as $m ) {
+			if ( $m['is_member'] ) {
+				// Already on the roster, which this manager can see anyway
+				$output[] = array(
+					'token'     => null,
+					'name'      => $m['name'],
+					'email'     => $m['email'],
+					'reasons'   => $m['reasons'],
+					'is_member' => true,
+				);
+				continue;
+			}
+
+			$token            = wp_generate_password( 20, false );
+			$tokens[ $token ] = array(
+				'user_id'     => $m['user_id'],
+				'person_uuid' => $m['person_uuid'],
+			);
+			$output[]         = array(
+				'token'     => $token,
+				'name'      => $this->mask_name( $m['first_name'], $m['last_name'] ),
+				'email'     => $this->mask_email( $m['email'] ),
+				'reasons'   => $m['reasons'],
+				'is_member' => false,
+			);
+		}
+
+		set_transient( $this->duplicate_token_key(), array(
+			'org_uuid' => $auth['org_uuid'],
+			'matches'  => $tokens,
+		), self::DUPLICATE_TOKEN_TTL );
+
+		return $output;
+	}
+
+	/**
+	 * The person behind a token handed out by find_duplicate_people(), if it
+	 * was issued to the current user for this organization and has not
+	 * expired.
+	 *
+	 * @return array|null { user_id, person_uuid }
+	 */
+	private function resolve_duplicate_token( $auth, $token ) {
+		$issued = get_transient( $this->duplicate_token_key() );
+		if ( ! is_array( $issued ) || ( $issued['org_uuid'] ?? '' ) !== $auth['org_uuid'] ) {
+			return null;
+		}
+
+		return $issued['matches'][ $token ] ?? null;
+	}
+
+	private function duplicate_token_key() {
+		return 'myies_orgmgmt_dup_' . get_current_user_id();
+	}
+
+	/**
+	 * "j***@example.com"
+	 */
+	private function mask_email( $email ) {
+		list( $local, $domain ) = array_pad( explode( '@', $email, 2 ), 2, '' );
+		return mb_substr( $local, 0, 1 ) . '***@' . $domain;
+	}
+
+	/**
+	 * "J*** S***"
+	 */
+	private function mask_name( $first_name, $last_name ) {
+		$parts = array();
+		foreach ( array( $first_name, $last_name ) as $name ) {
+			$name = trim( $name );
+			if ( $name !== '' ) {
+				$parts[] = mb_substr( $name, 0, 1 ) . '***';
+			}
+		}
+		return $parts ? implode( ' ', $parts ) : __( 'Unnamed person', 'wicket-integration' );
+	}
+
+	/**
+	 * Loose name comparison: case/accent-insensitive, tolerating a typo or
+	 * a shortened form ("Chris" / "Christopher").
+	 */
+	private function names_similar( $a, $b ) {
+		$a = strtolower( remove_accents( trim( $a ) ) );
+		$b = strtolower( remove_accents( trim( $b ) ) );
+		if ( $a === '' || $b === '' ) {
+			return false;
+		}
+		if ( $a === $b || ( strlen( $a ) >= 3 && strlen( $b ) >= 3 && ( strpos( $a, $b ) === 0 || strpos( $b, $a ) === 0 ) ) ) {
+			return true;
+		}
+		return levenshtein( $a, $b ) <= ( max( strlen( $a ), strlen( $b ) ) > 6 ? 2 : 1 );
+	}
+
+	/**
+	 * Record a roster change in the audit log.
+	 *
+	 * @param string $action      MyIES_Audit_Log action constant.
+	 * @param array  $auth        Result of check_authorization().
+	 * @param string $target_uuid Person the change applies to.
+	 * @param string $target_name
+	 * @param array  $details
+	 */
+	private function audit( $action, $auth, $target_uuid, $target_name = '', $details = array() ) {
+		MyIES_Audit_Log::log( $action, $auth['org_uuid'], array(
+			'org_name'    => $auth['org_name'],
+			'target_uuid' => $target_uuid,
+			'target_name' => $target_name,
+			'details'     => $details,
+		) );
+	}
+
+	/**
+	 * Connection types a primary contact may assign, keyed by Wicket
+	 * connection type (see MyIES_Permissions::connection_types()).
+	 *
+	 * @return array
+	 */
+	private function get_connection_types() {
+		return MyIES_Permissions::connection_types();
+	}
+
+	/**
+	 * Connection types the user may give people: those granting no
+	 * capability the user lacks, so editing the roster can't be used to
+	 * hand out seat management or org details rights.
+	 *
+	 * @param  array $auth Result of check_authorization().
+	 * @return array connection type => label
+	 */
+	private function get_assignable_types( $auth ) {
+		$granted = array_keys( array_filter( $auth['caps'] ) );
+
+		return array_filter( $this->get_connection_types(), function ( $type ) use ( $granted ) {
+			return ! array_diff( array_keys( array_filter( MyIES_Permissions::for_connection_type( $type ) ) ), $granted );
+		}, ARRAY_FILTER_USE_KEY );
+	}
+
+	/**
+	 * Why the user may not give someone a connection type, or '' if they may.
+	 *
+	 * @param  array  $auth Result of check_authorization().
+	 * @param  string $role Connection type.
+	 * @return string
+	 */
+	private function role_error( $auth, $role ) {
+		if ( ! isset( $this->get_connection_types()[ $role ] ) ) {
+			return __( 'Invalid role.', 'wicket-integration' );
+		}
+		if ( ! isset( $this->get_assignable_types( $auth )[ $role ] ) ) {
+			return __( 'You are not allowed to give people this role.', 'wicket-integration' );
+		}
+		return '';
+	}
+
+	// =========================================================================
+	// Person helpers (shared with seat management)
+	// =========================================================================
+
+	/**
+	 * Create a WordPress user and the matching Wicket person (an existing
+	 * Wicket person with the same primary email is reused).
+	 *
+	 * @param  string $first_name
+	 * @param  string $last_name
+	 * @param  string $email
+	 * @return array|WP_Error { wp_user_id, person_uuid }
+	 */
+	public function create_person( $first_name, $last_name, $email ) {
+		$username   = sanitize_user( $email, true );
+		$password   = wp_generate_password( 24 );
+		$wp_user_id = wp_insert_user( array(
+			'user_login'   => $username,
+			'user_email'   => $email,
+			'user_pass'    => $password,
+			'first_name'   => $first_name,
+			'last_name'    => $last_name,
+			'display_name' => $first_name . ' ' . $last_name,
+		) );
+
+		if ( is_wp_error( $wp_user_id ) ) {
+			return $wp_user_id;
+		}
+
+		// Create Wicket person (or find existing by email)
+		try {
+			$svc         = new Wicket_Membership_Service();
+			$person_uuid = $svc->find_or_create_person( $wp_user_id );
+		} catch ( Exception $e ) {
+			return new WP_Error( 'service', $e->getMessage() );
+		}
+
+		if ( is_wp_error( $person_uuid ) ) {
+			return $person_uuid;
+		}
+
+		return array(
+			'wp_user_id'  => $wp_user_id,
+			'person_uuid' => $person_uuid,
+		);
+	}
+
+	/**
+	 * Resolve the Wicket person for an email address. A registered email
+	 * uses the existing WordPress user; otherwise a new user and person are
+	 * created, which requires a first and last name.
+	 *
+	 * @param  string $email
+	 * @param  string $first_name
+	 * @param  string $last_name
+	 * @return array|WP_Error { wp_user_id, person_uuid, name, created }
+	 */
+	public function find_or_create_person_by_email( $email, $first_name = '', $last_name = '' ) {
+		$wp_user_id = email_exists( $email );
+
+		if ( $wp_user_id ) {
+			try {
+				$svc         = new Wicket_Membership_Service();
+				$person_uuid = $svc->find_or_create_person( $wp_user_id );
+			} catch ( Exception $e ) {
+				return new WP_Error( 'service', $e->getMessage() );
+			}
+			if ( is_wp_error( $person_uuid ) ) {
+				return $person_uuid;
+			}
+
+			$user = get_userdata( $wp_user_id );
+			return array(
+				'wp_user_id'  => $wp_user_id,
+				'person_uuid' => $person_uuid,
+				'name'        => trim( $user->first_name . ' ' . $user->last_name ) ?: $user->display_name,
+				'created'     => false,
+			);
+		}
+
+		if ( empty( $first_name ) || empty( $last_name ) ) {
+			return new WP_Error( 'name_required', __( 'First and last name are required to create a new account.', 'wicket-integration' ) );
+		}
+
+		$created = $this->create_person( $first_name, $last_name, $email );
+		if ( is_wp_error( $created ) ) {
+			return $created;
+		}
+
+		$created['name']    = $first_name . ' ' . $last_name;
+		$created['created'] = true;
+		return $created;
+	}
+
+	/**
+	 * Connect a person to the organization. A former member gets their most
+	 * recently ended connection back (end date cleared, role updated)
+	 * instead of being reported as already connected, since Wicket refuses
+	 * a second connection to the same organization.
+	 *
+	 * The caller records the change in the audit log.
+	 *
+	 * @param  array      $auth  Needs org_uuid; seat management's auth result works too.
+	 * @param  string     $person_uuid
+	 * @param  string     $role  Connection type.
+	 * @param  array|null $index Result of get_connection_index(), when connecting a batch.
+	 * @return array { success, status: added|reinstated|member, message, connection_uuid, ended_at }
+	 */
+	public function connect_person( $auth, $person_uuid, $role, $index = null ) {
+		if ( $index === null ) {
+			$index = $this->get_connection_index( $auth['org_uuid'] );
+		}
+
+		$result = array(
+			'success'         => false,
+			'status'          => '',
+			'message'         => '',
+			'connection_uuid' => '',
+			'ended_at'        => null,
+		);
+
+		$entry = $index[ $person_uuid ] ?? null;
+		if ( $entry && $entry['active'] ) {
+			$result['success'] = true;
+			$result['status']  = 'member';
+			return $result;
+		}
+
+		$api = wicket_api();
+
+		if ( $entry && $entry['ended'] ) {
+			$conn  = $entry['ended'];
+			$attrs = array( 'ends_at' => null );
+			if ( ( $conn['attributes']['type'] ?? '' ) !== $role ) {
+				$attrs['type'] = $role;
+			}
+
+			$updated = $api->update_connection( $conn['id'], $attrs );
+			if ( ! $updated['success'] ) {
+				error_log( '[OrgMgmt] Failed to reinstate connection ' . $conn['id'] . ': ' . ( $updated['message'] ?? '' ) );
+				$result['message'] = $updated['message'] ?? __( 'Failed to reinstate member.', 'wicket-integration' );
+				return $result;
+			}
+
+			$result['success']         = true;
+			$result['status']          = 'reinstated';
+			$result['connection_uuid'] = $conn['id'];
+			$result['ended_at']        = $conn['attributes']['ends_at'];
+			return $result;
+		}
+
+		$created = $api->create_person_org_connection( $person_uuid, $auth['org_uuid'], $role );
+		if ( ! $created['success'] ) {
+			$result['message'] = $created['message'] ?? __( 'Failed to add member.', 'wicket-integration' );
+			return $result;
+		}
+
+		$result['success'] = true;
+		$result['status']  = empty( $created['already_existed'] ) ? 'added' : 'member';
+		return $result;
 	}
 }
 
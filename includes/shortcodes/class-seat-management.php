@@ -13,6 +13,18 @@
  *  - View all people currently assigned a seat
  *  - Assign a seat to an existing org member
  *  - Remove a seat from a person (without removing them from the org)
+ *  - Bulk-assign seats from an uploaded CSV of emails (or names + emails)
+ *  - Set a custom end date on a seat, when assigning or afterwards
+ *  - Transfer a seat from one person to another in a single step
+ *  - Approve or decline seat requests made by employees (see MyIES_Seat_Requests)
+ *  - Switch between seat pools when the org holds several active org memberships
+ *  - View the seat activity log (see MyIES_Audit_Log)
+ *  - Invite someone not yet on the roster: find or create the person, connect
+ *    them to the org and assign a seat in one step
+ *  - Set an automatic assignment policy: seat everyone, certain connection
+ *    types or certain email domains (see MyIES_Seat_Auto_Assign)
+ *
+ * Org members who cannot manage seats see a "Request a seat" form instead.
  *
  * @package MyIES_Integration
  * @since   1.0.19
@@ -24,6 +36,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class MyIES_Seat_Management {
 
+	/**
+	 * Maximum number of CSV rows accepted for a single bulk preview.
+	 */
+	const BULK_MAX_ROWS = 500;
+
+	/**
+	 * Maximum number of people assigned per bulk-assign request.
+	 */
+	const BULK_BATCH_SIZE = 10;
+
 	private static $instance = null;
 
 	public static function get_instance() {
@@ -41,6 +63,18 @@ class MyIES_Seat_Management {
 		add_action( 'wp_ajax_myies_seats_get_org_members', array( $this, 'ajax_get_org_members' ) );
 		add_action( 'wp_ajax_myies_seats_assign', array( $this, 'ajax_assign_seat' ) );
 		add_action( 'wp_ajax_myies_seats_remove', array( $this, 'ajax_remove_seat' ) );
+		add_action( 'wp_ajax_myies_seats_bulk_remove', array( $this, 'ajax_bulk_remove' ) );
+		add_action( 'wp_ajax_myies_seats_bulk_preview', array( $this, 'ajax_bulk_preview' ) );
+		add_action( 'wp_ajax_myies_seats_bulk_assign', array( $this, 'ajax_bulk_assign' ) );
+		add_action( 'wp_ajax_myies_seats_update_end_date', array( $this, 'ajax_update_end_date' ) );
+		add_action( 'wp_ajax_myies_seats_transfer', array( $this, 'ajax_transfer_seat' ) );
+		add_action( 'wp_ajax_myies_seats_request_seat', array( $this, 'ajax_request_seat' ) );
+		add_action( 'wp_ajax_myies_seats_get_requests', array( $this, 'ajax_get_requests' ) );
+		add_action( 'wp_ajax_myies_seats_decide_request', array( $this, 'ajax_decide_request' ) );
+		add_action( 'wp_ajax_myies_seats_invite_and_assign', array( $this, 'ajax_invite_and_assign' ) );
+		add_action( 'wp_ajax_myies_seats_get_activity', array( $this, 'ajax_get_activity' ) );
+		add_action( 'wp_ajax_myies_seats_get_auto_assign', array( $this, 'ajax_get_auto_assign' ) );
+		add_action( 'wp_ajax_myies_seats_save_auto_assign', array( $this, 'ajax_save_auto_assign' ) );
 
 		// Register assets
 		add_action( 'wp_enqueue_scripts', array( $this, 'register_assets' ) );
@@ -50,12 +84,19 @@ class MyIES_Seat_Management {
 		wp_register_style(
 			'myies-seat-management',
 			WICKET_INTEGRATION_PLUGIN_URL . 'assets/css/seat-management.css',
-			array(),
+			array( 'myies-table' ),
 			WICKET_INTEGRATION_VERSION
 		);
 		wp_register_script(
 			'myies-seat-management',
 			WICKET_INTEGRATION_PLUGIN_URL . 'assets/js/seat-management.js',
+			array( 'jquery', 'myies-table' ),
+			WICKET_INTEGRATION_VERSION,
+			true
+		);
+		wp_register_script(
+			'myies-seat-request',
+			WICKET_INTEGRATION_PLUGIN_URL . 'assets/js/seat-request.js',
 			array( 'jquery' ),
 			WICKET_INTEGRATION_VERSION,
 			true
@@ -66,10 +107,16 @@ class MyIES_Seat_Management {
 	// Authorization (same logic as org management)
 	// =========================================================================
 
+	/**
+	 * Any active connection to the organization is authorized; `can_manage`
+	 * (managing seats) and the other `caps` come from the permission matrix
+	 * for the connection type.
+	 */
 	private function check_authorization() {
 		$result = array(
 			'authorized'  => false,
 			'can_manage'  => false,
+			'caps'        => array_fill_keys( array_keys( MyIES_Permissions::capabilities() ), false ),
 			'reason'      => '',
 			'org_uuid'    => '',
 			'person_uuid' => '',
@@ -109,10 +156,8 @@ class MyIES_Seat_Management {
 			return $result;
 		}
 
-		$management_types = array( 'primary-contact', 'sustaining_benefits_contact' );
-		if ( in_array( $connection['connection_type'], $management_types, true ) ) {
-			$result['can_manage'] = true;
-		}
+		$result['caps']       = MyIES_Permissions::for_connection_type( $connection['connection_type'] );
+		$result['can_manage'] = ! empty( $result['caps'][ MyIES_Permissions::MANAGE_SEATS ] );
 
 		$result['authorized'] = true;
 		return $result;
@@ -140,6 +185,166 @@ class MyIES_Seat_Management {
 		return false;
 	}
 
+	// =========================================================================
+	// Helpers
+	// =========================================================================
+
+	/**
+	 * All active organization memberships (seat pools) of the organization.
+	 *
+	 * Tries the org-level membership entries first, then falls back to the
+	 * person's membership entries for an org membership linked to this org.
+	 *
+	 * @param  Wicket_Membership_Service $svc
+	 * @param  array                     $auth Result of check_authorization().
+	 * @return array
+	 */
+	private function get_org_memberships( $svc, $auth ) {
+		$memberships = $svc->find_all_active_org_memberships( $auth['org_uuid'] );
+
+		if ( empty( $memberships ) ) {
+			$via_person  = $svc->find_org_membership_via_person( $auth['person_uuid'], $auth['org_uuid'] );
+			$memberships = $via_person ? array( $via_person ) : array();
+		}
+
+		return $memberships;
+	}
+
+	/**
+	 * Resolve the organization membership whose seats are being managed.
+	 *
+	 * When an org membership UUID is given it must be one of the
+	 * organization's active memberships; otherwise the first one is used.
+	 *
+	 * @param  Wicket_Membership_Service $svc
+	 * @param  array                     $auth                Result of check_authorization().
+	 * @param  string                    $org_membership_uuid Chosen seat pool, if any.
+	 * @return array|null
+	 */
+	private function get_org_membership( $svc, $auth, $org_membership_uuid = '' ) {
+		$memberships = $this->get_org_memberships( $svc, $auth );
+
+		if ( $org_membership_uuid === '' ) {
+			return ! empty( $memberships ) ? $memberships[0] : null;
+		}
+
+		foreach ( $memberships as $membership ) {
+			if ( $membership['id'] === $org_membership_uuid ) {
+				return $membership;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * The seat pool chosen in the membership switcher, from the request.
+	 *
+	 * @return string
+	 */
+	private function posted_membership_uuid() {
+		return isset( $_POST['org_membership_uuid'] ) ? sanitize_text_field( $_POST['org_membership_uuid'] ) : '';
+	}
+
+	/**
+	 * Number of seats still available on an org membership, or null when
+	 * the membership has no limit.
+	 *
+	 * @param  array $org_membership
+	 * @param  int   $seated_count
+	 * @return int|null
+	 */
+	private function get_remaining_seats( $org_membership, $seated_count ) {
+		$max       = $org_membership['max_assignments'] ?? null;
+		$unlimited = ! empty( $org_membership['unlimited_assignments'] );
+
+		if ( $unlimited || $max === null ) {
+			return null;
+		}
+
+		return max( 0, (int) $max - $seated_count );
+	}
+
+	/**
+	 * Display name of the person holding a seat, from the included person.
+	 *
+	 * @param  array $assignment Entry from get_org_membership_assignments().
+	 * @return string
+	 */
+	private function assignment_name( $assignment ) {
+		$person = $assignment['_person'] ?? null;
+		return trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) );
+	}
+
+	/**
+	 * Validate a custom seat end date (Y-m-d) and convert it to an ISO 8601
+	 * timestamp at the end of that day in the site timezone.
+	 *
+	 * The date may not be in the past, may not precede the seat's start and
+	 * may not run past the end of the organization membership.
+	 *
+	 * @param  string      $date           Date from the form (Y-m-d).
+	 * @param  array       $org_membership
+	 * @param  string|null $starts_at      Start of the seat, when it already exists.
+	 * @return string|WP_Error
+	 */
+	private function parse_end_date( $date, $org_membership, $starts_at = null ) {
+		$tz  = wp_timezone();
+		$end = DateTime::createFromFormat( '!Y-m-d', $date, $tz );
+		if ( ! $end || $end->format( 'Y-m-d' ) !== $date ) {
+			return new WP_Error( 'invalid_date', __( 'Please enter a valid end date.', 'wicket-integration' ) );
+		}
+		$end->setTime( 23, 59, 59 );
+
+		$today = new DateTime( 'today', $tz );
+		if ( $end < $today ) {
+			return new WP_Error( 'invalid_date', __( 'The end date cannot be in the past.', 'wicket-integration' ) );
+		}
+
+		if ( $starts_at && $end->getTimestamp() < strtotime( $starts_at ) ) {
+			return new WP_Error( 'invalid_date', __( 'The end date cannot be before the seat start date.', 'wicket-integration' ) );
+		}
+
+		$org_ends_at = $org_membership['ends_at'] ?? null;
+		if ( $org_ends_at && $end->getTimestamp() > strtotime( $org_ends_at ) ) {
+			return new WP_Error(
+				'invalid_date',
+				sprintf(
+					__( 'The end date cannot be after the organization membership ends (%s).', 'wicket-integration' ),
+					wp_date( get_option( 'date_format' ), strtotime( $org_ends_at ) )
+				)
+			);
+		}
+
+		return $end->format( 'c' );
+	}
+
+	/**
+	 * Record a seat change in the audit log.
+	 *
+	 * @param string     $action         MyIES_Audit_Log action constant.
+	 * @param array      $auth           Result of check_authorization().
+	 * @param array|null $org_membership Seat pool the change applies to.
+	 * @param string     $target_uuid    Person the change applies to.
+	 * @param string     $target_name
+	 * @param array      $details
+	 */
+	private function audit( $action, $auth, $org_membership, $target_uuid, $target_name = '', $details = array() ) {
+		if ( $org_membership ) {
+			$details = array_merge( array(
+				'org_membership_uuid' => $org_membership['id'],
+				'tier_name'           => $org_membership['tier_name'] ?? '',
+			), $details );
+		}
+
+		MyIES_Audit_Log::log( $action, $auth['org_uuid'], array(
+			'org_name'    => $auth['org_name'],
+			'target_uuid' => $target_uuid,
+			'target_name' => $target_name,
+			'details'     => $details,
+		) );
+	}
+
 	// =========================================================================
 	// Shortcode output
 	// =========================================================================
@@ -155,24 +360,50 @@ class MyIES_Seat_Management {
 		}
 
 		if ( ! $auth['can_manage'] ) {
-			echo '<div class="myies-seats myies-seats--unauthorized">';
-			echo '<p>' . esc_html__( 'You do not have permission to manage membership seats.', 'wicket-integration' ) . '</p>';
-			echo '</div>';
+			$this->render_request_form( $auth );
 			return ob_get_clean();
 		}
 
 		wp_enqueue_style( 'myies-seat-management' );
 		wp_enqueue_script( 'myies-seat-management' );
 		wp_localize_script( 'myies-seat-management', 'myiesSeats', array(
-			'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-			'nonce'   => wp_create_nonce( 'myies_seats_nonce' ),
-			'orgUuid' => $auth['org_uuid'],
-			'i18n'    => array(
+			'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+			'nonce'           => wp_create_nonce( 'myies_seats_nonce' ),
+			'orgUuid'         => $auth['org_uuid'],
+			'orgName'         => $auth['org_name'],
+			'caps'            => $auth['caps'],
+			'connectionTypes' => MyIES_Permissions::connection_types(),
+			'i18n'            => array(
 				'confirm_remove'     => __( 'Remove this person\'s membership seat?', 'wicket-integration' ),
 				'removing'           => __( 'Removing...', 'wicket-integration' ),
 				'assigning'          => __( 'Assigning...', 'wicket-integration' ),
 				'no_results'         => __( 'No eligible members found.', 'wicket-integration' ),
 				'search_placeholder' => __( 'Search org members by name or email...', 'wicket-integration' ),
+				'bulk_reading'       => __( 'Reading file...', 'wicket-integration' ),
+				'bulk_no_rows'       => __( 'No rows with an email address or name were found in the file.', 'wicket-integration' ),
+				'bulk_none_matched'  => __( 'None of the rows can be assigned a seat.', 'wicket-integration' ),
+				'bulk_assigning'     => __( 'Assigning seats...', 'wicket-integration' ),
+				'bulk_done'          => __( 'Bulk assignment finished.', 'wicket-integration' ),
+				'saving'             => __( 'Saving...', 'wicket-integration' ),
+				'ends_soon'          => __( 'Ends soon', 'wicket-integration' ),
+				'confirm_transfer'   => __( 'Transfer this seat from %1$s to %2$s?', 'wicket-integration' ),
+				'transferring'       => __( 'Transferring...', 'wicket-integration' ),
+				'approving'          => __( 'Approving...', 'wicket-integration' ),
+				'decline_reason'     => __( 'Decline this request? You can add an optional note for the requester:', 'wicket-integration' ),
+				'invite_step_person' => __( 'Find the account for %s, or create one if it does not exist', 'wicket-integration' ),
+				'invite_step_org'    => __( 'Connect them to %s as an employee', 'wicket-integration' ),
+				'invite_step_seat'   => __( 'Assign them a membership seat', 'wicket-integration' ),
+				'inviting'           => __( 'Inviting...', 'wicket-integration' ),
+				'confirm_remove_n'   => __( 'Remove the membership seats of %d selected people?', 'wicket-integration' ),
+				'bulk_removing'      => __( 'Removing seats...', 'wicket-integration' ),
+				'bulk_remove_done'   => __( 'Bulk removal finished.', 'wicket-integration' ),
+				'auto_pool'          => __( 'Seats are taken from: %s', 'wicket-integration' ),
+				'auto_last_run'      => __( 'Last run %1$s: %2$d seats assigned.', 'wicket-integration' ),
+				'auto_running'       => __( 'Assigning seats in the background...', 'wicket-integration' ),
+				'auto_still_running' => __( 'Seats are still being assigned. Check back in a few minutes.', 'wicket-integration' ),
+				'auto_unseated'      => __( '%d matching people could not be given a seat.', 'wicket-integration' ),
+				'auto_no_types'      => __( 'Choose at least one connection type.', 'wicket-integration' ),
+				'auto_no_domains'    => __( 'Enter at least one email domain.', 'wicket-integration' ),
 			),
 		) );
 
@@ -208,6 +439,77 @@ class MyIES_Seat_Management {
 		<?php
 	}
 
+	/**
+	 * "Request a seat" form for org members who cannot manage seats.
+	 */
+	private function render_request_form( $auth ) {
+		$pending = myies_seat_requests()->get_pending_for_user( get_current_user_id(), $auth['org_uuid'] );
+
+		// Skip the form for people who already hold a seat
+		$has_seat       = false;
+		$has_membership = true;
+		if ( ! $pending ) {
+			try {
+				$svc            = new Wicket_Membership_Service();
+				$memberships    = $this->get_org_memberships( $svc, $auth );
+				$has_membership = ! empty( $memberships );
+				foreach ( $memberships as $org_membership ) {
+					foreach ( $svc->get_org_membership_assignments( $org_membership['id'] ) as $a ) {
+						if ( $a['person_uuid'] === $auth['person_uuid'] ) {
+							$has_seat = true;
+							break 2;
+						}
+					}
+				}
+			} catch ( Exception $e ) {
+				error_log( '[SeatMgmt] Could not check seat for request form: ' . $e->getMessage() );
+			}
+		}
+
+		if ( $pending || ( $has_membership && ! $has_seat ) ) {
+			wp_enqueue_style( 'myies-seat-management' );
+			wp_enqueue_script( 'myies-seat-request' );
+			wp_localize_script( 'myies-seat-request', 'myiesSeatRequest', array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'myies_seats_nonce' ),
+				'i18n'    => array(
+					'sending' => __( 'Sending...', 'wicket-integration' ),
+				),
+			) );
+		}
+		?>
+		<div class="myies-seats myies-seats--request" id="myies-seats-request">
+			<div class="myies-seats__header">
+				<h3><?php printf( esc_html__( 'Membership Seats: %s', 'wicket-integration' ), esc_html( $auth['org_name'] ) ); ?></h3>
+			</div>
+			<?php if ( $pending ) : ?>
+				<p class="myies-seats__notice">
+					<?php
+					printf(
+						esc_html__( 'Your seat request from %s is waiting for your primary contact to review it. You will receive an email once it has been approved or declined.', 'wicket-integration' ),
+						esc_html( mysql2date( get_option( 'date_format' ), $pending['created_at'] ) )
+					);
+					?>
+				</p>
+			<?php elseif ( $has_seat ) : ?>
+				<p class="myies-seats__notice"><?php esc_html_e( 'You already have a membership seat with your organization.', 'wicket-integration' ); ?></p>
+			<?php elseif ( ! $has_membership ) : ?>
+				<p class="myies-seats__notice"><?php esc_html_e( 'Your organization does not have an active sustaining membership.', 'wicket-integration' ); ?></p>
+			<?php else : ?>
+				<p><?php esc_html_e( 'Seats are managed by your organization\'s primary contact. You can ask them for a membership seat below.', 'wicket-integration' ); ?></p>
+				<form id="myies-seats-request-form" class="myies-seats__assign">
+					<div class="myies-seats__field">
+						<label for="myies-seats-request-message"><?php esc_html_e( 'Message to your primary contact (optional)', 'wicket-integration' ); ?></label>
+						<textarea id="myies-seats-request-message" rows="3" maxlength="1000"></textarea>
+					</div>
+					<button type="submit" class="myies-seats__btn myies-seats__btn--primary"><?php esc_html_e( 'Request a Seat', 'wicket-integration' ); ?></button>
+					<div id="myies-seats-request-status" class="myies-seats__message" style="display:none;"></div>
+				</form>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
 	private function render_ui( $auth ) {
 		?>
 		<div class="myies-seats" id="myies-seats">
@@ -215,36 +517,169 @@ class MyIES_Seat_Management {
 				<h3><?php printf( esc_html__( 'Membership Seats: %s', 'wicket-integration' ), esc_html( $auth['org_name'] ) ); ?></h3>
 			</div>
 
+			<div class="myies-seats__tabs" role="tablist">
+				<button type="button" class="myies-seats__tab is-active" role="tab" aria-selected="true" data-tab="seats">
+					<?php esc_html_e( 'Seats', 'wicket-integration' ); ?>
+				</button>
+				<button type="button" class="myies-seats__tab" role="tab" aria-selected="false" data-tab="auto">
+					<?php esc_html_e( 'Automatic Assignment', 'wicket-integration' ); ?>
+				</button>
+				<button type="button" class="myies-seats__tab" role="tab" aria-selected="false" data-tab="activity">
+					<?php esc_html_e( 'Activity', 'wicket-integration' ); ?>
+				</button>
+			</div>
+
+			<!-- Automatic assignment policy -->
+			<div class="myies-seats__panel" data-panel="auto" role="tabpanel" style="display:none;">
+				<form id="myies-seats-auto-form" class="myies-seats__auto" novalidate>
+					<p class="myies-seats__hint">
+						<?php esc_html_e( 'Give people a seat without assigning them by hand. The rule is applied right after saving, whenever people are added to your roster, and twice a day. Seats are handed out to the longest-standing members first, until none are left. Seats are never removed automatically.', 'wicket-integration' ); ?>
+					</p>
+					<fieldset class="myies-seats__fieldset">
+						<legend><?php esc_html_e( 'Automatically assign seats to', 'wicket-integration' ); ?></legend>
+						<label class="myies-seats__auto-option">
+							<input type="radio" name="mode" value="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_OFF ); ?>" checked>
+							<?php esc_html_e( 'Nobody — seats are only assigned by hand', 'wicket-integration' ); ?>
+						</label>
+						<label class="myies-seats__auto-option">
+							<input type="radio" name="mode" value="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_ALL ); ?>">
+							<?php esc_html_e( 'Everyone on the roster', 'wicket-integration' ); ?>
+						</label>
+						<label class="myies-seats__auto-option">
+							<input type="radio" name="mode" value="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_TYPES ); ?>">
+							<?php esc_html_e( 'People with these connection types:', 'wicket-integration' ); ?>
+						</label>
+						<div class="myies-seats__auto-detail" data-mode="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_TYPES ); ?>" style="display:none;">
+							<?php foreach ( MyIES_Permissions::connection_types() as $type => $label ) : ?>
+								<label class="myies-seats__auto-type">
+									<input type="checkbox" name="types[]" value="<?php echo esc_attr( $type ); ?>">
+									<?php echo esc_html( $label ); ?>
+								</label>
+							<?php endforeach; ?>
+						</div>
+						<label class="myies-seats__auto-option">
+							<input type="radio" name="mode" value="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_DOMAIN ); ?>">
+							<?php esc_html_e( 'People with an email address at these domains:', 'wicket-integration' ); ?>
+						</label>
+						<div class="myies-seats__auto-detail myies-seats__field" data-mode="<?php echo esc_attr( MyIES_Seat_Auto_Assign::MODE_DOMAIN ); ?>" style="display:none;">
+							<input type="text" id="myies-seats-auto-domains" name="domains" autocomplete="off" placeholder="example.com, example.org"
+							       aria-label="<?php esc_attr_e( 'Email domains', 'wicket-integration' ); ?>">
+						</div>
+					</fieldset>
+					<p id="myies-seats-auto-pool" class="myies-seats__hint"></p>
+					<button type="submit" class="myies-seats__btn myies-seats__btn--primary" id="myies-seats-auto-save">
+						<?php esc_html_e( 'Save', 'wicket-integration' ); ?>
+					</button>
+					<div id="myies-seats-auto-message" class="myies-seats__message" role="status" style="display:none;"></div>
+					<p id="myies-seats-auto-last-run" class="myies-seats__hint" style="display:none;"></p>
+				</form>
+			</div>
+
+			<!-- Seat activity log -->
+			<div class="myies-seats__panel" data-panel="activity" role="tabpanel" style="display:none;">
+				<div id="myies-seats-activity" class="myies-seats__activity"></div>
+			</div>
+
+			<div class="myies-seats__panel" data-panel="seats" role="tabpanel">
+
 			<!-- Seat summary -->
 			<div id="myies-seats-summary" class="myies-seats__summary">
 				<p class="myies-seats__loading"><?php esc_html_e( 'Loading seat information...', 'wicket-integration' ); ?></p>
 			</div>
 
+			<!-- Pending seat requests from employees -->
+			<div id="myies-seats-requests" class="myies-seats__requests" style="display:none;"></div>
+
 			<!-- Assign seat panel (hidden by default) -->
 			<div id="myies-seats-assign-section" class="myies-seats__assign" style="display:none;">
 				<button type="button" class="myies-seats__close-btn" id="myies-seats-close-assign" aria-label="<?php esc_attr_e( 'Close', 'wicket-integration' ); ?>">&times;</button>
 				<h4><?php esc_html_e( 'Assign a Seat', 'wicket-integration' ); ?></h4>
+				<div class="myies-seats__field">
+					<label for="myies-seats-assign-ends"><?php esc_html_e( 'Seat end date (optional)', 'wicket-integration' ); ?></label>
+					<input type="date" id="myies-seats-assign-ends">
+					<span class="myies-seats__hint"><?php esc_html_e( 'Leave blank to keep the seat until the organization membership ends.', 'wicket-integration' ); ?></span>
+				</div>
 				<div class="myies-seats__search-wrap">
 					<input type="text" id="myies-seats-search" autocomplete="off"
 					       placeholder="<?php esc_attr_e( 'Search org members by name or email...', 'wicket-integration' ); ?>"
 					       minlength="3">
 					<div id="myies-seats-search-results" class="myies-seats__search-results"></div>
 				</div>
+				<?php if ( $auth['caps'][ MyIES_Permissions::EDIT_ROSTER ] ) : ?>
+				<p class="myies-seats__invite-toggle">
+					<button type="button" class="myies-seats__link-btn" id="myies-seats-toggle-invite">
+						<?php esc_html_e( 'Not on your roster yet? Invite them by email', 'wicket-integration' ); ?>
+					</button>
+				</p>
+				<div id="myies-seats-invite" class="myies-seats__invite" style="display:none;">
+					<div class="myies-seats__field">
+						<label for="myies-seats-invite-email"><?php esc_html_e( 'Email', 'wicket-integration' ); ?> *</label>
+						<input type="email" id="myies-seats-invite-email" autocomplete="off">
+					</div>
+					<div class="myies-seats__field-row">
+						<div class="myies-seats__field">
+							<label for="myies-seats-invite-first"><?php esc_html_e( 'First Name', 'wicket-integration' ); ?></label>
+							<input type="text" id="myies-seats-invite-first" autocomplete="off">
+						</div>
+						<div class="myies-seats__field">
+							<label for="myies-seats-invite-last"><?php esc_html_e( 'Last Name', 'wicket-integration' ); ?></label>
+							<input type="text" id="myies-seats-invite-last" autocomplete="off">
+						</div>
+					</div>
+					<p class="myies-seats__hint"><?php esc_html_e( 'First and last name are only needed if this person does not have an account yet.', 'wicket-integration' ); ?></p>
+					<div id="myies-seats-invite-confirm" class="myies-seats__invite-confirm" style="display:none;">
+						<p><strong><?php esc_html_e( 'This will:', 'wicket-integration' ); ?></strong></p>
+						<ol id="myies-seats-invite-steps"></ol>
+						<button type="button" class="myies-seats__btn myies-seats__btn--primary" id="myies-seats-invite-confirm-btn"><?php esc_html_e( 'Confirm', 'wicket-integration' ); ?></button>
+						<button type="button" class="myies-seats__btn myies-seats__btn--secondary" id="myies-seats-invite-back-btn"><?php esc_html_e( 'Back', 'wicket-integration' ); ?></button>
+					</div>
+					<button type="button" class="myies-seats__btn myies-seats__btn--primary" id="myies-seats-invite-btn"><?php esc_html_e( 'Invite & Assign Seat', 'wicket-integration' ); ?></button>
+				</div>
+				<?php endif; ?>
 				<div id="myies-seats-assign-message" class="myies-seats__message" style="display:none;"></div>
 			</div>
 
+			<!-- Bulk CSV assignment panel (hidden by default) -->
+			<div id="myies-seats-bulk-section" class="myies-seats__assign myies-seats__bulk" style="display:none;">
+				<button type="button" class="myies-seats__close-btn" id="myies-seats-close-bulk" aria-label="<?php esc_attr_e( 'Close', 'wicket-integration' ); ?>">&times;</button>
+				<h4><?php esc_html_e( 'Assign Seats from a CSV File', 'wicket-integration' ); ?></h4>
+				<p class="myies-seats__hint">
+					<?php esc_html_e( 'Upload a CSV with an email column, or name and email columns. A header row is optional. Rows are matched against the people connected to your organization.', 'wicket-integration' ); ?>
+				</p>
+				<input type="file" id="myies-seats-bulk-file" accept=".csv,text/csv">
+				<div id="myies-seats-bulk-message" class="myies-seats__message" style="display:none;"></div>
+				<div id="myies-seats-bulk-preview" class="myies-seats__bulk-preview"></div>
+				<div id="myies-seats-bulk-actions" class="myies-seats__bulk-actions" style="display:none;">
+					<button type="button" class="myies-seats__btn myies-seats__btn--primary" id="myies-seats-bulk-assign"></button>
+					<button type="button" class="myies-seats__btn myies-seats__btn--secondary" id="myies-seats-bulk-cancel">
+						<?php esc_html_e( 'Cancel', 'wicket-integration' ); ?>
+					</button>
+				</div>
+			</div>
+
 			<!-- Filter seated members -->
 			<div id="myies-seats-filter-wrap" class="myies-seats__filter-wrap" style="display:none;">
 				<input type="text" id="myies-seats-filter" autocomplete="off"
 				       placeholder="<?php esc_attr_e( 'Filter seated members by name or email...', 'wicket-integration' ); ?>">
 			</div>
 
+			<!-- Selection bar for bulk actions -->
+			<div id="myies-seats-selection" class="myies-seats__selection" style="display:none;">
+				<span class="myies-seats__selection-count"></span>
+				<button type="button" class="myies-seats__link-btn" id="myies-seats-select-matching"></button>
+				<button type="button" class="myies-seats__link-btn" id="myies-seats-select-clear"><?php esc_html_e( 'Clear selection', 'wicket-integration' ); ?></button>
+				<button type="button" class="myies-seats__btn myies-seats__btn--danger" id="myies-seats-bulk-remove"><?php esc_html_e( 'Remove Seats', 'wicket-integration' ); ?></button>
+			</div>
+			<div id="myies-seats-bulk-remove-message" class="myies-seats__message" style="display:none;"></div>
+
 			<!-- Seated people list -->
 			<div class="myies-seats__list">
 				<div id="myies-seats-members" class="myies-seats__members">
 					<p class="myies-seats__loading"><?php esc_html_e( 'Loading...', 'wicket-integration' ); ?></p>
 				</div>
 			</div>
+
+			</div><!-- /seats panel -->
 		</div>
 		<?php
 	}
@@ -266,22 +701,38 @@ class MyIES_Seat_Management {
 			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
 		}
 
-		// 1. Try org-level membership entries
-		$active_memberships = $svc->find_all_active_org_memberships( $auth['org_uuid'] );
-		$org_membership     = ! empty( $active_memberships ) ? $active_memberships[0] : null;
+		$memberships = $this->get_org_memberships( $svc, $auth );
 
-		// 2. Fallback: check person's membership entries for an org membership linked to this org
-		if ( ! $org_membership ) {
-			$org_membership = $svc->find_org_membership_via_person( $auth['person_uuid'], $auth['org_uuid'] );
-		}
-
-		if ( ! $org_membership ) {
+		if ( empty( $memberships ) ) {
 			wp_send_json_success( array(
 				'has_membership' => false,
 				'seated'         => array(),
 			) );
 			return;
 		}
+
+		// Selected seat pool, defaulting to the first one
+		$org_membership = $memberships[0];
+		$selected_uuid  = $this->posted_membership_uuid();
+		foreach ( $memberships as $membership ) {
+			if ( $membership['id'] === $selected_uuid ) {
+				$org_membership = $membership;
+				break;
+			}
+		}
+
+		// Every pool with its own seat counts, for the membership switcher
+		$pools = array();
+		foreach ( $memberships as $membership ) {
+			$pools[] = array(
+				'org_membership_uuid'   => $membership['id'],
+				'tier_name'             => $membership['tier_name'] ?? '',
+				'max_assignments'       => $membership['max_assignments'],
+				'unlimited_assignments' => $membership['unlimited_assignments'],
+				'total_seated'          => (int) $membership['active_assignments_count'],
+				'ends_at'               => $membership['ends_at'],
+			);
+		}
 		$org_membership_uuid     = $org_membership['id'];
 		$max_assignments         = $org_membership['max_assignments'] ?? null;
 		$unlimited_assignments   = ! empty( $org_membership['unlimited_assignments'] );
@@ -315,14 +766,144 @@ class MyIES_Seat_Management {
 
 		wp_send_json_success( array(
 			'has_membership'        => true,
+			'memberships'           => $pools,
 			'org_membership_uuid'   => $org_membership_uuid,
+			'tier_name'             => $org_membership['tier_name'] ?? '',
 			'max_assignments'       => $max_assignments,
 			'unlimited_assignments' => $unlimited_assignments,
+			'starts_at'             => $org_membership['starts_at'] ?? null,
+			'ends_at'               => $org_membership['ends_at'] ?? null,
 			'total_seated'          => count( $seated ),
 			'seated'                => $seated,
 		) );
 	}
 
+	// =========================================================================
+	// AJAX: Seat activity log
+	// =========================================================================
+
+	public function ajax_get_activity() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$page = isset( $_POST['page'] ) ? max( 1, (int) $_POST['page'] ) : 1;
+
+		wp_send_json_success( myies_audit_log()->get_activity( $auth['org_uuid'], 'seat', $page ) );
+	}
+
+	// =========================================================================
+	// AJAX: Automatic assignment policy
+	// =========================================================================
+
+	/**
+	 * The organization's auto-assign policy, as shown on the Automatic
+	 * Assignment tab.
+	 */
+	private function format_auto_assign_policy( $policy ) {
+		return array(
+			'mode'                => $policy['mode'],
+			'types'               => $policy['types'],
+			'domains'             => implode( ', ', $policy['domains'] ),
+			'org_membership_uuid' => $policy['org_membership_uuid'],
+			'last_run'            => $policy['last_run'] ?: null,
+			// Saving clears last_run, so a rule without one is waiting for its first pass
+			'pending'             => $policy['mode'] !== MyIES_Seat_Auto_Assign::MODE_OFF && empty( $policy['last_run'] ),
+		);
+	}
+
+	public function ajax_get_auto_assign() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$policy = MyIES_Seat_Auto_Assign::get_policy( $auth['org_uuid'] );
+		wp_send_json_success( array( 'policy' => $this->format_auto_assign_policy( $policy ) ) );
+	}
+
+	/**
+	 * Save the policy for the seat pool selected in the switcher, then
+	 * queue a pass to apply it. The pass runs from cron like the roster
+	 * triggers do; the page polls for its result.
+	 */
+	public function ajax_save_auto_assign() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$mode = isset( $_POST['mode'] ) ? sanitize_key( $_POST['mode'] ) : '';
+		if ( ! in_array( $mode, MyIES_Seat_Auto_Assign::modes(), true ) ) {
+			wp_send_json_error( array( 'message' => __( 'Please choose who should get a seat.', 'wicket-integration' ) ) );
+		}
+
+		$types = array();
+		if ( $mode === MyIES_Seat_Auto_Assign::MODE_TYPES ) {
+			$posted = isset( $_POST['types'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['types'] ) ) : array();
+			$types  = array_values( array_intersect( array_keys( MyIES_Permissions::connection_types() ), $posted ) );
+			if ( empty( $types ) ) {
+				wp_send_json_error( array( 'message' => __( 'Choose at least one connection type.', 'wicket-integration' ) ) );
+			}
+		}
+
+		$domains = array();
+		if ( $mode === MyIES_Seat_Auto_Assign::MODE_DOMAIN ) {
+			$domains = MyIES_Seat_Auto_Assign::parse_domains( isset( $_POST['domains'] ) ? sanitize_text_field( wp_unslash( $_POST['domains'] ) ) : '' );
+			if ( is_wp_error( $domains ) ) {
+				wp_send_json_error( array( 'message' => $domains->get_error_message() ) );
+			}
+			if ( empty( $domains ) ) {
+				wp_send_json_error( array( 'message' => __( 'Enter at least one email domain.', 'wicket-integration' ) ) );
+			}
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		MyIES_Seat_Auto_Assign::save_policy( $auth['org_uuid'], array(
+			'mode'                => $mode,
+			'types'               => $types,
+			'domains'             => $domains,
+			'org_membership_uuid' => $org_membership['id'],
+			'org_name'            => $auth['org_name'],
+			'person_uuid'         => $auth['person_uuid'],
+			'last_run'            => array(),
+		) );
+
+		$this->audit( MyIES_Audit_Log::SEAT_AUTO_ASSIGN_SET, $auth, $org_membership, '', '', array(
+			'rule'    => $mode,
+			'types'   => $types,
+			'domains' => $domains,
+		) );
+
+		$message = __( 'Automatic assignment saved.', 'wicket-integration' );
+		if ( $mode !== MyIES_Seat_Auto_Assign::MODE_OFF ) {
+			if ( ! wp_next_scheduled( MyIES_Seat_Auto_Assign::ORG_HOOK, array( $auth['org_uuid'] ) ) ) {
+				wp_schedule_single_event( time(), MyIES_Seat_Auto_Assign::ORG_HOOK, array( $auth['org_uuid'] ) );
+			}
+			$message = __( 'Automatic assignment saved. Seats are being assigned in the background.', 'wicket-integration' );
+		}
+
+		$policy = MyIES_Seat_Auto_Assign::get_policy( $auth['org_uuid'] );
+		wp_send_json_success( array(
+			'message' => $message,
+			'policy'  => $this->format_auto_assign_policy( $policy ),
+		) );
+	}
+
 	// =========================================================================
 	// AJAX: Get org members eligible for seat assignment
 	// =========================================================================
@@ -347,13 +928,7 @@ class MyIES_Seat_Management {
 		// Get current seat holders to exclude from results
 		try {
 			$svc                 = new Wicket_Membership_Service();
-			$active_memberships  = $svc->find_all_active_org_memberships( $auth['org_uuid'] );
-			$org_membership      = ! empty( $active_memberships ) ? $active_memberships[0] : null;
-
-			if ( ! $org_membership ) {
-				$org_membership = $svc->find_org_membership_via_person( $auth['person_uuid'], $auth['org_uuid'] );
-			}
-
+			$org_membership      = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
 			$seated_person_uuids = array();
 			if ( $org_membership ) {
 				$assignments = $svc->get_org_membership_assignments( $org_membership['id'] );
@@ -424,53 +999,77 @@ class MyIES_Seat_Management {
 		if ( empty( $person_uuid ) ) {
 			wp_send_json_error( array( 'message' => __( 'Person UUID required.', 'wicket-integration' ) ) );
 		}
+		$end_date = isset( $_POST['ends_at'] ) ? sanitize_text_field( $_POST['ends_at'] ) : '';
+
+		$result = $this->assign_seat( $auth, $this->posted_membership_uuid(), $person_uuid, $end_date );
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array( 'message' => __( 'Seat assigned successfully.', 'wicket-integration' ) ) );
+	}
 
+	/**
+	 * Assign a seat on the organization's membership to a person.
+	 *
+	 * Shared by the assign action and seat request approval.
+	 *
+	 * @param  array  $auth                Result of check_authorization().
+	 * @param  string $org_membership_uuid Seat pool to assign from ('' for the first).
+	 * @param  string $person_uuid
+	 * @param  string $end_date            Optional custom end date (Y-m-d).
+	 * @return array|WP_Error The org membership the seat was assigned on.
+	 */
+	private function assign_seat( $auth, $org_membership_uuid, $person_uuid, $end_date = '' ) {
 		try {
 			$svc = new Wicket_Membership_Service();
 		} catch ( Exception $e ) {
-			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+			return new WP_Error( 'service', 'Could not initialize membership service.' );
 		}
 
-		$active_memberships = $svc->find_all_active_org_memberships( $auth['org_uuid'] );
-		$org_membership     = ! empty( $active_memberships ) ? $active_memberships[0] : null;
+		$org_membership = $this->get_org_membership( $svc, $auth, $org_membership_uuid );
 
 		if ( ! $org_membership ) {
-			$org_membership = $svc->find_org_membership_via_person( $auth['person_uuid'], $auth['org_uuid'] );
+			return new WP_Error( 'no_membership', __( 'No active organization membership found.', 'wicket-integration' ) );
 		}
 
-		if ( ! $org_membership ) {
-			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		// Optional custom end date (e.g. contractors, interns)
+		$ends_at = $org_membership['ends_at'];
+		if ( $end_date !== '' ) {
+			$ends_at = $this->parse_end_date( $end_date, $org_membership );
+			if ( is_wp_error( $ends_at ) ) {
+				return $ends_at;
+			}
 		}
 
 		// Check if already assigned
 		$assignments = $svc->get_org_membership_assignments( $org_membership['id'] );
 		foreach ( $assignments as $a ) {
 			if ( $a['person_uuid'] === $person_uuid ) {
-				wp_send_json_error( array( 'message' => __( 'This person already has a seat assigned.', 'wicket-integration' ) ) );
+				return new WP_Error( 'already_seated', __( 'This person already has a seat assigned.', 'wicket-integration' ) );
 			}
 		}
 
 		// Check seat capacity
-		$max       = $org_membership['max_assignments'] ?? null;
-		$unlimited = ! empty( $org_membership['unlimited_assignments'] );
-		if ( ! $unlimited && $max !== null && count( $assignments ) >= (int) $max ) {
-			wp_send_json_error( array( 'message' => __( 'All seats are occupied. No seats available.', 'wicket-integration' ) ) );
+		if ( $this->get_remaining_seats( $org_membership, count( $assignments ) ) === 0 ) {
+			return new WP_Error( 'no_seats', __( 'All seats are occupied. No seats available.', 'wicket-integration' ) );
 		}
 
 		$result = $svc->assign_person_to_org_membership(
 			$person_uuid,
 			$org_membership['id'],
 			$org_membership['starts_at'],
-			$org_membership['ends_at']
+			$ends_at
 		);
 
 		if ( is_wp_error( $result ) ) {
 			error_log( '[SeatMgmt] Failed to assign seat to ' . $person_uuid . ': ' . $result->get_error_message() );
-			wp_send_json_error( array( 'message' => __( 'Failed to assign seat.', 'wicket-integration' ) ) );
+			return new WP_Error( 'assign_failed', __( 'Failed to assign seat.', 'wicket-integration' ) );
 		}
 
 		error_log( '[SeatMgmt] Assigned seat to person ' . $person_uuid . ' on org membership ' . $org_membership['id'] );
-		wp_send_json_success( array( 'message' => __( 'Seat assigned successfully.', 'wicket-integration' ) ) );
+		$this->audit( MyIES_Audit_Log::SEAT_ASSIGNED, $auth, $org_membership, $person_uuid, '', array( 'ends_at' => $ends_at ) );
+		return $org_membership;
 	}
 
 	// =========================================================================
@@ -495,6 +1094,23 @@ class MyIES_Seat_Management {
 			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
 		}
 
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		// Only seats in the selected pool may be removed
+		$assignment = null;
+		foreach ( $svc->get_org_membership_assignments( $org_membership['id'] ) as $a ) {
+			if ( $a['id'] === $person_membership_uuid ) {
+				$assignment = $a;
+				break;
+			}
+		}
+		if ( ! $assignment ) {
+			wp_send_json_error( array( 'message' => __( 'This seat does not belong to your organization.', 'wicket-integration' ) ) );
+		}
+
 		$now    = current_time( 'c' );
 		$result = $svc->update_membership( $person_membership_uuid, null, $now );
 
@@ -504,8 +1120,777 @@ class MyIES_Seat_Management {
 		}
 
 		error_log( '[SeatMgmt] Removed seat ' . $person_membership_uuid );
+		$this->audit(
+			MyIES_Audit_Log::SEAT_REMOVED,
+			$auth,
+			$org_membership,
+			$assignment['person_uuid'],
+			$this->assignment_name( $assignment ),
+			array( 'person_membership_uuid' => $person_membership_uuid )
+		);
 		wp_send_json_success( array( 'message' => __( 'Seat removed successfully.', 'wicket-integration' ) ) );
 	}
+
+	// =========================================================================
+	// AJAX: Remove a batch of seats
+	// =========================================================================
+
+	/**
+	 * End a batch of seats selected in the seated members table. Each seat
+	 * is checked against the selected pool and reported individually.
+	 */
+	public function ajax_bulk_remove() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$pm_uuids = isset( $_POST['person_membership_uuids'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['person_membership_uuids'] ) ) : array();
+		$pm_uuids = array_slice( array_values( array_unique( array_filter( $pm_uuids ) ) ), 0, self::BULK_BATCH_SIZE );
+		if ( empty( $pm_uuids ) ) {
+			wp_send_json_error( array( 'message' => __( 'Membership UUID required.', 'wicket-integration' ) ) );
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		$assignments = array();
+		foreach ( $svc->get_org_membership_assignments( $org_membership['id'] ) as $a ) {
+			$assignments[ $a['id'] ] = $a;
+		}
+
+		$now     = current_time( 'c' );
+		$results = array();
+		foreach ( $pm_uuids as $pm_uuid ) {
+			if ( ! isset( $assignments[ $pm_uuid ] ) ) {
+				$results[] = array(
+					'person_membership_uuid' => $pm_uuid,
+					'success'                => false,
+					'message'                => __( 'This seat does not belong to your organization.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			$result = $svc->update_membership( $pm_uuid, null, $now );
+			if ( is_wp_error( $result ) ) {
+				error_log( '[SeatMgmt] Bulk: failed to remove seat ' . $pm_uuid . ': ' . $result->get_error_message() );
+				$results[] = array(
+					'person_membership_uuid' => $pm_uuid,
+					'success'                => false,
+					'message'                => __( 'Failed to remove seat.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			error_log( '[SeatMgmt] Bulk: removed seat ' . $pm_uuid );
+			$assignment = $assignments[ $pm_uuid ];
+			$this->audit(
+				MyIES_Audit_Log::SEAT_REMOVED,
+				$auth,
+				$org_membership,
+				$assignment['person_uuid'],
+				$this->assignment_name( $assignment ),
+				array(
+					'person_membership_uuid' => $pm_uuid,
+					'source'                 => 'bulk',
+				)
+			);
+
+			$results[] = array(
+				'person_membership_uuid' => $pm_uuid,
+				'success'                => true,
+				'message'                => __( 'Seat removed.', 'wicket-integration' ),
+			);
+		}
+
+		wp_send_json_success( array( 'results' => $results ) );
+	}
+
+	// =========================================================================
+	// AJAX: Change a seat's end date
+	// =========================================================================
+
+	/**
+	 * Set a custom end date on an existing seat. An empty date resets the
+	 * seat to end with the organization membership, or clears the end date
+	 * when the organization membership is open-ended.
+	 */
+	public function ajax_update_end_date() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$person_membership_uuid = isset( $_POST['person_membership_uuid'] ) ? sanitize_text_field( $_POST['person_membership_uuid'] ) : '';
+		if ( empty( $person_membership_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Membership UUID required.', 'wicket-integration' ) ) );
+		}
+		$end_date = isset( $_POST['ends_at'] ) ? sanitize_text_field( $_POST['ends_at'] ) : '';
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		// Only seats on this organization's membership may be changed
+		$assignment = null;
+		foreach ( $svc->get_org_membership_assignments( $org_membership['id'] ) as $a ) {
+			if ( $a['id'] === $person_membership_uuid ) {
+				$assignment = $a;
+				break;
+			}
+		}
+		if ( ! $assignment ) {
+			wp_send_json_error( array( 'message' => __( 'This seat does not belong to your organization.', 'wicket-integration' ) ) );
+		}
+
+		if ( $end_date === '' ) {
+			$ends_at = $org_membership['ends_at'] ?: null;
+		} else {
+			$ends_at = $this->parse_end_date( $end_date, $org_membership, $assignment['starts_at'] );
+			if ( is_wp_error( $ends_at ) ) {
+				wp_send_json_error( array( 'message' => $ends_at->get_error_message() ) );
+			}
+		}
+
+		$result = $svc->update_membership( $person_membership_uuid, null, $ends_at, $ends_at === null );
+
+		if ( is_wp_error( $result ) ) {
+			error_log( '[SeatMgmt] Failed to update end date on ' . $person_membership_uuid . ': ' . $result->get_error_message() );
+			wp_send_json_error( array( 'message' => __( 'Failed to update the seat end date.', 'wicket-integration' ) ) );
+		}
+
+		error_log( '[SeatMgmt] Updated end date on seat ' . $person_membership_uuid . ' to ' . ( $ends_at ?? 'none' ) );
+		$this->audit(
+			MyIES_Audit_Log::SEAT_END_DATE_CHANGED,
+			$auth,
+			$org_membership,
+			$assignment['person_uuid'],
+			$this->assignment_name( $assignment ),
+			array(
+				'person_membership_uuid' => $person_membership_uuid,
+				'previous_ends_at'       => $assignment['ends_at'],
+				'ends_at'                => $ends_at,
+			)
+		);
+		wp_send_json_success( array(
+			'message' => __( 'Seat end date updated.', 'wicket-integration' ),
+			'ends_at' => $result['data']['attributes']['ends_at'] ?? $ends_at,
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Transfer a seat to another person
+	// =========================================================================
+
+	/**
+	 * Move a seat from its current holder to another org member.
+	 *
+	 * The old person_membership is ended first so the seat is free, then the
+	 * new one is created with the old seat's end date. If creating the new
+	 * seat fails, the old seat's end date is restored exactly (open-ended
+	 * seats stay open-ended) so the seat is not lost.
+	 */
+	public function ajax_transfer_seat() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$person_membership_uuid = isset( $_POST['person_membership_uuid'] ) ? sanitize_text_field( $_POST['person_membership_uuid'] ) : '';
+		$new_person_uuid        = isset( $_POST['person_uuid'] ) ? sanitize_text_field( $_POST['person_uuid'] ) : '';
+		if ( empty( $person_membership_uuid ) || empty( $new_person_uuid ) ) {
+			wp_send_json_error( array( 'message' => __( 'Seat and replacement person are required.', 'wicket-integration' ) ) );
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		$old_seat = null;
+		foreach ( $svc->get_org_membership_assignments( $org_membership['id'] ) as $a ) {
+			if ( $a['id'] === $person_membership_uuid ) {
+				$old_seat = $a;
+			}
+			if ( $a['person_uuid'] === $new_person_uuid ) {
+				wp_send_json_error( array( 'message' => __( 'This person already has a seat assigned.', 'wicket-integration' ) ) );
+			}
+		}
+		if ( ! $old_seat ) {
+			wp_send_json_error( array( 'message' => __( 'This seat does not belong to your organization.', 'wicket-integration' ) ) );
+		}
+
+		$now          = current_time( 'c' );
+		$seat_ends_at = $old_seat['ends_at'] ?: null;
+
+		// 1. End the current holder's seat to free it up
+		$ended = $svc->update_membership( $person_membership_uuid, null, $now );
+		if ( is_wp_error( $ended ) ) {
+			error_log( '[SeatMgmt] Transfer: failed to end seat ' . $person_membership_uuid . ': ' . $ended->get_error_message() );
+			wp_send_json_error( array( 'message' => __( 'Failed to transfer seat. No changes were made.', 'wicket-integration' ) ) );
+		}
+
+		// 2. Give the seat to the replacement
+		$assigned = $svc->assign_person_to_org_membership(
+			$new_person_uuid,
+			$org_membership['id'],
+			$now,
+			$seat_ends_at
+		);
+
+		if ( is_wp_error( $assigned ) ) {
+			error_log( '[SeatMgmt] Transfer: failed to assign seat to ' . $new_person_uuid . ': ' . $assigned->get_error_message() );
+
+			// 3. Roll back: give the seat back to the original holder
+			$restored = $svc->update_membership( $person_membership_uuid, null, $seat_ends_at, $seat_ends_at === null );
+			if ( is_wp_error( $restored ) ) {
+				error_log( '[SeatMgmt] Transfer: ROLLBACK FAILED for seat ' . $person_membership_uuid );
+				wp_send_json_error( array(
+					'message' => __( 'Failed to transfer seat, and the original seat could not be restored. Please contact IES staff.', 'wicket-integration' ),
+					'reload'  => true,
+				) );
+			}
+
+			wp_send_json_error( array( 'message' => __( 'Failed to transfer seat. The original seat holder keeps the seat.', 'wicket-integration' ) ) );
+		}
+
+		error_log( '[SeatMgmt] Transferred seat ' . $person_membership_uuid . ' to person ' . $new_person_uuid . ' on org membership ' . $org_membership['id'] );
+		$this->audit(
+			MyIES_Audit_Log::SEAT_TRANSFERRED,
+			$auth,
+			$org_membership,
+			$new_person_uuid,
+			'',
+			array(
+				'from_person_uuid' => $old_seat['person_uuid'],
+				'from_name'        => $this->assignment_name( $old_seat ),
+				'ends_at'          => $seat_ends_at,
+			)
+		);
+		wp_send_json_success( array( 'message' => __( 'Seat transferred successfully.', 'wicket-integration' ) ) );
+	}
+
+	// =========================================================================
+	// AJAX: Seat requests
+	// =========================================================================
+
+	/**
+	 * An org member without seat management rights asks for a seat.
+	 */
+	public function ajax_request_seat() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+		if ( $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => __( 'You can assign yourself a seat from the seat management page.', 'wicket-integration' ) ) );
+		}
+
+		$requests = myies_seat_requests();
+		$user     = wp_get_current_user();
+
+		if ( $requests->get_pending_for_user( $user->ID, $auth['org_uuid'] ) ) {
+			wp_send_json_error( array( 'message' => __( 'You already have a pending seat request.', 'wicket-integration' ) ) );
+		}
+
+		$message = isset( $_POST['message'] ) ? sanitize_textarea_field( wp_unslash( $_POST['message'] ) ) : '';
+
+		$id = $requests->create_request( array(
+			'org_uuid'    => $auth['org_uuid'],
+			'org_name'    => $auth['org_name'],
+			'wp_user_id'  => $user->ID,
+			'person_uuid' => $auth['person_uuid'],
+			'name'        => trim( $user->first_name . ' ' . $user->last_name ) ?: $user->display_name,
+			'email'       => $user->user_email,
+			'message'     => mb_substr( $message, 0, 1000 ),
+		) );
+
+		if ( ! $id ) {
+			wp_send_json_error( array( 'message' => __( 'Your request could not be saved. Please try again.', 'wicket-integration' ) ) );
+		}
+
+		error_log( '[SeatMgmt] Seat request #' . $id . ' created by user ' . $user->ID . ' for org ' . $auth['org_uuid'] );
+		wp_send_json_success( array(
+			'message' => __( 'Your request has been sent to your primary contact. You will receive an email once it has been reviewed.', 'wicket-integration' ),
+		) );
+	}
+
+	/**
+	 * Pending seat requests for the manager's organization.
+	 */
+	public function ajax_get_requests() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$requests = array();
+		foreach ( myies_seat_requests()->get_pending_for_org( $auth['org_uuid'] ) as $row ) {
+			$requests[] = array(
+				'id'         => (int) $row['id'],
+				'name'       => $row['name'],
+				'email'      => $row['email'],
+				'message'    => $row['message'],
+				'created_at' => mysql2date( 'c', $row['created_at'] ),
+			);
+		}
+
+		wp_send_json_success( array( 'requests' => $requests ) );
+	}
+
+	/**
+	 * Approve (assign a seat) or decline a pending request, then email the
+	 * requester. A failed approval leaves the request pending.
+	 */
+	public function ajax_decide_request() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$request_id = isset( $_POST['request_id'] ) ? absint( $_POST['request_id'] ) : 0;
+		$decision   = isset( $_POST['decision'] ) ? sanitize_key( $_POST['decision'] ) : '';
+		$reason     = isset( $_POST['reason'] ) ? sanitize_textarea_field( wp_unslash( $_POST['reason'] ) ) : '';
+
+		if ( ! in_array( $decision, array( 'approve', 'decline' ), true ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid decision.', 'wicket-integration' ) ) );
+		}
+
+		$requests = myies_seat_requests();
+		$request  = $request_id ? $requests->get_request( $request_id ) : null;
+		if ( ! $request || $request['org_uuid'] !== $auth['org_uuid'] ) {
+			wp_send_json_error( array( 'message' => __( 'Seat request not found.', 'wicket-integration' ) ) );
+		}
+		if ( $request['status'] !== MyIES_Seat_Requests::STATUS_PENDING ) {
+			wp_send_json_error( array( 'message' => __( 'This request has already been handled.', 'wicket-integration' ) ) );
+		}
+
+		$status = $decision === 'approve' ? MyIES_Seat_Requests::STATUS_APPROVED : MyIES_Seat_Requests::STATUS_DECLINED;
+
+		// Claim the request first so two managers can't both decide it
+		if ( ! $requests->set_status( $request_id, $status, get_current_user_id() ) ) {
+			wp_send_json_error( array( 'message' => __( 'This request has already been handled.', 'wicket-integration' ) ) );
+		}
+
+		if ( $status === MyIES_Seat_Requests::STATUS_APPROVED ) {
+			$result = $this->assign_seat( $auth, $this->posted_membership_uuid(), $request['person_uuid'] );
+			if ( is_wp_error( $result ) && $result->get_error_code() !== 'already_seated' ) {
+				$requests->reopen( $request_id, $status );
+				wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+			}
+			$reason = '';
+		}
+
+		$requests->notify_requester( $request, $status, $reason );
+
+		error_log( '[SeatMgmt] Seat request #' . $request_id . ' ' . $status . ' by user ' . get_current_user_id() );
+		$this->audit(
+			$status === MyIES_Seat_Requests::STATUS_APPROVED ? MyIES_Audit_Log::SEAT_REQUEST_APPROVED : MyIES_Audit_Log::SEAT_REQUEST_DECLINED,
+			$auth,
+			null,
+			$request['person_uuid'],
+			$request['name'],
+			array_filter( array(
+				'request_id' => $request_id,
+				'reason'     => $reason,
+			) )
+		);
+		wp_send_json_success( array(
+			'message' => $status === MyIES_Seat_Requests::STATUS_APPROVED
+				? __( 'Request approved and seat assigned.', 'wicket-integration' )
+				: __( 'Request declined.', 'wicket-integration' ),
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Invite a person into a seat
+	// =========================================================================
+
+	/**
+	 * Find or create the person for an email, connect them to the org as an
+	 * employee and assign them a seat.
+	 *
+	 * Person creation is shared with Org Management. Seat availability and
+	 * the end date are checked before anything is created. The response lists
+	 * each completed step, also when a later step fails.
+	 */
+	public function ajax_invite_and_assign() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] || ! $auth['caps'][ MyIES_Permissions::EDIT_ROSTER ] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$email      = isset( $_POST['email'] ) ? sanitize_email( $_POST['email'] ) : '';
+		$first_name = isset( $_POST['first_name'] ) ? sanitize_text_field( $_POST['first_name'] ) : '';
+		$last_name  = isset( $_POST['last_name'] ) ? sanitize_text_field( $_POST['last_name'] ) : '';
+		$end_date   = isset( $_POST['ends_at'] ) ? sanitize_text_field( $_POST['ends_at'] ) : '';
+
+		if ( empty( $email ) || ! is_email( $email ) ) {
+			wp_send_json_error( array( 'message' => __( 'Please enter a valid email address.', 'wicket-integration' ) ) );
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		// Make sure a seat can be assigned before creating anything
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+		$assignments = $svc->get_org_membership_assignments( $org_membership['id'] );
+		if ( $this->get_remaining_seats( $org_membership, count( $assignments ) ) === 0 ) {
+			wp_send_json_error( array( 'message' => __( 'All seats are occupied. No seats available.', 'wicket-integration' ) ) );
+		}
+		if ( $end_date !== '' ) {
+			$valid = $this->parse_end_date( $end_date, $org_membership );
+			if ( is_wp_error( $valid ) ) {
+				wp_send_json_error( array( 'message' => $valid->get_error_message() ) );
+			}
+		}
+
+		$steps = array();
+
+		// 1. Find or create the person
+		$person = MyIES_Org_Management::get_instance()->find_or_create_person_by_email( $email, $first_name, $last_name );
+		if ( is_wp_error( $person ) ) {
+			wp_send_json_error( array( 'message' => $person->get_error_message(), 'steps' => $steps ) );
+		}
+		$steps[] = $person['created']
+			? sprintf( __( 'Created an account for %s.', 'wicket-integration' ), $person['name'] )
+			: sprintf( __( 'Found the existing account for %s.', 'wicket-integration' ), $person['name'] );
+
+		// 2. Connect them to the organization (a former member is reinstated)
+		$connection = MyIES_Org_Management::get_instance()->connect_person( $auth, $person['person_uuid'], 'employee' );
+		if ( ! $connection['success'] ) {
+			error_log( '[SeatMgmt] Invite: failed to connect ' . $person['person_uuid'] . ' to org ' . $auth['org_uuid'] );
+			wp_send_json_error( array(
+				'message' => $connection['message'] ?: __( 'Could not add this person to the organization.', 'wicket-integration' ),
+				'steps'   => $steps,
+			) );
+		}
+
+		if ( $connection['status'] === 'reinstated' ) {
+			MyIES_Audit_Log::log( MyIES_Audit_Log::MEMBER_REINSTATED, $auth['org_uuid'], array(
+				'org_name'    => $auth['org_name'],
+				'target_uuid' => $person['person_uuid'],
+				'target_name' => $person['name'],
+				'details'     => array(
+					'connection_uuid' => $connection['connection_uuid'],
+					'connection_type' => 'employee',
+					'ended_at'        => $connection['ended_at'],
+					'source'          => 'seat_invite',
+				),
+			) );
+			$steps[] = sprintf( __( 'Added former member %1$s back to %2$s as an employee.', 'wicket-integration' ), $person['name'], $auth['org_name'] );
+		} elseif ( $connection['status'] === 'added' ) {
+			MyIES_Audit_Log::log(
+				$person['created'] ? MyIES_Audit_Log::MEMBER_CREATED : MyIES_Audit_Log::MEMBER_ADDED,
+				$auth['org_uuid'],
+				array(
+					'org_name'    => $auth['org_name'],
+					'target_uuid' => $person['person_uuid'],
+					'target_name' => $person['name'],
+					'details'     => array( 'connection_type' => 'employee', 'source' => 'seat_invite' ),
+				)
+			);
+			$steps[] = sprintf( __( 'Connected %1$s to %2$s as an employee.', 'wicket-integration' ), $person['name'], $auth['org_name'] );
+		} else {
+			$steps[] = sprintf( __( '%1$s was already connected to %2$s.', 'wicket-integration' ), $person['name'], $auth['org_name'] );
+		}
+
+		// 3. Assign the seat
+		$seat = $this->assign_seat( $auth, $org_membership['id'], $person['person_uuid'], $end_date );
+		if ( is_wp_error( $seat ) ) {
+			wp_send_json_error( array( 'message' => $seat->get_error_message(), 'steps' => $steps ) );
+		}
+		$steps[] = sprintf( __( 'Assigned a membership seat to %s.', 'wicket-integration' ), $person['name'] );
+
+		error_log( '[SeatMgmt] Invite: ' . $email . ' (' . $person['person_uuid'] . ') connected and seated on org membership ' . $org_membership['id'] );
+		wp_send_json_success( array(
+			'message' => sprintf( __( '%s has been added to your organization and assigned a seat.', 'wicket-integration' ), $person['name'] ),
+			'steps'   => $steps,
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Bulk CSV assignment — preview
+	// =========================================================================
+
+	/**
+	 * Match uploaded CSV rows against the org roster and classify each row.
+	 *
+	 * The CSV is parsed in the browser and posted as a JSON array of
+	 * { email, name } objects. Each row comes back with one of the statuses
+	 * matched, unmatched, duplicate, already_seated or over_capacity. Only
+	 * "matched" rows are offered for assignment, and never more of them than
+	 * there are free seats.
+	 */
+	public function ajax_bulk_preview() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$rows = isset( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : array();
+		if ( ! is_array( $rows ) || empty( $rows ) ) {
+			wp_send_json_error( array( 'message' => __( 'No rows were found in the uploaded file.', 'wicket-integration' ) ) );
+		}
+		if ( count( $rows ) > self::BULK_MAX_ROWS ) {
+			wp_send_json_error( array(
+				'message' => sprintf(
+					__( 'The file has too many rows. Please upload at most %d rows at a time.', 'wicket-integration' ),
+					self::BULK_MAX_ROWS
+				),
+			) );
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		$seated      = array();
+		$assignments = $svc->get_org_membership_assignments( $org_membership['id'] );
+		foreach ( $assignments as $a ) {
+			if ( ! empty( $a['person_uuid'] ) ) {
+				$seated[ $a['person_uuid'] ] = true;
+			}
+		}
+		$remaining = $this->get_remaining_seats( $org_membership, count( $assignments ) );
+
+		// Index the active roster by email and by full name
+		$by_email = array();
+		$by_name  = array();
+		$members  = wicket_api()->get_organization_members( $auth['org_uuid'] );
+		foreach ( $members as $conn ) {
+			$ends_at = $conn['attributes']['ends_at'] ?? null;
+			if ( $ends_at && strtotime( $ends_at ) < time() ) {
+				continue;
+			}
+
+			$person      = $conn['_person'] ?? null;
+			$person_uuid = $conn['relationships']['from']['data']['id'] ?? '';
+			if ( empty( $person_uuid ) ) {
+				continue;
+			}
+
+			$full_name = trim( ( $person['attributes']['given_name'] ?? '' ) . ' ' . ( $person['attributes']['family_name'] ?? '' ) );
+			$email     = strtolower( $person['attributes']['primary_email_address'] ?? '' );
+			$member    = array(
+				'person_uuid' => $person_uuid,
+				'name'        => $full_name ?: __( 'Unknown', 'wicket-integration' ),
+				'email'       => $email,
+			);
+
+			if ( $email ) {
+				$by_email[ $email ] = $member;
+			}
+			if ( $full_name ) {
+				$by_name[ strtolower( $full_name ) ][] = $member;
+			}
+		}
+
+		$results  = array();
+		$assigned = array();
+		$counts   = array(
+			'matched'        => 0,
+			'unmatched'      => 0,
+			'duplicate'      => 0,
+			'already_seated' => 0,
+			'over_capacity'  => 0,
+		);
+
+		foreach ( array_values( $rows ) as $i => $row ) {
+			$email = is_array( $row ) && isset( $row['email'] ) ? strtolower( sanitize_email( $row['email'] ) ) : '';
+			$name  = is_array( $row ) && isset( $row['name'] ) ? sanitize_text_field( $row['name'] ) : '';
+
+			// Match on email first, then on an unambiguous full name
+			$member = null;
+			if ( $email && isset( $by_email[ $email ] ) ) {
+				$member = $by_email[ $email ];
+			} elseif ( $name && isset( $by_name[ strtolower( $name ) ] ) && count( $by_name[ strtolower( $name ) ] ) === 1 ) {
+				$member = $by_name[ strtolower( $name ) ][0];
+			}
+
+			if ( ! $member ) {
+				$status = 'unmatched';
+			} elseif ( isset( $assigned[ $member['person_uuid'] ] ) ) {
+				$status = 'duplicate';
+			} elseif ( isset( $seated[ $member['person_uuid'] ] ) ) {
+				$status = 'already_seated';
+			} elseif ( $remaining !== null && $remaining <= 0 ) {
+				$status = 'over_capacity';
+			} else {
+				$status = 'matched';
+				if ( $remaining !== null ) {
+					$remaining--;
+				}
+			}
+
+			if ( $member ) {
+				$assigned[ $member['person_uuid'] ] = true;
+			}
+			$counts[ $status ]++;
+
+			$results[] = array(
+				'row'         => $i + 1,
+				'input_name'  => $name,
+				'input_email' => $email,
+				'status'      => $status,
+				'person_uuid' => $member ? $member['person_uuid'] : '',
+				'name'        => $member ? $member['name'] : '',
+				'email'       => $member ? $member['email'] : '',
+			);
+		}
+
+		wp_send_json_success( array(
+			'rows'            => $results,
+			'counts'          => $counts,
+			'remaining_seats' => $remaining,
+			'batch_size'      => self::BULK_BATCH_SIZE,
+		) );
+	}
+
+	// =========================================================================
+	// AJAX: Bulk CSV assignment — assign one batch
+	// =========================================================================
+
+	/**
+	 * Assign seats to a batch of people accepted in the bulk preview.
+	 *
+	 * Capacity is re-checked on every batch, so rows beyond the free seats
+	 * fail individually instead of overfilling the membership.
+	 */
+	public function ajax_bulk_assign() {
+		check_ajax_referer( 'myies_seats_nonce', 'nonce' );
+		$auth = $this->check_authorization();
+		if ( ! $auth['authorized'] || ! $auth['can_manage'] ) {
+			wp_send_json_error( array( 'message' => 'Unauthorized' ) );
+		}
+
+		$person_uuids = isset( $_POST['person_uuids'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['person_uuids'] ) ) : array();
+		$person_uuids = array_slice( array_values( array_unique( array_filter( $person_uuids ) ) ), 0, self::BULK_BATCH_SIZE );
+		if ( empty( $person_uuids ) ) {
+			wp_send_json_error( array( 'message' => __( 'Person UUID required.', 'wicket-integration' ) ) );
+		}
+
+		try {
+			$svc = new Wicket_Membership_Service();
+		} catch ( Exception $e ) {
+			wp_send_json_error( array( 'message' => 'Could not initialize membership service.' ) );
+		}
+
+		$org_membership = $this->get_org_membership( $svc, $auth, $this->posted_membership_uuid() );
+		if ( ! $org_membership ) {
+			wp_send_json_error( array( 'message' => __( 'No active organization membership found.', 'wicket-integration' ) ) );
+		}
+
+		$seated      = array();
+		$assignments = $svc->get_org_membership_assignments( $org_membership['id'] );
+		foreach ( $assignments as $a ) {
+			if ( ! empty( $a['person_uuid'] ) ) {
+				$seated[ $a['person_uuid'] ] = true;
+			}
+		}
+		$remaining = $this->get_remaining_seats( $org_membership, count( $assignments ) );
+
+		$results = array();
+		foreach ( $person_uuids as $person_uuid ) {
+			if ( isset( $seated[ $person_uuid ] ) ) {
+				$results[] = array(
+					'person_uuid' => $person_uuid,
+					'success'     => false,
+					'message'     => __( 'This person already has a seat assigned.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			if ( $remaining !== null && $remaining <= 0 ) {
+				$results[] = array(
+					'person_uuid' => $person_uuid,
+					'success'     => false,
+					'message'     => __( 'All seats are occupied. No seats available.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			$result = $svc->assign_person_to_org_membership(
+				$person_uuid,
+				$org_membership['id'],
+				$org_membership['starts_at'],
+				$org_membership['ends_at']
+			);
+
+			if ( is_wp_error( $result ) ) {
+				error_log( '[SeatMgmt] Bulk: failed to assign seat to ' . $person_uuid . ': ' . $result->get_error_message() );
+				$results[] = array(
+					'person_uuid' => $person_uuid,
+					'success'     => false,
+					'message'     => __( 'Failed to assign seat.', 'wicket-integration' ),
+				);
+				continue;
+			}
+
+			error_log( '[SeatMgmt] Bulk: assigned seat to person ' . $person_uuid . ' on org membership ' . $org_membership['id'] );
+			$this->audit( MyIES_Audit_Log::SEAT_ASSIGNED, $auth, $org_membership, $person_uuid, '', array(
+				'ends_at' => $org_membership['ends_at'],
+				'source'  => 'csv',
+			) );
+			$seated[ $person_uuid ] = true;
+			if ( $remaining !== null ) {
+				$remaining--;
+			}
+
+			$results[] = array(
+				'person_uuid' => $person_uuid,
+				'success'     => true,
+				'message'     => __( 'Seat assigned.', 'wicket-integration' ),
+			);
+		}
+
+		wp_send_json_success( array(
+			'results'         => $results,
+			'remaining_seats' => $remaining,
+		) );
+	}
 }
 
 // Initialize
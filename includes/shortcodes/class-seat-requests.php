@@ -0,0 +1,258 @@
+<?php
+/**
+ * Seat Requests
+ *
+ * Pending queue of membership seat requests made by employees of a
+ * sustaining organization. Requests are created from the
+ * [myies_seat_management] shortcode by users who cannot manage seats, and
+ * approved or declined there by the organization's primary contact.
+ *
+ * Table: {prefix}myies_seat_requests
+ *
+ * @package MyIES_Integration
+ * @since   1.0.19
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class MyIES_Seat_Requests {
+
+	const STATUS_PENDING  = 'pending';
+	const STATUS_APPROVED = 'approved';
+	const STATUS_DECLINED = 'declined';
+
+	private static $instance = null;
+	private $table_name;
+	private $table_checked = false;
+
+	public static function get_instance() {
+		if ( self::$instance === null ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	private function __construct() {
+		global $wpdb;
+		$this->table_name = $wpdb->prefix . 'myies_seat_requests';
+	}
+
+	// =========================================================================
+	// Table
+	// =========================================================================
+
+	public function create_table() {
+		global $wpdb;
+
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE {$this->table_name} (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			org_uuid varchar(36) NOT NULL,
+			org_name varchar(255) DEFAULT NULL,
+			wp_user_id bigint(20) UNSIGNED NOT NULL,
+			person_uuid varchar(36) NOT NULL,
+			name varchar(255) DEFAULT NULL,
+			email varchar(255) DEFAULT NULL,
+			message text,
+			status varchar(20) NOT NULL DEFAULT 'pending',
+			decided_by bigint(20) UNSIGNED DEFAULT NULL,
+			decided_at datetime DEFAULT NULL,
+			created_at datetime NOT NULL,
+			PRIMARY KEY  (id),
+			KEY org_status (org_uuid, status),
+			KEY wp_user_id (wp_user_id)
+		) $charset_collate;";
+
+		require_once( ABSPATH . 'wp-admin/includes/upgrade.php' );
+		dbDelta( $sql );
+
+		return $this->table_exists();
+	}
+
+	public function table_exists() {
+		global $wpdb;
+		return $wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) === $this->table_name;
+	}
+
+	private function ensure_table() {
+		if ( $this->table_checked ) {
+			return;
+		}
+		if ( ! $this->table_exists() ) {
+			$this->create_table();
+		}
+		$this->table_checked = true;
+	}
+
+	// =========================================================================
+	// Queries
+	// =========================================================================
+
+	/**
+	 * Store a new pending request.
+	 *
+	 * @param  array $data org_uuid, org_name, wp_user_id, person_uuid, name, email, message.
+	 * @return int|false Request ID, or false on failure.
+	 */
+	public function create_request( $data ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		$inserted = $wpdb->insert(
+			$this->table_name,
+			array(
+				'org_uuid'    => $data['org_uuid'],
+				'org_name'    => $data['org_name'] ?? '',
+				'wp_user_id'  => (int) $data['wp_user_id'],
+				'person_uuid' => $data['person_uuid'],
+				'name'        => $data['name'] ?? '',
+				'email'       => $data['email'] ?? '',
+				'message'     => $data['message'] ?? '',
+				'status'      => self::STATUS_PENDING,
+				'created_at'  => current_time( 'mysql' ),
+			),
+			array( '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s' )
+		);
+
+		return $inserted ? (int) $wpdb->insert_id : false;
+	}
+
+	public function get_request( $id ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		return $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$this->table_name} WHERE id = %d", $id ), ARRAY_A );
+	}
+
+	/**
+	 * All pending requests for an organization, oldest first.
+	 */
+	public function get_pending_for_org( $org_uuid ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		return $wpdb->get_results( $wpdb->prepare(
+			"SELECT * FROM {$this->table_name} WHERE org_uuid = %s AND status = %s ORDER BY created_at ASC",
+			$org_uuid,
+			self::STATUS_PENDING
+		), ARRAY_A );
+	}
+
+	/**
+	 * The user's pending request for an organization, if any.
+	 */
+	public function get_pending_for_user( $user_id, $org_uuid ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		return $wpdb->get_row( $wpdb->prepare(
+			"SELECT * FROM {$this->table_name} WHERE wp_user_id = %d AND org_uuid = %s AND status = %s ORDER BY created_at DESC LIMIT 1",
+			$user_id,
+			$org_uuid,
+			self::STATUS_PENDING
+		), ARRAY_A );
+	}
+
+	/**
+	 * Close a pending request as approved or declined. Returns false when
+	 * the request was no longer pending, e.g. another manager decided it.
+	 */
+	public function set_status( $id, $status, $decided_by ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		return (bool) $wpdb->update(
+			$this->table_name,
+			array(
+				'status'     => $status,
+				'decided_by' => (int) $decided_by,
+				'decided_at' => current_time( 'mysql' ),
+			),
+			array(
+				'id'     => (int) $id,
+				'status' => self::STATUS_PENDING,
+			),
+			array( '%s', '%d', '%s' ),
+			array( '%d', '%s' )
+		);
+	}
+
+	/**
+	 * Put a request closed with $status back to pending, e.g. when the seat
+	 * for an approval could not be assigned.
+	 */
+	public function reopen( $id, $status ) {
+		global $wpdb;
+		$this->ensure_table();
+
+		return (bool) $wpdb->update(
+			$this->table_name,
+			array(
+				'status'     => self::STATUS_PENDING,
+				'decided_by' => null,
+				'decided_at' => null,
+			),
+			array(
+				'id'     => (int) $id,
+				'status' => $status,
+			),
+			array( '%s', '%d', '%s' ),
+			array( '%d', '%s' )
+		);
+	}
+
+	// =========================================================================
+	// Notifications
+	// =========================================================================
+
+	/**
+	 * Email the requester the outcome of their request.
+	 *
+	 * @param array  $request Request row.
+	 * @param string $status  STATUS_APPROVED or STATUS_DECLINED.
+	 * @param string $reason  Optional note from the primary contact.
+	 */
+	public function notify_requester( $request, $status, $reason = '' ) {
+		if ( empty( $request['email'] ) || ! is_email( $request['email'] ) ) {
+			return false;
+		}
+
+		$org_name = $request['org_name'] ?: __( 'your organization', 'wicket-integration' );
+		$greeting = $request['name']
+			? sprintf( __( 'Hello %s,', 'wicket-integration' ), $request['name'] )
+			: __( 'Hello,', 'wicket-integration' );
+
+		if ( $status === self::STATUS_APPROVED ) {
+			$subject = sprintf( __( 'Your membership seat request for %s was approved', 'wicket-integration' ), $org_name );
+			$body    = sprintf(
+				__( 'Your request for a membership seat with %s has been approved. Your membership benefits are now active.', 'wicket-integration' ),
+				$org_name
+			);
+		} else {
+			$subject = sprintf( __( 'Your membership seat request for %s was declined', 'wicket-integration' ), $org_name );
+			$body    = sprintf(
+				__( 'Your request for a membership seat with %s has been declined by your organization\'s primary contact.', 'wicket-integration' ),
+				$org_name
+			);
+			if ( $reason !== '' ) {
+				$body .= "\n\n" . sprintf( __( 'Note from your primary contact: %s', 'wicket-integration' ), $reason );
+			}
+		}
+
+		$message = $greeting . "\n\n" . $body . "\n\n" . get_bloginfo( 'name' ) . "\n" . home_url( '/' );
+
+		$sent = wp_mail( $request['email'], $subject, $message );
+		if ( ! $sent ) {
+			error_log( '[SeatMgmt] Failed to email seat request outcome to ' . $request['email'] );
+		}
+
+		return $sent;
+	}
+}
+
+function myies_seat_requests() {
+	return MyIES_Seat_Requests::get_instance();
+}
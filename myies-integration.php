@@ -25,6 +25,21 @@ define('WICKET_INTEGRATION_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('WICKET_INTEGRATION_PLUGIN_URL', plugin_dir_url(__FILE__));
 define('WICKET_INTEGRATION_PLUGIN_FILE', __FILE__);
 
+/**
+ * Make a value safe to write into a CSV or XLSX cell. Text starting with
+ * =, +, -, @, a tab or a carriage return would be run as a formula by
+ * spreadsheet apps, so it is prefixed with a single quote.
+ *
+ * @param mixed $value
+ * @return mixed
+ */
+function myies_spreadsheet_cell($value) {
+    if (is_string($value) && $value !== '' && strpos("=+-@\t\r", $value[0]) !== false) {
+        return "'" . $value;
+    }
+    return $value;
+}
+
 /**
  * Main Wicket Integration Class
  */
@@ -70,6 +85,10 @@ class Wicket_Integration {
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-wicket-memberships-bricks.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-surecart-wicket-sync.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/membership-history-modal.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-myies-audit-log.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-myies-notifications.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-myies-permissions.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/class-myies-seat-auto-assign.php';
 
 
         // Admin & Settings
@@ -78,6 +97,10 @@ class Wicket_Integration {
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-wicket-uuid-audit.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-wicket-account-merge.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-hide-utilities-for-users.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-myies-audit-log-page.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-myies-notifications-page.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-myies-permissions-page.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/admin/class-myies-section-regions-page.php';
         
         // Frontend
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-person-details-shortcode.php';
@@ -85,6 +108,7 @@ class Wicket_Integration {
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-surecart-shortcodes.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-sustaining-company-select.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-org-management.php';
+        require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-seat-requests.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-seat-management.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-lighting-library-shortcode.php';
         require_once WICKET_INTEGRATION_PLUGIN_DIR . 'includes/shortcodes/class-committees-shortcode.php';
@@ -123,6 +147,35 @@ class Wicket_Integration {
         
         // Load text domain
         add_action('plugins_loaded', array($this, 'load_textdomain'));
+
+        // Shared frontend assets (registered before the shortcodes that depend on them)
+        add_action('wp_enqueue_scripts', array($this, 'register_shared_assets'), 5);
+    }
+    
+    /**
+     * Register assets shared by several shortcodes
+     */
+    public function register_shared_assets() {
+        wp_register_style(
+            'myies-table',
+            WICKET_INTEGRATION_PLUGIN_URL . 'assets/css/myies-table.css',
+            array(),
+            WICKET_INTEGRATION_VERSION
+        );
+        wp_register_script(
+            'myies-table',
+            WICKET_INTEGRATION_PLUGIN_URL . 'assets/js/myies-table.js',
+            array('jquery'),
+            WICKET_INTEGRATION_VERSION,
+            true
+        );
+        wp_register_script(
+            'myies-combobox',
+            WICKET_INTEGRATION_PLUGIN_URL . 'assets/js/myies-combobox.js',
+            array('jquery'),
+            WICKET_INTEGRATION_VERSION,
+            true
+        );
     }
     
     /**
@@ -141,6 +194,16 @@ class Wicket_Integration {
             $memberships = Wicket_Memberships::get_instance();
             $memberships->create_table();
         }
+
+        // Create seat requests table
+        if (class_exists('MyIES_Seat_Requests')) {
+            MyIES_Seat_Requests::get_instance()->create_table();
+        }
+
+        // Create audit log table
+        if (class_exists('MyIES_Audit_Log')) {
+            MyIES_Audit_Log::get_instance()->create_table();
+        }
         
         flush_rewrite_rules();
     }
@@ -154,6 +217,8 @@ class Wicket_Integration {
         if ($timestamp) {
             wp_unschedule_event($timestamp, 'wicket_weekly_org_sync');
         }
+        wp_clear_scheduled_hook('myies_notifications_daily_digest');
+        wp_clear_scheduled_hook('myies_seat_auto_assign_reconcile');
         
         flush_rewrite_rules();
     }